@@ -2,194 +2,175 @@
  * RecipeScan DB - App Logic
  */
 
-import { initializeApp, getApps, getApp, deleteApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
 import {
-    getFirestore,
-    collection,
-    doc,
-    getDocs,
-    getDoc,
-    setDoc,
-    deleteDoc,
-    query,
-    where
-} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-
-class CloudStore {
-    constructor(config) {
-        this.userId = config.userId;
-        this.config = config;
-        this.app = null; // Initialize app and db to null
-        this.db = null;
-    }
-
-    async init() {
-        try {
-            // Check if app already exists
-            const existingApps = getApps();
-            if (existingApps.length > 0) {
-                await deleteApp(getApp());
-            }
-
-            this.app = initializeApp({
-                apiKey: this.config.apiKey,
-                authDomain: this.config.authDomain,
-                projectId: this.config.projectId,
-                storageBucket: this.config.storageBucket,
-                messagingSenderId: this.config.messagingSenderId,
-                appId: this.config.appId,
-                measurementId: this.config.measurementId
-            });
-            this.db = getFirestore(this.app);
-        } catch (err) {
-            console.error("Firebase Init Error:", err);
-        }
-    }
-
-    async saveRecipe(recipe) {
-        if (!this.db || !this.userId) return;
-        const ref = doc(this.db, "users", this.userId, "recipes", recipe.barcode);
-        await setDoc(ref, recipe);
-    }
+    cleanOcrText,
+    parseRecipe,
+    parseStep,
+    parseWattage,
+    formatDuration,
+    formatWattage,
+    formatTemperature
+} from "./recipe-parser.js";
+import { TimerBoard, ScreenWakeLock, speak, stopSpeaking } from "./cooking.js";
+import {
+    buildBackup,
+    toCsv,
+    validateBackup,
+    planImport,
+    selectImports,
+    downloadFile,
+    MERGE_STRATEGIES
+} from "./backup.js";
+import { dataUrlToBlob, blobToDataUrl, prepareImage } from "./images.js";
+import { ProductCatalog, createCatalogProvider } from "./catalog.js";
+import { normalizeBarcode, canonicalBarcode, formatBarcode } from "./barcode.js";
+import { OcrEngine, loadImage, renderCrop, preprocessImage, ocrAssetUrls, LOW_CONFIDENCE } from "./ocr.js";
+import { html, raw, safeImageUrl, formatInstructions, formatQuantities } from "./render.js";
+import { SecretsVault, SECRET_KEYS, splitSecrets } from "./vault.js";
+import { NUTRIENTS, parseNutrition, hasNutrition, nutritionValue, formatNutrient } from "./nutrition.js";
+import { registerServiceWorker, cacheOcrAssets, takeSharedItem, notify, onOpenView } from "./pwa.js";
+import { ShareError, shareableRecipe, encodeShareToken, decodeShareToken, findShareToken, shareLink, takeShareLink, qrCodeSvg } from "./share.js";
+import { CloudinaryClient, CloudinaryError, newPublicId, publicIdFromUrl, isSignable, transformedUrl, backoffDelay } from "./cloudinary.js";
+import { LOCATIONS, EXPIRY_WARNING_DAYS, parseBestBefore, addStock, useStock, totalQuantity, daysUntil, expiryStatus, stockByExpiry } from "./pantry.js";
+import { createSyncBackend } from "./sync-backends.js";
+import { RecipeStore } from "./store.js";
+import { SyncEngine } from "./sync-engine.js";
+import { runConformance } from "./backend-conformance.js";
+import { LANGUAGES, setLanguage, getLanguage, t, translatePage } from "./i18n.js";
+import { UNIT_SYSTEMS, findConversions, convertText, convertTemperature, rescaleMicrowave, statedWattage } from "./units.js";
+
+// Household roles, from most to least privileged. Viewers can only read.
+const HOUSEHOLD_ROLES = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Read-only'
+};
 
-    async deleteRecipe(barcode) {
-        if (!this.db || !this.userId) return;
-        const ref = doc(this.db, "users", this.userId, "recipes", barcode);
-        await deleteDoc(ref);
-    }
+// Labels for the methods recipe-parser.js detects
+const COOKING_METHODS = {
+    microwave: 'Microwave',
+    oven: 'Oven',
+    'air fryer': 'Air Fryer',
+    stovetop: 'Stovetop'
+};
 
-    async getAllRecipes() {
-        if (!this.db || !this.userId) return [];
-        const q = collection(this.db, "users", this.userId, "recipes");
-        const querySnapshot = await getDocs(q);
-        return querySnapshot.docs.map(doc => doc.data());
-    }
+// How long deleted recipes stay in the trash when the setting was never changed
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
-    async saveSettings(settings) {
-        if (!this.db || !this.userId) return;
-        const ref = doc(this.db, "users", this.userId, "config", "appSettings");
-        await setDoc(ref, settings);
-    }
+// Preferences that belong to whoever holds the device, so they are never synced
+const DEVICE_PREFERENCES = ['language', 'unitSystem', 'microwaveWatts'];
 
-    async getSettings() {
-        if (!this.db || !this.userId) return null;
-        const ref = doc(this.db, "users", this.userId, "config", "appSettings");
-        const docSnap = await getDoc(ref);
-        return docSnap.exists() ? docSnap.data() : null;
-    }
+function withoutDevicePreferences(preferences) {
+    const shared = { ...preferences };
+    DEVICE_PREFERENCES.forEach(key => delete shared[key]);
+    return shared;
 }
 
-class RecipeStore {
-    constructor() {
-        this.dbName = 'RecipeScanDB';
-        this.version = 1;
-        this.db = null;
-    }
-
-    async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.version);
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('recipes')) {
-                    const store = db.createObjectStore('recipes', { keyPath: 'barcode' });
-                    store.createIndex('name', 'name', { unique: false });
-                    store.createIndex('date', 'date', { unique: false });
-                }
-            };
-
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve();
-            };
-
-            request.onerror = (event) => reject(event.target.error);
-        });
-    }
+// The symbology html5-qrcode reports with a result (e.g. "UPC_E"), which settles 8-digit codes
+function formatOf(decoded) {
+    return decoded && decoded.result && decoded.result.format ? decoded.result.format.formatName : null;
+}
 
-    async saveRecipe(recipe) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['recipes'], 'readwrite');
-            const store = transaction.objectStore('recipes');
-            recipe.date = new Date().toISOString();
-            const request = store.put(recipe);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+class BarcodeScanner {
+    constructor(elementId, onResult) {
+        // Retail symbologies, plus QR codes for shared recipes: fewer decoders to try per frame
+        this.scanner = new Html5Qrcode(elementId, {
+            formatsToSupport: [
+                Html5QrcodeSupportedFormats.EAN_13,
+                Html5QrcodeSupportedFormats.EAN_8,
+                Html5QrcodeSupportedFormats.UPC_A,
+                Html5QrcodeSupportedFormats.UPC_E,
+                Html5QrcodeSupportedFormats.QR_CODE
+            ],
+            useBarCodeDetectorIfSupported: true,
+            verbose: false
         });
+        this.onResult = onResult;
+        this.config = { fps: 15, qrbox: { width: 250, height: 150 } };
+        // Batch mode keeps the camera running after each decode
+        this.continuous = false;
+        this.audio = null;
+        this.cameras = [];
+        this.cameraId = null;
+        // Hooks for the scanner view: problems to show and the running camera's features
+        this.onError = (message) => alert(message);
+        this.onStarted = () => {};
+        // Called with the token of a scanned recipe QR code
+        this.onShare = () => {};
     }
 
-    async getRecipe(barcode) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['recipes'], 'readonly');
-            const store = transaction.objectStore('recipes');
-            const request = store.get(barcode);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    setContinuous(continuous) {
+        this.continuous = continuous;
+        // Toggled from a tap, which is when browsers allow audio to be unlocked
+        if (continuous && !this.audio && window.AudioContext) this.audio = new AudioContext();
     }
 
-    async getAllRecipes() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['recipes'], 'readonly');
-            const store = transaction.objectStore('recipes');
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    // A short beep and buzz per accepted scan; a lower tone for codes that are already saved
+    feedback(known) {
+        if (navigator.vibrate) navigator.vibrate(known ? [40, 60, 40] : 80);
+        if (!this.audio) return;
+        if (this.audio.state === 'suspended') this.audio.resume();
+        const start = this.audio.currentTime;
+        const osc = this.audio.createOscillator();
+        const gain = this.audio.createGain();
+        osc.frequency.value = known ? 660 : 1320;
+        gain.gain.setValueAtTime(0.3, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15);
+        osc.connect(gain).connect(this.audio.destination);
+        osc.start(start);
+        osc.stop(start + 0.15);
     }
 
-    async deleteRecipe(barcode) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['recipes'], 'readwrite');
-            const store = transaction.objectStore('recipes');
-            const request = store.delete(barcode);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+    // The chosen lens is remembered on this device only, so it isn't part of the synced settings
+    pickCamera(cameras) {
+        const saved = localStorage.getItem('recipe_scan_camera_id');
+        if (cameras.some(c => c.id === saved)) return saved;
+        const back = cameras.find(c => /back|rear|environment/i.test(c.label));
+        return (back || cameras[cameras.length - 1]).id;
     }
-}
 
-class BarcodeScanner {
-    constructor(elementId, onResult) {
-        this.scanner = new Html5Qrcode(elementId);
-        this.onResult = onResult;
-        this.config = { fps: 10, qrbox: { width: 250, height: 150 } };
+    async selectCamera(cameraId) {
+        localStorage.setItem('recipe_scan_camera_id', cameraId);
+        await this.stop();
+        await this.start();
     }
 
     async start() {
         try {
-            // Explicitly request camera permissions first
-            await navigator.mediaDevices.getUserMedia({ video: true });
-
-            const cameras = await Html5Qrcode.getCameras();
-            if (cameras && cameras.length > 0) {
-                // Find back camera if possible, otherwise use first available
-                let cameraId = cameras[0].id;
-                const backCamera = cameras.find(c => c.label.toLowerCase().includes('back'));
-                if (backCamera) {
-                    cameraId = backCamera.id;
-                } else if (cameras.length > 1) {
-                    cameraId = cameras[1].id;
-                }
-
-                await this.scanner.start(
-                    cameraId,
-                    this.config,
-                    (decodedText) => {
-                        this.stop();
-                        this.onResult(decodedText);
-                    }
-                );
-            } else {
-                alert('No cameras found.');
+            // Explicitly request camera permissions first, so cameras come with labels
+            const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+            stream.getTracks().forEach(track => track.stop());
+
+            this.cameras = await Html5Qrcode.getCameras();
+            if (!this.cameras || !this.cameras.length) {
+                this.onError(t('No cameras found. Type the barcode or pick a photo instead.'));
+                return;
             }
+            this.cameraId = this.pickCamera(this.cameras);
+
+            await this.scanner.start(
+                this.cameraId,
+                this.config,
+                (decodedText, decodedResult) => {
+                    const token = findShareToken(decodedText);
+                    if (token) {
+                        this.stop().then(() => this.onShare(token));
+                        return;
+                    }
+                    const read = normalizeBarcode(decodedText, { format: formatOf(decodedResult) });
+                    // A failed check digit is a misread; keep looking at the next frames
+                    if (!read.valid) return;
+                    if (!this.continuous) this.stop();
+                    this.onResult(read);
+                }
+            );
+            this.onStarted(this.getFeatures());
         } catch (err) {
             console.error('Scanner Error:', err);
             if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-                alert('Camera access denied. Please enable camera permissions in your browser settings to scan barcodes.');
+                this.onError(t('Camera access denied. Enable camera permissions in your browser settings, or type the barcode instead.'));
             } else {
-                alert('Could not start camera. Please check permissions and ensure no other app is using the camera.');
+                this.onError(t('Could not start camera. Make sure no other app is using it, or type the barcode instead.'));
             }
         }
     }
@@ -199,15 +180,112 @@ class BarcodeScanner {
             await this.scanner.stop();
         }
     }
+
+    // Torch and zoom depend on the device and browser; only report what the track supports
+    getFeatures() {
+        let capabilities = {};
+        let settings = {};
+        try {
+            capabilities = this.scanner.getRunningTrackCapabilities() || {};
+            settings = this.scanner.getRunningTrackSettings() || {};
+        } catch (err) {
+            console.warn('Camera capabilities unavailable:', err);
+        }
+        return {
+            torch: !!capabilities.torch,
+            zoom: capabilities.zoom
+                ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1, value: settings.zoom || capabilities.zoom.min }
+                : null
+        };
+    }
+
+    async setTorch(on) {
+        await this.scanner.applyVideoConstraints({ advanced: [{ torch: on }] });
+    }
+
+    async setZoom(value) {
+        await this.scanner.applyVideoConstraints({ advanced: [{ zoom: value }] });
+    }
+
+    /**
+     * The camera has to be released while a still image is decoded. Resolves
+     * to { text, format } with the raw text and the symbology, or null.
+     */
+    async decodeFile(file) {
+        await this.stop();
+        try {
+            const decoded = await this.scanner.scanFileV2(file, false);
+            return { text: decoded.decodedText, format: formatOf(decoded) };
+        } catch (err) {
+            console.warn('No barcode found in image:', err);
+            return null;
+        }
+    }
 }
 
-// Settings Controller
+// Settings Controller: preferences live in localStorage, credentials in the encrypted vault
 const Settings = {
+    vault: new SecretsVault(),
+
+    // What is in localStorage: preferences, plus credentials saved before the vault existed
+    stored() {
+        const stored = JSON.parse(localStorage.getItem('recipe_scan_settings') || '{}');
+        // Older versions called Open Food Facts 'off'; settings synced from them still do
+        if (stored.catalogProvider === 'off') stored.catalogProvider = 'openfoodfacts';
+        return stored;
+    },
     get() {
-        return JSON.parse(localStorage.getItem('recipe_scan_settings') || '{}');
+        return { ...this.stored(), ...this.vault.secrets };
+    },
+    hasPlaintextSecrets() {
+        return Object.values(splitSecrets(this.stored()).secrets).some(Boolean);
+    },
+    savePreferences(preferences) {
+        const { secrets } = splitSecrets(this.stored());
+        localStorage.setItem('recipe_scan_settings', JSON.stringify({ ...secrets, ...splitSecrets(preferences).preferences }));
     },
-    save(settings) {
-        localStorage.setItem('recipe_scan_settings', JSON.stringify(settings));
+    async saveSecrets(secrets) {
+        if (this.vault.unlocked) {
+            await this.vault.update(secrets);
+        } else if (Object.values(secrets).some(Boolean)) {
+            throw new Error(t('Unlock the vault or choose a passphrase to store credentials.'));
+        }
+    },
+    async save(settings) {
+        const { secrets, preferences } = splitSecrets(settings);
+        await this.saveSecrets(secrets);
+        this.savePreferences(preferences);
+    },
+
+    /**
+     * Opens the vault, creating it on first use. Plain-text credentials left
+     * by older versions are moved into it and removed from localStorage.
+     * Resolves whether anything was migrated.
+     */
+    async unlock(passphrase) {
+        const { secrets: plaintext, preferences } = splitSecrets(this.stored());
+        if (this.vault.exists) await this.vault.unlock(passphrase);
+        else await this.vault.create(passphrase, {});
+
+        const migrate = Object.values(plaintext).some(Boolean);
+        if (migrate) {
+            // Values already in the vault win over the plain-text copies they replace
+            const merged = { ...plaintext };
+            Object.entries(this.vault.secrets).forEach(([key, value]) => {
+                if (value) merged[key] = value;
+            });
+            await this.vault.update(merged);
+            localStorage.setItem('recipe_scan_settings', JSON.stringify(preferences));
+        }
+        return migrate;
+    },
+
+    // The config/appSettings document: preferences in the clear, credentials only encrypted
+    cloudPayload() {
+        return {
+            preferences: withoutDevicePreferences(splitSecrets(this.stored()).preferences),
+            vault: this.vault.blob
+        };
     }
 };
 
@@ -215,52 +293,241 @@ const Settings = {
 const UI = {
     views: document.querySelectorAll('.view'),
     navItems: document.querySelectorAll('.nav-item'),
-    store: new RecipeStore(),
+    // Recipes of the space this device syncs with; each household has a database of its own
+    store: null,
+    sync: null,
     cloud: null,
     scanner: null,
+    listQuery: null,
+    listObserver: null,
     capturedImage: null,
+    editingRecipe: null,
+    cooking: null,
+    pendingImport: null,
+    timerBoard: null,
+    wakeLock: new ScreenWakeLock(),
+    // Object URLs for stored photos, keyed `<imageId>:thumb` / `<imageId>:full`
+    imageUrls: new Map(),
+    thumbObserver: null,
+    catalog: null,
+    lookedUpProduct: null,
+    // Batch scanning queue: { items: [{ barcode, name, status }], current }
+    batch: null,
+    // An 8-digit camera read waiting for the user to pick EAN-8 or UPC-E
+    settlingScan: false,
+    ocr: new OcrEngine(),
+    // Photo being prepared for OCR: { image, rotated, rotation, crop }
+    ocrSource: null,
+    // Households the signed-in user belongs to
+    households: [],
+    // Pantry mode: scans add stock instead of opening recipes
+    stockMode: false,
+    // Cloud settings arrived while the settings form was open
+    settingsFormStale: false,
+    // Stock being added: { barcode, returnTo }
+    stockEntry: null,
+    snackbarTimer: null,
+    snackbarAction: null,
+    // The upload queue runs one pass at a time
+    uploading: null,
+    // Recipe on the share screen and its token (null when too long for a QR code)
+    sharing: null,
 
     async init() {
+        await setLanguage(Settings.get().language);
+        translatePage();
+        // Until the cloud says otherwise, the household this device synced with last
+        this.store = new RecipeStore(RecipeStore.nameFor(Settings.get().householdId));
         await this.store.init();
+        this.sync = new SyncEngine(this.store);
+        this.sync.onPendingChange = (count) => this.updateSyncStatus(count);
+        this.catalog = new ProductCatalog(createCatalogProvider(Settings.get()), {
+            get: (barcode) => this.store.getEntry('catalog', barcode),
+            put: (entry) => this.store.putEntry('catalog', entry)
+        });
         this.loadSettings();
         await this.initCloud();
         this.setupEventListeners();
+        this.thumbObserver = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => this.loadThumbnail(entry.target));
+        }, { rootMargin: '200px' });
         this.loadRecentRecipes();
-        this.scanner = new BarcodeScanner('reader', (barcode) => this.handleScanResult(barcode));
+        this.checkExpiringStock();
+        this.sync.notifyPending();
+        // Background upkeep for records written by older versions, one at a time
+        this.processPendingImages()
+            .then(() => this.migrateBarcodes())
+            .then(() => this.purgeExpiredTrash())
+            .then(() => this.processUploadQueue());
+        this.scanner = new BarcodeScanner('reader', (read) => this.acceptScan(read));
+        this.scanner.onError = (message) => this.showScannerMessage(message, true);
+        this.scanner.onStarted = (features) => this.renderScannerControls(features);
+        this.scanner.onShare = (token) => this.openShareToken(token);
+        this.timerBoard = new TimerBoard(document.getElementById('timer-board'));
+
+        // Push anything queued while offline as soon as the connection returns
+        window.addEventListener('online', async () => {
+            // A backend that was out of reach at startup
+            if (!this.cloud && this.sync.configured) {
+                await this.initCloud();
+                this.syncSettingsWithCloud();
+            }
+            this.syncWithCloud();
+            this.processUploadQueue();
+        });
+        // An installed app can stay open for days; dates and waiting uploads are checked again when it comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            this.checkExpiringStock();
+            this.processUploadQueue();
+        });
 
         if (this.cloud) {
             this.syncWithCloud();
             this.syncSettingsWithCloud();
         }
+
+        registerServiceWorker({
+            onUpdate: (apply) => {
+                if (confirm(t('A new version of RecipeScan is ready. Reload now?'))) apply();
+            }
+        }).catch(err => console.warn('Service worker registration failed:', err));
+        cacheOcrAssets(ocrAssetUrls(Settings.get().ocrLanguages));
+
+        const shared = await takeSharedItem().catch(() => null);
+        if (shared) this.openSharedItem(shared);
+        // Opened from a recipe link
+        const shareToken = takeShareLink();
+        if (shareToken) this.openShareToken(shareToken);
+
+        // Tapped expiry notifications
+        onOpenView((viewId) => {
+            const view = document.getElementById(viewId);
+            if (view && view.classList.contains('view')) this.switchView(viewId);
+        });
     },
 
     async initCloud() {
+        await this.teardownCloud();
         const settings = Settings.get();
-        if (settings.fbApiKey && settings.fbProjectId && settings.fbAppId && settings.fbUserId) {
-            this.cloud = new CloudStore({
-                apiKey: settings.fbApiKey,
-                authDomain: settings.fbAuthDomain,
-                projectId: settings.fbProjectId,
-                storageBucket: settings.fbStorageBucket,
-                messagingSenderId: settings.fbMessagingSenderId,
-                appId: settings.fbAppId,
-                measurementId: settings.fbMeasurementId,
-                userId: settings.fbUserId
+        // Set up but out of reach, e.g. when the app starts offline
+        let unreachable = false;
+        const cloud = await createSyncBackend(settings).catch(err => {
+            console.error("Sync backend could not be loaded:", err);
+            unreachable = true;
+            return null;
+        });
+        this.cloud = null;
+        if (cloud) {
+            try {
+                if (cloud.hasAccounts) {
+                    await cloud.init();
+                    await this.finishEmailSignIn(cloud);
+                }
+                await cloud.connect();
+                if (cloud.hasAccounts) await this.selectHousehold(cloud, settings.householdId);
+                this.cloud = cloud;
+            } catch (err) {
+                console.error("Connecting to the sync backend failed:", err);
+                await cloud.dispose();
+                unreachable = true;
+            }
+        }
+        // Offline the device stays with the household it synced with last
+        await this.openStore(this.cloud ? (this.cloud.household ? this.cloud.household.id : '') : settings.householdId);
+        document.getElementById('sync-status').classList.toggle('online', !!this.cloud);
+        // Changes are queued for a backend out of reach all the same; connecting is tried again once online
+        this.sync.setCloud(this.cloud, { configured: unreachable });
+        this.sync.readOnly = !!this.cloud && this.cloud.role === 'viewer';
+
+        if (this.cloud) {
+            this.sync.startLive({
+                onApplied: (collectionName, record) => {
+                    if (collectionName === 'recipes') this.upsertRecipeCard(record);
+                    if (collectionName === 'recipes') this.refreshTrash();
+                    if (collectionName === 'pantry') this.refreshPantry();
+                },
+                onRemoved: (collectionName, id) => {
+                    if (collectionName === 'recipes') this.removeRecipeCard(id);
+                    if (collectionName === 'recipes') this.refreshTrash();
+                    if (collectionName === 'pantry') this.refreshPantry();
+                },
+                onSettings: (cloudSettings) => this.applyCloudSettings(cloudSettings)
             });
-            await this.cloud.init();
-            document.getElementById('sync-status').classList.add('online');
-        } else {
-            this.cloud = null;
-            document.getElementById('sync-status').classList.remove('online');
         }
+        this.renderAccount();
+    },
+
+    // Completes a sign-in when the app was opened from an emailed link
+    async finishEmailSignIn(cloud) {
+        const url = window.location.href;
+        if (!cloud.isSignInLink(url)) return;
+        // The link may be opened on another device than the one that asked for it
+        const email = localStorage.getItem('recipe_scan_signin_email') || prompt(t('Confirm your email to finish signing in'));
+        if (email) {
+            try {
+                await cloud.completeSignInLink(url, email.trim().toLowerCase());
+                localStorage.removeItem('recipe_scan_signin_email');
+            } catch (err) {
+                console.error("Email sign-in failed:", err);
+                alert(t('This sign-in link is invalid or has expired. Please request a new one.'));
+            }
+        }
+        // Drop the one-time code from the address bar
+        history.replaceState(null, '', window.location.pathname + window.location.hash);
+    },
+
+    /**
+     * Follows the saved household while the user is still a member of it.
+     * Other failures (offline, a Firestore hiccup) are thrown, so the device
+     * stays with the household and its recipes until it can check again.
+     */
+    async selectHousehold(cloud, householdId) {
+        const household = householdId ? await cloud.getHousehold(householdId) : null;
+        cloud.useHousehold(household && household.memberIds.includes(cloud.userId) ? household : null);
+    },
+
+    // Opens the space's own database, so the recipes of different spaces never mix
+    async openStore(householdId) {
+        const dbName = RecipeStore.nameFor(householdId);
+        if (this.store.dbName === dbName) return;
+        const store = new RecipeStore(dbName);
+        await store.init();
+        this.store.close();
+        this.store = store;
+        this.sync.setStore(store);
+        // Nothing is on screen yet while the app starts
+        if (!this.thumbObserver) return;
+        this.loadRecentRecipes();
+        if (document.getElementById('view-list').classList.contains('active')) this.loadFullList();
+        this.refreshPantry();
+        this.refreshTrash();
+        this.sync.notifyPending();
+    },
+
+    async teardownCloud() {
+        if (!this.cloud) return;
+        await this.cloud.dispose();
+        this.cloud = null;
+        this.sync.setCloud(null);
+    },
+
+    updateSyncStatus(pendingCount) {
+        const badge = document.getElementById('sync-pending');
+        badge.innerText = pendingCount;
+        badge.classList.toggle('hidden', pendingCount === 0);
+        document.getElementById('sync-status').title = pendingCount > 0
+            ? t(pendingCount === 1 ? 'Cloud Sync Status: {count} pending change' : 'Cloud Sync Status: {count} pending changes', { count: pendingCount })
+            : t('Cloud Sync Status');
     },
 
     loadSettings() {
         const settings = Settings.get();
+        this.settingsFormStale = false;
         document.getElementById('cloud-name').value = settings.cloudName || '';
-        document.getElementById('cloudinary-api-key').value = settings.cloudinaryApiKey || '';
         document.getElementById('upload-preset').value = settings.uploadPreset || '';
-        document.getElementById('cloudinary-api-secret').value = settings.cloudinaryApiSecret || '';
+        document.getElementById('cloudinary-sign-url').value = settings.cloudinarySignUrl || '';
+        document.getElementById('cloudinary-sign-token').value = settings.cloudinarySignToken || '';
 
         // Firebase fields
         document.getElementById('fb-api-key').value = settings.fbApiKey || '';
@@ -270,7 +537,372 @@ const UI = {
         document.getElementById('fb-messaging-sender-id').value = settings.fbMessagingSenderId || '';
         document.getElementById('fb-app-id').value = settings.fbAppId || '';
         document.getElementById('fb-measurement-id').value = settings.fbMeasurementId || '';
-        document.getElementById('fb-user-id').value = settings.fbUserId || '';
+        document.getElementById('fb-emulator-host').value = settings.fbEmulatorHost || '';
+        document.getElementById('sync-backend').value = settings.syncBackend || (settings.fbApiKey ? 'firebase' : 'off');
+        document.getElementById('rest-url').value = settings.restUrl || '';
+        document.getElementById('rest-space').value = settings.restSpace || '';
+        document.getElementById('rest-token').value = settings.restToken || '';
+        document.getElementById('webdav-url').value = settings.webdavUrl || '';
+        document.getElementById('webdav-username').value = settings.webdavUsername || '';
+        document.getElementById('webdav-password').value = settings.webdavPassword || '';
+        this.renderBackendFields();
+
+        const ocrLanguages = (settings.ocrLanguages || 'eng').split('+');
+        document.querySelectorAll('#ocr-languages input').forEach(input => {
+            input.checked = ocrLanguages.includes(input.value);
+        });
+
+        document.getElementById('catalog-provider').value = settings.catalogProvider || 'none';
+        document.getElementById('catalog-url').value = settings.catalogUrl || '';
+        document.getElementById('trash-retention').value = String(this.trashRetentionDays());
+
+        const languageSelect = document.getElementById('language');
+        languageSelect.innerHTML = '';
+        languageSelect.appendChild(new Option(t('Same as the browser'), ''));
+        Object.entries(LANGUAGES).forEach(([code, name]) => languageSelect.appendChild(new Option(name, code)));
+        languageSelect.value = LANGUAGES[settings.language] ? settings.language : '';
+        const unitSelect = document.getElementById('unit-system');
+        unitSelect.innerHTML = '';
+        Object.entries(UNIT_SYSTEMS).forEach(([value, label]) => unitSelect.appendChild(new Option(t(label), value)));
+        unitSelect.value = UNIT_SYSTEMS[settings.unitSystem] ? settings.unitSystem : '';
+        document.getElementById('microwave-watts').value = settings.microwaveWatts || '';
+        this.renderVaultStatus();
+    },
+
+    // Switches to the saved language and redraws the text that was rendered in the old one
+    async applyLanguage() {
+        const previous = getLanguage();
+        if (await setLanguage(Settings.get().language) === previous) return;
+        translatePage();
+        this.renderAccount();
+        this.sync.notifyPending();
+        this.loadRecentRecipes();
+    },
+
+    renderVaultStatus() {
+        const { vault } = Settings;
+        const plaintext = Settings.hasPlaintextSecrets();
+        let status;
+        if (vault.unlocked) {
+            status = t('Credentials are unlocked for this session.');
+        } else if (plaintext) {
+            status = t('Your credentials are stored unencrypted on this device. Enter a passphrase to encrypt them.');
+        } else if (vault.exists) {
+            status = t('Credentials are locked. Enter your passphrase to use cloud sync.');
+        } else {
+            status = t('Credentials you enter below are encrypted with this passphrase before they are saved or synced.');
+        }
+        document.getElementById('vault-status').innerText = status;
+
+        const unlockBtn = document.getElementById('btn-vault-unlock');
+        unlockBtn.innerText = vault.exists ? t('Unlock') : t('Encrypt');
+        unlockBtn.classList.toggle('hidden', vault.unlocked || (!vault.exists && !plaintext));
+        document.getElementById('btn-vault-lock').classList.toggle('hidden', !vault.unlocked);
+        document.getElementById('btn-vault-change').classList.toggle('hidden', !vault.unlocked);
+        document.getElementById('vault-banner').classList.toggle('hidden', vault.unlocked || !(vault.exists || plaintext));
+    },
+
+    async unlockVault(passphrase) {
+        const migrated = await Settings.unlock(passphrase);
+        document.getElementById('vault-passphrase').value = '';
+        this.loadSettings();
+        this.catalog.setProvider(createCatalogProvider(Settings.get()));
+        await this.initCloud();
+        if (this.cloud) {
+            // Replace the plain-text copy in the cloud right away
+            if (migrated) await this.cloud.saveSettings(Settings.cloudPayload()).catch(err => console.error("Cloud settings save failed:", err));
+            else this.syncSettingsWithCloud();
+            this.syncWithCloud();
+        }
+    },
+
+    // Shows the settings of the backend picked in the form
+    renderBackendFields() {
+        const backend = document.getElementById('sync-backend').value;
+        ['firebase', 'rest', 'webdav'].forEach(name => {
+            document.getElementById(`backend-${name}`).classList.toggle('hidden', backend !== name);
+        });
+        document.getElementById('btn-test-backend').classList.toggle('hidden', backend === 'off');
+    },
+
+    /**
+     * Runs the conformance suite against the saved backend, in a scratch
+     * space next to the user's data.
+     */
+    async testBackend() {
+        const list = document.getElementById('backend-test-results');
+        const btn = document.getElementById('btn-test-backend');
+        if (!this.cloud) return alert(t('Save working sync settings first; the test uses the saved backend.'));
+
+        list.innerHTML = '';
+        list.classList.remove('hidden');
+        btn.disabled = true;
+        const results = await runConformance(this.cloud, {
+            onResult: (result) => {
+                const item = document.createElement('li');
+                item.className = result.ok ? 'passed' : result.skipped ? 'skipped' : 'failed';
+                item.innerText = `${result.ok ? '✓' : result.skipped ? '–' : '✗'} ${result.name}${result.error ? `: ${result.error}` : ''}`;
+                list.appendChild(item);
+            }
+        });
+        btn.disabled = false;
+        const failed = results.filter(result => !result.ok && !result.skipped).length;
+        alert(failed ? t('{failed} of {total} checks failed.', { failed, total: results.length }) : t('The backend passed every check.'));
+    },
+
+    renderAccount() {
+        const user = this.cloud && this.cloud.user;
+        let status = t('Enter your Firebase configuration below and save to sign in.');
+        if (user && user.isAnonymous) {
+            status = t('Signed in as a guest on this device. Add your email to reach your recipes from other devices and to join a household.');
+        } else if (user) {
+            status = t('Signed in as {email}.', { email: this.cloud.email });
+        }
+        document.getElementById('account-status').innerText = status;
+        document.getElementById('account-form').classList.toggle('hidden', !user || !user.isAnonymous);
+        document.getElementById('btn-sign-out').classList.toggle('hidden', !user || user.isAnonymous);
+        document.getElementById('household-section').classList.toggle('hidden', !user);
+        if (user) this.loadHouseholds();
+    },
+
+    async sendSignInLink() {
+        const email = document.getElementById('account-email').value.trim().toLowerCase();
+        if (!email) return alert(t('Please enter your email'));
+        try {
+            await this.cloud.sendSignInLink(email);
+            localStorage.setItem('recipe_scan_signin_email', email);
+            alert(t('We sent a sign-in link to {email}. Open it on this device to finish.', { email }));
+        } catch (err) {
+            console.error('Sending sign-in link failed:', err);
+            alert(t('Could not send the sign-in link. Check the address and that email link sign-in is enabled for your Firebase project.'));
+        }
+    },
+
+    async signOutAccount() {
+        if (!confirm(t('Sign out? Recipes stay on this device.'))) return;
+        await this.cloud.signOut();
+        await this.initCloud();
+    },
+
+    async loadHouseholds() {
+        const cloud = this.cloud;
+        let invites = [];
+        try {
+            [this.households, invites] = await Promise.all([cloud.getHouseholds(), cloud.getMyInvites()]);
+        } catch (err) {
+            console.error('Loading households failed:', err);
+            this.households = [];
+        }
+
+        const select = document.getElementById('household-select');
+        select.innerHTML = '';
+        select.appendChild(new Option(t('My recipes'), ''));
+        this.households.forEach(household => {
+            select.appendChild(new Option(`${household.name} · ${t(HOUSEHOLD_ROLES[household.roles[cloud.userId]])}`, household.id));
+        });
+        select.value = cloud.household ? cloud.household.id : '';
+
+        this.renderInvites(invites);
+        this.renderHouseholdMembers();
+    },
+
+    // Invites for the signed-in email, with Join / Decline
+    renderInvites(invites) {
+        const list = document.getElementById('household-invites');
+        list.innerHTML = '';
+        invites.forEach(invite => {
+            const item = document.createElement('div');
+            item.className = 'household-item';
+            item.innerHTML = html`
+                <span class="household-item-name"></span>
+                <button class="btn-secondary btn-small" data-action="join">${t('Join')}</button>
+                <button class="btn-secondary btn-small" data-action="decline">${t('Decline')}</button>
+            `;
+            item.querySelector('.household-item-name').innerText = t('{person} invited you to {household} ({role})', {
+                person: invite.invitedBy,
+                household: invite.householdName,
+                role: t(HOUSEHOLD_ROLES[invite.role])
+            });
+            item.querySelector('[data-action="join"]').onclick = async () => {
+                try {
+                    const household = await this.cloud.acceptInvite(invite);
+                    await this.switchHousehold(household.id);
+                } catch (err) {
+                    console.error('Joining household failed:', err);
+                    alert(err.message);
+                }
+            };
+            item.querySelector('[data-action="decline"]').onclick = async () => {
+                await this.cloud.deleteInvite(invite.id);
+                this.loadHouseholds();
+            };
+            list.appendChild(item);
+        });
+    },
+
+    async renderHouseholdMembers() {
+        const cloud = this.cloud;
+        const household = cloud.household && this.households.find(h => h.id === cloud.household.id);
+        const list = document.getElementById('household-members');
+        const isOwner = !!household && household.ownerId === cloud.userId;
+        list.innerHTML = '';
+        document.getElementById('household-invite-form').classList.toggle('hidden', !isOwner);
+        document.getElementById('btn-leave-household').classList.toggle('hidden', !household);
+        document.getElementById('btn-leave-household').innerText = isOwner ? t('Delete Household') : t('Leave Household');
+        if (!household) return;
+
+        household.memberIds.forEach(uid => {
+            const item = document.createElement('div');
+            item.className = 'household-item';
+            const name = document.createElement('span');
+            name.className = 'household-item-name';
+            const member = household.emails[uid] || t('Guest');
+            name.innerText = uid === cloud.userId ? t('{member} (you)', { member }) : member;
+            item.appendChild(name);
+
+            if (isOwner && uid !== household.ownerId) {
+                const role = document.createElement('select');
+                ['editor', 'viewer'].forEach(value => role.appendChild(new Option(t(HOUSEHOLD_ROLES[value]), value)));
+                role.value = household.roles[uid];
+                role.onchange = () => this.updateMember(household, uid, role.value);
+                const remove = document.createElement('button');
+                remove.className = 'btn-secondary btn-small';
+                remove.innerText = t('Remove');
+                remove.onclick = () => this.updateMember(household, uid, null);
+                item.append(role, remove);
+            } else {
+                const role = document.createElement('span');
+                role.className = 'household-role';
+                role.innerText = t(HOUSEHOLD_ROLES[household.roles[uid]]);
+                item.appendChild(role);
+            }
+            list.appendChild(item);
+        });
+
+        if (!isOwner) return;
+        const invites = await cloud.getInvites(household.id).catch(() => []);
+        invites.forEach(invite => {
+            const item = document.createElement('div');
+            item.className = 'household-item pending';
+            item.innerHTML = html`
+                <span class="household-item-name"></span>
+                <button class="btn-secondary btn-small">${t('Revoke')}</button>
+            `;
+            item.querySelector('.household-item-name').innerText = t('{email} · invited as {role}', { email: invite.email, role: t(HOUSEHOLD_ROLES[invite.role]) });
+            item.querySelector('button').onclick = async () => {
+                await cloud.deleteInvite(invite.id);
+                this.renderHouseholdMembers();
+            };
+            list.appendChild(item);
+        });
+    },
+
+    // Changes a member's role, or removes them when `role` is null
+    async updateMember(household, uid, role) {
+        if (!role && !confirm(t('Remove {member} from {household}?', { member: household.emails[uid] || t('this member'), household: household.name }))) return;
+        const roles = { ...household.roles };
+        const emails = { ...household.emails };
+        let memberIds = household.memberIds;
+        if (role) {
+            roles[uid] = role;
+        } else {
+            delete roles[uid];
+            delete emails[uid];
+            memberIds = memberIds.filter(id => id !== uid);
+        }
+        try {
+            await this.cloud.updateMembers(household, { memberIds, roles, emails });
+        } catch (err) {
+            console.error('Updating household failed:', err);
+            alert(t('Could not update the household.'));
+        }
+        this.loadHouseholds();
+    },
+
+    async createHousehold() {
+        const name = prompt(t('Name your household'), 'Our Kitchen');
+        if (!name || !name.trim()) return;
+        try {
+            const household = await this.cloud.createHousehold(name.trim());
+            await this.switchHousehold(household.id);
+        } catch (err) {
+            console.error('Creating household failed:', err);
+            alert(t('Could not create the household.'));
+        }
+    },
+
+    async inviteMember() {
+        const email = document.getElementById('invite-email').value.trim().toLowerCase();
+        const role = document.getElementById('invite-role').value;
+        if (!email) return alert(t('Please enter an email'));
+        try {
+            await this.cloud.inviteMember(this.cloud.household, email, role);
+            document.getElementById('invite-email').value = '';
+            alert(t('{email} can join after signing in with that address.', { email }));
+        } catch (err) {
+            console.error('Inviting member failed:', err);
+            alert(t('Could not send the invite.'));
+        }
+        this.renderHouseholdMembers();
+    },
+
+    async leaveHousehold() {
+        const cloud = this.cloud;
+        const household = this.households.find(h => h.id === cloud.household.id);
+        const isOwner = household.ownerId === cloud.userId;
+        const question = isOwner
+            ? t('Delete {household}? Members lose access to its recipes, and they are removed from this device.', { household: household.name })
+            : t('Leave {household}? Its recipes are removed from this device; copy the ones you want to keep to My recipes first.', { household: household.name });
+        if (!confirm(question)) return;
+        try {
+            if (isOwner) {
+                await cloud.deleteHousehold(household);
+            } else {
+                const roles = { ...household.roles };
+                const emails = { ...household.emails };
+                delete roles[cloud.userId];
+                delete emails[cloud.userId];
+                await cloud.updateMembers(household, {
+                    memberIds: household.memberIds.filter(id => id !== cloud.userId),
+                    roles,
+                    emails
+                });
+            }
+        } catch (err) {
+            console.error('Leaving household failed:', err);
+            return alert(t('Could not leave the household.'));
+        }
+        await this.switchHousehold('', { ask: false });
+        await RecipeStore.remove(RecipeStore.nameFor(household.id))
+            .catch(err => console.warn('Could not remove the household\'s recipes from this device:', err));
+    },
+
+    /**
+     * Syncs this device with a household ('' for the personal recipes). Each
+     * space keeps its own recipes on the device, so nothing is carried over;
+     * recipes are copied between spaces from the share screen.
+     */
+    async switchHousehold(householdId, { ask = true } = {}) {
+        const select = document.getElementById('household-select');
+        const household = this.households.find(h => h.id === householdId);
+        const readOnly = household && household.roles[this.cloud.userId] === 'viewer';
+        if (ask && readOnly && !confirm(t('Sync with {target}? You have read-only access, so you can cook from its recipes but not change them.', { target: household.name }))) {
+            select.value = this.cloud.household ? this.cloud.household.id : '';
+            return;
+        }
+        Settings.savePreferences({ ...Settings.stored(), householdId });
+        await this.initCloud();
+        if (this.cloud) {
+            this.cloud.saveSettings(Settings.cloudPayload()).catch(err => console.error("Cloud settings save failed:", err));
+            this.syncWithCloud();
+        }
+    },
+
+    async lockVault() {
+        Settings.vault.lock();
+        await this.teardownCloud();
+        this.loadSettings();
+        this.catalog.setProvider(createCatalogProvider(Settings.get()));
     },
 
     setupEventListeners() {
@@ -298,11 +930,138 @@ const UI = {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     this.capturedImage = event.target.result;
-                    photoPreview.innerHTML = `<img src="${this.capturedImage}" />`;
+                    this.closeOcrPanel();
+                    photoPreview.innerHTML = html`<img src="${this.safeImage(this.capturedImage)}" />`;
                     document.getElementById('btn-extract-text').disabled = false;
+                    // Offer to undo the replacement when editing a recipe that already had a photo
+                    const keepBtn = document.getElementById('btn-keep-photo');
+                    keepBtn.classList.toggle('hidden', !(this.editingRecipe && (this.editingRecipe.image || this.editingRecipe.imageId)));
                 };
                 reader.readAsDataURL(file);
             }
+            cameraInput.value = '';
+        });
+
+        document.getElementById('btn-keep-photo').addEventListener('click', async () => {
+            if (this.editingRecipe) this.setEntryPhoto(await this.getRecipeImageUrl(this.editingRecipe));
+        });
+
+        // Nutrition label: a second photo that is only read, not stored
+        const nutritionInput = document.getElementById('nutrition-input');
+        document.getElementById('btn-nutrition-photo').addEventListener('click', () => nutritionInput.click());
+        nutritionInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.readNutritionLabel(file);
+            nutritionInput.value = '';
+        });
+        document.getElementById('btn-nutrition-manual').addEventListener('click', () => {
+            this.renderNutritionEditor(this.readNutritionEditor() || { servingSize: null, unit: 'g', per100: {}, perServing: {} });
+        });
+        document.getElementById('btn-nutrition-clear').addEventListener('click', () => this.renderNutritionEditor(null));
+        document.getElementById('nutrition-unit').addEventListener('change', (e) => {
+            document.getElementById('nutrition-per100-label').innerText = t('Per 100{unit}', { unit: e.target.value });
+        });
+        document.getElementById('nutrition-editor').addEventListener('input', () => this.updateNutritionHints());
+
+        // Scanner controls
+        document.getElementById('camera-select').addEventListener('change', (e) => this.scanner.selectCamera(e.target.value));
+        document.getElementById('btn-torch').addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            const on = !btn.classList.contains('active');
+            try {
+                await this.scanner.setTorch(on);
+                btn.classList.toggle('active', on);
+            } catch (err) {
+                console.error('Torch failed:', err);
+                this.showScannerMessage(t('The torch could not be switched on.'));
+            }
+        });
+        document.getElementById('zoom-slider').addEventListener('input', (e) => {
+            this.scanner.setZoom(Number(e.target.value)).catch(err => console.error('Zoom failed:', err));
+        });
+
+        const scanFileInput = document.getElementById('scan-file-input');
+        document.getElementById('btn-scan-file').addEventListener('click', () => scanFileInput.click());
+        scanFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.decodeScanFile(file);
+            scanFileInput.value = '';
+        });
+
+        const manualEntry = document.getElementById('manual-entry');
+        document.getElementById('btn-manual-entry').addEventListener('click', () => {
+            manualEntry.classList.toggle('hidden');
+            if (!manualEntry.classList.contains('hidden')) document.getElementById('manual-barcode').focus();
+        });
+        manualEntry.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = document.getElementById('manual-barcode');
+            const barcode = await this.checkTypedBarcode(input.value);
+            if (!barcode) return;
+            input.value = '';
+            this.showScannerMessage(null);
+            if (!this.scanner.continuous) this.scanner.stop();
+            this.acceptBarcode(barcode);
+        });
+
+        // Batch scanning
+        document.getElementById('btn-batch-mode').addEventListener('click', () => this.toggleBatchMode());
+        document.getElementById('btn-batch-review').addEventListener('click', () => {
+            this.renderBatchList();
+            this.switchView('view-batch');
+        });
+        document.getElementById('btn-batch-next').addEventListener('click', () => this.continueBatch());
+        document.getElementById('btn-batch-drafts').addEventListener('click', () => this.saveBatchDrafts());
+        document.getElementById('btn-batch-clear').addEventListener('click', () => {
+            if (!confirm(t('Clear the scanned queue? Saved recipes and drafts are kept.'))) return;
+            this.batch = { items: [], current: null };
+            this.renderBatchTray();
+            this.switchView('view-scanner');
+        });
+
+        // Pantry
+        document.getElementById('btn-stock-mode').addEventListener('click', () => this.setStockMode(!this.stockMode));
+        document.getElementById('btn-stock-cancel').addEventListener('click', () => this.closeStockEntry());
+        document.getElementById('btn-save-stock').addEventListener('click', () => this.saveStock());
+        const stockDateInput = document.getElementById('stock-date-input');
+        document.getElementById('btn-stock-read-date').addEventListener('click', () => stockDateInput.click());
+        stockDateInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.readBestBefore(file);
+            stockDateInput.value = '';
+        });
+        document.getElementById('pantry-location').addEventListener('change', () => this.loadPantry());
+        document.getElementById('btn-pantry-scan').addEventListener('click', () => {
+            this.setStockMode(true);
+            this.switchView('view-scanner');
+        });
+        document.getElementById('btn-expiry-notify').addEventListener('click', () => this.enableExpiryNotifications());
+        document.getElementById('expiry-banner').addEventListener('click', () => this.switchView('view-pantry'));
+
+        // Trash
+        document.getElementById('btn-empty-trash').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('btn-snackbar-action').addEventListener('click', () => {
+            const action = this.snackbarAction;
+            this.hideSnackbar();
+            if (action) action();
+        });
+
+        // Share
+        document.getElementById('btn-share-copy').addEventListener('click', () => this.copyShareLink());
+        document.getElementById('btn-share-send').addEventListener('click', () => this.sendShareFile());
+        document.getElementById('btn-share-print').addEventListener('click', () => this.printRecipeCard());
+        document.getElementById('btn-share-copy-to').addEventListener('click', () => this.copyRecipeTo(document.getElementById('share-target').value));
+
+        // Converted quantities: a tap shows what the pack says, another tap converts again
+        document.addEventListener('click', (e) => {
+            const quantity = e.target.closest('.quantity');
+            if (quantity) this.toggleQuantity(quantity);
+        });
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('quantity')) {
+                e.preventDefault();
+                this.toggleQuantity(e.target);
+            }
         });
 
         // Save Recipe
@@ -311,15 +1070,64 @@ const UI = {
         // View All
         document.getElementById('btn-view-all').addEventListener('click', () => this.switchView('view-list'));
 
+        // List search & sort
+        let searchTimer = null;
+        document.getElementById('list-search').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadFullList(), 200);
+        });
+        document.getElementById('list-sort').addEventListener('change', () => this.loadFullList());
+
+        // Load the next page when the end of the list scrolls into view
+        this.listObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMoreRecipes();
+        });
+        this.listObserver.observe(document.getElementById('list-sentinel'));
+
         // Settings
         document.getElementById('btn-settings').addEventListener('click', () => {
             this.switchView('view-settings');
+            this.loadConflicts();
+        });
+        document.getElementById('vault-banner').addEventListener('click', () => {
+            this.switchView('view-settings');
+            document.getElementById('vault-passphrase').focus();
+        });
+        document.getElementById('btn-vault-unlock').addEventListener('click', async () => {
+            const passphrase = document.getElementById('vault-passphrase').value;
+            if (!passphrase) return alert(t('Please enter your passphrase'));
+            try {
+                await this.unlockVault(passphrase);
+            } catch (err) {
+                console.error('Unlocking vault failed:', err);
+                alert(err.message);
+            }
         });
+        document.getElementById('btn-vault-lock').addEventListener('click', () => this.lockVault());
+        document.getElementById('btn-vault-change').addEventListener('click', async () => {
+            const passphrase = document.getElementById('vault-passphrase').value;
+            if (!passphrase) return alert(t('Enter the new passphrase first'));
+            if (!confirm(t('Change the passphrase? Other devices will need the new one to unlock.'))) return;
+            await Settings.vault.changePassphrase(passphrase);
+            document.getElementById('vault-passphrase').value = '';
+            if (this.cloud) this.cloud.saveSettings(Settings.cloudPayload()).catch(err => console.error("Cloud settings save failed:", err));
+            alert(t('Passphrase changed.'));
+        });
+
+        document.getElementById('sync-backend').addEventListener('change', () => this.renderBackendFields());
+        document.getElementById('btn-test-backend').addEventListener('click', () => this.testBackend());
+        document.getElementById('btn-send-link').addEventListener('click', () => this.sendSignInLink());
+        document.getElementById('btn-sign-out').addEventListener('click', () => this.signOutAccount());
+        document.getElementById('household-select').addEventListener('change', (e) => this.switchHousehold(e.target.value));
+        document.getElementById('btn-create-household').addEventListener('click', () => this.createHousehold());
+        document.getElementById('btn-invite').addEventListener('click', () => this.inviteMember());
+        document.getElementById('btn-leave-household').addEventListener('click', () => this.leaveHousehold());
+
         document.getElementById('btn-save-settings').addEventListener('click', async () => {
-            const cloudName = document.getElementById('cloud-name').value;
-            const cloudinaryApiKey = document.getElementById('cloudinary-api-key').value;
-            const uploadPreset = document.getElementById('upload-preset').value;
-            const cloudinaryApiSecret = document.getElementById('cloudinary-api-secret').value;
+            const cloudName = document.getElementById('cloud-name').value.trim();
+            const uploadPreset = document.getElementById('upload-preset').value.trim();
+            const cloudinarySignUrl = document.getElementById('cloudinary-sign-url').value.trim();
+            const cloudinarySignToken = document.getElementById('cloudinary-sign-token').value;
 
             // Firebase fields
             const fbApiKey = document.getElementById('fb-api-key').value;
@@ -329,73 +1137,242 @@ const UI = {
             const fbMessagingSenderId = document.getElementById('fb-messaging-sender-id').value;
             const fbAppId = document.getElementById('fb-app-id').value;
             const fbMeasurementId = document.getElementById('fb-measurement-id').value;
-            const fbUserId = document.getElementById('fb-user-id').value;
+            const fbEmulatorHost = document.getElementById('fb-emulator-host').value;
+
+            const syncBackend = document.getElementById('sync-backend').value;
+            const restUrl = document.getElementById('rest-url').value.trim();
+            const restSpace = document.getElementById('rest-space').value.trim();
+            const restToken = document.getElementById('rest-token').value;
+            const webdavUrl = document.getElementById('webdav-url').value.trim();
+            const webdavUsername = document.getElementById('webdav-username').value;
+            const webdavPassword = document.getElementById('webdav-password').value;
+
+            const ocrLanguages = [...document.querySelectorAll('#ocr-languages input:checked')]
+                .map(input => input.value).join('+') || 'eng';
+
+            const catalogProvider = document.getElementById('catalog-provider').value;
+            const catalogUrl = document.getElementById('catalog-url').value.trim();
+            const trashRetentionDays = document.getElementById('trash-retention').value;
+            const language = document.getElementById('language').value;
+            const unitSystem = document.getElementById('unit-system').value;
+            const microwaveWatts = String(parseInt(document.getElementById('microwave-watts').value, 10) || '');
 
             const btn = document.getElementById('btn-save-settings');
             const originalText = btn.innerText;
-            btn.innerText = 'Syncing...';
+            btn.innerText = t('Syncing...');
             btn.disabled = true;
 
             const inputSettings = {
-                cloudName, cloudinaryApiKey, uploadPreset, cloudinaryApiSecret,
+                cloudName, uploadPreset, cloudinarySignUrl, cloudinarySignToken,
                 fbApiKey, fbProjectId, fbAuthDomain, fbStorageBucket,
-                fbMessagingSenderId, fbAppId, fbMeasurementId, fbUserId
+                fbMessagingSenderId, fbAppId, fbMeasurementId, fbEmulatorHost,
+                syncBackend, restUrl, restSpace, restToken,
+                webdavUrl, webdavUsername, webdavPassword,
+                catalogProvider, catalogUrl, ocrLanguages, trashRetentionDays,
+                language, unitSystem, microwaveWatts,
+                householdId: Settings.stored().householdId || ''
+            };
+
+            const passphrase = document.getElementById('vault-passphrase').value;
+            const restoreButton = () => {
+                btn.innerText = originalText;
+                btn.disabled = false;
             };
 
             // Smart Merge: Try to fetch existing settings first before overwriting
             let finalSettings = { ...inputSettings };
-            if (fbApiKey && fbProjectId && fbAppId && fbUserId) {
-                const tempCloud = new CloudStore({
-                    apiKey: fbApiKey,
-                    authDomain: fbAuthDomain,
-                    projectId: fbProjectId,
-                    storageBucket: fbStorageBucket,
-                    messagingSenderId: fbMessagingSenderId,
-                    appId: fbAppId,
-                    measurementId: fbMeasurementId,
-                    userId: fbUserId
-                });
-                await tempCloud.init();
-
+            let cloudSettings = null;
+            const tempCloud = await createSyncBackend(inputSettings).catch(() => null);
+            if (tempCloud) {
+                // A temporary Firebase connection replaces the app's, so drop the live one first
+                await this.teardownCloud();
                 try {
-                    const cloudSettings = await tempCloud.getSettings();
-                    if (cloudSettings) {
-                        // Merge: only take cloud values if the current inputs are empty
-                        for (const key in cloudSettings) {
-                            if (!finalSettings[key] || finalSettings[key] === '') {
-                                finalSettings[key] = cloudSettings[key];
-                            }
-                        }
-                    }
+                    await tempCloud.connect();
+                    cloudSettings = await tempCloud.getSettings();
                 } catch (err) {
                     console.error("Fetch before save failed:", err);
+                } finally {
+                    await tempCloud.dispose();
+                }
+            }
+
+            // A new device takes the vault other devices already synced
+            if (cloudSettings && cloudSettings.vault && !Settings.vault.exists) {
+                await Settings.vault.adopt(cloudSettings.vault);
+            }
+
+            // Credentials can only be saved into an unlocked vault
+            if (SECRET_KEYS.some(key => finalSettings[key]) && !Settings.vault.unlocked) {
+                if (!passphrase) {
+                    restoreButton();
+                    await this.initCloud();
+                    return alert(Settings.vault.exists
+                        ? t('Enter your passphrase to unlock your credentials.')
+                        : t('Choose a passphrase to encrypt your credentials.'));
+                }
+                try {
+                    await Settings.unlock(passphrase);
+                } catch (err) {
+                    restoreButton();
+                    await this.initCloud();
+                    return alert(err.message);
+                }
+                // The form was locked, so empty fields mean "keep what the vault has"
+                SECRET_KEYS.forEach(key => {
+                    if (!finalSettings[key]) finalSettings[key] = Settings.vault.secrets[key] || '';
+                });
+                document.getElementById('vault-passphrase').value = '';
+            }
+
+            if (cloudSettings) {
+                // Documents written before the vault hold everything in plain text
+                const cloudValues = withoutDevicePreferences(cloudSettings.preferences ? cloudSettings.preferences : cloudSettings);
+                // Merge: only take cloud values if the current inputs are empty
+                for (const key in cloudValues) {
+                    if (!finalSettings[key] || finalSettings[key] === '') {
+                        finalSettings[key] = cloudValues[key];
+                    }
                 }
             }
 
-            Settings.save(finalSettings);
+            // The API key and secret now live with the signing endpoint; drop copies older versions kept
+            finalSettings.cloudinaryApiKey = '';
+            finalSettings.cloudinaryApiSecret = '';
+
+            await Settings.save(finalSettings);
+            await this.applyLanguage();
             this.loadSettings();
+            this.catalog.setProvider(createCatalogProvider(finalSettings));
+            cacheOcrAssets(ocrAssetUrls(finalSettings.ocrLanguages));
+            this.processUploadQueue({ resume: true });
             await this.initCloud();
 
             if (this.cloud) {
-                this.cloud.saveSettings(finalSettings).catch(err => console.error("Cloud settings save failed:", err));
+                this.cloud.saveSettings(Settings.cloudPayload()).catch(err => console.error("Cloud settings save failed:", err));
             }
 
-            btn.innerText = originalText;
-            btn.disabled = false;
+            restoreButton();
 
-            alert('Settings saved and synced!');
+            alert(t('Settings saved and synced!'));
             this.switchView('view-home');
         });
 
+        // Backup & Restore
+        const backupInput = document.getElementById('backup-input');
+        const strategySelect = document.getElementById('import-strategy');
+        Object.entries(MERGE_STRATEGIES).forEach(([value, label]) => {
+            // Marked up like the static options, so a language change translates it too
+            const option = new Option(t(label), value);
+            option.dataset.i18n = label;
+            strategySelect.appendChild(option);
+        });
+        strategySelect.value = 'newer';
+        document.getElementById('btn-export-json').addEventListener('click', () => this.exportBackup());
+        document.getElementById('btn-export-csv').addEventListener('click', () => this.exportCsv());
+        document.getElementById('btn-import-backup').addEventListener('click', () => backupInput.click());
+        backupInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.previewImport(file);
+            backupInput.value = '';
+        });
+        document.getElementById('btn-apply-import').addEventListener('click', () => this.applyImport());
+        document.getElementById('btn-cancel-import').addEventListener('click', () => this.closeImportPreview());
+
         // OCR
-        document.getElementById('btn-extract-text').addEventListener('click', () => this.extractText());
+        document.getElementById('btn-extract-text').addEventListener('click', () => this.openOcrPanel());
+        document.getElementById('btn-ocr-rotate-left').addEventListener('click', () => this.rotateOcrSource(-90));
+        document.getElementById('btn-ocr-rotate-right').addEventListener('click', () => this.rotateOcrSource(90));
+        document.getElementById('btn-ocr-reset').addEventListener('click', () => {
+            this.ocrSource.crop = null;
+            this.drawOcrCanvas();
+        });
+        document.getElementById('btn-ocr-run').addEventListener('click', () => this.extractText());
+        document.getElementById('btn-ocr-cancel').addEventListener('click', () => this.closeOcrPanel());
+        document.getElementById('btn-ocr-review-close').addEventListener('click', () => {
+            document.getElementById('ocr-review').classList.add('hidden');
+        });
+
+        // Crop by dragging a rectangle over the photo
+        const ocrCanvas = document.getElementById('ocr-canvas');
+        let dragStart = null;
+        const toFraction = (e) => {
+            const rect = ocrCanvas.getBoundingClientRect();
+            return {
+                x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+                y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+            };
+        };
+        ocrCanvas.addEventListener('pointerdown', (e) => {
+            dragStart = toFraction(e);
+            ocrCanvas.setPointerCapture(e.pointerId);
+        });
+        ocrCanvas.addEventListener('pointermove', (e) => {
+            if (!dragStart) return;
+            const point = toFraction(e);
+            this.ocrSource.crop = {
+                x: Math.min(dragStart.x, point.x),
+                y: Math.min(dragStart.y, point.y),
+                width: Math.abs(point.x - dragStart.x),
+                height: Math.abs(point.y - dragStart.y)
+            };
+            this.drawOcrCanvas();
+        });
+        ocrCanvas.addEventListener('pointerup', () => {
+            dragStart = null;
+            // A tap rather than a drag selects the whole photo again
+            const crop = this.ocrSource.crop;
+            if (crop && (crop.width < 0.05 || crop.height < 0.05)) {
+                this.ocrSource.crop = null;
+                this.drawOcrCanvas();
+            }
+        });
+
+        // Cooking mode
+        document.getElementById('btn-prev-step').addEventListener('click', () => this.showCookingStep(this.cooking.index - 1));
+        document.getElementById('btn-next-step').addEventListener('click', () => {
+            if (this.cooking.index < this.cooking.steps.length - 1) {
+                this.showCookingStep(this.cooking.index + 1);
+            } else {
+                this.finishCooking();
+            }
+        });
+        document.getElementById('btn-exit-cooking').addEventListener('click', () => {
+            if (this.timerBoard.running && !confirm(t('Stop cooking? Running timers will be cancelled.'))) return;
+            this.exitCooking();
+            this.switchView('view-recipe-detail');
+        });
+        document.getElementById('btn-read-step').addEventListener('click', () => {
+            this.cooking.autoRead = !this.cooking.autoRead;
+            this.updateReadButton();
+            if (this.cooking.autoRead) {
+                speak(convertText(this.cooking.steps[this.cooking.index].text, this.unitOptions()));
+            } else {
+                stopSpeaking();
+            }
+        });
+
+        // Structured steps
+        document.getElementById('btn-parse-recipe').addEventListener('click', () => {
+            this.renderStructuredEditor(parseRecipe(document.getElementById('recipe-instructions').value));
+        });
+        document.getElementById('btn-add-step').addEventListener('click', () => {
+            const item = this.createStepEditorItem('');
+            document.getElementById('step-editor').appendChild(item);
+            item.querySelector('textarea').focus();
+        });
     },
 
     switchView(viewId) {
         // Stop scanner if leaving scanner view
         if (viewId !== 'view-scanner') {
             this.scanner.stop();
+            // Batch mode ends with the scanner view; the queue is kept for the next batch
+            if (this.scanner.continuous) {
+                this.scanner.setContinuous(false);
+                this.renderBatchTray();
+            }
         } else {
+            this.showScannerMessage(null);
             this.scanner.start();
         }
 
@@ -408,255 +1385,2368 @@ const UI = {
         });
 
         if (viewId === 'view-list') this.loadFullList();
+        if (viewId === 'view-pantry') this.loadPantry();
+        if (viewId === 'view-trash') this.loadTrash();
+        if (viewId === 'view-settings' && this.settingsFormStale) this.loadSettings();
+    },
+
+    // A camera read: 8 digits the scanner gave no symbology for are settled like typed ones
+    async acceptScan({ gtin, alternative }) {
+        if (!alternative) return this.acceptBarcode(gtin);
+        // Frames keep coming while the question is open; ask once per code
+        const seen = [gtin, alternative];
+        const queued = this.scanner.continuous && this.batch && this.batch.items.some(item => seen.includes(item.barcode));
+        if (this.settlingScan || queued) return;
+        this.settlingScan = true;
+        try {
+            this.acceptBarcode(await this.settleAmbiguousBarcode({ gtin, alternative }));
+        } finally {
+            this.settlingScan = false;
+        }
+    },
+
+    // Camera, photo and typed codes all end up here
+    acceptBarcode(barcode) {
+        if (this.scanner.continuous) this.addToBatch(barcode);
+        else this.handleScanResult(barcode);
+    },
+
+    showScannerMessage(message, offerManualEntry = false) {
+        const el = document.getElementById('scanner-message');
+        el.innerText = message || '';
+        el.classList.toggle('hidden', !message);
+        if (offerManualEntry) document.getElementById('manual-entry').classList.remove('hidden');
+    },
+
+    renderScannerControls(features) {
+        const select = document.getElementById('camera-select');
+        select.innerHTML = '';
+        this.scanner.cameras.forEach((camera, i) => {
+            select.appendChild(new Option(camera.label || t('Camera {number}', { number: i + 1 }), camera.id));
+        });
+        select.value = this.scanner.cameraId;
+        select.classList.toggle('hidden', this.scanner.cameras.length < 2);
+
+        const torch = document.getElementById('btn-torch');
+        torch.classList.remove('active');
+        torch.classList.toggle('hidden', !features.torch);
+
+        const zoom = document.getElementById('zoom-slider');
+        zoom.classList.toggle('hidden', !features.zoom);
+        if (features.zoom) {
+            zoom.min = features.zoom.min;
+            zoom.max = features.zoom.max;
+            zoom.step = features.zoom.step;
+            zoom.value = features.zoom.value;
+        }
+    },
+
+    /**
+     * Typed codes and codes read from photos with a bad check digit are shown
+     * to the user, who may keep them (e.g. in-store codes). `format` is the
+     * symbology of a photo. Resolves to the key to store under, or null.
+     */
+    async checkTypedBarcode(text, { format = null } = {}) {
+        const read = normalizeBarcode(text, { format });
+        if (read.valid) return read.alternative ? this.settleAmbiguousBarcode(read) : read.gtin;
+        const digits = String(text || '').replace(/[\s-]/g, '');
+        if (!digits) return null;
+        if (!confirm(`${t(read.reason)}\n\n${t('Use "{digits}" anyway?', { digits })}`)) {
+            this.showScannerMessage(t(read.reason));
+            return null;
+        }
+        return digits;
+    },
+
+    // 8 digits that are both a valid EAN-8 and a valid UPC-E: the one already saved, otherwise the user decides
+    async settleAmbiguousBarcode({ gtin, alternative }) {
+        const [asEan8, asUpcE] = await Promise.all([gtin, alternative].map(code => this.store.getProduct(code)));
+        if (asEan8 && !asUpcE) return gtin;
+        if (asUpcE && !asEan8) return alternative;
+        return confirm(t('{digits} is a valid EAN-8 and a valid short US code (UPC-E). Press OK if it is on a US or Canadian pack, Cancel for EAN-8.', { digits: formatBarcode(gtin, { format: 'EAN_8' }) }))
+            ? alternative
+            : gtin;
+    },
+
+    async decodeScanFile(file) {
+        this.showScannerMessage(t('Reading barcode from photo...'));
+        const read = await this.scanner.decodeFile(file);
+        const text = read ? read.text : null;
+        if (findShareToken(text)) {
+            this.showScannerMessage(null);
+            return this.openShareToken(findShareToken(text));
+        }
+        const barcode = text ? await this.checkTypedBarcode(text, { format: read.format }) : null;
+        if (!barcode) {
+            this.showScannerMessage(t('No barcode found in that photo. Try a sharper, closer shot or type the code.'));
+            this.scanner.start();
+            return;
+        }
+        this.showScannerMessage(null);
+        this.acceptBarcode(barcode);
+        // Batch mode goes straight back to the camera
+        if (this.scanner.continuous) this.scanner.start();
     },
 
     async handleScanResult(barcode) {
-        // Check if recipe exists
-        const existing = await this.store.getRecipe(barcode);
-        if (existing) {
-            this.showRecipeDetail(existing);
+        if (this.stockMode) return this.openStockEntry(barcode);
+
+        // Check if the product already has recipes
+        const variants = await this.store.getRecipesByBarcode(barcode);
+        if (variants.length === 1 && variants[0].draft) {
+            this.editRecipe(variants[0]);
+        } else if (variants.length === 1) {
+            this.showRecipeDetail(variants[0]);
+        } else if (variants.length > 1) {
+            this.showVariantPicker(barcode, variants);
         } else {
-            // New recipe setup
-            document.getElementById('recipe-barcode').value = barcode;
-            document.getElementById('recipe-name').value = '';
-            document.getElementById('recipe-instructions').value = '';
-            document.getElementById('photo-preview').innerHTML = '<span class="placeholder">Take a photo of the instructions</span>';
-            this.capturedImage = null;
-            this.switchView('view-recipe-entry');
+            this.newRecipeEntry(barcode);
         }
     },
 
-    async saveRecipe() {
-        const barcode = document.getElementById('recipe-barcode').value;
-        const name = document.getElementById('recipe-name').value;
-        const instructions = document.getElementById('recipe-instructions').value;
+    async newRecipeEntry(barcode) {
+        const product = await this.store.getProduct(barcode);
+        const hasVariants = (await this.store.getRecipesByBarcode(barcode)).length > 0;
+
+        this.editingRecipe = null;
+        document.getElementById('entry-title').innerText = hasVariants ? t('New Variant') : t('New Recipe');
+        document.getElementById('btn-save-recipe').innerText = t('Save to Database');
+        document.getElementById('recipe-barcode').value = formatBarcode(barcode);
+        // Shared photos arrive without a barcode; it is typed in instead
+        document.getElementById('recipe-barcode').readOnly = !!barcode;
+        document.getElementById('recipe-name').value = product ? product.name : '';
+        document.getElementById('recipe-variant').value = '';
+        document.getElementById('recipe-instructions').value = '';
+        this.renderStructuredEditor(null);
+        this.renderNutritionEditor(null);
+        this.setEntryPhoto(null);
+        this.switchView('view-recipe-entry');
+
+        // Known products already carry their catalog details; new ones are looked up
+        if (product && product.source) {
+            this.lookedUpProduct = {
+                barcode,
+                name: product.name,
+                brand: product.brand || '',
+                image: product.image || '',
+                category: product.category || ''
+            };
+            this.renderProductInfo(this.lookedUpProduct);
+        } else {
+            this.lookedUpProduct = null;
+            this.renderProductInfo(null);
+            if (!product && barcode) this.lookupProduct(barcode);
+        }
+    },
 
-        if (!name) return alert('Please enter a name');
+    async lookupProduct(barcode) {
+        const info = document.getElementById('product-info');
+        info.innerHTML = html`<span class="product-meta">${t('Looking up product...')}</span>`;
+        info.classList.remove('hidden');
 
-        let imageUrl = this.capturedImage;
+        const product = await this.catalog.lookup(barcode);
+        // The form may have moved on to another barcode or recipe meanwhile
+        if (this.editingRecipe || canonicalBarcode(document.getElementById('recipe-barcode').value) !== barcode) return;
 
-        // Try uploading to Cloudinary if settings exist
-        const settings = Settings.get();
-        if (settings.cloudName && settings.uploadPreset && this.capturedImage && this.capturedImage.startsWith('data:')) {
-            const btn = document.getElementById('btn-save-recipe');
-            const originalText = btn.innerText;
-            btn.innerText = 'Uploading Image...';
-            btn.disabled = true;
+        this.lookedUpProduct = product;
+        this.renderProductInfo(product);
+        const nameInput = document.getElementById('recipe-name');
+        if (product && !nameInput.value) nameInput.value = product.name;
+    },
 
-            try {
-                imageUrl = await this.uploadToCloudinary(this.capturedImage, settings);
-            } catch (err) {
-                console.error('Cloudinary Upload Failed:', err);
-                alert('Cloudinary upload failed. Saving image locally instead.');
-            } finally {
-                btn.innerText = originalText;
-                btn.disabled = false;
+    renderProductInfo(product) {
+        const info = document.getElementById('product-info');
+        info.classList.toggle('hidden', !product);
+        info.innerHTML = '';
+        if (!product) return;
+
+        info.innerHTML = `
+            ${this.safeImage(product.image) ? '<img alt="">' : ''}
+            <div class="product-details">
+                <strong class="product-name"></strong>
+                <span class="product-meta"></span>
+            </div>
+        `;
+        const image = this.safeImage(product.image);
+        if (image) info.querySelector('img').src = image;
+        info.querySelector('.product-name').innerText = product.name;
+        info.querySelector('.product-meta').innerText = [product.brand, product.category].filter(Boolean).join(' · ');
+    },
+
+    async showVariantPicker(barcode, variants) {
+        const product = await this.store.getProduct(barcode);
+        document.getElementById('variants-title').innerText = product ? product.name : variants[0].name;
+        const list = document.getElementById('variant-list');
+        list.innerHTML = '';
+        variants.forEach(recipe => list.appendChild(this.createRecipeCard(recipe)));
+        document.getElementById('btn-add-variant').onclick = () => this.newRecipeEntry(barcode);
+        this.switchView('view-variants');
+    },
+
+    toggleBatchMode() {
+        this.scanner.setContinuous(!this.scanner.continuous);
+        if (this.scanner.continuous) this.setStockMode(false);
+        if (!this.batch) this.batch = { items: [], current: null };
+        this.renderBatchTray();
+    },
+
+    async addToBatch(barcode) {
+        // The camera reports a code on every frame it's visible; each code is queued once
+        if (this.batch.items.some(item => item.barcode === barcode)) return;
+        const item = { barcode, name: '', status: 'new' };
+        this.batch.items.push(item);
+
+        const variants = await this.store.getRecipesByBarcode(barcode);
+        if (variants.length) {
+            item.status = variants.every(recipe => recipe.draft) ? 'draft' : 'known';
+            item.name = variants[0].name;
+        }
+        this.scanner.feedback(item.status !== 'new');
+        this.renderBatchTray();
+
+        if (item.status === 'new') {
+            const product = await this.catalog.lookup(barcode);
+            if (product) {
+                item.name = product.name;
+                this.renderBatchTray();
             }
         }
+    },
+
+    markBatchItem(barcode, status) {
+        const item = this.batch.items.find(entry => entry.barcode === barcode);
+        if (item) item.status = status;
+        this.batch.current = null;
+    },
+
+    createBatchItem(item, withAction) {
+        const labels = { new: t('New'), known: t('Known'), draft: t('Draft'), saved: t('Added') };
+        const li = document.createElement('li');
+        li.className = `batch-item ${item.status}`;
+        li.innerHTML = `
+            <div class="batch-item-info">
+                <span class="batch-item-name"></span>
+                <span class="batch-item-code"></span>
+            </div>
+            <span class="batch-status"></span>
+        `;
+        li.querySelector('.batch-item-name').innerText = item.name || t('Unknown product');
+        li.querySelector('.batch-item-code').innerText = formatBarcode(item.barcode);
+        li.querySelector('.batch-status').innerText = labels[item.status];
+        if (!withAction) return li;
+
+        const btn = document.createElement('button');
+        btn.className = 'btn-secondary btn-small';
+        if (item.status === 'new') {
+            btn.innerText = t('Add');
+            btn.onclick = () => {
+                this.batch.current = item.barcode;
+                this.newRecipeEntry(item.barcode);
+            };
+        } else if (item.status === 'draft') {
+            btn.innerText = t('Finish');
+            btn.onclick = async () => {
+                const [draft] = await this.store.getRecipesByBarcode(item.barcode);
+                this.batch.current = item.barcode;
+                this.editRecipe(draft);
+            };
+        } else {
+            btn.innerText = t('Open');
+            btn.onclick = () => this.handleScanResult(item.barcode);
+        }
+        li.appendChild(btn);
+        return li;
+    },
 
-        const recipe = {
-            barcode,
-            name,
-            instructions,
-            image: imageUrl
-        };
+    renderBatchTray() {
+        const active = this.scanner.continuous;
+        document.getElementById('btn-batch-mode').classList.toggle('active', active);
+        document.getElementById('batch-tray').classList.toggle('hidden', !active);
+
+        const items = this.batch ? this.batch.items : [];
+        const newCount = items.filter(item => item.status === 'new').length;
+        document.getElementById('batch-count').innerText = items.length
+            ? t('{count} scanned · {new} new', { count: items.length, new: newCount })
+            : t('No codes scanned yet');
+        document.getElementById('btn-batch-review').disabled = !items.length;
+
+        // Newest first
+        const queue = document.getElementById('batch-queue');
+        queue.innerHTML = '';
+        [...items].reverse().forEach(item => queue.appendChild(this.createBatchItem(item, false)));
+    },
 
-        try {
-            await this.store.saveRecipe(recipe);
+    renderBatchList() {
+        const items = this.batch ? this.batch.items : [];
+        const newCount = items.filter(item => item.status === 'new').length;
+        document.getElementById('batch-summary').innerText = newCount
+            ? t(items.length === 1 ? '{new} of {count} scanned product has no recipe yet.' : '{new} of {count} scanned products have no recipe yet.', { new: newCount, count: items.length })
+            : t('Every scanned product has a recipe or draft.');
+        document.getElementById('btn-batch-next').disabled = !newCount;
+        document.getElementById('btn-batch-drafts').disabled = !newCount;
 
-            // Sync to cloud
-            if (this.cloud) {
-                this.cloud.saveRecipe(recipe).catch(err => console.error("Cloud save failed:", err));
-            }
+        const list = document.getElementById('batch-list');
+        list.innerHTML = '';
+        items.forEach(item => list.appendChild(this.createBatchItem(item, true)));
+    },
 
-            alert('Recipe saved!');
-            this.loadRecentRecipes();
-            this.switchView('view-home');
+    // Opens the next product without a recipe, or returns to the review list when none are left
+    continueBatch() {
+        const next = this.batch && this.batch.items.find(item => item.status === 'new');
+        if (!next) {
+            this.renderBatchList();
+            this.switchView('view-batch');
+            return;
+        }
+        this.batch.current = next.barcode;
+        this.newRecipeEntry(next.barcode);
+    },
+
+    async saveBatchDrafts() {
+        const pending = this.batch.items.filter(item => item.status === 'new');
+        try {
+            for (const item of pending) {
+                const productInfo = await this.catalog.lookup(item.barcode);
+                const recipe = {
+                    id: `${item.barcode}-${crypto.randomUUID().slice(0, 8)}`,
+                    barcode: item.barcode,
+                    name: item.name || item.barcode,
+                    variant: '',
+                    instructions: '',
+                    image: null,
+                    imageId: null,
+                    structured: null,
+                    draft: true
+                };
+                if (productInfo) recipe.productInfo = productInfo;
+                await this.sync.saveRecipe(recipe);
+                await this.ensureProduct(item.barcode, recipe.name, productInfo);
+                item.status = 'draft';
+            }
+            alert(t(pending.length === 1
+                ? 'Saved {count} draft. Scan a product again or open it from the list to finish it.'
+                : 'Saved {count} drafts. Scan a product again or open it from the list to finish it.', { count: pending.length }));
         } catch (err) {
-            console.error(err);
-            alert('Error saving recipe');
+            console.error('Saving drafts failed:', err);
+            alert(t('Error saving drafts'));
+        }
+        this.renderBatchList();
+        this.loadRecentRecipes();
+    },
+
+    // Every barcode has a product record grouping its variants, named after the first one
+    async ensureProduct(barcode, name, productInfo) {
+        if (await this.store.getProduct(barcode)) return;
+        const product = { barcode, name };
+        if (productInfo) {
+            const { brand, image, category } = productInfo;
+            Object.assign(product, { brand, image, category, source: this.catalog.provider ? this.catalog.provider.id : 'catalog' });
         }
+        await this.sync.saveProduct(product);
+    },
+
+    async editRecipe(recipe) {
+        this.editingRecipe = recipe;
+        document.getElementById('entry-title').innerText = t('Edit Recipe');
+        document.getElementById('btn-save-recipe').innerText = t('Save Changes');
+        document.getElementById('recipe-barcode').value = formatBarcode(recipe.barcode);
+        document.getElementById('recipe-barcode').readOnly = true;
+        document.getElementById('recipe-name').value = recipe.name || '';
+        document.getElementById('recipe-variant').value = recipe.variant || '';
+        document.getElementById('recipe-instructions').value = recipe.instructions || '';
+        this.lookedUpProduct = null;
+        this.renderProductInfo(recipe.productInfo || null);
+        this.renderStructuredEditor(recipe.structured || null);
+        this.renderNutritionEditor(recipe.nutrition || null);
+        this.setEntryPhoto(await this.getRecipeImageUrl(recipe));
+        this.switchView('view-recipe-entry');
+    },
+
+    // Structured recipe editor: lets the user correct the parse before saving
+    renderStructuredEditor(structured) {
+        const editor = document.getElementById('structured-editor');
+        const list = document.getElementById('step-editor');
+        editor.classList.toggle('hidden', !structured);
+        list.innerHTML = '';
+        if (!structured) return;
+
+        document.getElementById('structured-method').value = structured.method || '';
+        document.getElementById('structured-servings').value = structured.servings || '';
+        document.getElementById('structured-stand').value = structured.standSeconds ? structured.standSeconds / 60 : '';
+        document.getElementById('structured-wattage').value = formatWattage(structured.wattage);
+        structured.steps.forEach(step => list.appendChild(this.createStepEditorItem(step.text)));
+    },
+
+    createStepEditorItem(text) {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <textarea class="step-input" rows="2"></textarea>
+            <button class="btn-remove-step" title="${t('Remove Step')}">✕</button>
+            <small class="step-meta"></small>
+        `;
+        const input = item.querySelector('textarea');
+        const meta = item.querySelector('.step-meta');
+        const updateMeta = () => {
+            meta.innerText = this.describeStep(parseStep(input.value));
+        };
+        input.value = text;
+        input.addEventListener('input', updateMeta);
+        item.querySelector('.btn-remove-step').onclick = () => item.remove();
+        updateMeta();
+        return item;
+    },
+
+    describeStep(step) {
+        const parts = step.durations.map(d => d.maxSeconds
+            ? `${formatDuration(d.seconds)} - ${formatDuration(d.maxSeconds)}`
+            : formatDuration(d.seconds));
+        if (step.temperature) parts.push(formatTemperature(convertTemperature(step.temperature, this.unitOptions().system)));
+        if (step.standSeconds) parts.push(t('stand {duration}', { duration: formatDuration(step.standSeconds) }));
+        return parts.join(' · ');
+    },
+
+    readStructuredEditor() {
+        if (document.getElementById('structured-editor').classList.contains('hidden')) return null;
+
+        const method = document.getElementById('structured-method').value || null;
+        const stand = parseFloat(document.getElementById('structured-stand').value);
+        const steps = [...document.querySelectorAll('#step-editor .step-input')]
+            .map(input => input.value.trim())
+            .filter(Boolean)
+            .map(text => parseStep(text, method));
+
+        return {
+            method,
+            servings: parseInt(document.getElementById('structured-servings').value, 10) || null,
+            standSeconds: stand ? Math.round(stand * 60) : null,
+            wattage: parseWattage(document.getElementById('structured-wattage').value),
+            temperatures: steps.map(step => step.temperature).filter(temperature => temperature && temperature.value),
+            steps
+        };
     },
 
-    async uploadToCloudinary(base64Image, settings) {
-        const formData = new FormData();
-        formData.append('file', base64Image);
-        formData.append('upload_preset', settings.uploadPreset);
+    // Nutrition editor: one row per nutrient with a per-100g and a per-serving input
+    renderNutritionEditor(nutrition) {
+        const editor = document.getElementById('nutrition-editor');
+        const rows = document.getElementById('nutrition-rows');
+        editor.classList.toggle('hidden', !nutrition);
+        document.getElementById('nutrition-preview').classList.add('hidden');
+        rows.innerHTML = '';
+        if (!nutrition) return;
+
+        const unit = nutrition.unit || 'g';
+        document.getElementById('nutrition-serving').value = nutrition.servingSize || '';
+        document.getElementById('nutrition-unit').value = unit;
+        document.getElementById('nutrition-per100-label').innerText = t('Per 100{unit}', { unit });
+
+        NUTRIENTS.forEach(nutrient => {
+            const row = document.createElement('tr');
+            if (nutrient.label.startsWith('of which')) row.className = 'sub-row';
+            const label = document.createElement('td');
+            label.innerText = `${t(nutrient.label)} (${nutrient.unit})`;
+            row.appendChild(label);
+            ['per100', 'perServing'].forEach(basis => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = 'any';
+                input.dataset.key = nutrient.key;
+                input.dataset.basis = basis;
+                const value = (nutrition[basis] || {})[nutrient.key];
+                input.value = value === undefined || value === null ? '' : value;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+        this.updateNutritionHints();
+    },
 
-        const response = await fetch(`https://api.cloudinary.com/v1_1/${settings.cloudName}/image/upload`, {
-            method: 'POST',
-            body: formData
+    // Empty cells show the value derived from the other column and the serving size
+    updateNutritionHints() {
+        const nutrition = this.readNutritionEditor();
+        document.querySelectorAll('#nutrition-rows input').forEach(input => {
+            const derived = nutrition ? nutritionValue(nutrition, input.dataset.key, input.dataset.basis) : null;
+            input.placeholder = derived === null ? '' : derived;
         });
+    },
 
-        if (!response.ok) throw new Error('Upload failed');
-        const data = await response.json();
-        return data.secure_url;
+    readNutritionEditor() {
+        if (document.getElementById('nutrition-editor').classList.contains('hidden')) return null;
+
+        const nutrition = {
+            servingSize: parseFloat(document.getElementById('nutrition-serving').value) || null,
+            unit: document.getElementById('nutrition-unit').value,
+            per100: {},
+            perServing: {}
+        };
+        document.querySelectorAll('#nutrition-rows input').forEach(input => {
+            const value = parseFloat(input.value);
+            if (!Number.isNaN(value)) nutrition[input.dataset.basis][input.dataset.key] = value;
+        });
+        return hasNutrition(nutrition) || nutrition.servingSize ? nutrition : null;
     },
 
-    async extractText() {
-        if (!this.capturedImage) return;
+    setStockMode(active) {
+        this.stockMode = active;
+        if (active && this.scanner.continuous) this.toggleBatchMode();
+        document.getElementById('btn-stock-mode').classList.toggle('active', active);
+    },
 
-        const loader = document.getElementById('ocr-loading');
-        const btn = document.getElementById('btn-extract-text');
+    // `returnTo()` replaces the default way back: the camera in pantry mode, otherwise the pantry
+    async openStockEntry(barcode, { returnTo = null } = {}) {
+        const [product, record] = await Promise.all([
+            this.store.getProduct(barcode),
+            this.store.getEntry('pantry', barcode)
+        ]);
+        const name = (record && record.name) || (product && product.name) || '';
+        this.stockEntry = { barcode, returnTo };
+
+        document.getElementById('stock-title').innerText = name || t('Add to Pantry');
+        document.getElementById('stock-barcode').innerText = t('Barcode: {barcode}', { barcode: formatBarcode(barcode) });
+        document.getElementById('stock-name').value = name;
+        document.getElementById('stock-quantity').value = 1;
+        document.getElementById('stock-best-before').value = '';
+        // A shopping bag usually goes onto one shelf, so the last location is kept
+        document.getElementById('stock-location').value = localStorage.getItem('recipe_scan_stock_location') || 'pantry';
+        const count = totalQuantity(record);
+        document.getElementById('stock-current').innerText = count ? t('{count} already in stock.', { count }) : '';
+        this.switchView('view-stock-entry');
+
+        if (!name) {
+            const found = await this.catalog.lookup(barcode);
+            const nameInput = document.getElementById('stock-name');
+            if (found && this.stockEntry && this.stockEntry.barcode === barcode && !nameInput.value) nameInput.value = found.name;
+        }
+    },
+
+    closeStockEntry() {
+        const returnTo = this.stockEntry && this.stockEntry.returnTo;
+        this.stockEntry = null;
+        if (returnTo) returnTo();
+        else this.switchView(this.stockMode ? 'view-scanner' : 'view-pantry');
+    },
+
+    async saveStock() {
+        if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+        const { barcode } = this.stockEntry;
+        const quantity = parseInt(document.getElementById('stock-quantity').value, 10);
+        if (!(quantity > 0)) return alert(t('Please enter how many you are adding'));
+        const location = document.getElementById('stock-location').value;
+
+        try {
+            const record = addStock(await this.store.getEntry('pantry', barcode), {
+                barcode,
+                name: document.getElementById('stock-name').value.trim(),
+                quantity,
+                location,
+                bestBefore: document.getElementById('stock-best-before').value || null
+            });
+            await this.sync.savePantry(record);
+            localStorage.setItem('recipe_scan_stock_location', location);
+            this.refreshPantry();
+            this.closeStockEntry();
+        } catch (err) {
+            console.error('Saving stock failed:', err);
+            alert(t('Failed to add to the pantry.'));
+        }
+    },
+
+    async readBestBefore(file) {
+        const loader = document.getElementById('stock-date-loading');
+        const btn = document.getElementById('btn-stock-read-date');
+        const url = URL.createObjectURL(file);
 
         loader.classList.remove('hidden');
         btn.disabled = true;
+        document.getElementById('stock-date-status').innerText = t('Preparing image...');
+        document.getElementById('stock-date-progress').value = 0;
 
         try {
-            const { data: { text } } = await Tesseract.recognize(this.capturedImage, 'eng', {
-                logger: m => console.log(m)
+            const image = await loadImage(url);
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+            const { canvas } = preprocessImage(renderCrop(image));
+            const result = await this.ocr.recognize(canvas, {
+                languages: Settings.get().ocrLanguages || 'eng',
+                onProgress: (message) => this.showOcrProgress(message, 'stock-date')
             });
-            document.getElementById('recipe-instructions').value = text;
+            const date = parseBestBefore(result.text);
+            if (date) {
+                document.getElementById('stock-best-before').value = date;
+            } else {
+                alert(t('No date found. Try a closer photo of the printed date or type it in.'));
+            }
         } catch (err) {
-            console.error('OCR Error:', err);
-            alert('Failed to extract text from image.');
+            console.error('Best-before OCR Error:', err);
+            alert(t('Failed to read the date.'));
         } finally {
             loader.classList.add('hidden');
             btn.disabled = false;
+            URL.revokeObjectURL(url);
         }
     },
 
-    async loadRecentRecipes() {
-        const recipes = await this.store.getAllRecipes();
-        const list = document.getElementById('recent-list');
-        list.innerHTML = '';
-
-        if (recipes.length === 0) {
-            list.innerHTML = '<div class="empty-state">No recipes saved yet. Scan a barcode to start!</div>';
-            return;
-        }
+    /**
+     * Takes one from the lot `lotId`, or from whatever expires first, and
+     * `amount` of them when given. Records without stock left are deleted.
+     * Resolves the updated record, or null when there was nothing to take.
+     */
+    async useStockItem(barcode, { lotId = null, amount = 1 } = {}) {
+        const record = await this.store.getEntry('pantry', barcode);
+        if (!totalQuantity(record)) return null;
+        const updated = useStock(record, { lotId, amount });
+        if (updated.lots.length) await this.sync.savePantry(updated);
+        else await this.sync.deletePantry(barcode);
+        this.refreshPantry();
+        return updated;
+    },
 
-        // Sort by date desc and take top 3
-        recipes.sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 3)
-            .forEach(recipe => {
-                list.appendChild(this.createRecipeCard(recipe));
-            });
+    // After any stock change, made here or synced in
+    refreshPantry() {
+        this.checkExpiringStock();
+        if (document.getElementById('view-pantry').classList.contains('active')) this.loadPantry();
     },
 
-    async loadFullList() {
-        const recipes = await this.store.getAllRecipes();
-        const list = document.getElementById('full-list');
-        list.innerHTML = '';
+    async loadPantry() {
+        const list = document.getElementById('pantry-list');
+        const location = document.getElementById('pantry-location').value;
+        const entries = stockByExpiry(await this.store.getAllEntries('pantry'))
+            .filter(({ lot }) => !location || lot.location === location);
 
-        if (recipes.length === 0) {
-            list.innerHTML = '<div class="empty-state">No recipes saved yet.</div>';
+        this.renderNotifyButton();
+        list.innerHTML = '';
+        if (!entries.length) {
+            list.innerHTML = html`<li class="empty-state">${location
+                ? t('Nothing stored here.')
+                : t('The pantry is empty. Scan products to add them.')}</li>`;
             return;
         }
-
-        recipes.forEach(recipe => {
-            list.appendChild(this.createRecipeCard(recipe));
-        });
+        entries.forEach(({ record, lot }) => list.appendChild(this.createPantryItem(record, lot)));
     },
 
-    createRecipeCard(recipe) {
-        const card = document.createElement('div');
-        card.className = 'recipe-card';
-        card.innerHTML = `
-            <img src="${recipe.image || 'https://via.placeholder.com/64'}" alt="${recipe.name}">
-            <div class="recipe-info">
-                <h3>${recipe.name}</h3>
-                <p>${recipe.barcode}</p>
+    createPantryItem(record, lot) {
+        const item = document.createElement('li');
+        item.className = `pantry-item ${expiryStatus(lot.bestBefore)}`;
+        item.innerHTML = html`
+            <span class="pantry-quantity">${lot.quantity}×</span>
+            <div class="pantry-item-info" title="${t('Add more')}">
+                <span class="pantry-item-name">${record.name || formatBarcode(record.barcode)}</span>
+                <span class="pantry-item-meta">${this.locationLabel(lot.location)} · ${this.describeExpiry(lot.bestBefore)}</span>
             </div>
-            <button class="btn-delete" title="Delete Recipe">🗑️</button>
+            <button class="btn-secondary btn-small" data-action="use">${t('Used one')}</button>
+            <button class="btn-icon pantry-remove" data-action="remove" title="${t('Remove from Pantry')}">🗑️</button>
         `;
 
-        // Detail view on card click
-        card.onclick = (e) => {
-            if (e.target.classList.contains('btn-delete')) return;
-            this.showRecipeDetail(recipe);
+        item.querySelector('.pantry-item-info').onclick = () => this.openStockEntry(record.barcode);
+        item.querySelector('[data-action="use"]').onclick = () => {
+            if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+            this.useStockItem(record.barcode, { lotId: lot.id });
         };
-
-        // Delete button logic
-        const deleteBtn = card.querySelector('.btn-delete');
-        deleteBtn.onclick = (e) => {
-            e.stopPropagation();
-            this.confirmDelete(recipe);
+        item.querySelector('[data-action="remove"]').onclick = () => {
+            if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+            if (!confirm(t('Remove {quantity}× {name} ({location})?', {
+                quantity: lot.quantity,
+                name: record.name || t('this product'),
+                location: this.locationLabel(lot.location)
+            }))) return;
+            this.useStockItem(record.barcode, { lotId: lot.id, amount: lot.quantity });
         };
-
-        return card;
+        return item;
     },
 
-    async confirmDelete(recipe) {
-        if (confirm(`Are you sure you want to delete "${recipe.name}"?`)) {
-            try {
-                await this.store.deleteRecipe(recipe.barcode);
+    locationLabel(location) {
+        return LOCATIONS[location] ? t(LOCATIONS[location]) : location;
+    },
 
-                // Sync to cloud
-                if (this.cloud) {
-                    this.cloud.deleteRecipe(recipe.barcode).catch(err => console.error("Cloud delete failed:", err));
-                }
+    describeExpiry(bestBefore) {
+        if (!bestBefore) return t('no date');
+        const days = daysUntil(bestBefore);
+        if (days < -1) return t('expired {days} days ago', { days: -days });
+        if (days === -1) return t('expired yesterday');
+        if (days === 0) return t('expires today');
+        if (days === 1) return t('expires tomorrow');
+        if (days <= EXPIRY_WARNING_DAYS) return t('expires in {days} days', { days });
+        return t('best before {date}', { date: new Date(`${bestBefore}T00:00`).toLocaleDateString(getLanguage()) });
+    },
 
-                this.loadRecentRecipes();
-                if (document.getElementById('view-list').classList.contains('active')) {
-                    this.loadFullList();
-                }
+    async renderDetailStock(recipe) {
+        const container = document.getElementById('detail-stock');
+        const record = await this.store.getEntry('pantry', recipe.barcode);
+        // The detail view may have moved on meanwhile
+        if (!container.isConnected) return;
+
+        const count = totalQuantity(record);
+        const next = count ? stockByExpiry([record])[0].lot : null;
+        container.innerHTML = html`
+            ${count ? t('In stock: {count}', { count }) : t('Not in stock')}${next && next.bestBefore ? ` · ${this.describeExpiry(next.bestBefore)}` : ''}
+            <button class="btn-link" data-action="add">${t('+ Add')}</button>
+            ${count ? html`<button class="btn-link" data-action="use">${t('Used one')}</button>` : ''}
+        `;
+        container.querySelector('[data-action="add"]').onclick = () => {
+            this.openStockEntry(recipe.barcode, { returnTo: () => this.showRecipeDetail(recipe) });
+        };
+        const useBtn = container.querySelector('[data-action="use"]');
+        if (useBtn) {
+            useBtn.onclick = async () => {
+                if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+                await this.useStockItem(recipe.barcode);
+                this.renderDetailStock(recipe);
+            };
+        }
+    },
 
-                // If deleted from detail view, go back home
-                if (document.getElementById('view-recipe-detail').classList.contains('active')) {
-                    this.switchView('view-home');
-                }
-            } catch (err) {
-                console.error('Delete failed:', err);
-                alert('Failed to delete recipe.');
-            }
+    /**
+     * Shows the home banner for stock that is past or near its date, and
+     * notifies about each such lot once a day while notifications are allowed.
+     * Notifications come from the app itself, so they only appear when it is
+     * opened or brought back to the foreground.
+     */
+    async checkExpiringStock() {
+        const due = stockByExpiry(await this.store.getAllEntries('pantry'))
+            .filter(({ lot }) => ['expired', 'soon'].includes(expiryStatus(lot.bestBefore)));
+        const label = ({ record, lot }) => `${record.name || formatBarcode(record.barcode)} ${this.describeExpiry(lot.bestBefore)}`;
+
+        const banner = document.getElementById('expiry-banner');
+        banner.classList.toggle('hidden', !due.length);
+        banner.innerText = due.length === 1
+            ? `⏰ ${t('{item}. Tap to open the pantry.', { item: label(due[0]) })}`
+            : `⏰ ${t('{count} pantry items are expiring or past their date. Tap to open the pantry.', { count: due.length })}`;
+
+        const today = new Date().toDateString();
+        const notified = JSON.parse(localStorage.getItem('recipe_scan_expiry_notified') || '{}');
+        const seen = new Set(notified.date === today ? notified.lots : []);
+        const fresh = due.filter(({ lot }) => !seen.has(lot.id));
+        if (!fresh.length) return;
+
+        const title = fresh.length === 1 ? label(fresh[0]) : t('{count} pantry items need using up', { count: fresh.length });
+        const where = { freezer: t('In the freezer'), fridge: t('In the fridge'), pantry: t('In the pantry') };
+        const shown = await notify(title, {
+            body: fresh.length === 1 ? where[fresh[0].lot.location] || where.pantry : fresh.map(label).join('\n'),
+            tag: 'pantry-expiry',
+            view: 'view-pantry'
+        }).catch(err => {
+            console.warn('Expiry notification failed:', err);
+            return false;
+        });
+        if (shown) {
+            fresh.forEach(({ lot }) => seen.add(lot.id));
+            localStorage.setItem('recipe_scan_expiry_notified', JSON.stringify({ date: today, lots: [...seen] }));
         }
     },
 
-    async syncWithCloud() {
-        if (!this.cloud) return;
+    async enableExpiryNotifications() {
+        const permission = await Notification.requestPermission();
+        if (permission === 'denied') alert(t('Notifications are blocked. Allow them for this site in your browser settings.'));
+        this.renderNotifyButton();
+        if (permission === 'granted') this.checkExpiringStock();
+    },
 
-        const syncStatus = document.getElementById('sync-status');
-        syncStatus.classList.add('syncing');
+    renderNotifyButton() {
+        const supported = 'Notification' in window && 'serviceWorker' in navigator;
+        document.getElementById('btn-expiry-notify').classList.toggle('hidden', !supported || Notification.permission === 'granted');
+    },
+
+    async readNutritionLabel(file) {
+        const preview = document.getElementById('nutrition-preview');
+        const loader = document.getElementById('nutrition-loading');
+        const btn = document.getElementById('btn-nutrition-photo');
+        const url = URL.createObjectURL(file);
+
+        preview.innerHTML = html`<img src="${url}" />`;
+        preview.classList.remove('hidden');
+        loader.classList.remove('hidden');
+        btn.disabled = true;
+        document.getElementById('nutrition-status').innerText = t('Preparing image...');
+        document.getElementById('nutrition-progress').value = 0;
 
         try {
-            const cloudRecipes = await this.cloud.getAllRecipes();
-            for (const recipe of cloudRecipes) {
-                await this.store.saveRecipe(recipe);
+            const image = await loadImage(url);
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+            const { canvas } = preprocessImage(renderCrop(image));
+            const result = await this.ocr.recognize(canvas, {
+                languages: Settings.get().ocrLanguages || 'eng',
+                onProgress: (message) => this.showOcrProgress(message, 'nutrition')
+            });
+            const nutrition = parseNutrition(result.text);
+            if (!hasNutrition(nutrition)) {
+                alert(t('No nutrition values found. Try a sharper photo of the table or enter them manually.'));
+            } else {
+                this.renderNutritionEditor(nutrition);
             }
-            this.loadRecentRecipes();
-            console.log(`Synced ${cloudRecipes.length} recipes from cloud.`);
         } catch (err) {
-            console.error("Cloud sync failed:", err);
+            console.error('Nutrition OCR Error:', err);
+            alert(t('Failed to read the nutrition label.'));
         } finally {
-            syncStatus.classList.remove('syncing');
+            loader.classList.add('hidden');
+            preview.classList.add('hidden');
+            btn.disabled = false;
+            URL.revokeObjectURL(url);
         }
     },
 
-    async syncSettingsWithCloud() {
-        if (!this.cloud) return;
-
-        try {
-            const cloudSettings = await this.cloud.getSettings();
-            if (cloudSettings) {
-                const localSettings = Settings.get();
-                // Merge cloud settings into local, prioritizing cloud for shared config
-                // (except for the Firebase config itself which is needed to connect, 
-                // but we update it anyway for consistency)
-                const mergedSettings = { ...localSettings, ...cloudSettings };
-                Settings.save(mergedSettings);
-                this.loadSettings(); // Refresh UI inputs
-                console.log("Settings synced from cloud.");
-            }
-        } catch (err) {
-            console.error("Cloud settings sync failed:", err);
+    async getImageUrl(imageId, size = 'full') {
+        const key = `${imageId}:${size}`;
+        if (!this.imageUrls.has(key)) {
+            const image = await this.store.getImage(imageId);
+            // Recipes synced from devices on older versions may point at photos that never arrived
+            if (!image) return null;
+            this.imageUrls.set(key, URL.createObjectURL(size === 'thumb' ? image.thumb || image.blob : image.blob));
         }
+        return this.imageUrls.get(key);
     },
 
-    showRecipeDetail(recipe) {
-        const container = document.getElementById('recipe-detail-content');
-        container.innerHTML = `
-            <div class="detail-header">
-                <h2>${recipe.name}</h2>
-                <button class="btn-delete-detail" id="btn-delete-recipe-detail">Delete Recipe</button>
-            </div>
-            <div class="meta">Barcode: ${recipe.barcode}</div>
-            ${recipe.image ? `<img src="${recipe.image}" class="detail-img">` : ''}
-            <div class="recipe-text">${recipe.instructions || 'No instructions provided.'}</div>
+    // Image URLs from records are only used if they point somewhere we trust
+    safeImage(url) {
+        const provider = this.catalog && this.catalog.provider;
+        return safeImageUrl(url, {
+            cloudName: Settings.get().cloudName,
+            hosts: provider ? provider.imageHosts : []
+        });
+    },
+
+    async getRecipeImageUrl(recipe) {
+        if (recipe.imageId) return this.getImageUrl(recipe.imageId);
+        return recipe.image ? transformedUrl(recipe.image, 'detail') : null;
+    },
+
+    async loadThumbnail(img) {
+        this.thumbObserver.unobserve(img);
+        const url = await this.getImageUrl(img.dataset.imageId, 'thumb');
+        if (url) img.src = url;
+    },
+
+    async showDetailImage(recipe) {
+        const img = document.getElementById('detail-img');
+        if (!img) return;
+        const url = this.safeImage(await this.getRecipeImageUrl(recipe));
+        if (url) img.src = url;
+        else img.remove();
+    },
+
+    forgetImageUrls(imageId) {
+        ['thumb', 'full'].forEach(size => {
+            const key = `${imageId}:${size}`;
+            if (this.imageUrls.has(key)) URL.revokeObjectURL(this.imageUrls.get(key));
+            this.imageUrls.delete(key);
+        });
+    },
+
+    async forgetImage(imageId) {
+        this.forgetImageUrls(imageId);
+        await this.store.deleteImage(imageId);
+    },
+
+    /**
+     * Finishes photos moved out of recipe records by the v5 migration:
+     * compresses them, adds thumbnails and re-saves their recipe so the cloud
+     * copy loses its inline data URL too.
+     */
+    async processPendingImages() {
+        const pending = (await this.store.getAllEntries('images')).filter(image => !image.thumb);
+        for (const image of pending) {
+            try {
+                await this.store.putEntry('images', { ...image, ...(await prepareImage(image.blob)) });
+                this.forgetImageUrls(image.id);
+                const recipe = await this.store.getRecipe(image.recipeId);
+                if (recipe && recipe.imageId === image.id) {
+                    await this.sync.saveRecipe(recipe, { preserveTimestamp: true });
+                }
+            } catch (err) {
+                console.error('Processing stored image failed:', image.id, err);
+            }
+        }
+    },
+
+    /**
+     * Moves records saved under a non-canonical barcode (e.g. a UPC-A read as
+     * 12 digits) to its GTIN-14. Products that collapse onto the same code are
+     * merged, and recipes that turn out to be copies of each other keep only
+     * the newest. Changes go through the sync engine so the cloud copies move
+     * too; it also runs after each sync to catch records from devices that
+     * haven't been updated. Resolves to the number of records changed.
+     */
+    async migrateBarcodes() {
+        const isStale = (record) => canonicalBarcode(record.barcode) !== record.barcode;
+        // Oldest first, so the first product scanned names the merged record
+        const products = (await this.store.getAllProducts()).filter(isStale)
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        const recipes = (await this.store.getAllRecipes()).filter(isStale);
+        if (!products.length && !recipes.length) return 0;
+
+        for (const product of products) {
+            const barcode = canonicalBarcode(product.barcode);
+            const existing = await this.store.getProduct(barcode);
+            // The record already on the canonical code wins; fields only the duplicate has are kept
+            await this.sync.saveProduct({ ...product, ...(existing || {}), barcode });
+            await this.sync.deleteProduct(product.barcode);
+        }
+
+        const sameContent = (a, b) => ['name', 'variant', 'instructions']
+            .every(field => (a[field] || '').trim() === (b[field] || '').trim());
+        for (const { id } of recipes) {
+            const recipe = await this.store.getRecipe(id);
+            if (!recipe || !isStale(recipe)) continue;
+            const barcode = canonicalBarcode(recipe.barcode);
+            const twin = (await this.store.getRecipesByBarcode(barcode)).find(other => sameContent(other, recipe));
+
+            if (!twin) {
+                await this.sync.saveRecipe({ ...recipe, barcode });
+                continue;
+            }
+            const [keep, drop] = SyncEngine.isNewer(recipe, twin) ? [recipe, twin] : [twin, recipe];
+            const merged = { ...keep, barcode };
+            // Don't lose the photo if only the dropped copy had one
+            if (!merged.image && !merged.imageId) {
+                merged.image = drop.image || null;
+                merged.imageId = drop.imageId || null;
+                merged.imagePublicId = drop.imagePublicId || null;
+                if (drop.imageId) await this.store.putEntry('recipes', { ...drop, imageId: null });
+            }
+            await this.sync.saveRecipe(merged);
+            await this.sync.deleteRecipe(drop.id);
+            if (drop.image && drop.image !== merged.image) await this.queueImageDelete(drop);
+        }
+
+        console.log(`Moved ${products.length + recipes.length} records to canonical barcodes.`);
+        return products.length + recipes.length;
+    },
+
+    /**
+     * Opens a photo shared from another app (see sw.js) as a new recipe. A
+     * barcode in the picture fills in the product; otherwise it is typed.
+     */
+    async openSharedItem({ photo, text }) {
+        // A recipe link shared into the app from a chat
+        if (findShareToken(text)) return this.openShareToken(findShareToken(text));
+        let barcode = '';
+        if (photo) {
+            const read = await this.scanner.decodeFile(new File([photo], 'shared', { type: photo.type }));
+            const result = read ? normalizeBarcode(read.text, { format: read.format }) : null;
+            if (result && result.valid) barcode = result.alternative ? await this.settleAmbiguousBarcode(result) : result.gtin;
+        }
+        await this.newRecipeEntry(barcode);
+        if (photo) this.setEntryPhoto(await blobToDataUrl(photo));
+        if (text) document.getElementById('recipe-instructions').value = text;
+        if (!barcode) document.getElementById('recipe-barcode').focus();
+    },
+
+    setEntryPhoto(photo) {
+        const image = this.safeImage(photo);
+        this.capturedImage = image;
+        this.closeOcrPanel();
+        document.getElementById('ocr-review').classList.add('hidden');
+        document.getElementById('photo-preview').innerHTML = image
+            ? html`<img src="${image}" />`
+            : html`<span class="placeholder">${t('Take a photo of the instructions')}</span>`;
+        document.getElementById('btn-extract-text').disabled = !image;
+        document.getElementById('btn-keep-photo').classList.add('hidden');
+    },
+
+    async saveRecipe() {
+        const barcodeInput = document.getElementById('recipe-barcode');
+        const barcode = barcodeInput.readOnly ? canonicalBarcode(barcodeInput.value) : await this.checkTypedBarcode(barcodeInput.value);
+        const name = document.getElementById('recipe-name').value;
+        const variant = document.getElementById('recipe-variant').value.trim();
+        const instructions = document.getElementById('recipe-instructions').value;
+
+        if (this.sync && this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+        if (!barcode) return alert(t('Please enter the barcode'));
+        if (!name) return alert(t('Please enter a name'));
+
+        const previous = this.editingRecipe || {};
+        const id = this.editingRecipe ? this.editingRecipe.id : `${barcode}-${crypto.randomUUID().slice(0, 8)}`;
+        // Without a new photo the stored one is kept as is
+        let image = previous.image || null;
+        let imageId = previous.imageId || null;
+        let imagePublicId = previous.imagePublicId || null;
+        let queueUpload = false;
+
+        // A newly taken photo is still a data URL
+        if (this.capturedImage && this.capturedImage.startsWith('data:')) {
+            image = null;
+            imageId = null;
+            imagePublicId = null;
+
+            let prepared;
+            try {
+                prepared = await prepareImage(dataUrlToBlob(this.capturedImage));
+            } catch (err) {
+                console.error('Preparing image failed:', err);
+                return alert(t('Could not store the photo. Please try another one.'));
+            }
+
+            const cloudinary = this.cloudinaryClient();
+            if (cloudinary.canUpload) {
+                const btn = document.getElementById('btn-save-recipe');
+                const originalText = btn.innerText;
+                btn.innerText = t('Uploading Image...');
+                btn.disabled = true;
+
+                try {
+                    const uploaded = await cloudinary.upload(prepared.blob, { publicId: newPublicId(id) });
+                    image = uploaded.url;
+                    imagePublicId = uploaded.publicId;
+                } catch (err) {
+                    console.error('Cloudinary Upload Failed:', err);
+                    // Connection trouble is retried from the queue; anything else needs the settings fixed
+                    queueUpload = err.retryable;
+                    if (!err.retryable) alert(t('Cloudinary upload failed ({error}). Saving image locally instead.', { error: err.message }));
+                } finally {
+                    btn.innerText = originalText;
+                    btn.disabled = false;
+                }
+            }
+
+            if (!image) {
+                try {
+                    imageId = await this.store.saveImage(prepared, id);
+                } catch (err) {
+                    console.error('Storing image failed:', err);
+                    return alert(t('Could not store the photo. Please try another one.'));
+                }
+            }
+        }
+
+        // Edits start from the stored record so fields like the creation date survive
+        const recipe = {
+            ...previous,
+            id,
+            barcode,
+            name,
+            variant,
+            instructions,
+            image,
+            imageId,
+            imagePublicId,
+            structured: this.readStructuredEditor(),
+            nutrition: this.readNutritionEditor()
+        };
+        if (this.lookedUpProduct && !this.editingRecipe) recipe.productInfo = this.lookedUpProduct;
+        // Saving from the form finishes a draft
+        delete recipe.draft;
+
+        try {
+            // Saves locally and queues the cloud write
+            await this.sync.saveRecipe(recipe);
+            if (previous.imageId && previous.imageId !== imageId) await this.forgetImage(previous.imageId);
+            if (previous.image && previous.image !== image) await this.queueImageDelete(previous);
+            if (queueUpload) await this.queueImageUpload(recipe);
+
+            await this.ensureProduct(barcode, name, this.lookedUpProduct);
+
+            this.loadRecentRecipes();
+            if (this.batch && this.batch.current === barcode) {
+                this.editingRecipe = null;
+                this.markBatchItem(barcode, 'saved');
+                this.continueBatch();
+            } else if (this.editingRecipe) {
+                this.editingRecipe = null;
+                alert(t('Recipe updated!'));
+                this.showRecipeDetail(recipe);
+            } else {
+                alert(t('Recipe saved!'));
+                this.switchView('view-home');
+            }
+        } catch (err) {
+            console.error(err);
+            alert(t('Error saving recipe'));
+        }
+    },
+
+    cloudinaryClient() {
+        const settings = Settings.get();
+        return new CloudinaryClient({
+            cloudName: settings.cloudName || '',
+            uploadPreset: settings.uploadPreset || '',
+            signUrl: settings.cloudinarySignUrl || '',
+            signToken: settings.cloudinarySignToken || ''
+        });
+    },
+
+    // Uploads the recipe's stored photo once the network allows
+    async queueImageUpload(recipe) {
+        await this.store.putEntry('uploads', {
+            key: `upload:${recipe.imageId}`,
+            op: 'upload',
+            recipeId: recipe.id,
+            imageId: recipe.imageId,
+            attempts: 0,
+            nextAttemptAt: 0
+        });
+        this.processUploadQueue();
+    },
+
+    /**
+     * Removes a recipe's Cloudinary photo. Photos from elsewhere (catalog
+     * images, other accounts) are left alone, and so are photos uploaded
+     * outside the app's folder, which the signing endpoint won't sign.
+     */
+    async queueImageDelete(recipe) {
+        const publicId = recipe.imagePublicId || publicIdFromUrl(recipe.image);
+        const cloudName = Settings.get().cloudName;
+        if (!publicId || !isSignable(publicId) || !cloudName || !String(recipe.image).includes(`/${cloudName}/image/upload/`)) return;
+        await this.store.putEntry('uploads', {
+            key: `destroy:${publicId}`,
+            op: 'destroy',
+            publicId,
+            attempts: 0,
+            nextAttemptAt: 0
+        });
+        this.processUploadQueue();
+    },
+
+    /**
+     * Works through the upload queue. Failed jobs wait longer after each
+     * attempt; deletes wait until a signing endpoint is configured. Jobs
+     * that Cloudinary or the signer refused outright (a wrong token, a bad
+     * request) are parked until the Cloudinary settings are saved again,
+     * which passes `resume`.
+     */
+    async processUploadQueue({ resume = false } = {}) {
+        if (this.uploading) return this.uploading;
+        this.uploading = (async () => {
+            const cloudinary = this.cloudinaryClient();
+            const jobs = await this.store.getAllEntries('uploads');
+            for (const job of jobs) {
+                if (!navigator.onLine) break;
+                if (job.parked && !resume) continue;
+                if (job.nextAttemptAt > Date.now() && !resume) continue;
+                // Queued by older versions before they checked what the signer accepts
+                if (job.op === 'destroy' && !isSignable(job.publicId)) {
+                    await this.store.deleteEntry('uploads', job.key);
+                    continue;
+                }
+                if (job.op === 'upload' ? !cloudinary.canUpload : !cloudinary.canDelete) continue;
+                try {
+                    if (job.op === 'upload') await this.uploadQueuedImage(cloudinary, job);
+                    else await cloudinary.destroy(job.publicId);
+                    await this.store.deleteEntry('uploads', job.key);
+                } catch (err) {
+                    console.warn(`Cloudinary ${job.op} failed:`, err);
+                    const attempts = job.attempts + 1;
+                    const parked = err instanceof CloudinaryError && !err.retryable;
+                    await this.store.putEntry('uploads', {
+                        ...job,
+                        attempts,
+                        parked,
+                        nextAttemptAt: parked ? 0 : Date.now() + backoffDelay(attempts, { base: 60 * 1000, max: 6 * 60 * 60 * 1000 }),
+                        lastError: err.message
+                    });
+                }
+            }
+        })().finally(() => {
+            this.uploading = null;
+        });
+        return this.uploading;
+    },
+
+    async uploadQueuedImage(cloudinary, job) {
+        const recipe = await this.store.getRecipe(job.recipeId);
+        const image = await this.store.getImage(job.imageId);
+        // Photo replaced or recipe deleted since it was queued
+        if (!recipe || !image || recipe.imageId !== job.imageId) return;
+
+        const uploaded = await cloudinary.upload(image.blob, { publicId: newPublicId(recipe.id) });
+        // The recipe may have changed while the photo was on its way
+        const latest = await this.store.getRecipe(job.recipeId);
+        if (!latest || latest.imageId !== job.imageId) {
+            await this.queueImageDelete({ image: uploaded.url, imagePublicId: uploaded.publicId });
+            return;
+        }
+        const updated = { ...latest, image: uploaded.url, imagePublicId: uploaded.publicId, imageId: null };
+        await this.sync.saveRecipe(updated);
+        await this.forgetImage(job.imageId);
+        this.upsertRecipeCard(updated);
+    },
+
+    async openOcrPanel() {
+        if (!this.capturedImage) return;
+        try {
+            const image = await loadImage(this.capturedImage);
+            this.ocrSource = { image, rotated: image, rotation: 0, crop: null };
+        } catch (err) {
+            console.error('Loading photo for OCR failed:', err);
+            return alert(t('Could not open the photo for text recognition.'));
+        }
+        document.getElementById('ocr-panel').classList.remove('hidden');
+        this.drawOcrCanvas();
+    },
+
+    closeOcrPanel() {
+        this.ocrSource = null;
+        document.getElementById('ocr-panel').classList.add('hidden');
+    },
+
+    rotateOcrSource(degrees) {
+        const source = this.ocrSource;
+        source.rotation = (source.rotation + degrees + 360) % 360;
+        source.rotated = renderCrop(source.image, { rotation: source.rotation });
+        source.crop = null;
+        this.drawOcrCanvas();
+    },
+
+    drawOcrCanvas() {
+        const { rotated, crop } = this.ocrSource;
+        const canvas = document.getElementById('ocr-canvas');
+        const scale = Math.min(1, 800 / rotated.width);
+        canvas.width = Math.round(rotated.width * scale);
+        canvas.height = Math.round(rotated.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(rotated, 0, 0, canvas.width, canvas.height);
+        if (!crop) return;
+
+        // Dim everything outside the selection
+        const x = crop.x * canvas.width;
+        const y = crop.y * canvas.height;
+        const w = crop.width * canvas.width;
+        const h = crop.height * canvas.height;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(0, 0, canvas.width, y);
+        ctx.fillRect(0, y + h, canvas.width, canvas.height - y - h);
+        ctx.fillRect(0, y, x, h);
+        ctx.fillRect(x + w, y, canvas.width - x - w, h);
+        ctx.strokeStyle = '#FF5C00';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, w, h);
+    },
+
+    showOcrProgress(message, prefix = 'ocr') {
+        const stages = {
+            'loading tesseract core': t('Loading OCR engine'),
+            'initializing tesseract': t('Starting OCR engine'),
+            'loading language traineddata': t('Loading languages'),
+            'initializing api': t('Loading languages'),
+            'recognizing text': t('Reading text')
+        };
+        const label = stages[message.status] || t('Working');
+        const progress = message.progress || 0;
+        document.getElementById(`${prefix}-status`).innerText = `${label}... ${Math.round(progress * 100)}%`;
+        document.getElementById(`${prefix}-progress`).value = progress;
+    },
+
+    async extractText() {
+        if (!this.ocrSource) return;
+
+        const loader = document.getElementById('ocr-loading');
+        const btn = document.getElementById('btn-extract-text');
+        const source = this.ocrSource;
+        this.closeOcrPanel();
+
+        loader.classList.remove('hidden');
+        btn.disabled = true;
+        document.getElementById('ocr-status').innerText = t('Preparing image...');
+        document.getElementById('ocr-progress').value = 0;
+
+        try {
+            // Let the overlay paint before the synchronous canvas work
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+            const { canvas } = preprocessImage(renderCrop(source.image, source));
+            const result = await this.ocr.recognize(canvas, {
+                languages: Settings.get().ocrLanguages || 'eng',
+                onProgress: (message) => this.showOcrProgress(message)
+            });
+            const cleaned = cleanOcrText(result.text);
+            document.getElementById('recipe-instructions').value = cleaned;
+            this.renderStructuredEditor(parseRecipe(cleaned));
+            this.renderOcrReview(result.lines);
+        } catch (err) {
+            console.error('OCR Error:', err);
+            alert(t('Failed to extract text from image.'));
+        } finally {
+            loader.classList.add('hidden');
+            btn.disabled = false;
+        }
+    },
+
+    // Shows the raw OCR result with the words Tesseract was unsure about marked
+    renderOcrReview(lines) {
+        const review = document.getElementById('ocr-review');
+        const container = document.getElementById('ocr-review-text');
+        container.innerHTML = '';
+        let flagged = 0;
+
+        lines.forEach(words => {
+            const line = document.createElement('div');
+            words.forEach((word, i) => {
+                if (i) line.appendChild(document.createTextNode(' '));
+                if (word.confidence < LOW_CONFIDENCE) {
+                    const mark = document.createElement('mark');
+                    mark.innerText = word.text;
+                    mark.title = t('Confidence {percent}%', { percent: Math.round(word.confidence) });
+                    line.appendChild(mark);
+                    flagged++;
+                } else {
+                    line.appendChild(document.createTextNode(word.text));
+                }
+            });
+            container.appendChild(line);
+        });
+
+        document.getElementById('ocr-review-title').innerText =
+            t(flagged === 1 ? '{count} word to check' : '{count} words to check', { count: flagged });
+        review.classList.toggle('hidden', !flagged);
+    },
+
+    async loadRecentRecipes() {
+        const recipes = (await this.store.getAllRecipes()).filter(recipe => !recipe.deletedAt);
+        const list = document.getElementById('recent-list');
+        list.innerHTML = '';
+
+        if (recipes.length === 0) {
+            list.innerHTML = html`<div class="empty-state">${t('No recipes saved yet. Scan a barcode to start!')}</div>`;
+            return;
+        }
+
+        // Sort by date desc and take top 3
+        recipes.sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 3)
+            .forEach(recipe => {
+                list.appendChild(this.createRecipeCard(recipe));
+            });
+    },
+
+    async loadFullList() {
+        const list = document.getElementById('full-list');
+        list.innerHTML = '';
+
+        // A fresh query object also invalidates pages still loading for the previous one
+        this.listQuery = {
+            search: document.getElementById('list-search').value,
+            sort: document.getElementById('list-sort').value,
+            next: null,
+            done: false,
+            loading: false
+        };
+        await this.loadMoreRecipes();
+
+        if (!list.children.length) {
+            list.innerHTML = html`<div class="empty-state">${this.listQuery.search.trim()
+                ? t('No recipes match your search.')
+                : t('No recipes saved yet.')}</div>`;
+        }
+    },
+
+    async loadMoreRecipes() {
+        const query = this.listQuery;
+        if (!query || query.done || query.loading) return;
+        query.loading = true;
+
+        try {
+            const page = await this.store.queryRecipes({
+                sort: query.sort,
+                search: query.search,
+                after: query.next
+            });
+            if (query !== this.listQuery) return;
+
+            const list = document.getElementById('full-list');
+            page.recipes.forEach(recipe => list.appendChild(this.createRecipeCard(recipe)));
+            query.next = page.next;
+            query.done = !page.next;
+        } catch (err) {
+            console.error('Loading recipes failed:', err);
+        } finally {
+            query.loading = false;
+        }
+
+        // Keep filling while the sentinel is still on screen
+        const sentinel = document.getElementById('list-sentinel');
+        if (!query.done && query === this.listQuery && sentinel.getBoundingClientRect().top < window.innerHeight) {
+            this.loadMoreRecipes();
+        }
+    },
+
+    createRecipeCard(recipe) {
+        const card = document.createElement('div');
+        card.className = 'recipe-card';
+        card.dataset.id = recipe.id;
+        const cover = this.safeImage(transformedUrl(recipe.image, 'thumb'))
+            || (!recipe.imageId && recipe.productInfo && this.safeImage(recipe.productInfo.image))
+            || 'https://via.placeholder.com/64';
+        card.innerHTML = html`
+            <img src="${cover}" alt="${recipe.name}" loading="lazy">
+            <div class="recipe-info">
+                <h3>${recipe.name}</h3>
+                <p>${recipe.draft ? html`<span class="variant-tag draft-tag">${t('Draft')}</span>` : ''}${recipe.variant ? html`<span class="variant-tag">${recipe.variant}</span>` : ''}${formatBarcode(recipe.barcode)}</p>
+            </div>
+            <button class="btn-delete" title="${t('Delete Recipe')}">🗑️</button>
+        `;
+
+        // Stored photos are read from IndexedDB once the card scrolls into view
+        if (recipe.imageId) {
+            const img = card.querySelector('img');
+            img.dataset.imageId = recipe.imageId;
+            this.thumbObserver.observe(img);
+        }
+
+        // Detail view on card click
+        card.onclick = (e) => {
+            if (e.target.classList.contains('btn-delete')) return;
+            this.showRecipeDetail(recipe);
+        };
+
+        // Delete button logic
+        const deleteBtn = card.querySelector('.btn-delete');
+        deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.trashRecipe(recipe);
+        };
+
+        return card;
+    },
+
+    // Deleting only marks the recipe; the mark syncs like any edit, so every device moves it to the trash
+    async trashRecipe(recipe) {
+        if (this.sync && this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+        const label = recipe.variant ? `${recipe.name} (${recipe.variant})` : recipe.name;
+        try {
+            const latest = (await this.store.getRecipe(recipe.id)) || recipe;
+            await this.sync.saveRecipe({ ...latest, deletedAt: new Date().toISOString() });
+            this.refreshRecipeLists();
+
+            // If deleted from detail view, go back home
+            if (document.getElementById('view-recipe-detail').classList.contains('active')) {
+                this.switchView('view-home');
+            }
+            this.showSnackbar(t('"{name}" moved to the trash.', { name: label }), {
+                actionLabel: t('Undo'),
+                onAction: () => this.restoreRecipe(recipe.id)
+            });
+        } catch (err) {
+            console.error('Delete failed:', err);
+            alert(t('Failed to delete recipe.'));
+        }
+    },
+
+    async restoreRecipe(id) {
+        if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+        const recipe = await this.store.getRecipe(id);
+        // Already restored, or purged meanwhile on another device
+        if (!recipe || !recipe.deletedAt) return;
+        const { deletedAt, ...restored } = recipe;
+        try {
+            await this.sync.saveRecipe(restored);
+            this.refreshRecipeLists();
+        } catch (err) {
+            console.error('Restore failed:', err);
+            alert(t('Failed to restore recipe.'));
+        }
+    },
+
+    // Deletes for good: the record, its photo here and on Cloudinary, and the product once no variant is left
+    async purgeRecipe(recipe) {
+        await this.sync.deleteRecipe(recipe.id);
+        if (recipe.image) await this.queueImageDelete(recipe);
+        const remaining = await this.store.getRecipesByBarcode(recipe.barcode, { includeTrashed: true });
+        if (!remaining.length && await this.store.getProduct(recipe.barcode)) {
+            await this.sync.deleteProduct(recipe.barcode);
+        }
+        if (recipe.imageId) this.forgetImageUrls(recipe.imageId);
+    },
+
+    trashRetentionDays() {
+        const days = parseInt(Settings.get().trashRetentionDays, 10);
+        return Number.isNaN(days) ? DEFAULT_TRASH_RETENTION_DAYS : days;
+    },
+
+    // Every device purges on its own; deleting the same recipe twice only rewrites its tombstone
+    async purgeExpiredTrash() {
+        const days = this.trashRetentionDays();
+        if (!days || this.sync.readOnly) return 0;
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const expired = (await this.store.getAllRecipes()).filter(recipe => recipe.deletedAt && recipe.deletedAt < cutoff);
+        try {
+            for (const recipe of expired) await this.purgeRecipe(recipe);
+        } catch (err) {
+            console.error('Purging the trash failed:', err);
+        }
+        if (expired.length) {
+            console.log(`Purged ${expired.length} recipes from the trash.`);
+            this.refreshTrash();
+        }
+        return expired.length;
+    },
+
+    async loadTrash() {
+        const recipes = (await this.store.getAllRecipes())
+            .filter(recipe => recipe.deletedAt)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        const days = this.trashRetentionDays();
+        const list = document.getElementById('trash-list');
+
+        document.getElementById('trash-summary').innerText = days
+            ? t(days === 1 ? 'Recipes are removed for good {days} day after they were deleted.' : 'Recipes are removed for good {days} days after they were deleted.', { days })
+            : t('Recipes stay here until you delete them for good.');
+        document.getElementById('btn-empty-trash').disabled = !recipes.length;
+        list.innerHTML = '';
+        if (!recipes.length) {
+            list.innerHTML = html`<li class="empty-state">${t('The trash is empty.')}</li>`;
+            return;
+        }
+        recipes.forEach(recipe => list.appendChild(this.createTrashItem(recipe, days)));
+    },
+
+    createTrashItem(recipe, days) {
+        const item = document.createElement('li');
+        item.className = 'trash-item';
+        const deleted = new Date(recipe.deletedAt);
+        const left = days ? Math.max(0, Math.ceil((deleted.getTime() + days * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000))) : null;
+        item.innerHTML = html`
+            <div class="trash-item-info">
+                <span class="trash-item-name">${recipe.name}${recipe.variant ? ` (${recipe.variant})` : ''}</span>
+                <span class="trash-item-meta">${t('Deleted {date}', { date: deleted.toLocaleDateString(getLanguage()) })}${left !== null ? ` · ${t(left === 1 ? '{count} day left' : '{count} days left', { count: left })}` : ''}</span>
+            </div>
+            <button class="btn-secondary btn-small" data-action="restore">${t('Restore')}</button>
+            <button class="btn-secondary btn-small" data-action="purge">${t('Delete')}</button>
+        `;
+
+        item.querySelector('[data-action="restore"]').onclick = async () => {
+            await this.restoreRecipe(recipe.id);
+            this.loadTrash();
+        };
+        item.querySelector('[data-action="purge"]').onclick = async () => {
+            if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+            if (!confirm(t('Delete "{name}" for good? This can\'t be undone.', { name: recipe.name }))) return;
+            try {
+                await this.purgeRecipe(recipe);
+            } catch (err) {
+                console.error('Delete failed:', err);
+                alert(t('Failed to delete recipe.'));
+            }
+            this.loadTrash();
+        };
+        return item;
+    },
+
+    async emptyTrash() {
+        if (this.sync.readOnly) return alert(t('You have read-only access to this household.'));
+        const recipes = (await this.store.getAllRecipes()).filter(recipe => recipe.deletedAt);
+        if (!recipes.length || !confirm(t(recipes.length === 1
+            ? 'Delete {count} recipe for good? This can\'t be undone.'
+            : 'Delete {count} recipes for good? This can\'t be undone.', { count: recipes.length }))) return;
+        try {
+            for (const recipe of recipes) await this.purgeRecipe(recipe);
+        } catch (err) {
+            console.error('Emptying the trash failed:', err);
+            alert(t('Failed to empty the trash.'));
+        }
+        this.loadTrash();
+    },
+
+    refreshTrash() {
+        if (document.getElementById('view-trash').classList.contains('active')) this.loadTrash();
+    },
+
+    refreshRecipeLists() {
+        this.loadRecentRecipes();
+        if (document.getElementById('view-list').classList.contains('active')) {
+            this.loadFullList();
+        }
+        this.refreshTrash();
+    },
+
+    // A message above the navigation bar, with an optional action such as Undo
+    showSnackbar(message, { actionLabel = '', onAction = null, duration = 6000 } = {}) {
+        clearTimeout(this.snackbarTimer);
+        document.getElementById('snackbar-message').innerText = message;
+        const btn = document.getElementById('btn-snackbar-action');
+        btn.innerText = actionLabel;
+        btn.classList.toggle('hidden', !actionLabel);
+        this.snackbarAction = onAction;
+        document.getElementById('snackbar').classList.remove('hidden');
+        this.snackbarTimer = setTimeout(() => this.hideSnackbar(), duration);
+    },
+
+    hideSnackbar() {
+        clearTimeout(this.snackbarTimer);
+        this.snackbarAction = null;
+        document.getElementById('snackbar').classList.add('hidden');
+    },
+
+    async syncWithCloud() {
+        if (!this.cloud) return;
+
+        const syncStatus = document.getElementById('sync-status');
+        syncStatus.classList.add('syncing');
+
+        try {
+            const changed = await this.sync.sync();
+            await this.migrateBarcodes();
+            await this.purgeExpiredTrash();
+            this.loadRecentRecipes();
+            if (document.getElementById('view-list').classList.contains('active')) {
+                this.loadFullList();
+            }
+            this.refreshPantry();
+            console.log(`Synced with cloud, ${changed} recipes updated locally.`);
+        } catch (err) {
+            console.error("Cloud sync failed:", err);
+        } finally {
+            syncStatus.classList.remove('syncing');
+        }
+    },
+
+    async syncSettingsWithCloud() {
+        if (!this.cloud) return;
+
+        try {
+            const cloudSettings = await this.cloud.getSettings();
+            if (cloudSettings) this.applyCloudSettings(cloudSettings);
+        } catch (err) {
+            console.error("Cloud settings sync failed:", err);
+        }
+    },
+
+    async applyCloudSettings(cloudSettings) {
+        // Documents written before the vault also carry credentials in plain text; those are never taken
+        const legacy = !cloudSettings.preferences;
+        const { preferences } = legacy ? splitSecrets(cloudSettings) : cloudSettings;
+        // Merge cloud settings into local, prioritizing cloud for shared config
+        Settings.savePreferences({ ...Settings.stored(), ...withoutDevicePreferences(preferences) });
+
+        // Only the encrypted blob is synced; a locked device reads it on the next unlock
+        if (cloudSettings.vault) await Settings.vault.adopt(cloudSettings.vault);
+        // Overwrite the plain-text copy as soon as a device that can encrypt sees it, and a vault
+        // pushed by a device that hasn't heard of the new passphrase yet
+        if (((legacy && Settings.vault.unlocked) || Settings.vault.supersedes(cloudSettings.vault)) && this.cloud) {
+            this.cloud.saveSettings(Settings.cloudPayload()).catch(err => console.error("Cloud settings save failed:", err));
+        }
+
+        // Refresh UI inputs, unless they're being edited: the form catches up when settings are opened again
+        if (document.getElementById('view-settings').classList.contains('active')) {
+            this.settingsFormStale = true;
+            this.renderVaultStatus();
+        } else {
+            this.loadSettings();
+        }
+        this.catalog.setProvider(createCatalogProvider(Settings.get()));
+        console.log("Settings synced from cloud.");
+    },
+
+    // Live updates: patch the visible lists instead of re-rendering them
+    upsertRecipeCard(recipe) {
+        if (recipe.deletedAt) return this.removeRecipeCard(recipe.id);
+        ['recent-list', 'full-list'].forEach(listId => {
+            const list = document.getElementById(listId);
+            const existing = list.querySelector(`[data-id="${CSS.escape(recipe.id)}"]`);
+            if (existing) {
+                existing.replaceWith(this.createRecipeCard(recipe));
+            } else if (listId === 'recent-list') {
+                // Recent list only shows the newest few, which is cheap to rebuild
+                this.loadRecentRecipes();
+            } else if (document.getElementById('view-list').classList.contains('active')
+                && this.listQuery && RecipeStore.matchesSearch(recipe, this.listQuery.search.trim().toLowerCase())) {
+                const empty = list.querySelector('.empty-state');
+                if (empty) empty.remove();
+                list.appendChild(this.createRecipeCard(recipe));
+            }
+        });
+    },
+
+    removeRecipeCard(id) {
+        ['recent-list', 'full-list'].forEach(listId => {
+            const card = document.getElementById(listId).querySelector(`[data-id="${CSS.escape(id)}"]`);
+            if (!card) return;
+            if (listId === 'recent-list') {
+                this.loadRecentRecipes();
+            } else {
+                card.remove();
+                if (!document.getElementById(listId).children.length) {
+                    document.getElementById(listId).innerHTML = html`<div class="empty-state">${t('No recipes saved yet.')}</div>`;
+                }
+            }
+        });
+    },
+
+    // Read-only nutrition table with a per-serving / per-100g switch
+    renderNutritionTable(container, nutrition, basis = null) {
+        const unit = nutrition.unit || 'g';
+        const canShowServing = NUTRIENTS.some(n => nutritionValue(nutrition, n.key, 'perServing') !== null);
+        const canShow100 = NUTRIENTS.some(n => nutritionValue(nutrition, n.key, 'per100') !== null);
+        const current = basis || (canShowServing ? 'perServing' : 'per100');
+        const views = [
+            ['perServing', nutrition.servingSize ? t('Per serving ({size})', { size: `${nutrition.servingSize}${unit}` }) : t('Per serving'), canShowServing],
+            ['per100', t('Per 100{unit}', { unit }), canShow100]
+        ];
+
+        container.innerHTML = html`<h3>${t('Nutrition Facts')}</h3>`;
+        const tabs = document.createElement('div');
+        tabs.className = 'variant-tabs';
+        views.filter(([, , available]) => available).forEach(([key, label]) => {
+            const tab = document.createElement('button');
+            tab.className = `variant-tab${key === current ? ' active' : ''}`;
+            tab.innerText = label;
+            tab.onclick = () => this.renderNutritionTable(container, nutrition, key);
+            tabs.appendChild(tab);
+        });
+        container.appendChild(tabs);
+
+        const table = document.createElement('table');
+        table.className = 'nutrition-table';
+        NUTRIENTS.forEach(nutrient => {
+            const value = nutritionValue(nutrition, nutrient.key, current);
+            if (value === null) return;
+            const row = table.insertRow();
+            if (nutrient.label.startsWith('of which')) row.className = 'sub-row';
+            row.insertCell().innerText = t(nutrient.label);
+            row.insertCell().innerText = formatNutrient(value, nutrient.unit);
+        });
+        container.appendChild(table);
+    },
+
+    // The reader's unit system and microwave, as findConversions() takes them
+    unitOptions() {
+        const settings = Settings.get();
+        return {
+            system: UNIT_SYSTEMS[settings.unitSystem] ? settings.unitSystem : '',
+            microwaveWatts: parseInt(settings.microwaveWatts, 10) || 0,
+            locale: getLanguage()
+        };
+    },
+
+    quantityConverter() {
+        const options = this.unitOptions();
+        return (text) => findConversions(text, options);
+    },
+
+    // Swaps a converted quantity with what the pack says
+    toggleQuantity(el) {
+        const shown = el.textContent;
+        el.textContent = el.dataset.alternate;
+        el.dataset.alternate = shown;
+    },
+
+    /**
+     * The wattage a microwave step's times were written for: stated in the
+     * step, else the pack's note with the same time, else the pack's only note.
+     */
+    stepWattage(step, notes = []) {
+        if (step.method !== 'microwave') return null;
+        const stated = statedWattage(step.text);
+        if (stated) return stated;
+        const [first] = step.durations;
+        const note = first && notes.find(n => n.seconds === first.seconds);
+        if (note) return note.watts;
+        return notes.length === 1 ? notes[0].watts : null;
+    },
+
+    renderStructuredRecipe(container, structured) {
+        const { microwaveWatts } = this.unitOptions();
+        const notes = structured.wattage || [];
+        // The pack's note nearest the reader's microwave, rescaled to it; the others only add noise
+        const nearest = microwaveWatts && notes.length
+            ? notes.reduce((best, note) => (Math.abs(note.watts - microwaveWatts) < Math.abs(best.watts - microwaveWatts) ? note : best))
+            : null;
+        const chips = [];
+        if (structured.method) chips.push({ text: t(COOKING_METHODS[structured.method] || structured.method) });
+        if (structured.servings) chips.push({ text: t('Serves {count}', { count: structured.servings }) });
+        if (nearest && nearest.watts !== microwaveWatts) {
+            chips.push({
+                text: formatWattage([{
+                    watts: microwaveWatts,
+                    seconds: rescaleMicrowave(nearest.seconds, nearest.watts, microwaveWatts),
+                    maxSeconds: nearest.maxSeconds && rescaleMicrowave(nearest.maxSeconds, nearest.watts, microwaveWatts)
+                }]),
+                alternate: formatWattage(notes)
+            });
+        } else if (nearest) {
+            chips.push({ text: formatWattage([nearest]) });
+        } else {
+            notes.forEach(note => chips.push({ text: formatWattage([note]) }));
+        }
+        if (structured.standSeconds) chips.push({ text: t('Stand {duration}', { duration: formatDuration(structured.standSeconds) }) });
+
+        const summary = document.createElement('div');
+        summary.className = 'recipe-chips';
+        chips.forEach(({ text, alternate }) => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.innerText = text;
+            if (alternate) {
+                chip.classList.add('quantity');
+                chip.setAttribute('role', 'button');
+                chip.tabIndex = 0;
+                chip.dataset.alternate = alternate;
+            }
+            summary.appendChild(chip);
+        });
+
+        const convert = this.quantityConverter();
+        const steps = document.createElement('ol');
+        steps.className = 'step-list';
+        structured.steps.forEach(step => {
+            const item = document.createElement('li');
+            const text = document.createElement('p');
+            text.innerHTML = formatQuantities(step.text, convert);
+            item.appendChild(text);
+            const meta = this.describeStep(step);
+            if (meta) {
+                const small = document.createElement('small');
+                small.innerText = meta;
+                item.appendChild(small);
+            }
+            steps.appendChild(item);
+        });
+
+        container.innerHTML = '';
+        if (chips.length) container.appendChild(summary);
+        container.appendChild(steps);
+    },
+
+    // Guided cooking mode
+    startCooking(recipe) {
+        const structured = recipe.structured && recipe.structured.steps.length
+            ? recipe.structured
+            : parseRecipe(recipe.instructions || '');
+        if (!structured.steps.length) return alert(t('This recipe has no steps to follow yet.'));
+
+        this.cooking = {
+            recipe,
+            steps: structured.steps,
+            wattage: structured.wattage || [],
+            standSeconds: structured.standSeconds,
+            index: 0,
+            startedAt: Date.now(),
+            autoRead: false
+        };
+        this.timerBoard.clear();
+        this.wakeLock.enable();
+        document.getElementById('cooking-title').innerText = recipe.name;
+        this.updateReadButton();
+        this.switchView('view-cooking');
+        this.showCookingStep(0);
+    },
+
+    showCookingStep(index) {
+        const { steps } = this.cooking;
+        if (index < 0 || index >= steps.length) return;
+        this.cooking.index = index;
+        const step = steps[index];
+
+        const options = this.unitOptions();
+        document.getElementById('cooking-progress').innerText = t('Step {number} of {total}', { number: index + 1, total: steps.length });
+        document.getElementById('cooking-step').innerHTML = formatQuantities(step.text, (text) => findConversions(text, options));
+        document.getElementById('btn-prev-step').disabled = index === 0;
+        document.getElementById('btn-next-step').innerText = index === steps.length - 1 ? t('Finish ✓') : t('Next →');
+
+        // One-tap timers for every duration found in the step, timed for the reader's microwave
+        const fromWatts = options.microwaveWatts ? this.stepWattage(step, this.cooking.wattage) : null;
+        const rescale = (seconds) => rescaleMicrowave(seconds, fromWatts, options.microwaveWatts);
+        const timers = step.durations.map(d => ({ seconds: rescale(d.seconds), maxSeconds: d.maxSeconds && rescale(d.maxSeconds) }));
+        const standSeconds = step.standSeconds || (index === steps.length - 1 ? this.cooking.standSeconds : null);
+        if (standSeconds && !timers.some(timer => timer.seconds === standSeconds)) {
+            timers.push({ seconds: standSeconds, stand: true });
+        }
+
+        const container = document.getElementById('cooking-step-timers');
+        container.innerHTML = '';
+        timers.forEach(timer => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-timer';
+            const range = timer.maxSeconds ? ` - ${formatDuration(timer.maxSeconds)}` : '';
+            btn.innerText = `⏱ ${timer.stand ? `${t('Stand')} ` : ''}${formatDuration(timer.seconds)}${range}`;
+            btn.onclick = () => this.timerBoard.start(timer.stand ? t('Stand') : t('Step {number}', { number: index + 1 }), timer.seconds);
+            container.appendChild(btn);
+        });
+        if (fromWatts && fromWatts !== options.microwaveWatts && step.durations.length) {
+            const note = document.createElement('small');
+            note.className = 'timer-note';
+            note.innerText = t('Timed for your {watts} W microwave; the pack says {from} W.', { watts: options.microwaveWatts, from: fromWatts });
+            container.appendChild(note);
+        }
+
+        if (this.cooking.autoRead) speak(convertText(step.text, options));
+    },
+
+    updateReadButton() {
+        const btn = document.getElementById('btn-read-step');
+        btn.innerText = this.cooking.autoRead ? '🔊' : '🔈';
+        btn.classList.toggle('active', this.cooking.autoRead);
+    },
+
+    async finishCooking() {
+        const { recipe, startedAt } = this.cooking;
+        const now = new Date().toISOString();
+        this.exitCooking();
+
+        try {
+            // Start from the stored copy in case it changed while we were cooking
+            const latest = (await this.store.getRecipe(recipe.id)) || recipe;
+            const updated = {
+                ...latest,
+                lastCooked: now,
+                cookedHistory: [
+                    ...(latest.cookedHistory || []),
+                    { date: now, durationSeconds: Math.round((Date.now() - startedAt) / 1000) }
+                ]
+            };
+            await this.sync.saveRecipe(updated);
+            // One pack of the product went into the pan; a viewer's stock is the household's to change
+            if (!this.sync.readOnly) {
+                await this.useStockItem(recipe.barcode).catch(err => console.error('Updating pantry stock failed:', err));
+            }
+            this.loadRecentRecipes();
+            this.showRecipeDetail(updated);
+        } catch (err) {
+            console.error('Saving cooking session failed:', err);
+            this.showRecipeDetail(recipe);
+        }
+    },
+
+    exitCooking() {
+        this.timerBoard.clear();
+        this.wakeLock.disable();
+        stopSpeaking();
+    },
+
+    async exportBackup() {
+        const btn = document.getElementById('btn-export-json');
+        const originalText = btn.innerText;
+        btn.disabled = true;
+
+        try {
+            const recipes = await this.store.getAllRecipes();
+            const products = await this.store.getAllProducts();
+            const backup = await buildBackup(recipes, products, {
+                loadImage: async (imageId) => {
+                    const image = await this.store.getImage(imageId);
+                    return image ? image.blob : null;
+                },
+                onProgress: (done, total) => { btn.innerText = t('Exporting {done}/{total}...', { done, total }); }
+            });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`recipescan-backup-${date}.json`, JSON.stringify(backup), 'application/json');
+        } catch (err) {
+            console.error('Export failed:', err);
+            alert(t('Export failed.'));
+        } finally {
+            btn.innerText = originalText;
+            btn.disabled = false;
+        }
+    },
+
+    async exportCsv() {
+        const recipes = (await this.store.getAllRecipes()).filter(recipe => !recipe.deletedAt);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`recipescan-${date}.csv`, toCsv(recipes), 'text/csv');
+    },
+
+    async previewImport(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (err) {
+            return alert(t('This file is not valid JSON.'));
+        }
+
+        const { recipes, products, errors } = validateBackup(data);
+        if (!recipes.length) {
+            return alert(`${t('Nothing to import.')}\n${errors.join('\n')}`);
+        }
+
+        const plan = await planImport(recipes, (id) => this.store.getRecipe(id));
+        this.pendingImport = { plan, products };
+
+        const counts = plan.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+        document.getElementById('import-summary').innerText = t(
+            plan.length === 1
+                ? '{count} recipe in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.'
+                : '{count} recipes in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.',
+            { count: plan.length, new: counts.new || 0, newer: counts.newer || 0, older: counts.older || 0, identical: counts.identical || 0 }
+        );
+
+        const errorList = document.getElementById('import-errors');
+        errorList.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.innerText = error;
+            errorList.appendChild(li);
+        });
+
+        const statusLabels = { new: t('New'), newer: t('Newer'), older: t('Older'), identical: t('Unchanged') };
+        const list = document.getElementById('import-list');
+        list.innerHTML = '';
+        plan.forEach(({ recipe, status }) => {
+            const li = document.createElement('li');
+            li.innerHTML = html`<span class="import-name"></span><span class="import-status ${status}">${statusLabels[status]}</span>`;
+            li.querySelector('.import-name').innerText = `${recipe.name}${recipe.variant ? ` · ${recipe.variant}` : ''} (${formatBarcode(recipe.barcode)})`;
+            list.appendChild(li);
+        });
+
+        document.getElementById('import-preview').classList.remove('hidden');
+    },
+
+    async applyImport() {
+        if (!this.pendingImport) return;
+        const strategy = document.getElementById('import-strategy').value;
+        const { plan, products } = this.pendingImport;
+        const selected = selectImports(plan, strategy);
+
+        try {
+            for (const { recipe, existing, status } of selected) {
+                // Overwrites count as fresh edits so they also win in the cloud
+                await this.importRecipe(recipe, existing, products, { preserveTimestamp: strategy !== 'overwrite' || status === 'new' });
+            }
+            alert(t(selected.length === 1 ? 'Imported {count} recipe.' : 'Imported {count} recipes.', { count: selected.length }));
+        } catch (err) {
+            console.error('Import failed:', err);
+            alert(t('Import failed.'));
+        }
+
+        // Archives from older versions may use non-canonical barcodes
+        await this.migrateBarcodes();
+        this.closeImportPreview();
+        this.loadRecentRecipes();
+    },
+
+    closeImportPreview() {
+        this.pendingImport = null;
+        document.getElementById('import-preview').classList.add('hidden');
+    },
+
+    /**
+     * Saves one validated recipe from an archive or share code, with its
+     * product if this device has none. `keepPhoto` keeps the existing copy's
+     * photo when the incoming recipe comes without one.
+     */
+    async importRecipe(recipe, existing, products, { preserveTimestamp, keepPhoto = false }) {
+        const { image, ...fields } = recipe;
+        const imported = { ...fields, image: image || null, imageId: null };
+        if (image && image.startsWith('data:')) {
+            imported.image = null;
+            imported.imageId = await this.store.saveImage(await prepareImage(dataUrlToBlob(image)), recipe.id);
+        }
+        const keep = keepPhoto && existing && !image;
+        if (keep) {
+            imported.image = existing.image || null;
+            imported.imageId = existing.imageId || null;
+            imported.imagePublicId = existing.imagePublicId || null;
+        }
+        await this.sync.saveRecipe(imported, { preserveTimestamp });
+        if (existing && existing.imageId && !keep) await this.forgetImage(existing.imageId);
+        if (imported.imageId && this.cloudinaryClient().canUpload) await this.queueImageUpload(imported);
+
+        // Products already on this device are kept as they are
+        if (!(await this.store.getProduct(recipe.barcode))) {
+            const product = products.find(p => p.barcode === recipe.barcode) || { barcode: recipe.barcode, name: recipe.name };
+            await this.sync.saveProduct({ ...product }, { preserveTimestamp: true });
+        }
+        return imported;
+    },
+
+    // Share codes come from scanned QR codes, opened links and links shared into the app
+    async openShareToken(token) {
+        let archive;
+        try {
+            archive = await decodeShareToken(token);
+        } catch (err) {
+            console.error('Reading share code failed:', err);
+            return alert(err instanceof ShareError ? err.message : t('Could not read this share code.'));
+        }
+
+        const { recipes, products, errors } = validateBackup(archive);
+        if (!recipes.length) return alert(`${t('This shared recipe can\'t be imported.')}\n${errors.join('\n')}`);
+        const [{ recipe, existing, status }] = await planImport(recipes, (id) => this.store.getRecipe(id));
+        const label = `"${recipe.name}${recipe.variant ? ` · ${recipe.variant}` : ''}"`;
+
+        if (status === 'identical') {
+            alert(t('You already have {recipe}.', { recipe: label }));
+            return this.showRecipeDetail(existing);
+        }
+        const question = existing
+            ? t('You already have {recipe}. Replace your copy with the shared one?', { recipe: label })
+            : t('Add the shared recipe {recipe} ({barcode})?', { recipe: label, barcode: formatBarcode(recipe.barcode) });
+        if (!confirm(errors.length ? `${question}\n\n${errors.join('\n')}` : question)) return;
+
+        try {
+            // A replaced copy counts as a fresh edit, like an overwriting import
+            const imported = await this.importRecipe(recipe, existing, products, { preserveTimestamp: !existing, keepPhoto: true });
+            await this.migrateBarcodes();
+            this.loadRecentRecipes();
+            this.showRecipeDetail((await this.store.getRecipe(imported.id)) || imported);
+        } catch (err) {
+            console.error('Import failed:', err);
+            alert(t('Import failed.'));
+        }
+    },
+
+    async openShare(recipe) {
+        const product = await this.store.getProduct(recipe.barcode);
+        this.sharing = { recipe, product, token: null };
+        document.getElementById('share-title').innerText = `${recipe.name}${recipe.variant ? ` · ${recipe.variant}` : ''}`;
+        const qr = document.getElementById('share-qr');
+        const message = document.getElementById('share-qr-message');
+        qr.innerHTML = '';
+        message.innerText = '';
+        document.getElementById('btn-share-send').innerText = navigator.share ? t('Send File') : t('Download File');
+        this.switchView('view-share');
+
+        try {
+            const token = await encodeShareToken(recipe, { productName: product ? product.name : '' });
+            qr.innerHTML = qrCodeSvg(shareLink(token));
+            this.sharing.token = token;
+            message.innerText = t('Scan with RecipeScan on another phone, or with any camera app to open the link.');
+        } catch (err) {
+            console.warn('No QR code for this recipe:', err);
+            message.innerText = err instanceof ShareError ? err.message : t('Could not create a QR code. Send the file instead.');
+        }
+        document.getElementById('btn-share-copy').disabled = !this.sharing.token;
+        this.renderCopyTargets();
+    },
+
+    // The personal recipes and the households the user may edit, other than the one in use
+    renderCopyTargets() {
+        const cloud = this.cloud;
+        const current = cloud && cloud.household ? cloud.household.id : '';
+        const households = cloud && cloud.hasAccounts
+            ? this.households.filter(h => h.id !== current && ['owner', 'editor'].includes(h.roles[cloud.userId]))
+            : [];
+        const select = document.getElementById('share-target');
+        select.innerHTML = '';
+        if (current) select.appendChild(new Option(t('My recipes'), ''));
+        households.forEach(household => select.appendChild(new Option(household.name, household.id)));
+        document.getElementById('share-copy-to').classList.toggle('hidden', !select.options.length);
+    },
+
+    // Copies the recipe, its product and photo into another space's database and sends them to that space
+    async copyRecipeTo(householdId) {
+        if (!this.sharing || !this.cloud) return;
+        const { recipe, product } = this.sharing;
+        const household = this.households.find(h => h.id === householdId) || null;
+        const target = household ? household.name : t('My recipes');
+        const store = new RecipeStore(RecipeStore.nameFor(householdId));
+        const btn = document.getElementById('btn-share-copy-to');
+        btn.disabled = true;
+        try {
+            await store.init();
+            const existing = await store.getRecipe(recipe.id);
+            if (existing && !confirm(t('{target} already has this recipe. Replace it?', { target }))) return;
+
+            const copy = { ...shareableRecipe(recipe), image: recipe.image || null, imageId: null };
+            const image = recipe.imageId ? await this.store.getImage(recipe.imageId) : null;
+            if (image) copy.imageId = await store.saveImage({ blob: image.blob, thumb: image.thumb }, copy.id);
+            if (existing && existing.imageId) await store.deleteImage(existing.imageId);
+
+            const sync = new SyncEngine(store);
+            sync.setCloud(await this.cloud.space(household));
+            await sync.saveRecipe(copy);
+            if (product && !(await store.getProduct(product.barcode))) await sync.saveProduct({ ...product }, { preserveTimestamp: true });
+            // Whatever can't be sent now goes out when the space is next opened
+            await sync.flush();
+            this.showSnackbar(t('Copied to {target}.', { target }), { duration: 3000 });
+        } catch (err) {
+            console.error('Copying the recipe failed:', err);
+            alert(t('Could not copy the recipe.'));
+        } finally {
+            store.close();
+            btn.disabled = false;
+        }
+    },
+
+    async copyShareLink() {
+        if (!this.sharing || !this.sharing.token) return;
+        const link = shareLink(this.sharing.token);
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showSnackbar(t('Link copied.'), { duration: 3000 });
+        } catch (err) {
+            // Clipboard access can be refused; the link can still be copied by hand
+            prompt(t('Copy this link:'), link);
+        }
+    },
+
+    // The file is a one-recipe backup, so "Import Backup" reads it too; the photo is embedded
+    async sendShareFile() {
+        if (!this.sharing) return;
+        const { recipe, product } = this.sharing;
+        const btn = document.getElementById('btn-share-send');
+        btn.disabled = true;
+        try {
+            const archive = await buildBackup(
+                [{ ...shareableRecipe(recipe), image: recipe.image || null, imageId: recipe.imageId || null }],
+                product ? [product] : [],
+                {
+                    loadImage: async (imageId) => {
+                        const image = await this.store.getImage(imageId);
+                        return image ? image.blob : null;
+                    }
+                }
+            );
+            const name = `${recipe.name}${recipe.variant ? ` ${recipe.variant}` : ''}`.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+            const filename = `recipescan-${name || recipe.barcode}.json`;
+            const content = JSON.stringify(archive);
+            const file = new File([content], filename, { type: 'application/json' });
+
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                const text = this.sharing.token ? t('Open in RecipeScan: {link}', { link: shareLink(this.sharing.token) }) : '';
+                await navigator.share({ files: [file], title: recipe.name, text });
+            } else {
+                downloadFile(filename, content, 'application/json');
+            }
+        } catch (err) {
+            // Closing the share sheet is not an error
+            if (err.name !== 'AbortError') {
+                console.error('Sharing failed:', err);
+                alert(t('Could not share the recipe.'));
+            }
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    // Fills the print-only card and opens the print dialog
+    async printRecipeCard() {
+        if (!this.sharing) return;
+        const { recipe, token } = this.sharing;
+        const card = document.getElementById('print-card');
+        const hasSteps = !!(recipe.structured && recipe.structured.steps.length);
+        const imageUrl = this.safeImage(await this.getRecipeImageUrl(recipe));
+        card.innerHTML = html`
+            <div class="print-card-header">
+                <div>
+                    <h1>${recipe.name}</h1>
+                    ${recipe.variant ? html`<p class="print-card-variant">${recipe.variant}</p>` : ''}
+                    <p class="print-card-barcode">${formatBarcode(recipe.barcode)}</p>
+                </div>
+                ${token ? raw(`<div class="print-card-qr">${qrCodeSvg(shareLink(token), { margin: 0 })}</div>`) : ''}
+            </div>
+            ${imageUrl ? html`<img class="print-card-img" src="${imageUrl}" alt="">` : ''}
+            <div id="print-card-steps"></div>
         `;
+        const steps = document.getElementById('print-card-steps');
+        if (hasSteps) this.renderStructuredRecipe(steps, recipe.structured);
+        else steps.innerHTML = html`<div class="recipe-text">${recipe.instructions ? formatInstructions(recipe.instructions, { convert: this.quantityConverter() }) : t('No instructions provided.')}</div>`;
+
+        const img = card.querySelector('img');
+        if (img) await img.decode().catch(() => {});
+        window.print();
+    },
+
+    // Switch between variants of the same product, or add another one
+    async renderVariantTabs(recipe) {
+        const variants = await this.store.getRecipesByBarcode(recipe.barcode);
+        const tabs = document.getElementById('variant-tabs');
+        if (!tabs) return;
+        tabs.innerHTML = '';
+
+        if (variants.length > 1) {
+            variants.forEach((variant, i) => {
+                const tab = document.createElement('button');
+                tab.className = `variant-tab${variant.id === recipe.id ? ' active' : ''}`;
+                tab.innerText = variant.variant || t('Variant {number}', { number: i + 1 });
+                tab.onclick = () => this.showRecipeDetail(variant);
+                tabs.appendChild(tab);
+            });
+        }
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'variant-tab add';
+        addBtn.innerText = t('+ Add Variant');
+        addBtn.onclick = () => this.newRecipeEntry(recipe.barcode);
+        tabs.appendChild(addBtn);
+    },
+
+    async loadConflicts() {
+        const conflicts = await this.sync.getConflicts();
+        const section = document.getElementById('sync-conflicts');
+        const list = document.getElementById('conflict-list');
+        section.classList.toggle('hidden', conflicts.length === 0);
+        list.innerHTML = '';
+
+        conflicts.forEach(conflict => {
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+            const record = conflict.kept || conflict.overwritten || {};
+            const name = `${record.name || conflict.docId}${record.variant ? ` (${record.variant})` : ''}${conflict.collection === 'products' ? ` · ${t('product')}` : ''}${conflict.collection === 'pantry' ? ` · ${t('pantry stock')}` : ''}`;
+            const kept = conflict.kept ? t('the edit from {date}', { date: new Date(SyncEngine.stamp(conflict.kept)).toLocaleString(getLanguage()) }) : t('the deletion');
+            const lost = conflict.overwritten ? t('an edit from {date}', { date: new Date(SyncEngine.stamp(conflict.overwritten)).toLocaleString(getLanguage()) }) : t('a deletion');
+
+            item.innerHTML = html`
+                <div class="conflict-info">
+                    <h4></h4>
+                    <p></p>
+                </div>
+                <div class="conflict-actions">
+                    <button class="btn-secondary btn-small" data-action="restore">${t('Restore')}</button>
+                    <button class="btn-secondary btn-small" data-action="dismiss">${t('Dismiss')}</button>
+                </div>
+            `;
+            item.querySelector('h4').innerText = name;
+            item.querySelector('p').innerText = t('Kept {kept}, overwrote {lost}.', { kept, lost });
+
+            item.querySelector('[data-action="restore"]').onclick = async () => {
+                await this.sync.restoreConflict(conflict);
+                this.loadRecentRecipes();
+                this.loadConflicts();
+            };
+            item.querySelector('[data-action="dismiss"]').onclick = async () => {
+                await this.sync.dismissConflict(conflict.id);
+                this.loadConflicts();
+            };
+
+            list.appendChild(item);
+        });
+    },
+
+    showRecipeDetail(recipe) {
+        const container = document.getElementById('recipe-detail-content');
+        const hasSteps = !!(recipe.structured && recipe.structured.steps.length);
+        const convert = this.quantityConverter();
+        container.innerHTML = html`
+            <div class="detail-header">
+                <div>
+                    <h2>${recipe.name}</h2>
+                    ${recipe.draft ? html`<span class="variant-tag draft-tag">${t('Draft')}</span>` : ''}
+                    ${recipe.variant ? html`<span class="variant-tag">${recipe.variant}</span>` : ''}
+                </div>
+                <div class="detail-actions">
+                    <button class="btn-edit-detail" id="btn-share-recipe-detail">${t('Share')}</button>
+                    <button class="btn-edit-detail" id="btn-edit-recipe-detail">${t('Edit')}</button>
+                    <button class="btn-delete-detail" id="btn-delete-recipe-detail">${t('Delete Recipe')}</button>
+                </div>
+            </div>
+            <div class="meta">${t('Barcode: {barcode}', { barcode: formatBarcode(recipe.barcode) })}</div>
+            <div id="detail-stock" class="meta stock-meta"></div>
+            ${recipe.productInfo && (recipe.productInfo.brand || recipe.productInfo.category) ? html`
+                <div class="meta">${[recipe.productInfo.brand, recipe.productInfo.category].filter(Boolean).join(' · ')}</div>
+            ` : ''}
+            <div id="variant-tabs" class="variant-tabs"></div>
+            ${recipe.cookedHistory && recipe.cookedHistory.length ? html`
+                <div class="meta cooked-meta">${t('Cooked {count}× · last on {date}', { count: recipe.cookedHistory.length, date: new Date(recipe.lastCooked).toLocaleDateString(getLanguage()) })}</div>
+            ` : ''}
+            ${recipe.image || recipe.imageId ? raw('<img class="detail-img" id="detail-img">') : ''}
+            <button class="btn-primary btn-start-cooking" id="btn-start-cooking">👩‍🍳 ${t('Start Cooking')}</button>
+            ${hasSteps ? html`
+                <div id="structured-view"></div>
+                <details class="original-text">
+                    <summary>${t('Original instructions')}</summary>
+                    <div class="recipe-text">${formatInstructions(recipe.instructions, { convert })}</div>
+                </details>
+            ` : html`<div class="recipe-text">${recipe.instructions ? formatInstructions(recipe.instructions, { convert }) : t('No instructions provided.')}</div>`}
+            ${hasNutrition(recipe.nutrition) ? raw('<div id="nutrition-view" class="nutrition-view"></div>') : ''}
+        `;
+
+        if (hasSteps) this.renderStructuredRecipe(document.getElementById('structured-view'), recipe.structured);
+        if (hasNutrition(recipe.nutrition)) this.renderNutritionTable(document.getElementById('nutrition-view'), recipe.nutrition);
+        this.renderVariantTabs(recipe);
+        this.showDetailImage(recipe);
+        this.renderDetailStock(recipe);
+
+        document.getElementById('btn-start-cooking').addEventListener('click', () => {
+            this.startCooking(recipe);
+        });
+
+        document.getElementById('btn-share-recipe-detail').addEventListener('click', () => {
+            this.openShare(recipe);
+        });
+
+        document.getElementById('btn-edit-recipe-detail').addEventListener('click', () => {
+            this.editRecipe(recipe);
+        });
 
         document.getElementById('btn-delete-recipe-detail').addEventListener('click', () => {
-            this.confirmDelete(recipe);
+            this.trashRecipe(recipe);
         });
 
         this.switchView('view-recipe-detail');
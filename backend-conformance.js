@@ -0,0 +1,274 @@
+/**
+ * RecipeScan DB - Sync backend conformance suite
+ *
+ * What the SyncEngine relies on, checked against a live backend. The suite
+ * runs in a scratch space on the same connection, so the user's recipes and
+ * settings are never touched, and deletes that space when it is done.
+ * Settings → Cloud Sync → "Test Backend" runs it for the configured backend.
+ */
+
+import { COLLECTION_KEYS } from "./sync-backends.js";
+
+const FEED_TIMEOUT = 10 * 1000;
+const FEED_INTERVAL = 500;
+
+class ConformanceError extends Error {}
+
+// Key order doesn't matter, everything else does
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((out, key) => ({ ...out, [key]: canonical(value[key]) }), {});
+    }
+    return value;
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(canonical(actual));
+    const b = JSON.stringify(canonical(expected));
+    if (a !== b) throw new ConformanceError(`${message}\nexpected ${b}\n     got ${a}`);
+}
+
+function assert(condition, message) {
+    if (!condition) throw new ConformanceError(message);
+}
+
+function sortById(records, collectionName = 'recipes') {
+    const key = COLLECTION_KEYS[collectionName];
+    return [...records].sort((a, b) => String(a[key]).localeCompare(String(b[key])));
+}
+
+function recipe(id, fields = {}) {
+    return {
+        id,
+        barcode: '04006381333931',
+        name: 'Test recipe',
+        instructions: 'Heat for 3 minutes.',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        updatedBy: 'conformance',
+        ...fields
+    };
+}
+
+// Resolves once `check()` passes for a value the feed delivered
+function waitFor(events, check, what) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const look = () => {
+            if (events.some(check)) return resolve();
+            if (Date.now() - started > FEED_TIMEOUT) return reject(new ConformanceError(`The change feed never reported ${what}.`));
+            setTimeout(look, 100);
+        };
+        look();
+    });
+}
+
+/**
+ * Each test gets a fresh, empty scratch space (`space`), a function to open
+ * another one (`scratch(name)`) and, if it sets `needsPeer`, a second client
+ * of the same space (`peer`).
+ */
+export const CONFORMANCE_TESTS = [
+    {
+        name: 'A new space is empty',
+        async run(space) {
+            for (const collectionName of Object.keys(COLLECTION_KEYS)) {
+                assertEqual(await space.getAllRecords(collectionName), [], `${collectionName} should start empty`);
+            }
+            assertEqual(await space.getTombstones(), [], 'tombstones should start empty');
+            assertEqual(await space.getSettings(), null, 'settings should start as null');
+        }
+    },
+    {
+        name: 'Saves and reads back a record unchanged',
+        async run(space) {
+            const record = recipe('r-1', {
+                variant: 'Oven — 180 °C',
+                structured: { steps: [{ text: 'Bake', minutes: 12, temperature: { value: 180, unit: 'C' } }] },
+                nutrition: null,
+                tags: ['quick', 'vegetarian'],
+                cooked: 0
+            });
+            await space.saveRecord('recipes', record);
+            assertEqual(await space.getRecord('recipes', 'r-1'), record, 'the stored record differs');
+        }
+    },
+    {
+        name: 'Ids with special characters round-trip',
+        async run(space) {
+            // No "/": Firestore document ids can't hold one, and the app never makes such ids
+            const ids = ['a b', 'q?x=1&y#z', 'ünïcödé-🍕', '50%', 'dots.and:colons'];
+            for (const id of ids) await space.saveRecord('recipes', recipe(id));
+            for (const id of ids) {
+                const stored = await space.getRecord('recipes', id);
+                assert(stored && stored.id === id, `record "${id}" could not be read back`);
+            }
+            assertEqual(sortById(await space.getAllRecords('recipes')).map(r => r.id), [...ids].sort(), 'listing returned other ids');
+        }
+    },
+    {
+        name: 'Saving replaces the whole record',
+        async run(space) {
+            await space.saveRecord('recipes', recipe('r-1', { variant: 'Microwave', draft: true }));
+            const replacement = recipe('r-1', { name: 'Renamed', updatedAt: '2024-02-01T00:00:00.000Z' });
+            await space.saveRecord('recipes', replacement);
+            assertEqual(await space.getRecord('recipes', 'r-1'), replacement, 'fields from the old copy survived');
+        }
+    },
+    {
+        name: 'Writes made alongside the first reads of a space are kept',
+        async run(space) {
+            // A server that loads a space per request can let a late read replace the copy a write went to
+            const ids = ['r-1', 'r-2', 'r-3', 'r-4'];
+            await Promise.all(ids.flatMap(id => [
+                space.getAllRecords('recipes'),
+                space.saveRecord('recipes', recipe(id)),
+                space.getTombstones()
+            ]));
+            assertEqual(sortById(await space.getAllRecords('recipes')).map(r => r.id), ids, 'a write was lost');
+        }
+    },
+    {
+        name: 'Missing records read as null',
+        async run(space) {
+            assertEqual(await space.getRecord('recipes', 'does-not-exist'), null, 'a missing record should be null');
+        }
+    },
+    {
+        name: 'Collections are kept apart',
+        async run(space) {
+            const product = { barcode: 'shared-key', name: 'Product', updatedAt: '2024-01-01T00:00:00.000Z' };
+            await space.saveRecord('products', product);
+            await space.saveRecord('recipes', recipe('shared-key'));
+            await space.saveRecord('recipes', recipe('r-2'));
+            assertEqual(await space.getAllRecords('products'), [product], 'products listing is wrong');
+            assertEqual(sortById(await space.getAllRecords('recipes')).map(r => r.id), ['r-2', 'shared-key'], 'recipes listing is wrong');
+            assertEqual(await space.getRecord('products', 'shared-key'), product, 'product was overwritten by the recipe');
+        }
+    },
+    {
+        name: 'Deleting removes the record and leaves a tombstone',
+        async run(space) {
+            await space.saveRecord('recipes', recipe('r-1'));
+            await space.saveRecord('recipes', recipe('r-2'));
+            const deletedAt = '2024-03-01T12:00:00.000Z';
+            await space.deleteRecord('recipes', 'r-1', deletedAt);
+            assertEqual(await space.getRecord('recipes', 'r-1'), null, 'the deleted record is still there');
+            assertEqual((await space.getAllRecords('recipes')).map(r => r.id), ['r-2'], 'the listing still has the deleted record');
+            assertEqual(await space.getTombstones(), [{ collection: 'recipes', id: 'r-1', deletedAt }], 'tombstone is wrong');
+        }
+    },
+    {
+        name: 'Deleting a record that was never saved still leaves a tombstone',
+        async run(space) {
+            const deletedAt = '2024-03-01T12:00:00.000Z';
+            await space.deleteRecord('products', 'never-saved', deletedAt);
+            assertEqual(await space.getTombstones(), [{ collection: 'products', id: 'never-saved', deletedAt }], 'tombstone is wrong');
+        }
+    },
+    {
+        name: 'A record can be saved again after a delete',
+        async run(space) {
+            await space.saveRecord('recipes', recipe('r-1'));
+            await space.deleteRecord('recipes', 'r-1', '2024-03-01T12:00:00.000Z');
+            const again = recipe('r-1', { updatedAt: '2024-04-01T00:00:00.000Z' });
+            await space.saveRecord('recipes', again);
+            assertEqual(await space.getRecord('recipes', 'r-1'), again, 'the re-saved record is missing');
+        }
+    },
+    {
+        name: 'Settings are stored and replaced whole',
+        async run(space) {
+            const first = { preferences: { catalogProvider: 'openfoodfacts', ocrLanguages: 'eng+deu' }, vault: { version: 1, salt: 'c2FsdA==' } };
+            await space.saveSettings(first);
+            assertEqual(await space.getSettings(), first, 'settings differ');
+            const second = { preferences: { ocrLanguages: 'fra' } };
+            await space.saveSettings(second);
+            assertEqual(await space.getSettings(), second, 'old settings survived the replace');
+        }
+    },
+    {
+        name: 'Spaces are isolated from each other',
+        async run(space, scratch) {
+            const other = await scratch('other');
+            try {
+                await space.saveRecord('recipes', recipe('r-1'));
+                await space.saveSettings({ preferences: { a: 1 } });
+                assertEqual(await other.getAllRecords('recipes'), [], 'a record leaked into another space');
+                assertEqual(await other.getSettings(), null, 'settings leaked into another space');
+            } finally {
+                await other.destroy();
+                await other.dispose();
+            }
+        }
+    },
+    {
+        name: 'The change feed reports changes from another client',
+        // Firestore hides a client's own pending writes, so a second client is needed
+        needsPeer: true,
+        async run(space, scratch, peer) {
+            const records = [];
+            const tombstones = [];
+            const settings = [];
+            space.subscribe({
+                onRecord: (collectionName, record) => records.push({ collectionName, record }),
+                onTombstone: (tombstone) => tombstones.push(tombstone),
+                onSettings: (value) => settings.push(value)
+            }, { interval: FEED_INTERVAL });
+            try {
+                // Give the feed a moment to find its starting point
+                await new Promise(resolve => setTimeout(resolve, FEED_INTERVAL * 2));
+                await peer.saveRecord('recipes', recipe('fed-1', { name: 'From the feed' }));
+                await waitFor(records, e => e.collectionName === 'recipes' && e.record.name === 'From the feed', 'a saved record');
+                await peer.deleteRecord('recipes', 'fed-1', '2024-05-01T00:00:00.000Z');
+                await waitFor(tombstones, t => t.collection === 'recipes' && t.id === 'fed-1', 'a delete');
+                await peer.saveSettings({ preferences: { fed: true } });
+                await waitFor(settings, s => s.preferences && s.preferences.fed === true, 'new settings');
+            } finally {
+                space.unsubscribe();
+            }
+        }
+    }
+];
+
+/**
+ * Runs every test against `backend`, which must be connected. Calls
+ * `onResult({ name, ok, skipped, error })` as each test finishes and resolves
+ * to the list of results.
+ */
+export async function runConformance(backend, { onResult = () => {} } = {}) {
+    const run = `conformance-${Date.now().toString(36)}`;
+    const results = [];
+
+    for (const [index, test] of CONFORMANCE_TESTS.entries()) {
+        const name = `${run}-${index}`;
+        const result = { name: test.name, ok: false, skipped: false, error: null };
+        let space = null;
+        let peer = null;
+        try {
+            space = await backend.scratch(name);
+            if (test.needsPeer) {
+                peer = await backend.peer(name);
+                if (!peer) {
+                    result.skipped = true;
+                    result.error = 'Needs a second client; check it by editing on two devices.';
+                }
+            }
+            if (!result.skipped) {
+                await test.run(space, (suffix) => backend.scratch(`${name}-${suffix}`), peer);
+                result.ok = true;
+            }
+        } catch (err) {
+            result.error = err.message;
+        } finally {
+            if (space) {
+                await space.destroy().catch(err => console.warn('Could not clean up scratch space:', err));
+                await space.dispose();
+            }
+            if (peer) await peer.dispose();
+        }
+        results.push(result);
+        onResult(result);
+    }
+    return results;
+}
@@ -0,0 +1,214 @@
+/**
+ * RecipeScan DB - Backup & Restore
+ *
+ * Versioned JSON archives (images embedded as data URLs), CSV export and
+ * validation / merge planning for imports keyed on the recipe `id`.
+ *
+ * Version 1 archives predate variants: one recipe per barcode, no ids.
+ * Version 2 adds recipe ids, variant labels and the product list.
+ */
+
+import { blobToDataUrl } from "./images.js";
+import { isStructuredRecipe } from "./recipe-parser.js";
+import { isNutrition } from "./nutrition.js";
+import { isProductInfo } from "./catalog.js";
+import { t } from "./i18n.js";
+
+export const BACKUP_FORMAT = 'recipescan-backup';
+export const BACKUP_VERSION = 2;
+
+const isText = value => typeof value === 'string';
+
+// Optional recipe fields the app reads without checking; malformed ones are left out on import
+const OPTIONAL_FIELDS = {
+    variant: isText,
+    structured: isStructuredRecipe,
+    nutrition: isNutrition,
+    productInfo: isProductInfo,
+    cookedHistory: value => Array.isArray(value) && value.every(entry => !!entry && isText(entry.date)),
+    lastCooked: isText,
+    date: isText,
+    updatedAt: isText,
+    updatedBy: isText,
+    draft: value => typeof value === 'boolean',
+    deletedAt: isText
+};
+// Everything else in an archive entry is left out, e.g. photo handles that belong to another device or account
+const RECIPE_FIELDS = ['id', 'barcode', 'name', 'instructions', 'image', ...Object.keys(OPTIONAL_FIELDS)];
+const PRODUCT_FIELDS = ['barcode', 'name', 'brand', 'image', 'category', 'source', 'date', 'updatedAt', 'updatedBy'];
+
+function pick(record, fields) {
+    return Object.fromEntries(fields.filter(field => record[field] !== undefined).map(field => [field, record[field]]));
+}
+
+/**
+ * Photos from the local image store and remote images (e.g. Cloudinary) are
+ * embedded so the archive is self-contained; if a download fails the URL is
+ * kept as-is.
+ */
+async function embedImage({ image, imageId }, loadImage) {
+    if (imageId) {
+        const blob = await loadImage(imageId);
+        return blob ? blobToDataUrl(blob) : null;
+    }
+    if (!image || !/^https?:/i.test(image)) return image;
+    try {
+        const response = await fetch(image);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await blobToDataUrl(await response.blob());
+    } catch (err) {
+        console.warn('Could not embed image, keeping URL:', image, err);
+        return image;
+    }
+}
+
+// `loadImage(imageId)` resolves to the stored photo Blob
+export async function buildBackup(recipes, products, { loadImage, onProgress = () => {} } = {}) {
+    const exported = [];
+    for (const [i, recipe] of recipes.entries()) {
+        const { imageId, imagePublicId, ...rest } = recipe;
+        exported.push({ ...rest, image: await embedImage(recipe, loadImage) });
+        onProgress(i + 1, recipes.length);
+    }
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        products,
+        recipes: exported
+    };
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(recipes) {
+    const columns = ['id', 'barcode', 'name', 'variant', 'instructions', 'method', 'servings', 'date', 'updatedAt', 'lastCooked', 'timesCooked', 'image'];
+    const rows = recipes.map(recipe => [
+        recipe.id,
+        recipe.barcode,
+        recipe.name,
+        recipe.variant,
+        recipe.instructions,
+        recipe.structured ? recipe.structured.method : '',
+        recipe.structured ? recipe.structured.servings : '',
+        recipe.date,
+        recipe.updatedAt,
+        recipe.lastCooked,
+        (recipe.cookedHistory || []).length,
+        // Data URLs would blow up a spreadsheet cell
+        recipe.image && !recipe.image.startsWith('data:') ? recipe.image : ''
+    ]);
+    return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Checks an archive against the schema. Returns the usable recipes and
+ * products plus a list of human-readable problems; invalid entries are
+ * dropped, not fixed.
+ */
+export function validateBackup(data) {
+    const errors = [];
+    const invalid = (message) => ({ recipes: [], products: [], errors: [message] });
+    if (!data || typeof data !== 'object') {
+        return invalid(t('File is not a JSON object.'));
+    }
+    if (data.format !== BACKUP_FORMAT) {
+        return invalid(t('File is not a RecipeScan backup.'));
+    }
+    if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+        return invalid(t('Unsupported backup version {version}. Please update the app.', { version: data.version }));
+    }
+    if (!Array.isArray(data.recipes)) {
+        return invalid(t('Backup has no recipe list.'));
+    }
+
+    const recipes = [];
+    const seen = new Set();
+    data.recipes.forEach((entry, i) => {
+        const label = t('Recipe #{number}', { number: i + 1 });
+        if (!entry || typeof entry !== 'object') return errors.push(t('{label} is not an object.', { label }));
+        // Version 1 had one recipe per barcode, which became that product's first variant
+        const recipe = pick(data.version < 2 ? { ...entry, id: entry.barcode, variant: entry.variant || '' } : entry, RECIPE_FIELDS);
+        if (typeof recipe.id !== 'string' || !recipe.id.trim()) return errors.push(t('{label} has no id.', { label }));
+        if (typeof recipe.barcode !== 'string' || !recipe.barcode.trim()) return errors.push(t('{label} has no barcode.', { label }));
+        if (typeof recipe.name !== 'string' || !recipe.name.trim()) return errors.push(t('{label} ({barcode}) has no name.', { label, barcode: recipe.barcode }));
+        if (recipe.instructions !== undefined && typeof recipe.instructions !== 'string') return errors.push(t('{label} ({barcode}) has invalid instructions.', { label, barcode: recipe.barcode }));
+        if (recipe.image && (typeof recipe.image !== 'string' || !/^(data:image\/|https?:)/i.test(recipe.image))) return errors.push(t('{label} ({barcode}) has an invalid image.', { label, barcode: recipe.barcode }));
+        if (seen.has(recipe.id)) return errors.push(t('{label} duplicates id {id}.', { label, id: recipe.id }));
+        seen.add(recipe.id);
+        const dropped = Object.keys(OPTIONAL_FIELDS)
+            .filter(field => recipe[field] !== undefined && recipe[field] !== null && !OPTIONAL_FIELDS[field](recipe[field]));
+        if (dropped.length) {
+            console.warn('Leaving out damaged fields of', recipe.id, dropped);
+            errors.push(t('{label} ({barcode}) had damaged details, which were left out.', { label, barcode: recipe.barcode }));
+            recipes.push(Object.fromEntries(Object.entries(recipe).filter(([field]) => !dropped.includes(field))));
+        } else {
+            recipes.push(recipe);
+        }
+    });
+
+    // Products are optional; missing ones are recreated from their recipes on import
+    const products = (Array.isArray(data.products) ? data.products : [])
+        .filter(product => product && typeof product.barcode === 'string' && typeof product.name === 'string')
+        .map(product => pick(product, PRODUCT_FIELDS.filter(field => field === 'barcode' || isText(product[field]))));
+
+    return { recipes, products, errors };
+}
+
+function stamp(recipe) {
+    return recipe.updatedAt || recipe.date || '';
+}
+
+function sameContent(a, b) {
+    // Photos are compared through updatedAt: the archive embeds them while the store keeps Blobs
+    const strip = ({ updatedBy, image, imageId, ...rest }) => rest;
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+/**
+ * Compares incoming recipes with what is stored locally.
+ * Status is one of: new, identical, newer (incoming is newer), older.
+ */
+export async function planImport(recipes, getExisting) {
+    const plan = [];
+    for (const recipe of recipes) {
+        const existing = await getExisting(recipe.id);
+        let status = 'new';
+        if (existing) {
+            if (sameContent(recipe, existing)) status = 'identical';
+            else status = stamp(recipe) > stamp(existing) ? 'newer' : 'older';
+        }
+        plan.push({ recipe, existing, status });
+    }
+    return plan;
+}
+
+export const MERGE_STRATEGIES = {
+    skip: 'Skip existing recipes',
+    overwrite: 'Overwrite existing recipes',
+    newer: 'Keep the newer copy'
+};
+
+export function selectImports(plan, strategy) {
+    return plan.filter(({ status }) => {
+        if (status === 'new') return true;
+        if (status === 'identical') return false;
+        if (strategy === 'overwrite') return true;
+        if (strategy === 'newer') return status === 'newer';
+        return false;
+    });
+}
+
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
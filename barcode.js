@@ -0,0 +1,102 @@
+/**
+ * RecipeScan DB - Barcode normalization
+ *
+ * Retail codes are stored as GTIN-14 so the same product gets the same key
+ * whether a phone reads it as UPC-A, EAN-13 or UPC-E. Check digits are
+ * verified on the way in; misreads are reported as invalid.
+ */
+
+// GS1 mod-10 check digit for the digits that precede it
+export function checkDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        // Weights alternate 3, 1, ... starting from the rightmost digit
+        const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+        sum += Number(body[i]) * weight;
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+export function hasValidCheckDigit(code) {
+    return /^\d{8,14}$/.test(code) && checkDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * Expands an 8-digit UPC-E (number system, six digits, check digit) to the
+ * 12-digit UPC-A it abbreviates. Returns null for anything else.
+ */
+export function expandUpcE(code) {
+    if (!/^[01]\d{7}$/.test(code)) return null;
+    const ns = code[0];
+    const d = code.slice(1, 7);
+    const check = code[7];
+    let body;
+    switch (d[5]) {
+        case '0':
+        case '1':
+        case '2':
+            body = `${d[0]}${d[1]}${d[5]}0000${d[2]}${d[3]}${d[4]}`;
+            break;
+        case '3':
+            body = `${d[0]}${d[1]}${d[2]}00000${d[3]}${d[4]}`;
+            break;
+        case '4':
+            body = `${d[0]}${d[1]}${d[2]}${d[3]}00000${d[4]}`;
+            break;
+        default:
+            body = `${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}0000${d[5]}`;
+    }
+    return `${ns}${body}${check}`;
+}
+
+/**
+ * Normalizes a scanned or typed code. `format` is the symbology reported by
+ * the scanner (e.g. "UPC_E"), which settles whether 8 digits are EAN-8 or
+ * UPC-E. Without it, 8 digits that are valid either way come back as EAN-8
+ * with the UPC-E reading in `alternative`, for the caller to settle.
+ *
+ * Returns { valid: true, gtin, format, alternative? } or { valid: false, reason }.
+ */
+export function normalizeBarcode(text, { format = null } = {}) {
+    const digits = String(text || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) return { valid: false, reason: 'Barcodes contain digits only.' };
+
+    if (digits.length === 8) {
+        const upcA = expandUpcE(digits);
+        const asEan8 = hasValidCheckDigit(digits) ? { valid: true, gtin: digits.padStart(14, '0'), format: 'EAN_8' } : null;
+        const asUpcE = upcA && hasValidCheckDigit(upcA) ? { valid: true, gtin: upcA.padStart(14, '0'), format: 'UPC_E' } : null;
+        if (asEan8 && asUpcE && !format) return { ...asEan8, alternative: asUpcE.gtin };
+        const result = format === 'UPC_E' ? asUpcE || asEan8 : asEan8 || asUpcE;
+        return result || { valid: false, reason: 'The check digit does not match. The code was probably misread.' };
+    }
+
+    if ([12, 13, 14].includes(digits.length)) {
+        if (!hasValidCheckDigit(digits)) {
+            return { valid: false, reason: 'The check digit does not match. The code was probably misread.' };
+        }
+        const formats = { 12: 'UPC_A', 13: 'EAN_13', 14: 'GTIN_14' };
+        return { valid: true, gtin: digits.padStart(14, '0'), format: formats[digits.length] };
+    }
+
+    return { valid: false, reason: 'Retail barcodes have 8, 12, 13 or 14 digits.' };
+}
+
+// Storage key for a code: its GTIN-14 when valid, otherwise the code as given
+export function canonicalBarcode(text) {
+    const result = normalizeBarcode(text);
+    return result.valid ? result.gtin : String(text || '').trim();
+}
+
+/**
+ * Conventional form of a GTIN-14 for display and catalog lookups: UPC-A or
+ * EAN-13, or EAN-8 when `format` says the code was read as one. The key
+ * alone can't tell an EAN-8 from a UPC-A that starts with four zeros, so
+ * those show as 12 digits otherwise. Other strings are returned unchanged.
+ */
+export function formatBarcode(gtin, { format = null } = {}) {
+    if (!/^\d{14}$/.test(gtin)) return gtin;
+    if (format === 'EAN_8' && gtin.startsWith('000000')) return gtin.slice(6);
+    if (gtin.startsWith('00')) return gtin.slice(2);
+    if (gtin.startsWith('0')) return gtin.slice(1);
+    return gtin;
+}
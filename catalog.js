@@ -0,0 +1,187 @@
+/**
+ * RecipeScan DB - Product Catalog
+ *
+ * Resolves a barcode to product details ({ barcode, name, brand, image,
+ * category }). Providers share one method, `lookup(barcode)`, which resolves
+ * to those details or null when the product is unknown, so they can be
+ * swapped freely: Open Food Facts, a local JSON dump, a self-hosted endpoint
+ * or a stub for testing. `imageHosts` lists where their product photos may
+ * be loaded from.
+ */
+
+import { formatBarcode } from "./barcode.js";
+
+const HIT_TTL = 30 * 24 * 60 * 60 * 1000;
+// Unknown products are retried sooner; catalogs keep growing
+const MISS_TTL = 24 * 60 * 60 * 1000;
+
+function hostOf(url) {
+    try {
+        return new URL(url, globalThis.location ? globalThis.location.href : undefined).hostname;
+    } catch {
+        return null;
+    }
+}
+
+// Accepts our own shape as well as Open Food Facts field names
+function normalize(barcode, data) {
+    if (!data) return null;
+    const name = data.name || data.product_name || data.product_name_en || '';
+    if (!name.trim()) return null;
+    const categories = data.category || data.categories || '';
+    return {
+        barcode,
+        name: name.trim(),
+        brand: (data.brand || data.brands || '').split(',')[0].trim(),
+        image: data.image || data.image_front_url || data.image_url || '',
+        category: (Array.isArray(categories) ? categories[0] || '' : categories.split(',')[0]).trim()
+    };
+}
+
+// Whether `info` has the shape normalize() returns, for product details that come from files and links
+export function isProductInfo(info) {
+    return !!info && typeof info === 'object' && !Array.isArray(info)
+        && ['barcode', 'name', 'brand', 'image', 'category'].every(field => info[field] === undefined || typeof info[field] === 'string');
+}
+
+export class OpenFoodFactsProvider {
+    constructor({ baseUrl = 'https://world.openfoodfacts.org' } = {}) {
+        this.id = `off:${baseUrl}`;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        // Product photos are served from separate hosts
+        this.imageHosts = ['images.openfoodfacts.org', 'static.openfoodfacts.org', hostOf(baseUrl)].filter(Boolean);
+    }
+
+    async lookup(barcode) {
+        const fields = 'product_name,brands,image_front_url,image_url,categories';
+        const response = await fetch(`${this.baseUrl}/api/v2/product/${encodeURIComponent(barcode)}.json?fields=${fields}`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Catalog lookup failed: HTTP ${response.status}`);
+        const data = await response.json();
+        return data.status === 1 ? normalize(barcode, data.product) : null;
+    }
+}
+
+/**
+ * A catalog dump served with the app or from any URL: either an array of
+ * products with a `barcode` (or `code`) field, or an object keyed by barcode.
+ * The file is fetched once and kept in memory.
+ */
+export class LocalCatalogProvider {
+    constructor({ url }) {
+        this.id = `local:${url}`;
+        this.url = url;
+        this.imageHosts = [hostOf(url)].filter(Boolean);
+        this.products = null;
+    }
+
+    async load() {
+        if (this.products) return this.products;
+        const response = await fetch(this.url);
+        if (!response.ok) throw new Error(`Could not load catalog file: HTTP ${response.status}`);
+        const data = await response.json();
+        const entries = Array.isArray(data)
+            ? data.map(product => [String(product.barcode || product.code), product])
+            : Object.entries(data);
+        this.products = new Map(entries);
+        return this.products;
+    }
+
+    async lookup(barcode) {
+        const products = await this.load();
+        return normalize(barcode, products.get(barcode));
+    }
+}
+
+/**
+ * A self-hosted lookup service. `{barcode}` in the URL is replaced with the
+ * barcode, otherwise it is appended as the last path segment. A 404 means
+ * the product is unknown.
+ */
+export class EndpointProvider {
+    constructor({ url }) {
+        this.id = `endpoint:${url}`;
+        this.url = url;
+        this.imageHosts = [hostOf(url)].filter(Boolean);
+    }
+
+    async lookup(barcode) {
+        const code = encodeURIComponent(barcode);
+        const url = this.url.includes('{barcode}')
+            ? this.url.replace('{barcode}', code)
+            : `${this.url.replace(/\/+$/, '')}/${code}`;
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Catalog lookup failed: HTTP ${response.status}`);
+        return normalize(barcode, await response.json());
+    }
+}
+
+// In-memory provider for tests and offline development
+export class StubProvider {
+    constructor(products = {}) {
+        this.id = 'stub';
+        this.imageHosts = [];
+        this.products = products;
+        this.lookups = [];
+    }
+
+    async lookup(barcode) {
+        this.lookups.push(barcode);
+        return normalize(barcode, this.products[barcode]);
+    }
+}
+
+// Nothing is looked up until a catalog is chosen in the settings
+export function createCatalogProvider(settings) {
+    switch (settings.catalogProvider) {
+        case 'openfoodfacts':
+            return new OpenFoodFactsProvider(settings.catalogUrl ? { baseUrl: settings.catalogUrl } : {});
+        case 'local':
+            return settings.catalogUrl ? new LocalCatalogProvider({ url: settings.catalogUrl }) : null;
+        case 'endpoint':
+            return settings.catalogUrl ? new EndpointProvider({ url: settings.catalogUrl }) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Caches provider lookups, hits and misses alike, in a key-value store with
+ * `get(barcode)` / `put(entry)` (the `catalog` IndexedDB store in the app).
+ * Entries from a different provider are looked up again.
+ */
+export class ProductCatalog {
+    constructor(provider, cache) {
+        this.provider = provider;
+        this.cache = cache;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    // `barcode` is the stored GTIN-14; providers are asked with its usual EAN/UPC form
+    async lookup(barcode) {
+        if (!this.provider || !barcode) return null;
+
+        const cached = await this.cache.get(barcode);
+        if (cached && cached.source === this.provider.id) {
+            const age = Date.now() - new Date(cached.fetchedAt).getTime();
+            if (age < (cached.product ? HIT_TTL : MISS_TTL)) return cached.product;
+        }
+
+        try {
+            let found = await this.provider.lookup(formatBarcode(barcode));
+            // Catalogs list EAN-8 codes with 8 digits
+            if (!found && barcode.startsWith('000000')) found = await this.provider.lookup(formatBarcode(barcode, { format: 'EAN_8' }));
+            const product = found ? { ...found, barcode } : null;
+            await this.cache.put({ barcode, product, source: this.provider.id, fetchedAt: new Date().toISOString() });
+            return product;
+        } catch (err) {
+            // Offline or the provider is down: an expired entry is better than nothing
+            console.warn('Product lookup failed:', err);
+            return cached ? cached.product : null;
+        }
+    }
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * RecipeScan DB - Cloudinary signing endpoint
+ *
+ * Signs upload and delete requests for cloudinary.js, so the API secret stays
+ * on a machine you control instead of in the browser. It only signs; the
+ * photos themselves go straight from the app to Cloudinary. Built on Node's
+ * own modules.
+ *
+ *   CLOUDINARY_API_KEY=... CLOUDINARY_API_SECRET=... \
+ *     node cloudinary-signer.mjs --token secret [--port 8788] [--host 127.0.0.1]
+ *                                [--origin https://recipes.example.com ...]
+ *
+ * The token can also come from SIGNER_TOKEN and the origins from
+ * SIGNER_ORIGINS (comma separated). A token is required, since any web page
+ * the user visits can reach the endpoint; --origin also limits which pages
+ * may call it. Only public_ids inside the app's folder are signed, so a
+ * leaked token can't touch the rest of the account.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const FOLDER = 'recipescan/';
+const MAX_BODY = 16 * 1024;
+
+// The parameters the app sends for each action; anything else is refused
+const ALLOWED_PARAMS = {
+    upload: ['public_id'],
+    destroy: ['public_id', 'invalidate']
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Cloudinary's signature: the parameters sorted by name as `key=value` pairs
+ * joined with "&", followed by the API secret, hashed with SHA-1.
+ */
+export function signParams(params, apiSecret) {
+    const base = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return createHash('sha1').update(base + apiSecret).digest('hex');
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY) throw new HttpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Body must be JSON');
+    }
+}
+
+function checkRequest(body) {
+    const allowed = ALLOWED_PARAMS[body && body.action];
+    if (!allowed) throw new HttpError(400, 'action must be "upload" or "destroy"');
+    const params = body.params || {};
+    for (const [key, value] of Object.entries(params)) {
+        if (!allowed.includes(key)) throw new HttpError(400, `Parameter ${key} is not allowed`);
+        if (typeof value !== 'string') throw new HttpError(400, `Parameter ${key} must be a string`);
+    }
+    const publicId = params.public_id || '';
+    if (!publicId.startsWith(FOLDER) || publicId.includes('..') || !/^[\w\-/]+$/.test(publicId)) {
+        throw new HttpError(403, `Only public_ids inside ${FOLDER} are signed`);
+    }
+    return params;
+}
+
+/**
+ * `token` is required. `origins` lists the web origins allowed to call the
+ * endpoint from a browser; when it is empty, any origin may, but still only
+ * with the token.
+ */
+export function createSigner({ apiKey, apiSecret, token, origins = [] }) {
+    if (!token) throw new Error('The signer needs a token.');
+    return createServer(async (request, response) => {
+        const origin = request.headers.origin;
+        if (origins.length === 0) {
+            response.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origins.includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        } else if (origin) {
+            response.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify({ error: 'Origin not allowed' }));
+            return;
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        response.setHeader('Access-Control-Max-Age', '600');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        let status = 200;
+        let body;
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            if (url.pathname !== '/sign') throw new HttpError(404, 'Not found');
+            if (request.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+            if (request.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, 'Missing or wrong token');
+
+            const params = checkRequest(await readBody(request));
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            body = { signature: signParams({ ...params, timestamp }, apiSecret), timestamp, api_key: apiKey };
+        } catch (err) {
+            if (!(err instanceof HttpError)) console.error(err);
+            status = err.status || 500;
+            body = { error: err instanceof HttpError ? err.message : 'Internal error' };
+        }
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(JSON.stringify(body));
+    });
+}
+
+// Run directly (not imported)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8788' },
+            host: { type: 'string', default: '127.0.0.1' },
+            token: { type: 'string', default: process.env.SIGNER_TOKEN || '' },
+            origin: { type: 'string', multiple: true, default: (process.env.SIGNER_ORIGINS || '').split(',').filter(Boolean) }
+        }
+    });
+    const apiKey = process.env.CLOUDINARY_API_KEY;
+    const apiSecret = process.env.CLOUDINARY_API_SECRET;
+    if (!apiKey || !apiSecret) {
+        console.error('Set CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET.');
+        process.exit(1);
+    }
+    if (!values.token) {
+        console.error('Set a token with --token or SIGNER_TOKEN, and enter the same one in the app.');
+        process.exit(1);
+    }
+    const server = createSigner({ apiKey, apiSecret, token: values.token, origins: values.origin });
+    server.listen(Number(values.port), values.host, () => {
+        console.log(`Cloudinary signer on http://${values.host}:${values.port}/sign`);
+        if (values.origin.length === 0) console.log('Any web origin may call this endpoint with the token; limit it with --origin.');
+    });
+}
@@ -0,0 +1,205 @@
+/**
+ * RecipeScan DB - Cloudinary photos
+ *
+ * Uploads, delivery URLs and deletes for recipe photos on Cloudinary. Uploads
+ * either use an unsigned preset or are signed by a small endpoint the user
+ * runs themselves (cloudinary-signer.mjs), which holds the API secret so the
+ * browser never sees it. Deleting always needs that endpoint.
+ *
+ * Photos are stored as `recipescan/<recipe id>-<random>`: every new photo
+ * gets a new public_id, so a replaced photo never shows up from a cache.
+ */
+
+const API_BASE = 'https://api.cloudinary.com/v1_1';
+const DELIVERY_HOST = 'res.cloudinary.com';
+
+export const IMAGE_FOLDER = 'recipescan';
+
+// Delivery transformations; f_auto/q_auto let Cloudinary pick format and quality per browser
+export const IMAGE_SIZES = {
+    thumb: 'c_fill,g_auto,w_160,h_160,f_auto,q_auto',
+    detail: 'c_limit,w_1200,h_1200,f_auto,q_auto'
+};
+
+export class CloudinaryError extends Error {
+    constructor(message, { status = 0, retryable = false } = {}) {
+        super(message);
+        this.status = status;
+        // Network failures, rate limits and server errors are worth another try
+        this.retryable = retryable;
+    }
+}
+
+// Whether cloudinary-signer.mjs will sign for `publicId`: only photos inside the app's folder
+export function isSignable(publicId) {
+    return typeof publicId === 'string' && publicId.startsWith(`${IMAGE_FOLDER}/`)
+        && !publicId.includes('..') && /^[\w\-/]+$/.test(publicId);
+}
+
+export function newPublicId(recipeId) {
+    return `${IMAGE_FOLDER}/${String(recipeId).replace(/[^\w-]/g, '_')}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Delay before attempt `attempt + 1`: doubles from `base` up to `max`, with
+ * up to a quarter of random jitter so devices don't retry in step.
+ */
+export function backoffDelay(attempt, { base = 1000, max = 60 * 1000 } = {}) {
+    const delay = Math.min(max, base * 2 ** Math.max(0, attempt - 1));
+    return Math.round(delay * (1 - Math.random() * 0.25));
+}
+
+// Runs `task` until it succeeds, retrying errors marked retryable
+export async function withRetry(task, { attempts = 4, base = 1000, max = 15 * 1000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task();
+        } catch (err) {
+            if (!err.retryable || attempt >= attempts) throw err;
+            await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt, { base, max })));
+        }
+    }
+}
+
+function splitDeliveryUrl(url) {
+    if (typeof url !== 'string') return null;
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (parsed.hostname !== DELIVERY_HOST) return null;
+    const match = parsed.pathname.match(/^\/([^/]+)\/image\/upload\/(.+)$/);
+    return match ? { origin: parsed.origin, cloudName: match[1], rest: match[2] } : null;
+}
+
+/**
+ * The URL of a Cloudinary photo at one of IMAGE_SIZES. URLs that already
+ * carry a transformation, and anything not on Cloudinary, come back as is.
+ */
+export function transformedUrl(url, size) {
+    const parts = splitDeliveryUrl(url);
+    if (!parts || !IMAGE_SIZES[size]) return url;
+    const [first] = parts.rest.split('/');
+    // A version (v1712345678) or a folder comes first in untransformed URLs
+    if (first.includes(',') || /^[a-z]{1,3}_/.test(first)) return url;
+    return `${parts.origin}/${parts.cloudName}/image/upload/${IMAGE_SIZES[size]}/${parts.rest}`;
+}
+
+// Recovers the public_id of a delivery URL, for photos saved before it was stored
+export function publicIdFromUrl(url) {
+    const parts = splitDeliveryUrl(url);
+    if (!parts) return null;
+    const segments = parts.rest.split('/');
+    // Drop transformations and the version, which come before the public_id
+    while (segments.length > 1 && (segments[0].includes(',') || /^[a-z]{1,3}_/.test(segments[0]))) segments.shift();
+    if (segments.length > 1 && /^v\d+$/.test(segments[0])) segments.shift();
+    return decodeURIComponent(segments.join('/')).replace(/\.[a-z0-9]+$/i, '');
+}
+
+async function readError(response) {
+    try {
+        const data = await response.json();
+        return (data.error && data.error.message) || data.error || `HTTP ${response.status}`;
+    } catch {
+        return `HTTP ${response.status}`;
+    }
+}
+
+function statusError(what, status, message) {
+    return new CloudinaryError(`${what}: ${message}`, {
+        status,
+        retryable: status === 408 || status === 429 || status >= 500
+    });
+}
+
+// fetch() only throws when the request never got an answer
+async function send(url, options, what) {
+    try {
+        return await fetch(url, options);
+    } catch (err) {
+        throw new CloudinaryError(`${what}: ${err.message}`, { retryable: true });
+    }
+}
+
+export class CloudinaryClient {
+    constructor({ cloudName = '', uploadPreset = '', signUrl = '', signToken = '' } = {}) {
+        this.cloudName = cloudName.trim();
+        this.uploadPreset = uploadPreset.trim();
+        this.signUrl = signUrl.trim().replace(/\/+$/, '');
+        this.signToken = signToken;
+    }
+
+    get canUpload() {
+        return !!this.cloudName && !!(this.signUrl || this.uploadPreset);
+    }
+
+    get canDelete() {
+        return !!this.cloudName && !!this.signUrl;
+    }
+
+    // Asks the signing endpoint for { signature, timestamp, api_key } over `params`
+    async sign(action, params) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.signToken) headers.Authorization = `Bearer ${this.signToken}`;
+        const response = await send(`${this.signUrl}/sign`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ action, params })
+        }, 'Signing failed');
+        if (!response.ok) throw statusError('Signing failed', response.status, await readError(response));
+        return response.json();
+    }
+
+    async post(action, form) {
+        const response = await send(`${API_BASE}/${encodeURIComponent(this.cloudName)}/image/${action}`, {
+            method: 'POST',
+            body: form
+        }, `Cloudinary ${action} failed`);
+        if (!response.ok) throw statusError(`Cloudinary ${action} failed`, response.status, await readError(response));
+        return response.json();
+    }
+
+    /**
+     * Uploads `blob` as `publicId`, retrying network failures. Resolves to
+     * { publicId, version, url }.
+     */
+    async upload(blob, { publicId }) {
+        if (!this.canUpload) throw new CloudinaryError('Cloudinary uploads are not configured.');
+        return withRetry(async () => {
+            const form = new FormData();
+            form.append('file', blob);
+            form.append('public_id', publicId);
+            if (this.signUrl) {
+                // Signed fresh for every attempt: signatures expire after an hour
+                const { signature, timestamp, api_key: apiKey } = await this.sign('upload', { public_id: publicId });
+                form.append('api_key', apiKey);
+                form.append('timestamp', timestamp);
+                form.append('signature', signature);
+            } else {
+                form.append('upload_preset', this.uploadPreset);
+            }
+            const data = await this.post('upload', form);
+            return { publicId: data.public_id, version: data.version, url: data.secure_url };
+        });
+    }
+
+    // Deleting a photo that is already gone counts as done
+    async destroy(publicId) {
+        if (!this.canDelete) throw new CloudinaryError('Deleting photos needs a signing endpoint.');
+        return withRetry(async () => {
+            const params = { public_id: publicId, invalidate: 'true' };
+            const { signature, timestamp, api_key: apiKey } = await this.sign('destroy', params);
+            const form = new FormData();
+            Object.entries(params).forEach(([key, value]) => form.append(key, value));
+            form.append('api_key', apiKey);
+            form.append('timestamp', timestamp);
+            form.append('signature', signature);
+            const data = await this.post('destroy', form);
+            if (data.result !== 'ok' && data.result !== 'not found') {
+                throw new CloudinaryError(`Cloudinary destroy failed: ${data.result}`);
+            }
+        });
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * RecipeScan DB - Cooking Mode helpers
+ *
+ * Countdown timers with sound/vibration alerts, a screen wake lock and
+ * speech output for the guided cooking view.
+ */
+
+import { formatDuration } from "./recipe-parser.js";
+import { t } from "./i18n.js";
+
+function formatClock(seconds) {
+    const s = Math.max(0, Math.ceil(seconds));
+    const m = Math.floor(s / 60);
+    return `${m}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export class TimerBoard {
+    constructor(container) {
+        this.container = container;
+        this.timers = [];
+        this.nextId = 1;
+        this.interval = null;
+        this.audio = null;
+    }
+
+    get running() {
+        return this.timers.filter(timer => !timer.done).length;
+    }
+
+    start(label, seconds) {
+        // Timers are started from a tap, which is when browsers allow audio to be unlocked
+        if (!this.audio && window.AudioContext) this.audio = new AudioContext();
+        if (this.audio && this.audio.state === 'suspended') this.audio.resume();
+
+        this.timers.push({
+            id: this.nextId++,
+            label,
+            seconds,
+            endsAt: Date.now() + seconds * 1000,
+            done: false
+        });
+        if (!this.interval) this.interval = setInterval(() => this.tick(), 250);
+        this.render();
+    }
+
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+        if (!this.timers.length) this.stopTicking();
+        this.render();
+    }
+
+    clear() {
+        this.timers = [];
+        this.stopTicking();
+        this.render();
+    }
+
+    stopTicking() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    tick() {
+        const now = Date.now();
+        let finished = false;
+        this.timers.forEach(timer => {
+            if (!timer.done && timer.endsAt <= now) {
+                timer.done = true;
+                finished = true;
+                this.alert(timer);
+            }
+        });
+
+        // Only rebuild when a timer finished; otherwise just update the clocks in place
+        if (finished) {
+            this.render();
+        } else {
+            this.container.querySelectorAll('.timer').forEach(item => {
+                const timer = this.timers.find(entry => entry.id === Number(item.dataset.id));
+                if (timer && !timer.done) {
+                    item.querySelector('.timer-clock').innerText = formatClock((timer.endsAt - now) / 1000);
+                }
+            });
+        }
+        if (!this.running) this.stopTicking();
+    }
+
+    alert(timer) {
+        if (navigator.vibrate) navigator.vibrate([400, 200, 400, 200, 400]);
+        if (this.audio) {
+            // Three short beeps
+            for (let i = 0; i < 3; i++) {
+                const start = this.audio.currentTime + i * 0.4;
+                const osc = this.audio.createOscillator();
+                const gain = this.audio.createGain();
+                osc.frequency.value = 880;
+                gain.gain.setValueAtTime(0.4, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+                osc.connect(gain).connect(this.audio.destination);
+                osc.start(start);
+                osc.stop(start + 0.3);
+            }
+        }
+        speak(t('{label} timer finished', { label: timer.label }));
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.timers.forEach(timer => {
+            const remaining = (timer.endsAt - Date.now()) / 1000;
+            const item = document.createElement('div');
+            item.className = `timer${timer.done ? ' done' : ''}`;
+            item.dataset.id = timer.id;
+            item.innerHTML = `
+                <div class="timer-info">
+                    <span class="timer-label"></span>
+                    <span class="timer-clock">${timer.done ? t('Done!') : formatClock(remaining)}</span>
+                </div>
+                <button class="btn-secondary btn-small">${timer.done ? t('Dismiss') : t('Cancel')}</button>
+            `;
+            item.querySelector('.timer-label').innerText = `${timer.label} · ${formatDuration(timer.seconds)}`;
+            item.querySelector('button').onclick = () => this.cancel(timer.id);
+            this.container.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Keeps the screen on while cooking. The lock is dropped by the browser when
+ * the page is hidden, so it is re-acquired when the page becomes visible.
+ */
+export class ScreenWakeLock {
+    constructor() {
+        this.lock = null;
+        this.wanted = false;
+        this.onVisibility = () => {
+            if (this.wanted && document.visibilityState === 'visible') this.acquire();
+        };
+    }
+
+    async enable() {
+        this.wanted = true;
+        document.addEventListener('visibilitychange', this.onVisibility);
+        await this.acquire();
+    }
+
+    async acquire() {
+        if (!('wakeLock' in navigator)) return;
+        try {
+            this.lock = await navigator.wakeLock.request('screen');
+        } catch (err) {
+            console.warn('Wake lock unavailable:', err);
+        }
+    }
+
+    async disable() {
+        this.wanted = false;
+        document.removeEventListener('visibilitychange', this.onVisibility);
+        if (this.lock) {
+            await this.lock.release().catch(() => {});
+            this.lock = null;
+        }
+    }
+}
+
+export function speak(text) {
+    if (!('speechSynthesis' in window) || !text) return;
+    speechSynthesis.cancel();
+    speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+export function stopSpeaking() {
+    if ('speechSynthesis' in window) speechSynthesis.cancel();
+}
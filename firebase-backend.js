@@ -0,0 +1,466 @@
+/**
+ * RecipeScan DB - Firebase sync backend
+ *
+ * Firestore for data and Firebase Auth for accounts and households. Loaded
+ * on demand by createSyncBackend, so the Firebase SDK is only fetched when
+ * this backend is selected.
+ */
+
+import { initializeApp, getApps, deleteApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
+import {
+    getFirestore,
+    collection,
+    doc,
+    getDocs,
+    getDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    onSnapshot,
+    connectFirestoreEmulator,
+    query,
+    where
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import {
+    getAuth,
+    connectAuthEmulator,
+    signInAnonymously,
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+    signInWithEmailLink,
+    linkWithCredential,
+    updateCurrentUser,
+    EmailAuthProvider,
+    signOut
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { SyncBackend, BackendError, COLLECTION_KEYS } from "./sync-backends.js";
+
+/**
+ * Firestore access for the signed-in user. Synced collections live under
+ * `scope`: `users/<uid>` for personal recipes or `households/<id>` for a
+ * shared household. Settings always stay in `users/<uid>/config`.
+ */
+export class FirebaseBackend extends SyncBackend {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.app = null; // Initialize app and db to null
+        this.db = null;
+        this.auth = null;
+        this.user = null;
+        this.userId = null;
+        this.scope = null;
+        this.settingsPath = null;
+        this.household = null;
+        // Scratch spaces share the app of the backend they came from
+        this.shared = false;
+        this.unsubscribers = [];
+    }
+
+    get hasAccounts() {
+        return true;
+    }
+
+    async connect() {
+        if (!this.app) await this.init();
+        if (!this.db) throw new BackendError('Firebase could not be initialized. Check the configuration.');
+        await this.signIn();
+    }
+
+    async init() {
+        try {
+            // Replace the app an earlier connection left behind; peers run under their own name
+            const name = this.config.appName || '[DEFAULT]';
+            const existing = getApps().find(app => app.name === name);
+            if (existing) await deleteApp(existing);
+
+            this.app = initializeApp({
+                apiKey: this.config.apiKey,
+                authDomain: this.config.authDomain,
+                projectId: this.config.projectId,
+                storageBucket: this.config.storageBucket,
+                messagingSenderId: this.config.messagingSenderId,
+                appId: this.config.appId,
+                measurementId: this.config.measurementId
+            }, name);
+            this.db = getFirestore(this.app);
+            this.auth = getAuth(this.app);
+
+            // e.g. "localhost:8080" when running against `firebase emulators:start`
+            if (this.config.emulatorHost) {
+                const [host, port] = this.config.emulatorHost.split(':');
+                connectFirestoreEmulator(this.db, host, Number(port) || 8080);
+                // The auth emulator runs next to it on its default port
+                connectAuthEmulator(this.auth, `http://${host}:9099`, { disableWarnings: true });
+            }
+        } catch (err) {
+            console.error("Firebase Init Error:", err);
+        }
+    }
+
+    /**
+     * Live mode: listens to the products, recipes, tombstones and settings of this user.
+     * Changes made by this client are skipped while they are still pending.
+     */
+    subscribe({ onRecord, onTombstone, onSettings }) {
+        if (!this.db || !this.scope) return;
+        this.unsubscribe();
+
+        const onError = (err) => console.error("Cloud listener failed:", err);
+
+        Object.keys(COLLECTION_KEYS).forEach(collectionName => {
+            this.unsubscribers.push(onSnapshot(
+                collection(this.db, ...this.scope, collectionName),
+                (snapshot) => {
+                    snapshot.docChanges().forEach(change => {
+                        // Removals are handled through the tombstones listener, which knows when the delete happened
+                        if (change.type === 'removed' || change.doc.metadata.hasPendingWrites) return;
+                        onRecord(collectionName, this.withKey(collectionName, change.doc));
+                    });
+                },
+                onError
+            ));
+        });
+
+        this.unsubscribers.push(onSnapshot(
+            collection(this.db, ...this.scope, "tombstones"),
+            (snapshot) => {
+                snapshot.docChanges().forEach(change => {
+                    if (change.type === 'removed' || change.doc.metadata.hasPendingWrites) return;
+                    onTombstone(this.toTombstone(change.doc));
+                });
+            },
+            onError
+        ));
+
+        this.unsubscribers.push(onSnapshot(
+            doc(this.db, ...this.settingsPath),
+            (docSnap) => {
+                if (docSnap.exists() && !docSnap.metadata.hasPendingWrites) onSettings(docSnap.data());
+            },
+            onError
+        ));
+    }
+
+    unsubscribe() {
+        this.unsubscribers.forEach(unsub => unsub());
+        this.unsubscribers = [];
+    }
+
+    async dispose() {
+        this.unsubscribe();
+        if (this.app && !this.shared) {
+            await deleteApp(this.app).catch(err => console.error("Firebase teardown failed:", err));
+        }
+        this.app = null;
+        this.db = null;
+    }
+
+    // Recipe documents written before variants existed are keyed by barcode and have no id field
+    withKey(collectionName, docSnap) {
+        const data = docSnap.data();
+        const keyField = COLLECTION_KEYS[collectionName];
+        return data[keyField] ? data : { ...data, [keyField]: docSnap.id };
+    }
+
+    toTombstone(docSnap) {
+        return { collection: 'recipes', ...docSnap.data() };
+    }
+
+    async saveRecord(collectionName, record) {
+        if (!this.db || !this.scope) return;
+        const ref = doc(this.db, ...this.scope, collectionName, record[COLLECTION_KEYS[collectionName]]);
+        await setDoc(ref, record);
+    }
+
+    async getRecord(collectionName, id) {
+        if (!this.db || !this.scope) return null;
+        const ref = doc(this.db, ...this.scope, collectionName, id);
+        const docSnap = await getDoc(ref);
+        return docSnap.exists() ? this.withKey(collectionName, docSnap) : null;
+    }
+
+    async deleteRecord(collectionName, id, deletedAt = new Date().toISOString()) {
+        if (!this.db || !this.scope) return;
+        // Leave a tombstone so other devices drop their copy instead of re-uploading it
+        const tombstoneRef = doc(this.db, ...this.scope, "tombstones", `${collectionName}:${id}`);
+        await setDoc(tombstoneRef, { collection: collectionName, id, deletedAt });
+        const ref = doc(this.db, ...this.scope, collectionName, id);
+        await deleteDoc(ref);
+    }
+
+    async getAllRecords(collectionName) {
+        if (!this.db || !this.scope) return [];
+        const q = collection(this.db, ...this.scope, collectionName);
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(docSnap => this.withKey(collectionName, docSnap));
+    }
+
+    // Tombstones from before variants carry no collection and refer to recipes
+    async getTombstones() {
+        if (!this.db || !this.scope) return [];
+        const q = collection(this.db, ...this.scope, "tombstones");
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(docSnap => this.toTombstone(docSnap));
+    }
+
+    async saveSettings(settings) {
+        if (!this.db || !this.settingsPath) return;
+        await setDoc(doc(this.db, ...this.settingsPath), settings);
+    }
+
+    async getSettings() {
+        if (!this.db || !this.settingsPath) return null;
+        const docSnap = await getDoc(doc(this.db, ...this.settingsPath));
+        return docSnap.exists() ? docSnap.data() : null;
+    }
+
+    // Another backend on this connection, for a space other than the one being synced
+    clone() {
+        const backend = new FirebaseBackend(this.config);
+        Object.assign(backend, { app: this.app, db: this.db, auth: this.auth, user: this.user, userId: this.userId, shared: true });
+        return backend;
+    }
+
+    // A throwaway space under the user's own document, which the rules already allow
+    async scratch(name) {
+        const backend = this.clone();
+        backend.scope = ["users", this.userId, "scratch", name];
+        backend.settingsPath = [...backend.scope, "config", "appSettings"];
+        return backend;
+    }
+
+    // The personal space (null) or a household, e.g. to copy a recipe there
+    async space(household) {
+        const backend = this.clone();
+        backend.settingsPath = this.settingsPath;
+        backend.useHousehold(household);
+        return backend;
+    }
+
+    /**
+     * Clients sharing a Firestore instance don't see each other's writes, so
+     * the peer gets an app of its own, signed in as the same user.
+     */
+    async peer(name) {
+        const peer = new FirebaseBackend({ ...this.config, appName: `peer-${name}` });
+        await peer.init();
+        if (!peer.db) return null;
+        await peer.auth.authStateReady();
+        await updateCurrentUser(peer.auth, this.auth.currentUser);
+        Object.assign(peer, { user: peer.auth.currentUser, userId: this.userId });
+        peer.scope = ["users", this.userId, "scratch", name];
+        peer.settingsPath = [...peer.scope, "config", "appSettings"];
+        return peer;
+    }
+
+    async destroy() {
+        if (!this.db || !this.scope) return;
+        for (const collectionName of [...Object.keys(COLLECTION_KEYS), "tombstones"]) {
+            const querySnapshot = await getDocs(collection(this.db, ...this.scope, collectionName));
+            await Promise.all(querySnapshot.docs.map(docSnap => deleteDoc(docSnap.ref)));
+        }
+        await deleteDoc(doc(this.db, ...this.settingsPath));
+    }
+
+    // Resolves the signed-in user; first use on a device signs in anonymously
+    async signIn() {
+        if (!this.auth) return null;
+        await this.auth.authStateReady();
+        const user = this.auth.currentUser || (await signInAnonymously(this.auth)).user;
+        this.user = user;
+        this.userId = user.uid;
+        this.scope = ["users", user.uid];
+        this.settingsPath = ["users", user.uid, "config", "appSettings"];
+        await this.prepareAccount();
+        return user;
+    }
+
+    /**
+     * `config/account` marks a space as a signed-in user's, so it can't be
+     * claimed as an old sync ID, and records the one-time copy from the sync
+     * ID used before sign-in (`legacyUserId`). That copy fails quietly when
+     * another account claimed the ID first or the rules stop allowing it, and
+     * is tried again on the next sign-in.
+     */
+    async prepareAccount() {
+        const ref = doc(this.db, "users", this.userId, "config", "account");
+        const docSnap = await getDoc(ref);
+        if (!docSnap.exists()) await setDoc(ref, { createdAt: new Date().toISOString() });
+        const legacyId = this.config.legacyUserId;
+        if (!legacyId || legacyId === this.userId || (docSnap.exists() && docSnap.data().legacyCopiedFrom)) return;
+        try {
+            await this.copyLegacyData(legacyId);
+            await updateDoc(ref, { legacyCopiedFrom: legacyId, legacyCopiedAt: new Date().toISOString() });
+        } catch (err) {
+            console.warn("Data under the old sync ID could not be copied:", err);
+        }
+    }
+
+    // The rules only let the account that claimed a sync ID read its data
+    async claimLegacyId(legacyId) {
+        const ref = doc(this.db, "legacyClaims", legacyId);
+        if ((await getDoc(ref)).exists()) return;
+        await setDoc(ref, { uid: this.userId, claimedAt: new Date().toISOString() });
+    }
+
+    // Copies `users/<legacyId>` into the user's space; documents already there are kept
+    async copyLegacyData(legacyId) {
+        await this.claimLegacyId(legacyId);
+        const from = ["users", legacyId];
+        const to = ["users", this.userId];
+        for (const collectionName of [...Object.keys(COLLECTION_KEYS), "tombstones"]) {
+            const [source, target] = await Promise.all([
+                getDocs(collection(this.db, ...from, collectionName)),
+                getDocs(collection(this.db, ...to, collectionName))
+            ]);
+            const existing = new Set(target.docs.map(docSnap => docSnap.id));
+            await Promise.all(source.docs
+                .filter(docSnap => !existing.has(docSnap.id))
+                .map(docSnap => setDoc(doc(this.db, ...to, collectionName, docSnap.id), docSnap.data())));
+        }
+        const [settings, current] = await Promise.all([
+            getDoc(doc(this.db, ...from, "config", "appSettings")),
+            getDoc(doc(this.db, ...this.settingsPath))
+        ]);
+        if (settings.exists() && !current.exists()) await setDoc(doc(this.db, ...this.settingsPath), settings.data());
+    }
+
+    get email() {
+        return this.user && this.user.email ? this.user.email.toLowerCase() : null;
+    }
+
+    async sendSignInLink(email) {
+        await sendSignInLinkToEmail(this.auth, email, {
+            url: window.location.href.split(/[?#]/)[0],
+            handleCodeInApp: true
+        });
+    }
+
+    /**
+     * Finishes an email link sign-in if `url` is one. A guest account is
+     * upgraded in place so its uid and data stay; if the email already has
+     * an account, that account is signed in instead.
+     */
+    async completeSignInLink(url, email) {
+        if (!this.isSignInLink(url)) return false;
+        await this.auth.authStateReady();
+        const current = this.auth.currentUser;
+        if (current && current.isAnonymous) {
+            try {
+                await linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, url));
+                return true;
+            } catch (err) {
+                if (err.code !== 'auth/credential-already-in-use' && err.code !== 'auth/email-already-in-use') throw err;
+            }
+        }
+        await signInWithEmailLink(this.auth, email, url);
+        return true;
+    }
+
+    isSignInLink(url) {
+        return !!this.auth && isSignInWithEmailLink(this.auth, url);
+    }
+
+    async signOut() {
+        if (this.auth) await signOut(this.auth);
+        this.user = null;
+        this.userId = null;
+        this.scope = null;
+        this.settingsPath = null;
+    }
+
+    // Syncs with a household instead of the personal space; null switches back
+    useHousehold(household) {
+        this.household = household;
+        this.role = household ? household.roles[this.userId] : null;
+        this.scope = household ? ["households", household.id] : ["users", this.userId];
+    }
+
+    async createHousehold(name) {
+        const ref = doc(collection(this.db, "households"));
+        const household = {
+            name,
+            ownerId: this.userId,
+            memberIds: [this.userId],
+            roles: { [this.userId]: 'owner' },
+            emails: { [this.userId]: this.email || '' },
+            createdAt: new Date().toISOString()
+        };
+        await setDoc(ref, household);
+        return { id: ref.id, ...household };
+    }
+
+    // Null when the household is gone or the user no longer belongs to it, which the rules answer by refusing the read
+    async getHousehold(id) {
+        let docSnap;
+        try {
+            docSnap = await getDoc(doc(this.db, "households", id));
+        } catch (err) {
+            if (err.code === 'permission-denied') return null;
+            throw err;
+        }
+        return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+    }
+
+    async getHouseholds() {
+        const q = query(collection(this.db, "households"), where("memberIds", "array-contains", this.userId));
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    // Owners can change roles and remove members; members can remove themselves
+    async updateMembers(household, { memberIds, roles, emails }) {
+        // updateDoc replaces the maps whole, so removed members disappear
+        await updateDoc(doc(this.db, "households", household.id), { memberIds, roles, emails });
+    }
+
+    async deleteHousehold(household) {
+        await deleteDoc(doc(this.db, "households", household.id));
+    }
+
+    // Invites are keyed `<householdId>_<email>` so the security rules can look them up
+    async inviteMember(household, email, role) {
+        const normalized = email.trim().toLowerCase();
+        await setDoc(doc(this.db, "invites", `${household.id}_${normalized}`), {
+            householdId: household.id,
+            householdName: household.name,
+            ownerId: household.ownerId,
+            email: normalized,
+            role,
+            invitedBy: this.email || this.userId,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    // Only the owner sees a household's invites; the rules need the ownerId in the query
+    async getInvites(householdId) {
+        const q = query(collection(this.db, "invites"), where("householdId", "==", householdId), where("ownerId", "==", this.userId));
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    // Invites for the signed-in email; guests have none
+    async getMyInvites() {
+        if (!this.email) return [];
+        const q = query(collection(this.db, "invites"), where("email", "==", this.email));
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    async acceptInvite(invite) {
+        const household = await this.getHousehold(invite.householdId);
+        if (!household) throw new Error('This household no longer exists.');
+        await this.updateMembers(household, {
+            memberIds: [...household.memberIds, this.userId],
+            roles: { ...household.roles, [this.userId]: invite.role },
+            emails: { ...household.emails, [this.userId]: this.email }
+        });
+        await this.deleteInvite(invite.id);
+        return this.getHousehold(invite.householdId);
+    }
+
+    async deleteInvite(inviteId) {
+        await deleteDoc(doc(this.db, "invites", inviteId));
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * RecipeScan DB - Translations
+ *
+ * UI text is written in English and looked up by that English text, so a
+ * string missing from a catalog shows in English. Catalogs live in locales/
+ * and load when their language is picked. Placeholders in braces are filled
+ * from `params`: t('Signed in as {email}.', { email }).
+ *
+ * Static text in index.html is marked up instead of translated in code:
+ * `data-i18n` on an element translates its text, `data-i18n-placeholder`
+ * and `data-i18n-title` the matching attributes.
+ */
+
+export const LANGUAGES = {
+    en: 'English',
+    de: 'Deutsch',
+    fr: 'Français',
+    es: 'Español'
+};
+
+const ATTRIBUTES = ['placeholder', 'title'];
+
+let language = 'en';
+let catalog = {};
+
+// A language from LANGUAGES: the saved choice, else the browser's, else English
+export function resolveLanguage(preference) {
+    if (LANGUAGES[preference]) return preference;
+    const browser = (navigator.languages || [navigator.language])
+        .map(code => String(code || '').slice(0, 2).toLowerCase())
+        .find(code => LANGUAGES[code]);
+    return browser || 'en';
+}
+
+// Loads the catalog for `preference` ('' follows the browser)
+export async function setLanguage(preference) {
+    const next = resolveLanguage(preference);
+    let strings = {};
+    if (next !== 'en') {
+        try {
+            strings = (await import(`./locales/${next}.js`)).default;
+        } catch (err) {
+            console.warn(`Translations for ${next} could not be loaded:`, err);
+            return language;
+        }
+    }
+    language = next;
+    catalog = strings;
+    document.documentElement.lang = next;
+    return language;
+}
+
+export function getLanguage() {
+    return language;
+}
+
+export function t(text, params = {}) {
+    const template = catalog[text] || text;
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+}
+
+/**
+ * Translates marked-up text below `root`. The English original is kept in
+ * the attribute the first time, so switching languages again works.
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+        el.textContent = t(el.dataset.i18n);
+    });
+    ATTRIBUTES.forEach(attribute => {
+        const key = `i18n${attribute[0].toUpperCase()}${attribute.slice(1)}`;
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            if (!el.dataset[key]) el.dataset[key] = el.getAttribute(attribute) || '';
+            el.setAttribute(attribute, t(el.dataset[key]));
+        });
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * RecipeScan DB - Image helpers
+ *
+ * Photos are stored as compressed JPEG Blobs in their own IndexedDB store
+ * instead of data URLs inside recipe records, each with a small thumbnail
+ * for the recipe cards. Without Cloudinary, a smaller copy travels inside
+ * the synced record.
+ */
+
+export const MAX_IMAGE_SIZE = 1600;
+export const THUMBNAIL_SIZE = 160;
+export const SYNCED_IMAGE_SIZE = 800;
+// Keeps a recipe with its photo well inside a Firestore document (1 MiB)
+const SYNCED_IMAGE_BYTES = 150 * 1024;
+
+// Synchronous so it can run inside an IndexedDB upgrade transaction
+export function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+export async function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+async function resize(blob, maxSize, quality) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode image'))), 'image/jpeg', quality);
+    });
+}
+
+// `blob`, or a smaller copy when it is too big to sync inside a record
+export async function syncedImage(blob) {
+    if (blob.size <= SYNCED_IMAGE_BYTES) return blob;
+    return resize(blob, SYNCED_IMAGE_SIZE, 0.7);
+}
+
+/**
+ * Returns the compressed original and its thumbnail. Small originals that
+ * don't shrink when re-encoded are kept as they are.
+ */
+export async function prepareImage(blob) {
+    const compressed = await resize(blob, MAX_IMAGE_SIZE, 0.82);
+    return {
+        blob: compressed.size < blob.size ? compressed : blob,
+        thumb: await resize(blob, THUMBNAIL_SIZE, 0.7)
+    };
+}
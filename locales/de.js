@@ -0,0 +1,484 @@
+/**
+ * RecipeScan DB - German translations
+ *
+ * Keyed by the English text; see i18n.js. Anything missing shows in English.
+ */
+
+export default {
+    'No cameras found. Type the barcode or pick a photo instead.': 'Keine Kamera gefunden. Gib den Barcode ein oder wähle ein Foto.',
+    'Camera access denied. Enable camera permissions in your browser settings, or type the barcode instead.': 'Kamerazugriff verweigert. Erlaube den Kamerazugriff in den Browsereinstellungen oder gib den Barcode ein.',
+    'Could not start camera. Make sure no other app is using it, or type the barcode instead.': 'Die Kamera konnte nicht gestartet werden. Stelle sicher, dass keine andere App sie verwendet, oder gib den Barcode ein.',
+    'Unlock the vault or choose a passphrase to store credentials.': 'Entsperre den Tresor oder wähle eine Passphrase, um Zugangsdaten zu speichern.',
+    'A new version of RecipeScan is ready. Reload now?': 'Eine neue Version von RecipeScan ist bereit. Jetzt neu laden?',
+    'Confirm your email to finish signing in': 'Bestätige deine E-Mail-Adresse, um die Anmeldung abzuschließen',
+    'This sign-in link is invalid or has expired. Please request a new one.': 'Dieser Anmeldelink ist ungültig oder abgelaufen. Bitte fordere einen neuen an.',
+    'Cloud Sync Status: {count} pending change': 'Cloud-Sync-Status: {count} ausstehende Änderung',
+    'Cloud Sync Status: {count} pending changes': 'Cloud-Sync-Status: {count} ausstehende Änderungen',
+    'Cloud Sync Status': 'Cloud-Sync-Status',
+    'Same as the browser': 'Wie im Browser',
+    'Credentials are unlocked for this session.': 'Die Zugangsdaten sind für diese Sitzung entsperrt.',
+    'Your credentials are stored unencrypted on this device. Enter a passphrase to encrypt them.': 'Deine Zugangsdaten sind unverschlüsselt auf diesem Gerät gespeichert. Gib eine Passphrase ein, um sie zu verschlüsseln.',
+    'Credentials are locked. Enter your passphrase to use cloud sync.': 'Die Zugangsdaten sind gesperrt. Gib deine Passphrase ein, um die Cloud-Synchronisierung zu nutzen.',
+    'Credentials you enter below are encrypted with this passphrase before they are saved or synced.': 'Zugangsdaten, die du unten eingibst, werden mit dieser Passphrase verschlüsselt, bevor sie gespeichert oder synchronisiert werden.',
+    'Unlock': 'Entsperren',
+    'Encrypt': 'Verschlüsseln',
+    'Save working sync settings first; the test uses the saved backend.': 'Speichere zuerst funktionierende Sync-Einstellungen; der Test verwendet das gespeicherte Backend.',
+    '{failed} of {total} checks failed.': '{failed} von {total} Prüfungen fehlgeschlagen.',
+    'The backend passed every check.': 'Das Backend hat alle Prüfungen bestanden.',
+    'Enter your Firebase configuration below and save to sign in.': 'Gib unten deine Firebase-Konfiguration ein und speichere, um dich anzumelden.',
+    'Signed in as a guest on this device. Add your email to reach your recipes from other devices and to join a household.': 'Als Gast auf diesem Gerät angemeldet. Füge deine E-Mail-Adresse hinzu, um deine Rezepte auf anderen Geräten zu nutzen und einem Haushalt beizutreten.',
+    'Signed in as {email}.': 'Angemeldet als {email}.',
+    'Please enter your email': 'Bitte gib deine E-Mail-Adresse ein',
+    'We sent a sign-in link to {email}. Open it on this device to finish.': 'Wir haben einen Anmeldelink an {email} gesendet. Öffne ihn auf diesem Gerät, um fortzufahren.',
+    'Could not send the sign-in link. Check the address and that email link sign-in is enabled for your Firebase project.': 'Der Anmeldelink konnte nicht gesendet werden. Prüfe die Adresse und ob die Anmeldung per E-Mail-Link in deinem Firebase-Projekt aktiviert ist.',
+    'Sign out? Recipes stay on this device.': 'Abmelden? Die Rezepte bleiben auf diesem Gerät.',
+    'My recipes': 'Meine Rezepte',
+    'Join': 'Beitreten',
+    'Decline': 'Ablehnen',
+    '{person} invited you to {household} ({role})': '{person} hat dich zu {household} eingeladen ({role})',
+    'Delete Household': 'Haushalt löschen',
+    'Leave Household': 'Haushalt verlassen',
+    'Guest': 'Gast',
+    '{member} (you)': '{member} (du)',
+    'Remove': 'Entfernen',
+    'Revoke': 'Zurückziehen',
+    '{email} · invited as {role}': '{email} · eingeladen als {role}',
+    'Remove {member} from {household}?': '{member} aus {household} entfernen?',
+    'this member': 'dieses Mitglied',
+    'Could not update the household.': 'Der Haushalt konnte nicht aktualisiert werden.',
+    'Name your household': 'Gib deinem Haushalt einen Namen',
+    'Could not create the household.': 'Der Haushalt konnte nicht erstellt werden.',
+    'Please enter an email': 'Bitte gib eine E-Mail-Adresse ein',
+    '{email} can join after signing in with that address.': '{email} kann beitreten, sobald die Anmeldung mit dieser Adresse erfolgt ist.',
+    'Could not send the invite.': 'Die Einladung konnte nicht gesendet werden.',
+    'Delete {household}? Members lose access to its recipes, and they are removed from this device.': '{household} löschen? Die Mitglieder verlieren den Zugriff auf die Rezepte, und sie werden von diesem Gerät entfernt.',
+    'Leave {household}? Its recipes are removed from this device; copy the ones you want to keep to My recipes first.': '{household} verlassen? Die Rezepte werden von diesem Gerät entfernt; kopiere die, die du behalten willst, vorher in Meine Rezepte.',
+    'Could not leave the household.': 'Der Haushalt konnte nicht verlassen werden.',
+    'Sync with {target}? You have read-only access, so you can cook from its recipes but not change them.': 'Mit {target} synchronisieren? Du hast nur Lesezugriff: Du kannst nach den Rezepten kochen, sie aber nicht ändern.',
+    'Per 100{unit}': 'Pro 100{unit}',
+    'The torch could not be switched on.': 'Die Taschenlampe konnte nicht eingeschaltet werden.',
+    'Clear the scanned queue? Saved recipes and drafts are kept.': 'Die Scan-Warteschlange leeren? Gespeicherte Rezepte und Entwürfe bleiben erhalten.',
+    'Please enter your passphrase': 'Bitte gib deine Passphrase ein',
+    'Enter the new passphrase first': 'Gib zuerst die neue Passphrase ein',
+    'Change the passphrase? Other devices will need the new one to unlock.': 'Passphrase ändern? Andere Geräte brauchen dann die neue zum Entsperren.',
+    'Passphrase changed.': 'Passphrase geändert.',
+    'Syncing...': 'Synchronisiere...',
+    'Enter your passphrase to unlock your credentials.': 'Gib deine Passphrase ein, um deine Zugangsdaten zu entsperren.',
+    'Choose a passphrase to encrypt your credentials.': 'Wähle eine Passphrase, um deine Zugangsdaten zu verschlüsseln.',
+    'Settings saved and synced!': 'Einstellungen gespeichert und synchronisiert!',
+    'Stop cooking? Running timers will be cancelled.': 'Kochen beenden? Laufende Timer werden abgebrochen.',
+    'Camera {number}': 'Kamera {number}',
+    'Use "{digits}" anyway?': '„{digits}“ trotzdem verwenden?',
+    '{digits} is a valid EAN-8 and a valid short US code (UPC-E). Press OK if it is on a US or Canadian pack, Cancel for EAN-8.': '{digits} ist ein gültiger EAN-8- und ein gültiger kurzer US-Code (UPC-E). OK, wenn er auf einer Packung aus den USA oder Kanada steht, Abbrechen für EAN-8.',
+    'Reading barcode from photo...': 'Lese Barcode aus dem Foto...',
+    'No barcode found in that photo. Try a sharper, closer shot or type the code.': 'Kein Barcode auf dem Foto gefunden. Versuche eine schärfere Aufnahme aus der Nähe oder gib den Code ein.',
+    'New Variant': 'Neue Variante',
+    'New Recipe': 'Neues Rezept',
+    'Save to Database': 'In der Datenbank speichern',
+    'Looking up product...': 'Suche Produkt...',
+    'New': 'Neu',
+    'Known': 'Bekannt',
+    'Draft': 'Entwurf',
+    'Added': 'Hinzugefügt',
+    'Unknown product': 'Unbekanntes Produkt',
+    'Add': 'Hinzufügen',
+    'Finish': 'Fertigstellen',
+    'Open': 'Öffnen',
+    '{count} scanned · {new} new': '{count} gescannt · {new} neu',
+    'No codes scanned yet': 'Noch keine Codes gescannt',
+    '{new} of {count} scanned product has no recipe yet.': '{new} von {count} gescannten Produkten hat noch kein Rezept.',
+    '{new} of {count} scanned products have no recipe yet.': '{new} von {count} gescannten Produkten haben noch kein Rezept.',
+    'Every scanned product has a recipe or draft.': 'Jedes gescannte Produkt hat ein Rezept oder einen Entwurf.',
+    'Saved {count} draft. Scan a product again or open it from the list to finish it.': '{count} Entwurf gespeichert. Scanne ein Produkt erneut oder öffne es aus der Liste, um es fertigzustellen.',
+    'Saved {count} drafts. Scan a product again or open it from the list to finish it.': '{count} Entwürfe gespeichert. Scanne ein Produkt erneut oder öffne es aus der Liste, um es fertigzustellen.',
+    'Error saving drafts': 'Fehler beim Speichern der Entwürfe',
+    'Edit Recipe': 'Rezept bearbeiten',
+    'Save Changes': 'Änderungen speichern',
+    'Remove Step': 'Schritt entfernen',
+    'stand {duration}': 'ruhen {duration}',
+    'Add to Pantry': 'Zum Vorrat hinzufügen',
+    'Barcode: {barcode}': 'Barcode: {barcode}',
+    '{count} already in stock.': '{count} bereits auf Vorrat.',
+    'You have read-only access to this household.': 'Du hast nur Lesezugriff auf diesen Haushalt.',
+    'Please enter how many you are adding': 'Bitte gib an, wie viele du hinzufügst',
+    'Failed to add to the pantry.': 'Hinzufügen zum Vorrat fehlgeschlagen.',
+    'Preparing image...': 'Bereite Bild vor...',
+    'No date found. Try a closer photo of the printed date or type it in.': 'Kein Datum gefunden. Versuche ein näheres Foto des aufgedruckten Datums oder gib es ein.',
+    'Failed to read the date.': 'Das Datum konnte nicht gelesen werden.',
+    'Nothing stored here.': 'Hier ist nichts gelagert.',
+    'The pantry is empty. Scan products to add them.': 'Der Vorrat ist leer. Scanne Produkte, um sie hinzuzufügen.',
+    'Add more': 'Mehr hinzufügen',
+    'Used one': 'Eins verbraucht',
+    'Remove from Pantry': 'Aus dem Vorrat entfernen',
+    'Remove {quantity}× {name} ({location})?': '{quantity}× {name} ({location}) entfernen?',
+    'this product': 'dieses Produkt',
+    'no date': 'kein Datum',
+    'expired {days} days ago': 'seit {days} Tagen abgelaufen',
+    'expired yesterday': 'gestern abgelaufen',
+    'expires today': 'läuft heute ab',
+    'expires tomorrow': 'läuft morgen ab',
+    'expires in {days} days': 'läuft in {days} Tagen ab',
+    'best before {date}': 'mindestens haltbar bis {date}',
+    'In stock: {count}': 'Auf Vorrat: {count}',
+    'Not in stock': 'Nicht auf Vorrat',
+    '+ Add': '+ Hinzufügen',
+    '{item}. Tap to open the pantry.': '{item}. Tippe, um den Vorrat zu öffnen.',
+    '{count} pantry items are expiring or past their date. Tap to open the pantry.': '{count} Vorratsartikel laufen bald ab oder sind abgelaufen. Tippe, um den Vorrat zu öffnen.',
+    '{count} pantry items need using up': '{count} Vorratsartikel sollten aufgebraucht werden',
+    'In the freezer': 'Im Gefrierschrank',
+    'In the fridge': 'Im Kühlschrank',
+    'In the pantry': 'In der Speisekammer',
+    'Notifications are blocked. Allow them for this site in your browser settings.': 'Benachrichtigungen sind blockiert. Erlaube sie für diese Seite in den Browsereinstellungen.',
+    'No nutrition values found. Try a sharper photo of the table or enter them manually.': 'Keine Nährwerte gefunden. Versuche ein schärferes Foto der Tabelle oder gib sie manuell ein.',
+    'Failed to read the nutrition label.': 'Die Nährwerttabelle konnte nicht gelesen werden.',
+    'Take a photo of the instructions': 'Fotografiere die Zubereitungshinweise',
+    'Please enter the barcode': 'Bitte gib den Barcode ein',
+    'Please enter a name': 'Bitte gib einen Namen ein',
+    'Could not store the photo. Please try another one.': 'Das Foto konnte nicht gespeichert werden. Bitte versuche ein anderes.',
+    'Uploading Image...': 'Lade Bild hoch...',
+    'Cloudinary upload failed ({error}). Saving image locally instead.': 'Cloudinary-Upload fehlgeschlagen ({error}). Das Bild wird stattdessen lokal gespeichert.',
+    'Recipe updated!': 'Rezept aktualisiert!',
+    'Recipe saved!': 'Rezept gespeichert!',
+    'Error saving recipe': 'Fehler beim Speichern des Rezepts',
+    'Could not open the photo for text recognition.': 'Das Foto konnte nicht für die Texterkennung geöffnet werden.',
+    'Loading OCR engine': 'Lade Texterkennung',
+    'Starting OCR engine': 'Starte Texterkennung',
+    'Loading languages': 'Lade Sprachen',
+    'Reading text': 'Lese Text',
+    'Working': 'Arbeite',
+    'Failed to extract text from image.': 'Text konnte nicht aus dem Bild gelesen werden.',
+    'Confidence {percent}%': 'Sicherheit {percent} %',
+    '{count} word to check': '{count} Wort zu prüfen',
+    '{count} words to check': '{count} Wörter zu prüfen',
+    'No recipes saved yet. Scan a barcode to start!': 'Noch keine Rezepte gespeichert. Scanne einen Barcode, um zu beginnen!',
+    'No recipes match your search.': 'Keine Rezepte passen zu deiner Suche.',
+    'No recipes saved yet.': 'Noch keine Rezepte gespeichert.',
+    'Delete Recipe': 'Rezept löschen',
+    '"{name}" moved to the trash.': '„{name}“ in den Papierkorb verschoben.',
+    'Undo': 'Rückgängig',
+    'Failed to delete recipe.': 'Rezept konnte nicht gelöscht werden.',
+    'Failed to restore recipe.': 'Rezept konnte nicht wiederhergestellt werden.',
+    'Recipes are removed for good {days} day after they were deleted.': 'Rezepte werden {days} Tag nach dem Löschen endgültig entfernt.',
+    'Recipes are removed for good {days} days after they were deleted.': 'Rezepte werden {days} Tage nach dem Löschen endgültig entfernt.',
+    'Recipes stay here until you delete them for good.': 'Rezepte bleiben hier, bis du sie endgültig löschst.',
+    'The trash is empty.': 'Der Papierkorb ist leer.',
+    'Deleted {date}': 'Gelöscht am {date}',
+    '{count} day left': 'noch {count} Tag',
+    '{count} days left': 'noch {count} Tage',
+    'Restore': 'Wiederherstellen',
+    'Delete': 'Löschen',
+    'Delete "{name}" for good? This can\'t be undone.': '„{name}“ endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+    'Delete {count} recipe for good? This can\'t be undone.': '{count} Rezept endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+    'Delete {count} recipes for good? This can\'t be undone.': '{count} Rezepte endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+    'Failed to empty the trash.': 'Der Papierkorb konnte nicht geleert werden.',
+    'Per serving ({size})': 'Pro Portion ({size})',
+    'Per serving': 'Pro Portion',
+    'Nutrition Facts': 'Nährwerte',
+    'Serves {count}': 'Für {count} Personen',
+    'Stand {duration}': 'Ruhen {duration}',
+    'This recipe has no steps to follow yet.': 'Dieses Rezept hat noch keine Schritte.',
+    'Step {number} of {total}': 'Schritt {number} von {total}',
+    'Finish ✓': 'Fertig ✓',
+    'Next →': 'Weiter →',
+    'Stand': 'Ruhen',
+    'Step {number}': 'Schritt {number}',
+    'Timed for your {watts} W microwave; the pack says {from} W.': 'Zeiten für deine Mikrowelle mit {watts} W; auf der Packung stehen {from} W.',
+    'Exporting {done}/{total}...': 'Exportiere {done}/{total}...',
+    'Export failed.': 'Export fehlgeschlagen.',
+    'This file is not valid JSON.': 'Diese Datei ist kein gültiges JSON.',
+    'Nothing to import.': 'Nichts zu importieren.',
+    '{count} recipe in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} Rezept in der Sicherung: {new} neu, {newer} neuer, {older} älter, {identical} unverändert.',
+    '{count} recipes in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} Rezepte in der Sicherung: {new} neu, {newer} neuer, {older} älter, {identical} unverändert.',
+    'Newer': 'Neuer',
+    'Older': 'Älter',
+    'Unchanged': 'Unverändert',
+    'Imported {count} recipe.': '{count} Rezept importiert.',
+    'Imported {count} recipes.': '{count} Rezepte importiert.',
+    'Import failed.': 'Import fehlgeschlagen.',
+    'Could not read this share code.': 'Dieser Teilen-Code konnte nicht gelesen werden.',
+    'This shared recipe can\'t be imported.': 'Dieses geteilte Rezept kann nicht importiert werden.',
+    'You already have {recipe}.': 'Du hast {recipe} bereits.',
+    'You already have {recipe}. Replace your copy with the shared one?': 'Du hast {recipe} bereits. Deine Kopie durch die geteilte ersetzen?',
+    'Add the shared recipe {recipe} ({barcode})?': 'Das geteilte Rezept {recipe} ({barcode}) hinzufügen?',
+    'Send File': 'Datei senden',
+    'Download File': 'Datei herunterladen',
+    'Scan with RecipeScan on another phone, or with any camera app to open the link.': 'Mit RecipeScan auf einem anderen Handy scannen oder mit einer beliebigen Kamera-App, um den Link zu öffnen.',
+    'Could not create a QR code. Send the file instead.': 'Der QR-Code konnte nicht erstellt werden. Sende stattdessen die Datei.',
+    'Link copied.': 'Link kopiert.',
+    'Copy this link:': 'Diesen Link kopieren:',
+    'Open in RecipeScan: {link}': 'In RecipeScan öffnen: {link}',
+    'Could not share the recipe.': 'Das Rezept konnte nicht geteilt werden.',
+    '{target} already has this recipe. Replace it?': '{target} hat dieses Rezept schon. Ersetzen?',
+    'Copied to {target}.': 'In {target} kopiert.',
+    'Could not copy the recipe.': 'Das Rezept konnte nicht kopiert werden.',
+    'No instructions provided.': 'Keine Zubereitungshinweise vorhanden.',
+    'Variant {number}': 'Variante {number}',
+    '+ Add Variant': '+ Variante hinzufügen',
+    'product': 'Produkt',
+    'pantry stock': 'Vorrat',
+    'the edit from {date}': 'die Änderung vom {date}',
+    'the deletion': 'die Löschung',
+    'an edit from {date}': 'eine Änderung vom {date}',
+    'a deletion': 'eine Löschung',
+    'Dismiss': 'Verwerfen',
+    'Kept {kept}, overwrote {lost}.': 'Behalten: {kept}, überschrieben: {lost}.',
+    'Share': 'Teilen',
+    'Edit': 'Bearbeiten',
+    'Cooked {count}× · last on {date}': '{count}× gekocht · zuletzt am {date}',
+    'Start Cooking': 'Kochen starten',
+    'Original instructions': 'Original-Zubereitungshinweise',
+    'File is not a JSON object.': 'Die Datei ist kein JSON-Objekt.',
+    'File is not a RecipeScan backup.': 'Die Datei ist keine RecipeScan-Sicherung.',
+    'Unsupported backup version {version}. Please update the app.': 'Nicht unterstützte Sicherungsversion {version}. Bitte aktualisiere die App.',
+    'Backup has no recipe list.': 'Die Sicherung enthält keine Rezeptliste.',
+    'Recipe #{number}': 'Rezept Nr. {number}',
+    '{label} is not an object.': '{label} ist kein Objekt.',
+    '{label} has no id.': '{label} hat keine ID.',
+    '{label} has no barcode.': '{label} hat keinen Barcode.',
+    '{label} ({barcode}) has no name.': '{label} ({barcode}) hat keinen Namen.',
+    '{label} ({barcode}) has invalid instructions.': '{label} ({barcode}) hat ungültige Zubereitungshinweise.',
+    '{label} ({barcode}) has an invalid image.': '{label} ({barcode}) hat ein ungültiges Bild.',
+    '{label} ({barcode}) had damaged details, which were left out.': 'Bei {label} ({barcode}) wurden beschädigte Angaben weggelassen.',
+    '{label} duplicates id {id}.': '{label} verwendet die ID {id} doppelt.',
+    '{label} timer finished': 'Timer {label} abgelaufen',
+    'Done!': 'Fertig!',
+    'Cancel': 'Abbrechen',
+    'This browser cannot create share codes.': 'Dieser Browser kann keine Teilen-Codes erstellen.',
+    'This is not a RecipeScan share code.': 'Das ist kein RecipeScan-Teilen-Code.',
+    'This recipe was shared from a newer version of RecipeScan. Please update the app.': 'Dieses Rezept wurde aus einer neueren Version von RecipeScan geteilt. Bitte aktualisiere die App.',
+    'This browser cannot read share codes.': 'Dieser Browser kann keine Teilen-Codes lesen.',
+    'This share code is damaged. Ask for it to be shared again.': 'Dieser Teilen-Code ist beschädigt. Bitte lass ihn erneut teilen.',
+    'This share code is too large to be a recipe.': 'Dieser Teilen-Code ist zu groß für ein Rezept.',
+    'This recipe is too long for a QR code. Send the file instead.': 'Dieses Rezept ist zu lang für einen QR-Code. Sende stattdessen die Datei.',
+    'Wrong passphrase.': 'Falsche Passphrase.',
+    'Choose a passphrase.': 'Wähle eine Passphrase.',
+    'There is no vault to unlock.': 'Es gibt keinen Tresor zum Entsperren.',
+    'Unlock the vault first.': 'Entsperre zuerst den Tresor.',
+    'Owner': 'Besitzer',
+    'Editor': 'Bearbeiter',
+    'Read-only': 'Nur lesen',
+    'Microwave': 'Mikrowelle',
+    'Oven': 'Backofen',
+    'Air Fryer': 'Heißluftfritteuse',
+    'Stovetop': 'Herd',
+    'Freezer': 'Gefrierschrank',
+    'Fridge': 'Kühlschrank',
+    'Pantry': 'Vorrat',
+    'Skip existing recipes': 'Vorhandene Rezepte überspringen',
+    'Overwrite existing recipes': 'Vorhandene Rezepte überschreiben',
+    'Keep the newer copy': 'Die neuere Kopie behalten',
+    'As printed': 'Wie aufgedruckt',
+    'Metric (°C, g, ml)': 'Metrisch (°C, g, ml)',
+    'US (°F, oz, cups)': 'US (°F, oz, Cups)',
+    'Energy': 'Energie',
+    'Fat': 'Fett',
+    'of which saturates': 'davon gesättigte Fettsäuren',
+    'Carbohydrate': 'Kohlenhydrate',
+    'of which sugars': 'davon Zucker',
+    'Fibre': 'Ballaststoffe',
+    'Protein': 'Eiweiß',
+    'Salt': 'Salz',
+    'Sodium': 'Natrium',
+    'Barcodes contain digits only.': 'Barcodes enthalten nur Ziffern.',
+    'The check digit does not match. The code was probably misread.': 'Die Prüfziffer stimmt nicht. Der Code wurde vermutlich falsch gelesen.',
+    'Retail barcodes have 8, 12, 13 or 14 digits.': 'Handelsübliche Barcodes haben 8, 12, 13 oder 14 Ziffern.',
+    'RecipeScan DB - Smart Cooking Assistant': 'RecipeScan DB – Smarter Kochassistent',
+    '🔒 Credentials are locked or unencrypted. Tap to open settings.': '🔒 Zugangsdaten sind gesperrt oder unverschlüsselt. Tippe, um die Einstellungen zu öffnen.',
+    'Your Intelligent': 'Deine intelligente',
+    'Recipe Database': 'Rezeptdatenbank',
+    'Scan a barcode, capture the food,': 'Barcode scannen, Essen fotografieren –',
+    'and never lose a recipe again.': 'und nie wieder ein Rezept verlieren.',
+    'Scan Barcode': 'Barcode scannen',
+    'View Saved Recipes': 'Gespeicherte Rezepte',
+    'Recent Scans': 'Zuletzt gescannt',
+    'See All': 'Alle anzeigen',
+    '← Back': '← Zurück',
+    'Align the barcode within the frame': 'Richte den Barcode im Rahmen aus',
+    'Batch': 'Serie',
+    'Go': 'Los',
+    'Review': 'Prüfen',
+    '← Keep Scanning': '← Weiter scannen',
+    'Scanned Products': 'Gescannte Produkte',
+    'Add Next New Recipe': 'Nächstes neues Rezept anlegen',
+    'Save New as Drafts': 'Neue als Entwürfe speichern',
+    'Clear Queue': 'Warteschlange leeren',
+    '← Cancel': '← Abbrechen',
+    'Barcode': 'Barcode',
+    'Food Container Photo': 'Foto der Verpackung',
+    'Take Photo': 'Foto aufnehmen',
+    'Extract Text (OCR)': 'Text erkennen (OCR)',
+    'Keep Original Photo': 'Originalfoto behalten',
+    'Drag over the instructions panel to read just that part.': 'Ziehe über den Bereich mit der Zubereitung, um nur diesen zu lesen.',
+    '⟲ Rotate': '⟲ Drehen',
+    '⟳ Rotate': '⟳ Drehen',
+    'Whole Photo': 'Ganzes Foto',
+    'Read Text': 'Text lesen',
+    'Recipe Name': 'Rezeptname',
+    'Variant (optional)': 'Variante (optional)',
+    'Cooking Instructions': 'Zubereitung',
+    'Scanning Text...': 'Erkenne Text...',
+    'Words to check': 'Zu prüfende Wörter',
+    'Hide': 'Ausblenden',
+    'Recipe Steps': 'Rezeptschritte',
+    'Parse Instructions': 'Zubereitung auswerten',
+    'Method': 'Methode',
+    'Not set': 'Nicht festgelegt',
+    'Servings': 'Portionen',
+    'Stand (min)': 'Ruhezeit (Min.)',
+    'Microwave Wattage': 'Mikrowellenleistung',
+    '+ Add Step': '+ Schritt hinzufügen',
+    'Enter Manually': 'Manuell eingeben',
+    'Scan Label': 'Etikett scannen',
+    'Reading label...': 'Lese Etikett...',
+    'Serving Size': 'Portionsgröße',
+    'Unit': 'Einheit',
+    'Per 100g': 'Pro 100g',
+    'Per Serving': 'Pro Portion',
+    'Remove Nutrition Facts': 'Nährwerte entfernen',
+    'This product has several recipes. Pick one or add a new variant.': 'Dieses Produkt hat mehrere Rezepte. Wähle eines aus oder füge eine neue Variante hinzu.',
+    'Share Recipe': 'Rezept teilen',
+    'Copy Link': 'Link kopieren',
+    'Print Card': 'Karte drucken',
+    'Copy To': 'Kopieren nach',
+    'Copy Recipe': 'Rezept kopieren',
+    'The file opens with Import Backup in Settings and includes the photo.': 'Die Datei lässt sich in den Einstellungen mit „Importieren“ öffnen und enthält das Foto.',
+    '✕ Exit': '✕ Beenden',
+    'All Recipes': 'Alle Rezepte',
+    '🗑️ Trash': '🗑️ Papierkorb',
+    'Date added': 'Hinzugefügt am',
+    'Name': 'Name',
+    'Last cooked': 'Zuletzt gekocht',
+    'Product Name': 'Produktname',
+    'Quantity': 'Menge',
+    'Location': 'Lagerort',
+    'Best Before': 'Mindestens haltbar bis',
+    'Read from Photo': 'Vom Foto lesen',
+    'Reading date...': 'Lese Datum...',
+    'All locations': 'Alle Lagerorte',
+    '+ Scan Items': '+ Artikel scannen',
+    '🔔 Notify me when items are about to expire': '🔔 Benachrichtige mich, wenn Artikel bald ablaufen',
+    'Trash': 'Papierkorb',
+    'Empty Trash': 'Papierkorb leeren',
+    'Cloud Settings': 'Cloud-Einstellungen',
+    'Passphrase': 'Passphrase',
+    'Use the same passphrase on every device. It is never stored or synced; if you forget it, enter your credentials again.': 'Verwende auf jedem Gerät dieselbe Passphrase. Sie wird nie gespeichert oder synchronisiert; wenn du sie vergisst, gib deine Zugangsdaten erneut ein.',
+    'Lock': 'Sperren',
+    'Change Passphrase': 'Passphrase ändern',
+    'Cloudinary': 'Cloudinary',
+    'To save images online, enter your Cloudinary details below. Uploads are signed by a small endpoint you run yourself:': 'Um Bilder online zu speichern, gib unten deine Cloudinary-Daten ein. Uploads werden von einem kleinen Endpunkt signiert, den du selbst betreibst:',
+    'It keeps the API secret off this device; without one, an unsigned upload preset is used and replaced photos can\'t be deleted.': 'Er hält das API-Secret von diesem Gerät fern; ohne ihn wird ein unsigniertes Upload-Preset verwendet und ersetzte Fotos können nicht gelöscht werden.',
+    'Cloud Name': 'Cloud-Name',
+    'Signing Endpoint': 'Signatur-Endpunkt',
+    'Signing Token': 'Signatur-Token',
+    'Upload Preset': 'Upload-Preset',
+    'Product Lookup': 'Produktsuche',
+    'New barcodes are looked up in a product catalog to prefill the recipe name.': 'Neue Barcodes werden in einem Produktkatalog nachgeschlagen, um den Rezeptnamen vorauszufüllen.',
+    'Catalog': 'Katalog',
+    'Open Food Facts': 'Open Food Facts',
+    'Local catalog file (JSON)': 'Lokale Katalogdatei (JSON)',
+    'Self-hosted endpoint': 'Selbst gehosteter Endpunkt',
+    'Off': 'Aus',
+    'Catalog URL (optional)': 'Katalog-URL (optional)',
+    'Required for a local file or self-hosted endpoint. For Open Food Facts, leave empty to use the public server.': 'Erforderlich für eine lokale Datei oder einen selbst gehosteten Endpunkt. Für Open Food Facts leer lassen, um den öffentlichen Server zu nutzen.',
+    'Text Recognition': 'Texterkennung',
+    'Languages printed on your packs. Each extra language makes reading a little slower.': 'Sprachen auf deinen Verpackungen. Jede weitere Sprache macht das Lesen etwas langsamer.',
+    'English': 'Englisch',
+    'French': 'Französisch',
+    'German': 'Deutsch',
+    'Spanish': 'Spanisch',
+    'Italian': 'Italienisch',
+    'Dutch': 'Niederländisch',
+    'Language & Units': 'Sprache & Einheiten',
+    'Language': 'Sprache',
+    'Units in Instructions': 'Einheiten in der Zubereitung',
+    'Converted amounts are underlined; tap one to see what the pack says.': 'Umgerechnete Mengen sind unterstrichen; tippe darauf, um zu sehen, was auf der Packung steht.',
+    'My Microwave (watts)': 'Meine Mikrowelle (Watt)',
+    'Microwave times are rescaled from the wattage on the pack. Leave empty to keep them as printed.': 'Mikrowellenzeiten werden von der Wattzahl auf der Packung umgerechnet. Leer lassen, um sie wie aufgedruckt zu behalten.',
+    'Deleted recipes stay in the trash, on every synced device, until they are removed for good.': 'Gelöschte Rezepte bleiben auf allen synchronisierten Geräten im Papierkorb, bis sie endgültig entfernt werden.',
+    'Keep Deleted Recipes': 'Gelöschte Rezepte behalten',
+    '7 days': '7 Tage',
+    '30 days': '30 Tage',
+    '90 days': '90 Tage',
+    '1 year': '1 Jahr',
+    'Until I empty the trash': 'Bis ich den Papierkorb leere',
+    'Open Trash': 'Papierkorb öffnen',
+    'Cloud Sync': 'Cloud-Synchronisierung',
+    'Sync recipes across devices through Firebase, your own server or a WebDAV folder.': 'Synchronisiere Rezepte zwischen Geräten über Firebase, deinen eigenen Server oder einen WebDAV-Ordner.',
+    'Sync Backend': 'Sync-Backend',
+    'Off (this device only)': 'Aus (nur dieses Gerät)',
+    'Firebase': 'Firebase',
+    'REST server (self-hosted)': 'REST-Server (selbst gehostet)',
+    'WebDAV folder (Nextcloud, ownCloud...)': 'WebDAV-Ordner (Nextcloud, ownCloud...)',
+    'Enter your Firebase configuration.': 'Gib deine Firebase-Konfiguration ein.',
+    'Firebase API Key': 'Firebase-API-Schlüssel',
+    'Project ID': 'Projekt-ID',
+    'Auth Domain': 'Auth-Domain',
+    'Storage Bucket': 'Storage-Bucket',
+    'Messaging Sender ID': 'Messaging-Sender-ID',
+    'App ID': 'App-ID',
+    'Measurement ID': 'Measurement-ID',
+    'Firestore Emulator Host (optional)': 'Firestore-Emulator-Host (optional)',
+    'For local testing with the Firebase emulator suite. Leave empty to use the real project.': 'Für lokale Tests mit der Firebase Emulator Suite. Leer lassen, um das echte Projekt zu verwenden.',
+    'Account': 'Konto',
+    'Email': 'E-Mail',
+    'We\'ll email you a sign-in link. Recipes on this device stay yours.': 'Wir senden dir einen Anmeldelink per E-Mail. Die Rezepte auf diesem Gerät bleiben deine.',
+    'Send Sign-in Link': 'Anmeldelink senden',
+    'Sign Out': 'Abmelden',
+    'Household': 'Haushalt',
+    'Share recipes with the people you cook with. Everyone in a household sees the same recipes.': 'Teile Rezepte mit den Menschen, mit denen du kochst. Alle in einem Haushalt sehen dieselben Rezepte.',
+    'Each household keeps its own recipes. To bring one along, open it and choose Share → Copy To.': 'Jeder Haushalt hat seine eigenen Rezepte. Um eines mitzunehmen, öffne es und wähle Teilen → Kopieren nach.',
+    'Sync With': 'Synchronisieren mit',
+    'Invite by Email': 'Per E-Mail einladen',
+    'Access': 'Zugriff',
+    'Send Invite': 'Einladung senden',
+    'New Household': 'Neuer Haushalt',
+    'Any server speaking the RecipeScan sync protocol. To run the bundled one:': 'Jeder Server, der das RecipeScan-Sync-Protokoll spricht. So startest du den mitgelieferten:',
+    'Server URL': 'Server-URL',
+    'Library': 'Bibliothek',
+    'Devices using the same library share their recipes.': 'Geräte mit derselben Bibliothek teilen ihre Rezepte.',
+    'Access Token': 'Zugriffstoken',
+    'Recipes are kept as JSON files in a folder on your WebDAV server. The server must allow requests from this app (CORS).': 'Rezepte werden als JSON-Dateien in einem Ordner auf deinem WebDAV-Server abgelegt. Der Server muss Anfragen von dieser App erlauben (CORS).',
+    'Folder URL': 'Ordner-URL',
+    'Username': 'Benutzername',
+    'Password': 'Passwort',
+    'Test Backend': 'Backend testen',
+    'Sync Conflicts': 'Sync-Konflikte',
+    'These recipes were edited on more than one device. The newest edit was kept; restore the other copy if it was the right one.': 'Diese Rezepte wurden auf mehreren Geräten bearbeitet. Die neueste Änderung wurde behalten; stelle die andere Kopie wieder her, wenn sie die richtige war.',
+    'Save Settings': 'Einstellungen speichern',
+    'Using Cloudinary allows you to access images from any device.': 'Mit Cloudinary kannst du von jedem Gerät auf deine Bilder zugreifen.',
+    'Backup & Restore': 'Sichern & Wiederherstellen',
+    'Export every recipe with its photo to keep a copy or move to a new phone. No cloud account needed.': 'Exportiere alle Rezepte mit Foto, um eine Kopie zu behalten oder auf ein neues Handy umzuziehen. Kein Cloud-Konto nötig.',
+    'Export Backup': 'Sicherung exportieren',
+    'Export CSV': 'CSV exportieren',
+    'Import': 'Importieren',
+    'When a recipe already exists': 'Wenn ein Rezept schon existiert',
+    'Import Recipes': 'Rezepte importieren',
+    'Home': 'Start',
+    'Scan': 'Scannen',
+    'Recipes': 'Rezepte',
+    'Type the barcode digits': 'Gib die Ziffern des Barcodes ein',
+    'Type the barcode from the pack': 'Gib den Barcode von der Packung ein',
+    'e.g. Spicy Miso Ramen': 'z. B. Scharfe Miso-Ramen',
+    'e.g. Oven, Microwave, Extra crispy': 'z. B. Backofen, Mikrowelle, Extra knusprig',
+    'Paste or type instructions here...': 'Zubereitung hier einfügen oder eingeben...',
+    'Search name, barcode or instructions': 'Name, Barcode oder Zubereitung suchen',
+    'e.g. Frozen Lasagne': 'z. B. Tiefkühl-Lasagne',
+    'Protects your API keys': 'Schützt deine API-Schlüssel',
+    'e.g. MyCloud': 'z. B. MyCloud',
+    'e.g. http://127.0.0.1:8788': 'z. B. http://127.0.0.1:8788',
+    'Token set on the endpoint': 'Am Endpunkt festgelegtes Token',
+    'e.g. ml_default (Unsigned, without an endpoint)': 'z. B. ml_default (unsigniert, ohne Endpunkt)',
+    'e.g. catalog.json or https://example.com/products/{barcode}': 'z. B. catalog.json oder https://example.com/products/{barcode}',
+    'e.g. 800': 'z. B. 800',
+    'Leave empty if the server has none': 'Leer lassen, wenn der Server keins hat',
+    'An app password is best': 'Am besten ein App-Passwort',
+    'Keep scanning and queue every code': 'Weiterscannen und jeden Code einreihen',
+    'Add scanned products to the pantry': 'Gescannte Produkte zum Vorrat hinzufügen',
+    'Camera': 'Kamera',
+    'Torch': 'Taschenlampe',
+    'Zoom': 'Zoom',
+    'Read a barcode from a photo': 'Barcode aus einem Foto lesen',
+    'Type the barcode': 'Barcode eingeben',
+    'Read Steps Aloud': 'Schritte vorlesen',
+    'Sort recipes': 'Rezepte sortieren'
+};
@@ -0,0 +1,484 @@
+/**
+ * RecipeScan DB - Spanish translations
+ *
+ * Keyed by the English text; see i18n.js. Anything missing shows in English.
+ */
+
+export default {
+    'No cameras found. Type the barcode or pick a photo instead.': 'No se encontró ninguna cámara. Escribe el código de barras o elige una foto.',
+    'Camera access denied. Enable camera permissions in your browser settings, or type the barcode instead.': 'Acceso a la cámara denegado. Permite la cámara en los ajustes del navegador o escribe el código de barras.',
+    'Could not start camera. Make sure no other app is using it, or type the barcode instead.': 'No se pudo iniciar la cámara. Comprueba que ninguna otra app la esté usando o escribe el código de barras.',
+    'Unlock the vault or choose a passphrase to store credentials.': 'Desbloquea la caja fuerte o elige una frase de contraseña para guardar credenciales.',
+    'A new version of RecipeScan is ready. Reload now?': 'Hay una nueva versión de RecipeScan. ¿Recargar ahora?',
+    'Confirm your email to finish signing in': 'Confirma tu correo para terminar de iniciar sesión',
+    'This sign-in link is invalid or has expired. Please request a new one.': 'Este enlace de acceso no es válido o ha caducado. Solicita uno nuevo.',
+    'Cloud Sync Status: {count} pending change': 'Estado de sincronización: {count} cambio pendiente',
+    'Cloud Sync Status: {count} pending changes': 'Estado de sincronización: {count} cambios pendientes',
+    'Cloud Sync Status': 'Estado de sincronización',
+    'Same as the browser': 'Igual que el navegador',
+    'Credentials are unlocked for this session.': 'Las credenciales están desbloqueadas en esta sesión.',
+    'Your credentials are stored unencrypted on this device. Enter a passphrase to encrypt them.': 'Tus credenciales están guardadas sin cifrar en este dispositivo. Escribe una frase de contraseña para cifrarlas.',
+    'Credentials are locked. Enter your passphrase to use cloud sync.': 'Las credenciales están bloqueadas. Escribe tu frase de contraseña para usar la sincronización.',
+    'Credentials you enter below are encrypted with this passphrase before they are saved or synced.': 'Las credenciales que escribas abajo se cifran con esta frase de contraseña antes de guardarse o sincronizarse.',
+    'Unlock': 'Desbloquear',
+    'Encrypt': 'Cifrar',
+    'Save working sync settings first; the test uses the saved backend.': 'Guarda primero unos ajustes de sincronización que funcionen; la prueba usa el servicio guardado.',
+    '{failed} of {total} checks failed.': 'Fallaron {failed} de {total} comprobaciones.',
+    'The backend passed every check.': 'El servicio superó todas las comprobaciones.',
+    'Enter your Firebase configuration below and save to sign in.': 'Escribe abajo tu configuración de Firebase y guarda para iniciar sesión.',
+    'Signed in as a guest on this device. Add your email to reach your recipes from other devices and to join a household.': 'Sesión iniciada como invitado en este dispositivo. Añade tu correo para usar tus recetas en otros dispositivos y unirte a un hogar.',
+    'Signed in as {email}.': 'Sesión iniciada como {email}.',
+    'Please enter your email': 'Escribe tu correo',
+    'We sent a sign-in link to {email}. Open it on this device to finish.': 'Hemos enviado un enlace de acceso a {email}. Ábrelo en este dispositivo para continuar.',
+    'Could not send the sign-in link. Check the address and that email link sign-in is enabled for your Firebase project.': 'No se pudo enviar el enlace de acceso. Comprueba la dirección y que el acceso por enlace de correo esté activado en tu proyecto de Firebase.',
+    'Sign out? Recipes stay on this device.': '¿Cerrar sesión? Las recetas se quedan en este dispositivo.',
+    'My recipes': 'Mis recetas',
+    'Join': 'Unirse',
+    'Decline': 'Rechazar',
+    '{person} invited you to {household} ({role})': '{person} te invitó a {household} ({role})',
+    'Delete Household': 'Eliminar hogar',
+    'Leave Household': 'Salir del hogar',
+    'Guest': 'Invitado',
+    '{member} (you)': '{member} (tú)',
+    'Remove': 'Quitar',
+    'Revoke': 'Revocar',
+    '{email} · invited as {role}': '{email} · invitado como {role}',
+    'Remove {member} from {household}?': '¿Quitar a {member} de {household}?',
+    'this member': 'este miembro',
+    'Could not update the household.': 'No se pudo actualizar el hogar.',
+    'Name your household': 'Ponle nombre a tu hogar',
+    'Could not create the household.': 'No se pudo crear el hogar.',
+    'Please enter an email': 'Escribe un correo',
+    '{email} can join after signing in with that address.': '{email} podrá unirse después de iniciar sesión con esa dirección.',
+    'Could not send the invite.': 'No se pudo enviar la invitación.',
+    'Delete {household}? Members lose access to its recipes, and they are removed from this device.': '¿Eliminar {household}? Los miembros pierden el acceso a sus recetas, que también se quitan de este dispositivo.',
+    'Leave {household}? Its recipes are removed from this device; copy the ones you want to keep to My recipes first.': '¿Salir de {household}? Sus recetas se quitan de este dispositivo; copia antes las que quieras conservar a Mis recetas.',
+    'Could not leave the household.': 'No se pudo salir del hogar.',
+    'Sync with {target}? You have read-only access, so you can cook from its recipes but not change them.': '¿Sincronizar con {target}? Tienes acceso de solo lectura: puedes cocinar sus recetas pero no cambiarlas.',
+    'Per 100{unit}': 'Por 100{unit}',
+    'The torch could not be switched on.': 'No se pudo encender la linterna.',
+    'Clear the scanned queue? Saved recipes and drafts are kept.': '¿Vaciar la cola de escaneos? Las recetas y borradores guardados se conservan.',
+    'Please enter your passphrase': 'Escribe tu frase de contraseña',
+    'Enter the new passphrase first': 'Escribe primero la nueva frase de contraseña',
+    'Change the passphrase? Other devices will need the new one to unlock.': '¿Cambiar la frase de contraseña? Los demás dispositivos la necesitarán para desbloquear.',
+    'Passphrase changed.': 'Frase de contraseña cambiada.',
+    'Syncing...': 'Sincronizando...',
+    'Enter your passphrase to unlock your credentials.': 'Escribe tu frase de contraseña para desbloquear tus credenciales.',
+    'Choose a passphrase to encrypt your credentials.': 'Elige una frase de contraseña para cifrar tus credenciales.',
+    'Settings saved and synced!': '¡Ajustes guardados y sincronizados!',
+    'Stop cooking? Running timers will be cancelled.': '¿Dejar de cocinar? Los temporizadores en marcha se cancelarán.',
+    'Camera {number}': 'Cámara {number}',
+    'Use "{digits}" anyway?': '¿Usar «{digits}» de todos modos?',
+    '{digits} is a valid EAN-8 and a valid short US code (UPC-E). Press OK if it is on a US or Canadian pack, Cancel for EAN-8.': '{digits} es un código EAN-8 válido y un código corto estadounidense (UPC-E) válido. Pulsa Aceptar si está en un envase de EE. UU. o Canadá, Cancelar para EAN-8.',
+    'Reading barcode from photo...': 'Leyendo el código de barras de la foto...',
+    'No barcode found in that photo. Try a sharper, closer shot or type the code.': 'No se encontró ningún código de barras en la foto. Prueba con una foto más nítida y cercana o escribe el código.',
+    'New Variant': 'Nueva variante',
+    'New Recipe': 'Nueva receta',
+    'Save to Database': 'Guardar en la base de datos',
+    'Looking up product...': 'Buscando el producto...',
+    'New': 'Nuevo',
+    'Known': 'Conocido',
+    'Draft': 'Borrador',
+    'Added': 'Añadido',
+    'Unknown product': 'Producto desconocido',
+    'Add': 'Añadir',
+    'Finish': 'Terminar',
+    'Open': 'Abrir',
+    '{count} scanned · {new} new': '{count} escaneados · {new} nuevos',
+    'No codes scanned yet': 'Aún no se ha escaneado ningún código',
+    '{new} of {count} scanned product has no recipe yet.': '{new} de {count} productos escaneados aún no tiene receta.',
+    '{new} of {count} scanned products have no recipe yet.': '{new} de {count} productos escaneados aún no tienen receta.',
+    'Every scanned product has a recipe or draft.': 'Todos los productos escaneados tienen receta o borrador.',
+    'Saved {count} draft. Scan a product again or open it from the list to finish it.': '{count} borrador guardado. Vuelve a escanear un producto o ábrelo desde la lista para terminarlo.',
+    'Saved {count} drafts. Scan a product again or open it from the list to finish it.': '{count} borradores guardados. Vuelve a escanear un producto o ábrelo desde la lista para terminarlo.',
+    'Error saving drafts': 'Error al guardar los borradores',
+    'Edit Recipe': 'Editar receta',
+    'Save Changes': 'Guardar cambios',
+    'Remove Step': 'Quitar paso',
+    'stand {duration}': 'reposo {duration}',
+    'Add to Pantry': 'Añadir a la despensa',
+    'Barcode: {barcode}': 'Código de barras: {barcode}',
+    '{count} already in stock.': '{count} ya en existencias.',
+    'You have read-only access to this household.': 'Tienes acceso de solo lectura a este hogar.',
+    'Please enter how many you are adding': 'Indica cuántos vas a añadir',
+    'Failed to add to the pantry.': 'No se pudo añadir a la despensa.',
+    'Preparing image...': 'Preparando la imagen...',
+    'No date found. Try a closer photo of the printed date or type it in.': 'No se encontró ninguna fecha. Prueba con una foto más cercana de la fecha impresa o escríbela.',
+    'Failed to read the date.': 'No se pudo leer la fecha.',
+    'Nothing stored here.': 'Aquí no hay nada guardado.',
+    'The pantry is empty. Scan products to add them.': 'La despensa está vacía. Escanea productos para añadirlos.',
+    'Add more': 'Añadir más',
+    'Used one': 'Usé uno',
+    'Remove from Pantry': 'Quitar de la despensa',
+    'Remove {quantity}× {name} ({location})?': '¿Quitar {quantity}× {name} ({location})?',
+    'this product': 'este producto',
+    'no date': 'sin fecha',
+    'expired {days} days ago': 'caducó hace {days} días',
+    'expired yesterday': 'caducó ayer',
+    'expires today': 'caduca hoy',
+    'expires tomorrow': 'caduca mañana',
+    'expires in {days} days': 'caduca en {days} días',
+    'best before {date}': 'consumir preferentemente antes del {date}',
+    'In stock: {count}': 'En existencias: {count}',
+    'Not in stock': 'Sin existencias',
+    '+ Add': '+ Añadir',
+    '{item}. Tap to open the pantry.': '{item}. Toca para abrir la despensa.',
+    '{count} pantry items are expiring or past their date. Tap to open the pantry.': '{count} artículos de la despensa están por caducar o caducados. Toca para abrir la despensa.',
+    '{count} pantry items need using up': '{count} artículos de la despensa hay que gastarlos',
+    'In the freezer': 'En el congelador',
+    'In the fridge': 'En la nevera',
+    'In the pantry': 'En la despensa',
+    'Notifications are blocked. Allow them for this site in your browser settings.': 'Las notificaciones están bloqueadas. Permítelas para este sitio en los ajustes del navegador.',
+    'No nutrition values found. Try a sharper photo of the table or enter them manually.': 'No se encontraron valores nutricionales. Prueba con una foto más nítida de la tabla o escríbelos a mano.',
+    'Failed to read the nutrition label.': 'No se pudo leer la tabla nutricional.',
+    'Take a photo of the instructions': 'Haz una foto de las instrucciones',
+    'Please enter the barcode': 'Escribe el código de barras',
+    'Please enter a name': 'Escribe un nombre',
+    'Could not store the photo. Please try another one.': 'No se pudo guardar la foto. Prueba con otra.',
+    'Uploading Image...': 'Subiendo la imagen...',
+    'Cloudinary upload failed ({error}). Saving image locally instead.': 'Falló la subida a Cloudinary ({error}). La imagen se guarda en el dispositivo.',
+    'Recipe updated!': '¡Receta actualizada!',
+    'Recipe saved!': '¡Receta guardada!',
+    'Error saving recipe': 'Error al guardar la receta',
+    'Could not open the photo for text recognition.': 'No se pudo abrir la foto para el reconocimiento de texto.',
+    'Loading OCR engine': 'Cargando el reconocimiento de texto',
+    'Starting OCR engine': 'Iniciando el reconocimiento de texto',
+    'Loading languages': 'Cargando idiomas',
+    'Reading text': 'Leyendo el texto',
+    'Working': 'Procesando',
+    'Failed to extract text from image.': 'No se pudo extraer el texto de la imagen.',
+    'Confidence {percent}%': 'Confianza {percent} %',
+    '{count} word to check': '{count} palabra por revisar',
+    '{count} words to check': '{count} palabras por revisar',
+    'No recipes saved yet. Scan a barcode to start!': 'Aún no hay recetas guardadas. ¡Escanea un código de barras para empezar!',
+    'No recipes match your search.': 'Ninguna receta coincide con tu búsqueda.',
+    'No recipes saved yet.': 'Aún no hay recetas guardadas.',
+    'Delete Recipe': 'Eliminar receta',
+    '"{name}" moved to the trash.': '«{name}» se movió a la papelera.',
+    'Undo': 'Deshacer',
+    'Failed to delete recipe.': 'No se pudo eliminar la receta.',
+    'Failed to restore recipe.': 'No se pudo restaurar la receta.',
+    'Recipes are removed for good {days} day after they were deleted.': 'Las recetas se eliminan definitivamente {days} día después de borrarlas.',
+    'Recipes are removed for good {days} days after they were deleted.': 'Las recetas se eliminan definitivamente {days} días después de borrarlas.',
+    'Recipes stay here until you delete them for good.': 'Las recetas se quedan aquí hasta que las elimines definitivamente.',
+    'The trash is empty.': 'La papelera está vacía.',
+    'Deleted {date}': 'Eliminada el {date}',
+    '{count} day left': 'Queda {count} día',
+    '{count} days left': 'Quedan {count} días',
+    'Restore': 'Restaurar',
+    'Delete': 'Eliminar',
+    'Delete "{name}" for good? This can\'t be undone.': '¿Eliminar «{name}» definitivamente? No se puede deshacer.',
+    'Delete {count} recipe for good? This can\'t be undone.': '¿Eliminar {count} receta definitivamente? No se puede deshacer.',
+    'Delete {count} recipes for good? This can\'t be undone.': '¿Eliminar {count} recetas definitivamente? No se puede deshacer.',
+    'Failed to empty the trash.': 'No se pudo vaciar la papelera.',
+    'Per serving ({size})': 'Por ración ({size})',
+    'Per serving': 'Por ración',
+    'Nutrition Facts': 'Información nutricional',
+    'Serves {count}': 'Para {count} personas',
+    'Stand {duration}': 'Reposo {duration}',
+    'This recipe has no steps to follow yet.': 'Esta receta aún no tiene pasos.',
+    'Step {number} of {total}': 'Paso {number} de {total}',
+    'Finish ✓': 'Terminar ✓',
+    'Next →': 'Siguiente →',
+    'Stand': 'Reposo',
+    'Step {number}': 'Paso {number}',
+    'Timed for your {watts} W microwave; the pack says {from} W.': 'Tiempos para tu microondas de {watts} W; el envase indica {from} W.',
+    'Exporting {done}/{total}...': 'Exportando {done}/{total}...',
+    'Export failed.': 'Falló la exportación.',
+    'This file is not valid JSON.': 'Este archivo no es un JSON válido.',
+    'Nothing to import.': 'No hay nada que importar.',
+    '{count} recipe in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} receta en la copia: {new} nuevas, {newer} más recientes, {older} más antiguas, {identical} sin cambios.',
+    '{count} recipes in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} recetas en la copia: {new} nuevas, {newer} más recientes, {older} más antiguas, {identical} sin cambios.',
+    'Newer': 'Más reciente',
+    'Older': 'Más antigua',
+    'Unchanged': 'Sin cambios',
+    'Imported {count} recipe.': '{count} receta importada.',
+    'Imported {count} recipes.': '{count} recetas importadas.',
+    'Import failed.': 'Falló la importación.',
+    'Could not read this share code.': 'No se pudo leer este código para compartir.',
+    'This shared recipe can\'t be imported.': 'Esta receta compartida no se puede importar.',
+    'You already have {recipe}.': 'Ya tienes {recipe}.',
+    'You already have {recipe}. Replace your copy with the shared one?': 'Ya tienes {recipe}. ¿Reemplazar tu copia por la compartida?',
+    'Add the shared recipe {recipe} ({barcode})?': '¿Añadir la receta compartida {recipe} ({barcode})?',
+    'Send File': 'Enviar archivo',
+    'Download File': 'Descargar archivo',
+    'Scan with RecipeScan on another phone, or with any camera app to open the link.': 'Escanéalo con RecipeScan en otro teléfono o con cualquier app de cámara para abrir el enlace.',
+    'Could not create a QR code. Send the file instead.': 'No se pudo crear el código QR. Envía el archivo en su lugar.',
+    'Link copied.': 'Enlace copiado.',
+    'Copy this link:': 'Copia este enlace:',
+    'Open in RecipeScan: {link}': 'Abrir en RecipeScan: {link}',
+    'Could not share the recipe.': 'No se pudo compartir la receta.',
+    '{target} already has this recipe. Replace it?': '{target} ya tiene esta receta. ¿Reemplazarla?',
+    'Copied to {target}.': 'Copiada a {target}.',
+    'Could not copy the recipe.': 'No se pudo copiar la receta.',
+    'No instructions provided.': 'No hay instrucciones.',
+    'Variant {number}': 'Variante {number}',
+    '+ Add Variant': '+ Añadir variante',
+    'product': 'producto',
+    'pantry stock': 'existencias de la despensa',
+    'the edit from {date}': 'la edición del {date}',
+    'the deletion': 'el borrado',
+    'an edit from {date}': 'una edición del {date}',
+    'a deletion': 'un borrado',
+    'Dismiss': 'Descartar',
+    'Kept {kept}, overwrote {lost}.': 'Se conservó {kept} y se sobrescribió {lost}.',
+    'Share': 'Compartir',
+    'Edit': 'Editar',
+    'Cooked {count}× · last on {date}': 'Cocinada {count}× · última vez el {date}',
+    'Start Cooking': 'Empezar a cocinar',
+    'Original instructions': 'Instrucciones originales',
+    'File is not a JSON object.': 'El archivo no es un objeto JSON.',
+    'File is not a RecipeScan backup.': 'El archivo no es una copia de seguridad de RecipeScan.',
+    'Unsupported backup version {version}. Please update the app.': 'Versión de copia de seguridad {version} no compatible. Actualiza la app.',
+    'Backup has no recipe list.': 'La copia de seguridad no tiene lista de recetas.',
+    'Recipe #{number}': 'Receta n.º {number}',
+    '{label} is not an object.': '{label} no es un objeto.',
+    '{label} has no id.': '{label} no tiene id.',
+    '{label} has no barcode.': '{label} no tiene código de barras.',
+    '{label} ({barcode}) has no name.': '{label} ({barcode}) no tiene nombre.',
+    '{label} ({barcode}) has invalid instructions.': '{label} ({barcode}) tiene instrucciones no válidas.',
+    '{label} ({barcode}) has an invalid image.': '{label} ({barcode}) tiene una imagen no válida.',
+    '{label} ({barcode}) had damaged details, which were left out.': 'Se omitieron datos dañados de {label} ({barcode}).',
+    '{label} duplicates id {id}.': '{label} repite el id {id}.',
+    '{label} timer finished': 'Temporizador de {label} terminado',
+    'Done!': '¡Listo!',
+    'Cancel': 'Cancelar',
+    'This browser cannot create share codes.': 'Este navegador no puede crear códigos para compartir.',
+    'This is not a RecipeScan share code.': 'Esto no es un código para compartir de RecipeScan.',
+    'This recipe was shared from a newer version of RecipeScan. Please update the app.': 'Esta receta se compartió desde una versión más reciente de RecipeScan. Actualiza la app.',
+    'This browser cannot read share codes.': 'Este navegador no puede leer códigos para compartir.',
+    'This share code is damaged. Ask for it to be shared again.': 'Este código para compartir está dañado. Pide que te lo vuelvan a compartir.',
+    'This share code is too large to be a recipe.': 'Este código para compartir es demasiado grande para ser una receta.',
+    'This recipe is too long for a QR code. Send the file instead.': 'Esta receta es demasiado larga para un código QR. Envía el archivo en su lugar.',
+    'Wrong passphrase.': 'Frase de contraseña incorrecta.',
+    'Choose a passphrase.': 'Elige una frase de contraseña.',
+    'There is no vault to unlock.': 'No hay ninguna caja fuerte que desbloquear.',
+    'Unlock the vault first.': 'Desbloquea primero la caja fuerte.',
+    'Owner': 'Propietario',
+    'Editor': 'Editor',
+    'Read-only': 'Solo lectura',
+    'Microwave': 'Microondas',
+    'Oven': 'Horno',
+    'Air Fryer': 'Freidora de aire',
+    'Stovetop': 'Fogón',
+    'Freezer': 'Congelador',
+    'Fridge': 'Nevera',
+    'Pantry': 'Despensa',
+    'Skip existing recipes': 'Omitir recetas existentes',
+    'Overwrite existing recipes': 'Sobrescribir recetas existentes',
+    'Keep the newer copy': 'Conservar la copia más reciente',
+    'As printed': 'Como está impreso',
+    'Metric (°C, g, ml)': 'Métrico (°C, g, ml)',
+    'US (°F, oz, cups)': 'EE. UU. (°F, oz, tazas)',
+    'Energy': 'Energía',
+    'Fat': 'Grasas',
+    'of which saturates': 'de las cuales saturadas',
+    'Carbohydrate': 'Hidratos de carbono',
+    'of which sugars': 'de los cuales azúcares',
+    'Fibre': 'Fibra alimentaria',
+    'Protein': 'Proteínas',
+    'Salt': 'Sal',
+    'Sodium': 'Sodio',
+    'Barcodes contain digits only.': 'Los códigos de barras solo contienen dígitos.',
+    'The check digit does not match. The code was probably misread.': 'El dígito de control no coincide. Probablemente el código se leyó mal.',
+    'Retail barcodes have 8, 12, 13 or 14 digits.': 'Los códigos de barras comerciales tienen 8, 12, 13 o 14 dígitos.',
+    'RecipeScan DB - Smart Cooking Assistant': 'RecipeScan DB – Asistente de cocina',
+    '🔒 Credentials are locked or unencrypted. Tap to open settings.': '🔒 Las credenciales están bloqueadas o sin cifrar. Toca para abrir los ajustes.',
+    'Your Intelligent': 'Tu base',
+    'Recipe Database': 'de recetas inteligente',
+    'Scan a barcode, capture the food,': 'Escanea un código de barras, fotografía la comida',
+    'and never lose a recipe again.': 'y no vuelvas a perder una receta.',
+    'Scan Barcode': 'Escanear código de barras',
+    'View Saved Recipes': 'Ver recetas guardadas',
+    'Recent Scans': 'Escaneos recientes',
+    'See All': 'Ver todo',
+    '← Back': '← Atrás',
+    'Align the barcode within the frame': 'Alinea el código de barras dentro del marco',
+    'Batch': 'Lote',
+    'Go': 'Ir',
+    'Review': 'Revisar',
+    '← Keep Scanning': '← Seguir escaneando',
+    'Scanned Products': 'Productos escaneados',
+    'Add Next New Recipe': 'Añadir la siguiente receta nueva',
+    'Save New as Drafts': 'Guardar nuevos como borradores',
+    'Clear Queue': 'Vaciar cola',
+    '← Cancel': '← Cancelar',
+    'Barcode': 'Código de barras',
+    'Food Container Photo': 'Foto del envase',
+    'Take Photo': 'Hacer foto',
+    'Extract Text (OCR)': 'Extraer texto (OCR)',
+    'Keep Original Photo': 'Conservar la foto original',
+    'Drag over the instructions panel to read just that part.': 'Arrastra sobre el bloque de instrucciones para leer solo ese.',
+    '⟲ Rotate': '⟲ Girar',
+    '⟳ Rotate': '⟳ Girar',
+    'Whole Photo': 'Foto completa',
+    'Read Text': 'Leer texto',
+    'Recipe Name': 'Nombre de la receta',
+    'Variant (optional)': 'Variante (opcional)',
+    'Cooking Instructions': 'Instrucciones de preparación',
+    'Scanning Text...': 'Leyendo el texto...',
+    'Words to check': 'Palabras por revisar',
+    'Hide': 'Ocultar',
+    'Recipe Steps': 'Pasos de la receta',
+    'Parse Instructions': 'Analizar instrucciones',
+    'Method': 'Método',
+    'Not set': 'Sin definir',
+    'Servings': 'Raciones',
+    'Stand (min)': 'Reposo (min)',
+    'Microwave Wattage': 'Potencia del microondas',
+    '+ Add Step': '+ Añadir paso',
+    'Enter Manually': 'Introducir a mano',
+    'Scan Label': 'Escanear etiqueta',
+    'Reading label...': 'Leyendo la etiqueta...',
+    'Serving Size': 'Tamaño de la ración',
+    'Unit': 'Unidad',
+    'Per 100g': 'Por 100g',
+    'Per Serving': 'Por ración',
+    'Remove Nutrition Facts': 'Quitar información nutricional',
+    'This product has several recipes. Pick one or add a new variant.': 'Este producto tiene varias recetas. Elige una o añade una variante.',
+    'Share Recipe': 'Compartir receta',
+    'Copy Link': 'Copiar enlace',
+    'Print Card': 'Imprimir ficha',
+    'Copy To': 'Copiar a',
+    'Copy Recipe': 'Copiar receta',
+    'The file opens with Import Backup in Settings and includes the photo.': 'El archivo se abre con «Importar» en los ajustes e incluye la foto.',
+    '✕ Exit': '✕ Salir',
+    'All Recipes': 'Todas las recetas',
+    '🗑️ Trash': '🗑️ Papelera',
+    'Date added': 'Fecha de alta',
+    'Name': 'Nombre',
+    'Last cooked': 'Última vez cocinada',
+    'Product Name': 'Nombre del producto',
+    'Quantity': 'Cantidad',
+    'Location': 'Ubicación',
+    'Best Before': 'Consumir preferentemente antes de',
+    'Read from Photo': 'Leer de la foto',
+    'Reading date...': 'Leyendo la fecha...',
+    'All locations': 'Todas las ubicaciones',
+    '+ Scan Items': '+ Escanear artículos',
+    '🔔 Notify me when items are about to expire': '🔔 Avisarme cuando algo esté por caducar',
+    'Trash': 'Papelera',
+    'Empty Trash': 'Vaciar papelera',
+    'Cloud Settings': 'Ajustes de la nube',
+    'Passphrase': 'Frase de contraseña',
+    'Use the same passphrase on every device. It is never stored or synced; if you forget it, enter your credentials again.': 'Usa la misma frase de contraseña en todos los dispositivos. Nunca se guarda ni se sincroniza; si la olvidas, vuelve a escribir tus credenciales.',
+    'Lock': 'Bloquear',
+    'Change Passphrase': 'Cambiar frase de contraseña',
+    'Cloudinary': 'Cloudinary',
+    'To save images online, enter your Cloudinary details below. Uploads are signed by a small endpoint you run yourself:': 'Para guardar imágenes en línea, escribe abajo tus datos de Cloudinary. Las subidas las firma un pequeño servicio que alojas tú:',
+    'It keeps the API secret off this device; without one, an unsigned upload preset is used and replaced photos can\'t be deleted.': 'Mantiene el secreto de la API fuera de este dispositivo; sin él se usa un preset sin firmar y las fotos reemplazadas no se pueden borrar.',
+    'Cloud Name': 'Nombre de la nube',
+    'Signing Endpoint': 'Servicio de firma',
+    'Signing Token': 'Token de firma',
+    'Upload Preset': 'Preset de subida',
+    'Product Lookup': 'Búsqueda de productos',
+    'New barcodes are looked up in a product catalog to prefill the recipe name.': 'Los códigos de barras nuevos se buscan en un catálogo de productos para rellenar el nombre de la receta.',
+    'Catalog': 'Catálogo',
+    'Open Food Facts': 'Open Food Facts',
+    'Local catalog file (JSON)': 'Archivo de catálogo local (JSON)',
+    'Self-hosted endpoint': 'Servicio propio',
+    'Off': 'Desactivado',
+    'Catalog URL (optional)': 'URL del catálogo (opcional)',
+    'Required for a local file or self-hosted endpoint. For Open Food Facts, leave empty to use the public server.': 'Obligatorio para un archivo local o un servicio propio. Déjalo vacío para usar el servidor público de Open Food Facts.',
+    'Text Recognition': 'Reconocimiento de texto',
+    'Languages printed on your packs. Each extra language makes reading a little slower.': 'Idiomas impresos en tus envases. Cada idioma adicional hace la lectura un poco más lenta.',
+    'English': 'Inglés',
+    'French': 'Francés',
+    'German': 'Alemán',
+    'Spanish': 'Español',
+    'Italian': 'Italiano',
+    'Dutch': 'Neerlandés',
+    'Language & Units': 'Idioma y unidades',
+    'Language': 'Idioma',
+    'Units in Instructions': 'Unidades en las instrucciones',
+    'Converted amounts are underlined; tap one to see what the pack says.': 'Las cantidades convertidas están subrayadas; toca una para ver lo que dice el envase.',
+    'My Microwave (watts)': 'Mi microondas (vatios)',
+    'Microwave times are rescaled from the wattage on the pack. Leave empty to keep them as printed.': 'Los tiempos de microondas se recalculan a partir de la potencia del envase. Déjalo vacío para mantenerlos como están impresos.',
+    'Deleted recipes stay in the trash, on every synced device, until they are removed for good.': 'Las recetas eliminadas se quedan en la papelera, en todos los dispositivos sincronizados, hasta que se borran definitivamente.',
+    'Keep Deleted Recipes': 'Conservar recetas eliminadas',
+    '7 days': '7 días',
+    '30 days': '30 días',
+    '90 days': '90 días',
+    '1 year': '1 año',
+    'Until I empty the trash': 'Hasta que vacíe la papelera',
+    'Open Trash': 'Abrir papelera',
+    'Cloud Sync': 'Sincronización en la nube',
+    'Sync recipes across devices through Firebase, your own server or a WebDAV folder.': 'Sincroniza recetas entre dispositivos mediante Firebase, tu propio servidor o una carpeta WebDAV.',
+    'Sync Backend': 'Servicio de sincronización',
+    'Off (this device only)': 'Desactivada (solo este dispositivo)',
+    'Firebase': 'Firebase',
+    'REST server (self-hosted)': 'Servidor REST (propio)',
+    'WebDAV folder (Nextcloud, ownCloud...)': 'Carpeta WebDAV (Nextcloud, ownCloud...)',
+    'Enter your Firebase configuration.': 'Escribe tu configuración de Firebase.',
+    'Firebase API Key': 'Clave de API de Firebase',
+    'Project ID': 'ID del proyecto',
+    'Auth Domain': 'Dominio de autenticación',
+    'Storage Bucket': 'Bucket de almacenamiento',
+    'Messaging Sender ID': 'ID del remitente de mensajes',
+    'App ID': 'ID de la app',
+    'Measurement ID': 'ID de medición',
+    'Firestore Emulator Host (optional)': 'Host del emulador de Firestore (opcional)',
+    'For local testing with the Firebase emulator suite. Leave empty to use the real project.': 'Para pruebas locales con el conjunto de emuladores de Firebase. Déjalo vacío para usar el proyecto real.',
+    'Account': 'Cuenta',
+    'Email': 'Correo electrónico',
+    'We\'ll email you a sign-in link. Recipes on this device stay yours.': 'Te enviaremos un enlace de acceso por correo. Las recetas de este dispositivo siguen siendo tuyas.',
+    'Send Sign-in Link': 'Enviar enlace de acceso',
+    'Sign Out': 'Cerrar sesión',
+    'Household': 'Hogar',
+    'Share recipes with the people you cook with. Everyone in a household sees the same recipes.': 'Comparte recetas con las personas con las que cocinas. Todo el hogar ve las mismas recetas.',
+    'Each household keeps its own recipes. To bring one along, open it and choose Share → Copy To.': 'Cada hogar tiene sus propias recetas. Para llevar una, ábrela y elige Compartir → Copiar a.',
+    'Sync With': 'Sincronizar con',
+    'Invite by Email': 'Invitar por correo',
+    'Access': 'Acceso',
+    'Send Invite': 'Enviar invitación',
+    'New Household': 'Nuevo hogar',
+    'Any server speaking the RecipeScan sync protocol. To run the bundled one:': 'Cualquier servidor que hable el protocolo de sincronización de RecipeScan. Para arrancar el incluido:',
+    'Server URL': 'URL del servidor',
+    'Library': 'Biblioteca',
+    'Devices using the same library share their recipes.': 'Los dispositivos con la misma biblioteca comparten sus recetas.',
+    'Access Token': 'Token de acceso',
+    'Recipes are kept as JSON files in a folder on your WebDAV server. The server must allow requests from this app (CORS).': 'Las recetas se guardan como archivos JSON en una carpeta de tu servidor WebDAV. El servidor debe permitir peticiones de esta app (CORS).',
+    'Folder URL': 'URL de la carpeta',
+    'Username': 'Usuario',
+    'Password': 'Contraseña',
+    'Test Backend': 'Probar servicio',
+    'Sync Conflicts': 'Conflictos de sincronización',
+    'These recipes were edited on more than one device. The newest edit was kept; restore the other copy if it was the right one.': 'Estas recetas se editaron en más de un dispositivo. Se conservó el cambio más reciente; restaura la otra copia si era la correcta.',
+    'Save Settings': 'Guardar ajustes',
+    'Using Cloudinary allows you to access images from any device.': 'Cloudinary te permite acceder a tus imágenes desde cualquier dispositivo.',
+    'Backup & Restore': 'Copia de seguridad y restauración',
+    'Export every recipe with its photo to keep a copy or move to a new phone. No cloud account needed.': 'Exporta todas las recetas con su foto para guardar una copia o pasarte a un teléfono nuevo. No hace falta cuenta en la nube.',
+    'Export Backup': 'Exportar copia de seguridad',
+    'Export CSV': 'Exportar CSV',
+    'Import': 'Importar',
+    'When a recipe already exists': 'Si una receta ya existe',
+    'Import Recipes': 'Importar recetas',
+    'Home': 'Inicio',
+    'Scan': 'Escanear',
+    'Recipes': 'Recetas',
+    'Type the barcode digits': 'Escribe los dígitos del código de barras',
+    'Type the barcode from the pack': 'Escribe el código de barras del envase',
+    'e.g. Spicy Miso Ramen': 'p. ej. Ramen de miso picante',
+    'e.g. Oven, Microwave, Extra crispy': 'p. ej. Horno, Microondas, Extra crujiente',
+    'Paste or type instructions here...': 'Pega o escribe aquí las instrucciones...',
+    'Search name, barcode or instructions': 'Buscar nombre, código de barras o instrucciones',
+    'e.g. Frozen Lasagne': 'p. ej. Lasaña congelada',
+    'Protects your API keys': 'Protege tus claves de API',
+    'e.g. MyCloud': 'p. ej. MyCloud',
+    'e.g. http://127.0.0.1:8788': 'p. ej. http://127.0.0.1:8788',
+    'Token set on the endpoint': 'Token configurado en el servicio',
+    'e.g. ml_default (Unsigned, without an endpoint)': 'p. ej. ml_default (sin firmar, sin servicio)',
+    'e.g. catalog.json or https://example.com/products/{barcode}': 'p. ej. catalog.json o https://example.com/products/{barcode}',
+    'e.g. 800': 'p. ej. 800',
+    'Leave empty if the server has none': 'Déjalo vacío si el servidor no tiene',
+    'An app password is best': 'Lo mejor es una contraseña de aplicación',
+    'Keep scanning and queue every code': 'Seguir escaneando y poner cada código en cola',
+    'Add scanned products to the pantry': 'Añadir los productos escaneados a la despensa',
+    'Camera': 'Cámara',
+    'Torch': 'Linterna',
+    'Zoom': 'Zoom',
+    'Read a barcode from a photo': 'Leer un código de barras de una foto',
+    'Type the barcode': 'Escribir el código de barras',
+    'Read Steps Aloud': 'Leer los pasos en voz alta',
+    'Sort recipes': 'Ordenar recetas'
+};
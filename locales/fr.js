@@ -0,0 +1,484 @@
+/**
+ * RecipeScan DB - French translations
+ *
+ * Keyed by the English text; see i18n.js. Anything missing shows in English.
+ */
+
+export default {
+    'No cameras found. Type the barcode or pick a photo instead.': 'Aucune caméra trouvée. Saisissez le code-barres ou choisissez une photo.',
+    'Camera access denied. Enable camera permissions in your browser settings, or type the barcode instead.': 'Accès à la caméra refusé. Autorisez la caméra dans les réglages du navigateur ou saisissez le code-barres.',
+    'Could not start camera. Make sure no other app is using it, or type the barcode instead.': 'Impossible de démarrer la caméra. Vérifiez qu\'aucune autre app ne l\'utilise, ou saisissez le code-barres.',
+    'Unlock the vault or choose a passphrase to store credentials.': 'Déverrouillez le coffre ou choisissez une phrase secrète pour enregistrer des identifiants.',
+    'A new version of RecipeScan is ready. Reload now?': 'Une nouvelle version de RecipeScan est prête. Recharger maintenant ?',
+    'Confirm your email to finish signing in': 'Confirmez votre e-mail pour terminer la connexion',
+    'This sign-in link is invalid or has expired. Please request a new one.': 'Ce lien de connexion est invalide ou a expiré. Veuillez en demander un nouveau.',
+    'Cloud Sync Status: {count} pending change': 'État de la synchronisation : {count} modification en attente',
+    'Cloud Sync Status: {count} pending changes': 'État de la synchronisation : {count} modifications en attente',
+    'Cloud Sync Status': 'État de la synchronisation',
+    'Same as the browser': 'Comme le navigateur',
+    'Credentials are unlocked for this session.': 'Les identifiants sont déverrouillés pour cette session.',
+    'Your credentials are stored unencrypted on this device. Enter a passphrase to encrypt them.': 'Vos identifiants sont enregistrés sans chiffrement sur cet appareil. Saisissez une phrase secrète pour les chiffrer.',
+    'Credentials are locked. Enter your passphrase to use cloud sync.': 'Les identifiants sont verrouillés. Saisissez votre phrase secrète pour utiliser la synchronisation.',
+    'Credentials you enter below are encrypted with this passphrase before they are saved or synced.': 'Les identifiants saisis ci-dessous sont chiffrés avec cette phrase secrète avant d\'être enregistrés ou synchronisés.',
+    'Unlock': 'Déverrouiller',
+    'Encrypt': 'Chiffrer',
+    'Save working sync settings first; the test uses the saved backend.': 'Enregistrez d\'abord des réglages de synchronisation fonctionnels ; le test utilise le service enregistré.',
+    '{failed} of {total} checks failed.': '{failed} vérifications sur {total} ont échoué.',
+    'The backend passed every check.': 'Le service a passé toutes les vérifications.',
+    'Enter your Firebase configuration below and save to sign in.': 'Saisissez votre configuration Firebase ci-dessous et enregistrez pour vous connecter.',
+    'Signed in as a guest on this device. Add your email to reach your recipes from other devices and to join a household.': 'Connecté en tant qu\'invité sur cet appareil. Ajoutez votre e-mail pour retrouver vos recettes sur vos autres appareils et rejoindre un foyer.',
+    'Signed in as {email}.': 'Connecté en tant que {email}.',
+    'Please enter your email': 'Veuillez saisir votre e-mail',
+    'We sent a sign-in link to {email}. Open it on this device to finish.': 'Nous avons envoyé un lien de connexion à {email}. Ouvrez-le sur cet appareil pour continuer.',
+    'Could not send the sign-in link. Check the address and that email link sign-in is enabled for your Firebase project.': 'Impossible d\'envoyer le lien de connexion. Vérifiez l\'adresse et que la connexion par lien e-mail est activée dans votre projet Firebase.',
+    'Sign out? Recipes stay on this device.': 'Se déconnecter ? Les recettes restent sur cet appareil.',
+    'My recipes': 'Mes recettes',
+    'Join': 'Rejoindre',
+    'Decline': 'Refuser',
+    '{person} invited you to {household} ({role})': '{person} vous a invité à rejoindre {household} ({role})',
+    'Delete Household': 'Supprimer le foyer',
+    'Leave Household': 'Quitter le foyer',
+    'Guest': 'Invité',
+    '{member} (you)': '{member} (vous)',
+    'Remove': 'Retirer',
+    'Revoke': 'Révoquer',
+    '{email} · invited as {role}': '{email} · invité en tant que {role}',
+    'Remove {member} from {household}?': 'Retirer {member} de {household} ?',
+    'this member': 'ce membre',
+    'Could not update the household.': 'Impossible de mettre à jour le foyer.',
+    'Name your household': 'Donnez un nom à votre foyer',
+    'Could not create the household.': 'Impossible de créer le foyer.',
+    'Please enter an email': 'Veuillez saisir un e-mail',
+    '{email} can join after signing in with that address.': '{email} pourra rejoindre le foyer après s\'être connecté avec cette adresse.',
+    'Could not send the invite.': 'Impossible d\'envoyer l\'invitation.',
+    'Delete {household}? Members lose access to its recipes, and they are removed from this device.': 'Supprimer {household} ? Les membres perdent l\'accès à ses recettes, qui sont aussi retirées de cet appareil.',
+    'Leave {household}? Its recipes are removed from this device; copy the ones you want to keep to My recipes first.': 'Quitter {household} ? Ses recettes sont retirées de cet appareil ; copiez d\'abord celles que vous voulez garder dans Mes recettes.',
+    'Could not leave the household.': 'Impossible de quitter le foyer.',
+    'Sync with {target}? You have read-only access, so you can cook from its recipes but not change them.': 'Synchroniser avec {target} ? Vous êtes en lecture seule : vous pouvez cuisiner ses recettes mais pas les modifier.',
+    'Per 100{unit}': 'Pour 100{unit}',
+    'The torch could not be switched on.': 'Impossible d\'allumer la lampe.',
+    'Clear the scanned queue? Saved recipes and drafts are kept.': 'Vider la file de scans ? Les recettes et brouillons enregistrés sont conservés.',
+    'Please enter your passphrase': 'Veuillez saisir votre phrase secrète',
+    'Enter the new passphrase first': 'Saisissez d\'abord la nouvelle phrase secrète',
+    'Change the passphrase? Other devices will need the new one to unlock.': 'Changer la phrase secrète ? Les autres appareils en auront besoin pour déverrouiller.',
+    'Passphrase changed.': 'Phrase secrète modifiée.',
+    'Syncing...': 'Synchronisation...',
+    'Enter your passphrase to unlock your credentials.': 'Saisissez votre phrase secrète pour déverrouiller vos identifiants.',
+    'Choose a passphrase to encrypt your credentials.': 'Choisissez une phrase secrète pour chiffrer vos identifiants.',
+    'Settings saved and synced!': 'Réglages enregistrés et synchronisés !',
+    'Stop cooking? Running timers will be cancelled.': 'Arrêter la cuisson ? Les minuteurs en cours seront annulés.',
+    'Camera {number}': 'Caméra {number}',
+    'Use "{digits}" anyway?': 'Utiliser « {digits} » quand même ?',
+    '{digits} is a valid EAN-8 and a valid short US code (UPC-E). Press OK if it is on a US or Canadian pack, Cancel for EAN-8.': '{digits} est un code EAN-8 valide et un code américain court (UPC-E) valide. OK s\'il figure sur un emballage des États-Unis ou du Canada, Annuler pour EAN-8.',
+    'Reading barcode from photo...': 'Lecture du code-barres sur la photo...',
+    'No barcode found in that photo. Try a sharper, closer shot or type the code.': 'Aucun code-barres sur cette photo. Essayez une photo plus nette et plus proche, ou saisissez le code.',
+    'New Variant': 'Nouvelle variante',
+    'New Recipe': 'Nouvelle recette',
+    'Save to Database': 'Enregistrer dans la base',
+    'Looking up product...': 'Recherche du produit...',
+    'New': 'Nouveau',
+    'Known': 'Connu',
+    'Draft': 'Brouillon',
+    'Added': 'Ajouté',
+    'Unknown product': 'Produit inconnu',
+    'Add': 'Ajouter',
+    'Finish': 'Terminer',
+    'Open': 'Ouvrir',
+    '{count} scanned · {new} new': '{count} scanné(s) · {new} nouveau(x)',
+    'No codes scanned yet': 'Aucun code scanné pour l\'instant',
+    '{new} of {count} scanned product has no recipe yet.': '{new} produit scanné sur {count} n\'a pas encore de recette.',
+    '{new} of {count} scanned products have no recipe yet.': '{new} produits scannés sur {count} n\'ont pas encore de recette.',
+    'Every scanned product has a recipe or draft.': 'Chaque produit scanné a une recette ou un brouillon.',
+    'Saved {count} draft. Scan a product again or open it from the list to finish it.': '{count} brouillon enregistré. Scannez à nouveau un produit ou ouvrez-le depuis la liste pour le terminer.',
+    'Saved {count} drafts. Scan a product again or open it from the list to finish it.': '{count} brouillons enregistrés. Scannez à nouveau un produit ou ouvrez-le depuis la liste pour le terminer.',
+    'Error saving drafts': 'Erreur lors de l\'enregistrement des brouillons',
+    'Edit Recipe': 'Modifier la recette',
+    'Save Changes': 'Enregistrer les modifications',
+    'Remove Step': 'Supprimer l\'étape',
+    'stand {duration}': 'repos {duration}',
+    'Add to Pantry': 'Ajouter au garde-manger',
+    'Barcode: {barcode}': 'Code-barres : {barcode}',
+    '{count} already in stock.': '{count} déjà en stock.',
+    'You have read-only access to this household.': 'Vous êtes en lecture seule dans ce foyer.',
+    'Please enter how many you are adding': 'Veuillez indiquer combien vous en ajoutez',
+    'Failed to add to the pantry.': 'Impossible d\'ajouter au garde-manger.',
+    'Preparing image...': 'Préparation de l\'image...',
+    'No date found. Try a closer photo of the printed date or type it in.': 'Aucune date trouvée. Essayez une photo plus proche de la date imprimée ou saisissez-la.',
+    'Failed to read the date.': 'Impossible de lire la date.',
+    'Nothing stored here.': 'Rien n\'est rangé ici.',
+    'The pantry is empty. Scan products to add them.': 'Le garde-manger est vide. Scannez des produits pour les ajouter.',
+    'Add more': 'En ajouter',
+    'Used one': 'Un utilisé',
+    'Remove from Pantry': 'Retirer du garde-manger',
+    'Remove {quantity}× {name} ({location})?': 'Retirer {quantity}× {name} ({location}) ?',
+    'this product': 'ce produit',
+    'no date': 'sans date',
+    'expired {days} days ago': 'périmé depuis {days} jours',
+    'expired yesterday': 'périmé depuis hier',
+    'expires today': 'expire aujourd\'hui',
+    'expires tomorrow': 'expire demain',
+    'expires in {days} days': 'expire dans {days} jours',
+    'best before {date}': 'à consommer de préférence avant le {date}',
+    'In stock: {count}': 'En stock : {count}',
+    'Not in stock': 'Pas en stock',
+    '+ Add': '+ Ajouter',
+    '{item}. Tap to open the pantry.': '{item}. Touchez pour ouvrir le garde-manger.',
+    '{count} pantry items are expiring or past their date. Tap to open the pantry.': '{count} articles du garde-manger arrivent à expiration ou sont périmés. Touchez pour ouvrir le garde-manger.',
+    '{count} pantry items need using up': '{count} articles du garde-manger à consommer',
+    'In the freezer': 'Au congélateur',
+    'In the fridge': 'Au réfrigérateur',
+    'In the pantry': 'Au placard',
+    'Notifications are blocked. Allow them for this site in your browser settings.': 'Les notifications sont bloquées. Autorisez-les pour ce site dans les réglages du navigateur.',
+    'No nutrition values found. Try a sharper photo of the table or enter them manually.': 'Aucune valeur nutritionnelle trouvée. Essayez une photo plus nette du tableau ou saisissez les valeurs.',
+    'Failed to read the nutrition label.': 'Impossible de lire le tableau nutritionnel.',
+    'Take a photo of the instructions': 'Prenez une photo des instructions',
+    'Please enter the barcode': 'Veuillez saisir le code-barres',
+    'Please enter a name': 'Veuillez saisir un nom',
+    'Could not store the photo. Please try another one.': 'Impossible d\'enregistrer la photo. Veuillez en essayer une autre.',
+    'Uploading Image...': 'Envoi de l\'image...',
+    'Cloudinary upload failed ({error}). Saving image locally instead.': 'Échec de l\'envoi vers Cloudinary ({error}). L\'image est enregistrée localement.',
+    'Recipe updated!': 'Recette mise à jour !',
+    'Recipe saved!': 'Recette enregistrée !',
+    'Error saving recipe': 'Erreur lors de l\'enregistrement de la recette',
+    'Could not open the photo for text recognition.': 'Impossible d\'ouvrir la photo pour la reconnaissance de texte.',
+    'Loading OCR engine': 'Chargement de la reconnaissance de texte',
+    'Starting OCR engine': 'Démarrage de la reconnaissance de texte',
+    'Loading languages': 'Chargement des langues',
+    'Reading text': 'Lecture du texte',
+    'Working': 'Traitement',
+    'Failed to extract text from image.': 'Impossible d\'extraire le texte de l\'image.',
+    'Confidence {percent}%': 'Confiance {percent} %',
+    '{count} word to check': '{count} mot à vérifier',
+    '{count} words to check': '{count} mots à vérifier',
+    'No recipes saved yet. Scan a barcode to start!': 'Aucune recette enregistrée. Scannez un code-barres pour commencer !',
+    'No recipes match your search.': 'Aucune recette ne correspond à votre recherche.',
+    'No recipes saved yet.': 'Aucune recette enregistrée.',
+    'Delete Recipe': 'Supprimer la recette',
+    '"{name}" moved to the trash.': '« {name} » placé dans la corbeille.',
+    'Undo': 'Annuler',
+    'Failed to delete recipe.': 'Impossible de supprimer la recette.',
+    'Failed to restore recipe.': 'Impossible de restaurer la recette.',
+    'Recipes are removed for good {days} day after they were deleted.': 'Les recettes sont supprimées définitivement {days} jour après leur suppression.',
+    'Recipes are removed for good {days} days after they were deleted.': 'Les recettes sont supprimées définitivement {days} jours après leur suppression.',
+    'Recipes stay here until you delete them for good.': 'Les recettes restent ici jusqu\'à ce que vous les supprimiez définitivement.',
+    'The trash is empty.': 'La corbeille est vide.',
+    'Deleted {date}': 'Supprimée le {date}',
+    '{count} day left': '{count} jour restant',
+    '{count} days left': '{count} jours restants',
+    'Restore': 'Restaurer',
+    'Delete': 'Supprimer',
+    'Delete "{name}" for good? This can\'t be undone.': 'Supprimer définitivement « {name} » ? Cette action est irréversible.',
+    'Delete {count} recipe for good? This can\'t be undone.': 'Supprimer définitivement {count} recette ? Cette action est irréversible.',
+    'Delete {count} recipes for good? This can\'t be undone.': 'Supprimer définitivement {count} recettes ? Cette action est irréversible.',
+    'Failed to empty the trash.': 'Impossible de vider la corbeille.',
+    'Per serving ({size})': 'Par portion ({size})',
+    'Per serving': 'Par portion',
+    'Nutrition Facts': 'Valeurs nutritionnelles',
+    'Serves {count}': 'Pour {count} personnes',
+    'Stand {duration}': 'Repos {duration}',
+    'This recipe has no steps to follow yet.': 'Cette recette n\'a pas encore d\'étapes.',
+    'Step {number} of {total}': 'Étape {number} sur {total}',
+    'Finish ✓': 'Terminer ✓',
+    'Next →': 'Suivant →',
+    'Stand': 'Repos',
+    'Step {number}': 'Étape {number}',
+    'Timed for your {watts} W microwave; the pack says {from} W.': 'Temps adaptés à votre micro-ondes de {watts} W ; l\'emballage indique {from} W.',
+    'Exporting {done}/{total}...': 'Export {done}/{total}...',
+    'Export failed.': 'Échec de l\'export.',
+    'This file is not valid JSON.': 'Ce fichier n\'est pas un JSON valide.',
+    'Nothing to import.': 'Rien à importer.',
+    '{count} recipe in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} recette dans la sauvegarde : {new} nouvelle(s), {newer} plus récente(s), {older} plus ancienne(s), {identical} identique(s).',
+    '{count} recipes in backup: {new} new, {newer} newer, {older} older, {identical} unchanged.': '{count} recettes dans la sauvegarde : {new} nouvelle(s), {newer} plus récente(s), {older} plus ancienne(s), {identical} identique(s).',
+    'Newer': 'Plus récente',
+    'Older': 'Plus ancienne',
+    'Unchanged': 'Identique',
+    'Imported {count} recipe.': '{count} recette importée.',
+    'Imported {count} recipes.': '{count} recettes importées.',
+    'Import failed.': 'Échec de l\'import.',
+    'Could not read this share code.': 'Impossible de lire ce code de partage.',
+    'This shared recipe can\'t be imported.': 'Cette recette partagée ne peut pas être importée.',
+    'You already have {recipe}.': 'Vous avez déjà {recipe}.',
+    'You already have {recipe}. Replace your copy with the shared one?': 'Vous avez déjà {recipe}. Remplacer votre copie par celle partagée ?',
+    'Add the shared recipe {recipe} ({barcode})?': 'Ajouter la recette partagée {recipe} ({barcode}) ?',
+    'Send File': 'Envoyer le fichier',
+    'Download File': 'Télécharger le fichier',
+    'Scan with RecipeScan on another phone, or with any camera app to open the link.': 'Scannez avec RecipeScan sur un autre téléphone, ou avec n\'importe quelle app photo pour ouvrir le lien.',
+    'Could not create a QR code. Send the file instead.': 'Impossible de créer un QR code. Envoyez plutôt le fichier.',
+    'Link copied.': 'Lien copié.',
+    'Copy this link:': 'Copiez ce lien :',
+    'Open in RecipeScan: {link}': 'Ouvrir dans RecipeScan : {link}',
+    'Could not share the recipe.': 'Impossible de partager la recette.',
+    '{target} already has this recipe. Replace it?': '{target} a déjà cette recette. La remplacer ?',
+    'Copied to {target}.': 'Copiée dans {target}.',
+    'Could not copy the recipe.': 'Impossible de copier la recette.',
+    'No instructions provided.': 'Aucune instruction fournie.',
+    'Variant {number}': 'Variante {number}',
+    '+ Add Variant': '+ Ajouter une variante',
+    'product': 'produit',
+    'pantry stock': 'stock du garde-manger',
+    'the edit from {date}': 'la modification du {date}',
+    'the deletion': 'la suppression',
+    'an edit from {date}': 'une modification du {date}',
+    'a deletion': 'une suppression',
+    'Dismiss': 'Ignorer',
+    'Kept {kept}, overwrote {lost}.': 'Conservé : {kept}, remplacé : {lost}.',
+    'Share': 'Partager',
+    'Edit': 'Modifier',
+    'Cooked {count}× · last on {date}': 'Cuisinée {count}× · dernière fois le {date}',
+    'Start Cooking': 'Commencer la cuisson',
+    'Original instructions': 'Instructions d\'origine',
+    'File is not a JSON object.': 'Le fichier n\'est pas un objet JSON.',
+    'File is not a RecipeScan backup.': 'Le fichier n\'est pas une sauvegarde RecipeScan.',
+    'Unsupported backup version {version}. Please update the app.': 'Version de sauvegarde {version} non prise en charge. Veuillez mettre l\'app à jour.',
+    'Backup has no recipe list.': 'La sauvegarde ne contient pas de liste de recettes.',
+    'Recipe #{number}': 'Recette n° {number}',
+    '{label} is not an object.': '{label} n\'est pas un objet.',
+    '{label} has no id.': '{label} n\'a pas d\'identifiant.',
+    '{label} has no barcode.': '{label} n\'a pas de code-barres.',
+    '{label} ({barcode}) has no name.': '{label} ({barcode}) n\'a pas de nom.',
+    '{label} ({barcode}) has invalid instructions.': '{label} ({barcode}) a des instructions invalides.',
+    '{label} ({barcode}) has an invalid image.': '{label} ({barcode}) a une image invalide.',
+    '{label} ({barcode}) had damaged details, which were left out.': 'Des informations endommagées de {label} ({barcode}) ont été ignorées.',
+    '{label} duplicates id {id}.': '{label} reprend l\'identifiant {id}.',
+    '{label} timer finished': 'Minuteur {label} terminé',
+    'Done!': 'Terminé !',
+    'Cancel': 'Annuler',
+    'This browser cannot create share codes.': 'Ce navigateur ne peut pas créer de codes de partage.',
+    'This is not a RecipeScan share code.': 'Ce n\'est pas un code de partage RecipeScan.',
+    'This recipe was shared from a newer version of RecipeScan. Please update the app.': 'Cette recette a été partagée depuis une version plus récente de RecipeScan. Veuillez mettre l\'app à jour.',
+    'This browser cannot read share codes.': 'Ce navigateur ne peut pas lire les codes de partage.',
+    'This share code is damaged. Ask for it to be shared again.': 'Ce code de partage est endommagé. Demandez à ce qu\'il soit partagé à nouveau.',
+    'This share code is too large to be a recipe.': 'Ce code de partage est trop volumineux pour une recette.',
+    'This recipe is too long for a QR code. Send the file instead.': 'Cette recette est trop longue pour un QR code. Envoyez plutôt le fichier.',
+    'Wrong passphrase.': 'Phrase secrète incorrecte.',
+    'Choose a passphrase.': 'Choisissez une phrase secrète.',
+    'There is no vault to unlock.': 'Il n\'y a aucun coffre à déverrouiller.',
+    'Unlock the vault first.': 'Déverrouillez d\'abord le coffre.',
+    'Owner': 'Propriétaire',
+    'Editor': 'Éditeur',
+    'Read-only': 'Lecture seule',
+    'Microwave': 'Micro-ondes',
+    'Oven': 'Four',
+    'Air Fryer': 'Friteuse à air',
+    'Stovetop': 'Plaque de cuisson',
+    'Freezer': 'Congélateur',
+    'Fridge': 'Réfrigérateur',
+    'Pantry': 'Placard',
+    'Skip existing recipes': 'Ignorer les recettes existantes',
+    'Overwrite existing recipes': 'Remplacer les recettes existantes',
+    'Keep the newer copy': 'Garder la copie la plus récente',
+    'As printed': 'Comme imprimé',
+    'Metric (°C, g, ml)': 'Métrique (°C, g, ml)',
+    'US (°F, oz, cups)': 'US (°F, oz, cups)',
+    'Energy': 'Énergie',
+    'Fat': 'Matières grasses',
+    'of which saturates': 'dont acides gras saturés',
+    'Carbohydrate': 'Glucides',
+    'of which sugars': 'dont sucres',
+    'Fibre': 'Fibres',
+    'Protein': 'Protéines',
+    'Salt': 'Sel',
+    'Sodium': 'Sodium',
+    'Barcodes contain digits only.': 'Les codes-barres ne contiennent que des chiffres.',
+    'The check digit does not match. The code was probably misread.': 'La clé de contrôle ne correspond pas. Le code a probablement été mal lu.',
+    'Retail barcodes have 8, 12, 13 or 14 digits.': 'Les codes-barres commerciaux ont 8, 12, 13 ou 14 chiffres.',
+    'RecipeScan DB - Smart Cooking Assistant': 'RecipeScan DB – Assistant de cuisine',
+    '🔒 Credentials are locked or unencrypted. Tap to open settings.': '🔒 Les identifiants sont verrouillés ou non chiffrés. Touchez pour ouvrir les réglages.',
+    'Your Intelligent': 'Votre base',
+    'Recipe Database': 'de recettes intelligente',
+    'Scan a barcode, capture the food,': 'Scannez un code-barres, photographiez le plat,',
+    'and never lose a recipe again.': 'et ne perdez plus jamais une recette.',
+    'Scan Barcode': 'Scanner un code-barres',
+    'View Saved Recipes': 'Voir les recettes',
+    'Recent Scans': 'Scans récents',
+    'See All': 'Tout voir',
+    '← Back': '← Retour',
+    'Align the barcode within the frame': 'Alignez le code-barres dans le cadre',
+    'Batch': 'Série',
+    'Go': 'OK',
+    'Review': 'Vérifier',
+    '← Keep Scanning': '← Continuer à scanner',
+    'Scanned Products': 'Produits scannés',
+    'Add Next New Recipe': 'Ajouter la prochaine recette',
+    'Save New as Drafts': 'Enregistrer les nouveaux en brouillon',
+    'Clear Queue': 'Vider la file',
+    '← Cancel': '← Annuler',
+    'Barcode': 'Code-barres',
+    'Food Container Photo': 'Photo de l\'emballage',
+    'Take Photo': 'Prendre une photo',
+    'Extract Text (OCR)': 'Extraire le texte (OCR)',
+    'Keep Original Photo': 'Garder la photo d\'origine',
+    'Drag over the instructions panel to read just that part.': 'Faites glisser sur le bloc d\'instructions pour ne lire que celui-ci.',
+    '⟲ Rotate': '⟲ Pivoter',
+    '⟳ Rotate': '⟳ Pivoter',
+    'Whole Photo': 'Photo entière',
+    'Read Text': 'Lire le texte',
+    'Recipe Name': 'Nom de la recette',
+    'Variant (optional)': 'Variante (facultatif)',
+    'Cooking Instructions': 'Instructions de préparation',
+    'Scanning Text...': 'Lecture du texte...',
+    'Words to check': 'Mots à vérifier',
+    'Hide': 'Masquer',
+    'Recipe Steps': 'Étapes de la recette',
+    'Parse Instructions': 'Analyser les instructions',
+    'Method': 'Mode de cuisson',
+    'Not set': 'Non défini',
+    'Servings': 'Portions',
+    'Stand (min)': 'Repos (min)',
+    'Microwave Wattage': 'Puissance du micro-ondes',
+    '+ Add Step': '+ Ajouter une étape',
+    'Enter Manually': 'Saisir manuellement',
+    'Scan Label': 'Scanner l\'étiquette',
+    'Reading label...': 'Lecture de l\'étiquette...',
+    'Serving Size': 'Portion',
+    'Unit': 'Unité',
+    'Per 100g': 'Pour 100g',
+    'Per Serving': 'Par portion',
+    'Remove Nutrition Facts': 'Supprimer les valeurs nutritionnelles',
+    'This product has several recipes. Pick one or add a new variant.': 'Ce produit a plusieurs recettes. Choisissez-en une ou ajoutez une variante.',
+    'Share Recipe': 'Partager la recette',
+    'Copy Link': 'Copier le lien',
+    'Print Card': 'Imprimer la fiche',
+    'Copy To': 'Copier vers',
+    'Copy Recipe': 'Copier la recette',
+    'The file opens with Import Backup in Settings and includes the photo.': 'Le fichier s\'ouvre avec « Importer » dans les réglages et inclut la photo.',
+    '✕ Exit': '✕ Quitter',
+    'All Recipes': 'Toutes les recettes',
+    '🗑️ Trash': '🗑️ Corbeille',
+    'Date added': 'Date d\'ajout',
+    'Name': 'Nom',
+    'Last cooked': 'Dernière cuisson',
+    'Product Name': 'Nom du produit',
+    'Quantity': 'Quantité',
+    'Location': 'Emplacement',
+    'Best Before': 'À consommer de préférence avant',
+    'Read from Photo': 'Lire sur la photo',
+    'Reading date...': 'Lecture de la date...',
+    'All locations': 'Tous les emplacements',
+    '+ Scan Items': '+ Scanner des articles',
+    '🔔 Notify me when items are about to expire': '🔔 Me prévenir quand des articles vont expirer',
+    'Trash': 'Corbeille',
+    'Empty Trash': 'Vider la corbeille',
+    'Cloud Settings': 'Réglages cloud',
+    'Passphrase': 'Phrase secrète',
+    'Use the same passphrase on every device. It is never stored or synced; if you forget it, enter your credentials again.': 'Utilisez la même phrase secrète sur chaque appareil. Elle n\'est jamais enregistrée ni synchronisée ; si vous l\'oubliez, saisissez à nouveau vos identifiants.',
+    'Lock': 'Verrouiller',
+    'Change Passphrase': 'Changer la phrase secrète',
+    'Cloudinary': 'Cloudinary',
+    'To save images online, enter your Cloudinary details below. Uploads are signed by a small endpoint you run yourself:': 'Pour enregistrer les images en ligne, saisissez vos informations Cloudinary ci-dessous. Les envois sont signés par un petit service que vous hébergez :',
+    'It keeps the API secret off this device; without one, an unsigned upload preset is used and replaced photos can\'t be deleted.': 'Il garde le secret d\'API hors de cet appareil ; sans lui, un preset non signé est utilisé et les photos remplacées ne peuvent pas être supprimées.',
+    'Cloud Name': 'Nom du cloud',
+    'Signing Endpoint': 'Service de signature',
+    'Signing Token': 'Jeton de signature',
+    'Upload Preset': 'Preset d\'envoi',
+    'Product Lookup': 'Recherche de produit',
+    'New barcodes are looked up in a product catalog to prefill the recipe name.': 'Les nouveaux codes-barres sont recherchés dans un catalogue de produits pour préremplir le nom de la recette.',
+    'Catalog': 'Catalogue',
+    'Open Food Facts': 'Open Food Facts',
+    'Local catalog file (JSON)': 'Fichier de catalogue local (JSON)',
+    'Self-hosted endpoint': 'Service auto-hébergé',
+    'Off': 'Désactivé',
+    'Catalog URL (optional)': 'URL du catalogue (facultatif)',
+    'Required for a local file or self-hosted endpoint. For Open Food Facts, leave empty to use the public server.': 'Obligatoire pour un fichier local ou un service auto-hébergé. Laissez vide pour utiliser le serveur public d\'Open Food Facts.',
+    'Text Recognition': 'Reconnaissance de texte',
+    'Languages printed on your packs. Each extra language makes reading a little slower.': 'Langues imprimées sur vos emballages. Chaque langue en plus ralentit un peu la lecture.',
+    'English': 'Anglais',
+    'French': 'Français',
+    'German': 'Allemand',
+    'Spanish': 'Espagnol',
+    'Italian': 'Italien',
+    'Dutch': 'Néerlandais',
+    'Language & Units': 'Langue et unités',
+    'Language': 'Langue',
+    'Units in Instructions': 'Unités dans les instructions',
+    'Converted amounts are underlined; tap one to see what the pack says.': 'Les quantités converties sont soulignées ; touchez-en une pour voir ce qu\'indique l\'emballage.',
+    'My Microwave (watts)': 'Mon micro-ondes (watts)',
+    'Microwave times are rescaled from the wattage on the pack. Leave empty to keep them as printed.': 'Les temps au micro-ondes sont recalculés à partir de la puissance indiquée sur l\'emballage. Laissez vide pour les garder tels quels.',
+    'Deleted recipes stay in the trash, on every synced device, until they are removed for good.': 'Les recettes supprimées restent dans la corbeille, sur chaque appareil synchronisé, jusqu\'à leur suppression définitive.',
+    'Keep Deleted Recipes': 'Conserver les recettes supprimées',
+    '7 days': '7 jours',
+    '30 days': '30 jours',
+    '90 days': '90 jours',
+    '1 year': '1 an',
+    'Until I empty the trash': 'Jusqu\'à ce que je vide la corbeille',
+    'Open Trash': 'Ouvrir la corbeille',
+    'Cloud Sync': 'Synchronisation cloud',
+    'Sync recipes across devices through Firebase, your own server or a WebDAV folder.': 'Synchronisez vos recettes entre appareils via Firebase, votre propre serveur ou un dossier WebDAV.',
+    'Sync Backend': 'Service de synchronisation',
+    'Off (this device only)': 'Désactivée (cet appareil uniquement)',
+    'Firebase': 'Firebase',
+    'REST server (self-hosted)': 'Serveur REST (auto-hébergé)',
+    'WebDAV folder (Nextcloud, ownCloud...)': 'Dossier WebDAV (Nextcloud, ownCloud...)',
+    'Enter your Firebase configuration.': 'Saisissez votre configuration Firebase.',
+    'Firebase API Key': 'Clé d\'API Firebase',
+    'Project ID': 'ID du projet',
+    'Auth Domain': 'Domaine d\'authentification',
+    'Storage Bucket': 'Bucket de stockage',
+    'Messaging Sender ID': 'ID d\'expéditeur de messages',
+    'App ID': 'ID de l\'app',
+    'Measurement ID': 'ID de mesure',
+    'Firestore Emulator Host (optional)': 'Hôte de l\'émulateur Firestore (facultatif)',
+    'For local testing with the Firebase emulator suite. Leave empty to use the real project.': 'Pour tester en local avec la suite d\'émulateurs Firebase. Laissez vide pour utiliser le vrai projet.',
+    'Account': 'Compte',
+    'Email': 'E-mail',
+    'We\'ll email you a sign-in link. Recipes on this device stay yours.': 'Nous vous enverrons un lien de connexion par e-mail. Les recettes de cet appareil restent les vôtres.',
+    'Send Sign-in Link': 'Envoyer le lien de connexion',
+    'Sign Out': 'Se déconnecter',
+    'Household': 'Foyer',
+    'Share recipes with the people you cook with. Everyone in a household sees the same recipes.': 'Partagez vos recettes avec les personnes avec qui vous cuisinez. Tout le foyer voit les mêmes recettes.',
+    'Each household keeps its own recipes. To bring one along, open it and choose Share → Copy To.': 'Chaque foyer a ses propres recettes. Pour en apporter une, ouvrez-la et choisissez Partager → Copier vers.',
+    'Sync With': 'Synchroniser avec',
+    'Invite by Email': 'Inviter par e-mail',
+    'Access': 'Accès',
+    'Send Invite': 'Envoyer l\'invitation',
+    'New Household': 'Nouveau foyer',
+    'Any server speaking the RecipeScan sync protocol. To run the bundled one:': 'Tout serveur qui parle le protocole de synchronisation RecipeScan. Pour lancer celui fourni :',
+    'Server URL': 'URL du serveur',
+    'Library': 'Bibliothèque',
+    'Devices using the same library share their recipes.': 'Les appareils qui utilisent la même bibliothèque partagent leurs recettes.',
+    'Access Token': 'Jeton d\'accès',
+    'Recipes are kept as JSON files in a folder on your WebDAV server. The server must allow requests from this app (CORS).': 'Les recettes sont stockées en fichiers JSON dans un dossier de votre serveur WebDAV. Le serveur doit autoriser les requêtes de cette app (CORS).',
+    'Folder URL': 'URL du dossier',
+    'Username': 'Nom d\'utilisateur',
+    'Password': 'Mot de passe',
+    'Test Backend': 'Tester le service',
+    'Sync Conflicts': 'Conflits de synchronisation',
+    'These recipes were edited on more than one device. The newest edit was kept; restore the other copy if it was the right one.': 'Ces recettes ont été modifiées sur plusieurs appareils. La dernière modification a été conservée ; restaurez l\'autre copie si c\'était la bonne.',
+    'Save Settings': 'Enregistrer les réglages',
+    'Using Cloudinary allows you to access images from any device.': 'Cloudinary vous permet d\'accéder à vos images depuis n\'importe quel appareil.',
+    'Backup & Restore': 'Sauvegarde et restauration',
+    'Export every recipe with its photo to keep a copy or move to a new phone. No cloud account needed.': 'Exportez toutes les recettes avec leur photo pour en garder une copie ou passer à un nouveau téléphone. Aucun compte cloud nécessaire.',
+    'Export Backup': 'Exporter une sauvegarde',
+    'Export CSV': 'Exporter en CSV',
+    'Import': 'Importer',
+    'When a recipe already exists': 'Si une recette existe déjà',
+    'Import Recipes': 'Importer des recettes',
+    'Home': 'Accueil',
+    'Scan': 'Scanner',
+    'Recipes': 'Recettes',
+    'Type the barcode digits': 'Saisissez les chiffres du code-barres',
+    'Type the barcode from the pack': 'Saisissez le code-barres de l\'emballage',
+    'e.g. Spicy Miso Ramen': 'ex. Ramen miso épicés',
+    'e.g. Oven, Microwave, Extra crispy': 'ex. Four, Micro-ondes, Extra croustillant',
+    'Paste or type instructions here...': 'Collez ou saisissez les instructions ici...',
+    'Search name, barcode or instructions': 'Rechercher un nom, un code-barres ou des instructions',
+    'e.g. Frozen Lasagne': 'ex. Lasagnes surgelées',
+    'Protects your API keys': 'Protège vos clés d\'API',
+    'e.g. MyCloud': 'ex. MyCloud',
+    'e.g. http://127.0.0.1:8788': 'ex. http://127.0.0.1:8788',
+    'Token set on the endpoint': 'Jeton défini sur le service',
+    'e.g. ml_default (Unsigned, without an endpoint)': 'ex. ml_default (non signé, sans service)',
+    'e.g. catalog.json or https://example.com/products/{barcode}': 'ex. catalog.json ou https://example.com/products/{barcode}',
+    'e.g. 800': 'ex. 800',
+    'Leave empty if the server has none': 'Laissez vide si le serveur n\'en a pas',
+    'An app password is best': 'Un mot de passe d\'application est préférable',
+    'Keep scanning and queue every code': 'Continuer à scanner et mettre chaque code en file',
+    'Add scanned products to the pantry': 'Ajouter les produits scannés au garde-manger',
+    'Camera': 'Caméra',
+    'Torch': 'Lampe',
+    'Zoom': 'Zoom',
+    'Read a barcode from a photo': 'Lire un code-barres sur une photo',
+    'Type the barcode': 'Saisir le code-barres',
+    'Read Steps Aloud': 'Lire les étapes à voix haute',
+    'Sort recipes': 'Trier les recettes'
+};
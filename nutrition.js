@@ -0,0 +1,184 @@
+/**
+ * RecipeScan DB - Nutrition facts
+ *
+ * Parses OCR text from a nutrition panel (EU two-column "per 100g / per
+ * serving" tables as well as US single-column labels) into
+ *
+ *   { servingSize, unit, per100: { fat: 9.5, ... }, perServing: { ... } }
+ *
+ * Missing columns are derived from the other one when the serving size is
+ * known.
+ */
+
+export const NUTRIENTS = [
+    { key: 'energyKj', label: 'Energy', unit: 'kJ' },
+    { key: 'energyKcal', label: 'Energy', unit: 'kcal' },
+    { key: 'fat', label: 'Fat', unit: 'g' },
+    { key: 'saturates', label: 'of which saturates', unit: 'g' },
+    { key: 'carbs', label: 'Carbohydrate', unit: 'g' },
+    { key: 'sugars', label: 'of which sugars', unit: 'g' },
+    { key: 'fibre', label: 'Fibre', unit: 'g' },
+    { key: 'protein', label: 'Protein', unit: 'g' },
+    { key: 'salt', label: 'Salt', unit: 'g' },
+    { key: 'sodium', label: 'Sodium', unit: 'g' }
+];
+
+// Order matters: "Saturated fat" and "of which sugars" must not be read as fat / carbs
+const LABELS = [
+    ['energy', /energy|calories|energie|énergie|brennwert/i],
+    ['saturates', /saturat|gesättigt|saturés/i],
+    ['sugars', /sugar|zucker|sucres/i],
+    ['fibre', /fib(?:re|er)|ballaststoff/i],
+    ['carbs', /carbohydrate|carbs?\b|kohlenhydrat|glucides/i],
+    ['fat', /\bfat\b|\bfett|matières grasses|graisses|lipides/i],
+    ['protein', /protein|eiweiß|eiweiss|protéines/i],
+    ['salt', /\bsalt\b|\bsalz\b|\bsel\b/i],
+    ['sodium', /sodium|natrium/i]
+];
+// Sub-rows we don't keep that would otherwise match a label above
+const SKIP_RE = /trans|poly|mono|added|starch|polyol|cholesterol/i;
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const AMOUNT_RE = new RegExp(`(?:<\\s*)?${NUMBER}\\s*(mg|g)\\b`, 'gi');
+const PLAIN_RE = new RegExp(NUMBER, 'g');
+const KJ_RE = new RegExp(`${NUMBER}\\s*kj`, 'gi');
+const KCAL_RE = new RegExp(`${NUMBER}\\s*(?:kcal|cal)`, 'gi');
+
+function toNumber(text) {
+    return parseFloat(text.replace(',', '.'));
+}
+
+function round(value, unit) {
+    const digits = unit === 'g' ? 100 : 1;
+    return Math.round(value * digits) / digits;
+}
+
+function matchAll(text, re) {
+    return [...text.matchAll(re)].map(match => toNumber(match[1]));
+}
+
+// Gram values on a line, with mg converted; falls back to bare numbers when OCR dropped the units
+function amounts(text) {
+    const withUnits = [...text.matchAll(AMOUNT_RE)]
+        .map(match => toNumber(match[1]) / (match[2].toLowerCase() === 'mg' ? 1000 : 1));
+    return withUnits.length ? withUnits : matchAll(text, PLAIN_RE);
+}
+
+/**
+ * Which column holds what: EU panels have a "per 100g" header, usually
+ * followed by a per-serving column; US labels only list per-serving values.
+ */
+function readHeader(lines) {
+    const header = lines.find(line => /per\s*100\s*(?:g|ml)|100\s*(?:g|ml)/i.test(line) && !/\d\s*%/.test(line));
+    if (!header) return { columns: ['perServing'], unit: 'g', servingSize: null };
+
+    const per100At = header.search(/100\s*(?:g|ml)/i);
+    const before = header.slice(0, per100At);
+    const servingFirst = /serving|portion|pack|slice|bar|biscuit/i.test(before);
+    const unit = /100\s*ml/i.test(header) ? 'ml' : 'g';
+    // "Per 100g | Per 1/2 pack (200g)": the other weight is the serving
+    const sizes = [...header.matchAll(/(\d+(?:[.,]\d+)?)\s*(?:g|ml)\b/gi)]
+        .map(match => toNumber(match[1]))
+        .filter(size => size !== 100);
+    return {
+        columns: servingFirst ? ['perServing', 'per100'] : ['per100', 'perServing'],
+        unit,
+        servingSize: sizes.length ? sizes[0] : null
+    };
+}
+
+function readServingSize(text) {
+    const line = text.split('\n').find(l => /serving size|portion size|portionsgröße|par portion/i.test(l));
+    if (!line) return null;
+    // "Serving size 1 cup (228g)": the weight is usually last
+    const sizes = [...line.matchAll(/(\d+(?:[.,]\d+)?)\s*(?:g|ml)\b/gi)].map(match => toNumber(match[1]));
+    return sizes.length ? sizes[sizes.length - 1] : null;
+}
+
+export function parseNutrition(text) {
+    const lines = (text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+    const { columns, unit, servingSize: headerSize } = readHeader(lines);
+    const nutrition = {
+        servingSize: readServingSize(text) || headerSize,
+        unit,
+        per100: {},
+        perServing: {}
+    };
+
+    const assign = (key, values) => {
+        values.slice(0, columns.length).forEach((value, i) => {
+            if (!Number.isNaN(value) && nutrition[columns[i]][key] === undefined) {
+                nutrition[columns[i]][key] = round(value, key.startsWith('energy') ? 'kcal' : 'g');
+            }
+        });
+    };
+
+    lines.forEach((line, i) => {
+        if (SKIP_RE.test(line)) return;
+        const match = LABELS.find(([, pattern]) => pattern.test(line));
+        if (!match) return;
+        const [key, pattern] = match;
+        // Only what follows the label, without %RI / %DV figures
+        const rest = line.slice(line.search(pattern)).replace(pattern, '').replace(/\d+(?:[.,]\d+)?\s*%/g, '');
+
+        if (key === 'energy') {
+            assign('energyKj', matchAll(rest, KJ_RE));
+            let kcal = matchAll(rest, KCAL_RE);
+            // EU panels often print kcal on the line below the Energy row: "1046kJ" then "250kcal"
+            const next = lines[i + 1] || '';
+            if (!kcal.length && /kj/i.test(rest) && !LABELS.some(([, label]) => label.test(next))) kcal = matchAll(next, KCAL_RE);
+            // US labels: "Calories 250" without a unit
+            assign('energyKcal', kcal.length || /kj/i.test(rest) ? kcal : matchAll(rest, PLAIN_RE));
+        } else {
+            assign(key, amounts(rest));
+        }
+    });
+
+    // Salt is sodium x 2.5; fill in whichever the label left out
+    ['per100', 'perServing'].forEach(column => {
+        const values = nutrition[column];
+        if (values.salt === undefined && values.sodium !== undefined) values.salt = round(values.sodium * 2.5, 'g');
+        if (values.sodium === undefined && values.salt !== undefined) values.sodium = Math.round(values.salt / 2.5 * 1000) / 1000;
+    });
+    return nutrition;
+}
+
+export function hasNutrition(nutrition) {
+    return !!nutrition && (Object.keys(nutrition.per100 || {}).length > 0 || Object.keys(nutrition.perServing || {}).length > 0);
+}
+
+/**
+ * Value of one nutrient for `basis` ('per100' or 'perServing'), derived from
+ * the other column when only that one was recorded. Null when unknown.
+ */
+export function nutritionValue(nutrition, key, basis) {
+    const direct = (nutrition[basis] || {})[key];
+    if (direct !== undefined && direct !== null) return direct;
+    const otherBasis = basis === 'per100' ? 'perServing' : 'per100';
+    const other = (nutrition[otherBasis] || {})[key];
+    if (other === undefined || other === null || !nutrition.servingSize) return null;
+    const factor = basis === 'per100' ? 100 / nutrition.servingSize : nutrition.servingSize / 100;
+    const unit = NUTRIENTS.find(n => n.key === key).unit;
+    return round(other * factor, unit === 'g' ? 'g' : 'kcal');
+}
+
+export function formatNutrient(value, unit) {
+    if (value === null || value === undefined) return '—';
+    return `${value} ${unit}`;
+}
+
+function isValues(values) {
+    return !!values && typeof values === 'object' && !Array.isArray(values)
+        && Object.entries(values).every(([key, value]) => NUTRIENTS.some(nutrient => nutrient.key === key)
+            && (value === null || (typeof value === 'number' && Number.isFinite(value))));
+}
+
+// Whether `nutrition` has the shape parseNutrition() returns, for facts that come from files and links
+export function isNutrition(nutrition) {
+    return !!nutrition && typeof nutrition === 'object'
+        && (nutrition.servingSize === null || nutrition.servingSize === undefined
+            || (typeof nutrition.servingSize === 'number' && Number.isFinite(nutrition.servingSize)))
+        && (nutrition.unit === undefined || nutrition.unit === 'g' || nutrition.unit === 'ml')
+        && (nutrition.per100 === undefined || isValues(nutrition.per100))
+        && (nutrition.perServing === undefined || isValues(nutrition.perServing));
+}
@@ -0,0 +1,266 @@
+/**
+ * RecipeScan DB - OCR pipeline
+ *
+ * Crop/rotate, canvas preprocessing (grayscale, contrast, deskew, upscaling,
+ * adaptive threshold) and a reusable Tesseract worker that reports progress
+ * and per-word confidence.
+ */
+
+// Words Tesseract is less sure about than this (0-100) are flagged for proofreading
+export const LOW_CONFIDENCE = 60;
+
+// Tesseract reads best when x-height is ~20-30px; small print is scaled up, huge photos down
+const MIN_WIDTH = 1200;
+const MAX_WIDTH = 2400;
+const MAX_UPSCALE = 3;
+const MAX_SKEW = 10;
+
+// Pinned so the service worker can keep them for offline use; keep in step with index.html
+export const TESSERACT_PATHS = {
+    workerPath: 'https://cdn.jsdelivr.net/npm/tesseract.js@v5.0.3/dist/worker.min.js',
+    corePath: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@v5.0.0',
+    langPath: 'https://tessdata.projectnaptha.com/4.0.0'
+};
+
+/**
+ * Everything the worker downloads to read `languages` ("eng+fra"): both
+ * builds of the LSTM core (the worker picks one by SIMD support) and the
+ * compressed traineddata for each language.
+ */
+export function ocrAssetUrls(languages) {
+    const { corePath, langPath } = TESSERACT_PATHS;
+    return [
+        `${corePath}/tesseract-core-lstm.wasm.js`,
+        `${corePath}/tesseract-core-simd-lstm.wasm.js`,
+        ...String(languages || 'eng').split('+').filter(Boolean).map(lang => `${langPath}/${lang}.traineddata.gz`)
+    ];
+}
+
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        // Cloudinary and other remote photos must be CORS-clean to be read back from a canvas
+        if (/^https?:/i.test(src)) img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not load image'));
+        img.src = src;
+    });
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+}
+
+// Rotates around the centre onto a white canvas big enough for the result
+function rotateCanvas(source, degrees) {
+    if (!degrees) return source;
+    const rad = degrees * Math.PI / 180;
+    const sin = Math.abs(Math.sin(rad));
+    const cos = Math.abs(Math.cos(rad));
+    const canvas = createCanvas(source.width * cos + source.height * sin, source.width * sin + source.height * cos);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
+
+/**
+ * Applies the user's quarter-turn rotation and crop. `crop` is
+ * { x, y, width, height } as fractions of the rotated image, or null for all of it.
+ */
+export function renderCrop(image, { rotation = 0, crop = null } = {}) {
+    const rotated = rotateCanvas(image, rotation);
+    if (!crop) return rotated;
+    const canvas = createCanvas(crop.width * rotated.width, crop.height * rotated.height);
+    canvas.getContext('2d').drawImage(
+        rotated,
+        crop.x * rotated.width, crop.y * rotated.height, canvas.width, canvas.height,
+        0, 0, canvas.width, canvas.height
+    );
+    return canvas;
+}
+
+function grayscale(ctx, width, height) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const gray = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return gray;
+}
+
+// Stretches the 1st-99th percentile to the full range; washed-out photos gain contrast
+function stretchContrast(gray) {
+    const histogram = new Uint32Array(256);
+    gray.forEach(v => histogram[v]++);
+    const cut = gray.length * 0.01;
+    let low = 0;
+    let high = 255;
+    for (let seen = 0; low < 255 && seen + histogram[low] < cut; low++) seen += histogram[low];
+    for (let seen = 0; high > 0 && seen + histogram[high] < cut; high--) seen += histogram[high];
+    if (high - low < 10) return gray;
+    const scale = 255 / (high - low);
+    return gray.map(v => (v - low) * scale);
+}
+
+/**
+ * Local-mean threshold (Bradley): each pixel is compared with the average of
+ * its neighbourhood, which copes with glare and shadows on glossy packs far
+ * better than one global cut-off.
+ */
+function adaptiveThreshold(gray, width, height) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 1; y <= height; y++) {
+        let rowSum = 0;
+        for (let x = 1; x <= width; x++) {
+            rowSum += gray[(y - 1) * width + (x - 1)];
+            integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+        }
+    }
+
+    const half = Math.max(8, Math.round(width / 32));
+    const out = new Uint8ClampedArray(gray.length);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x + half + 1);
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+            out[y * width + x] = gray[y * width + x] < mean * 0.85 ? 0 : 255;
+        }
+    }
+    return out;
+}
+
+/**
+ * Finds the text angle by projection profile: when rotated to level, dark
+ * pixels pile up in sharp rows separated by empty gaps, which maximizes the
+ * variance between neighbouring rows.
+ */
+function estimateSkew(binary, width, height) {
+    const step = Math.max(1, Math.round(Math.max(width, height) / 600));
+    const points = [];
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            if (binary[y * width + x] === 0) points.push(x, y);
+        }
+    }
+    if (points.length < 200) return 0;
+
+    let best = { angle: 0, score: -1 };
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += 0.5) {
+        const rad = angle * Math.PI / 180;
+        const sin = Math.sin(rad);
+        const cos = Math.cos(rad);
+        const rows = new Map();
+        for (let i = 0; i < points.length; i += 2) {
+            const row = Math.round((points[i + 1] * cos - points[i] * sin) / step);
+            rows.set(row, (rows.get(row) || 0) + 1);
+        }
+        let score = 0;
+        rows.forEach((count, row) => {
+            const diff = count - (rows.get(row - 1) || 0);
+            score += diff * diff;
+        });
+        if (score > best.score) best = { angle, score };
+    }
+    return best.angle;
+}
+
+function grayToCanvas(gray, width, height) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    for (let i = 0; i < gray.length; i++) {
+        imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = gray[i];
+        imageData.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Turns a (cropped) photo into a clean black-on-white canvas for Tesseract.
+ * Resolves the canvas and the skew angle that was corrected.
+ */
+export function preprocessImage(source) {
+    const scale = Math.min(MAX_UPSCALE, Math.max(MIN_WIDTH / source.width, Math.min(1, MAX_WIDTH / source.width)));
+    const scaled = createCanvas(source.width * scale, source.height * scale);
+    const scaledCtx = scaled.getContext('2d');
+    scaledCtx.imageSmoothingQuality = 'high';
+    scaledCtx.drawImage(source, 0, 0, scaled.width, scaled.height);
+
+    const { width, height } = scaled;
+    const gray = stretchContrast(grayscale(scaledCtx, width, height));
+    const skew = estimateSkew(adaptiveThreshold(gray, width, height), width, height);
+
+    // Threshold after straightening so the rotation doesn't blur the binary edges
+    const straight = rotateCanvas(grayToCanvas(gray, width, height), -skew);
+    const straightGray = grayscale(straight.getContext('2d'), straight.width, straight.height);
+    const binary = adaptiveThreshold(straightGray, straight.width, straight.height);
+    return { canvas: grayToCanvas(binary, straight.width, straight.height), skew };
+}
+
+/**
+ * One Tesseract worker, created on first use and kept for later runs. It is
+ * re-initialized only when the language selection changes.
+ */
+export class OcrEngine {
+    constructor() {
+        this.worker = null;
+        this.languages = null;
+        this.onProgress = () => {};
+    }
+
+    async getWorker(languages) {
+        if (!this.worker) {
+            this.worker = await Tesseract.createWorker(languages, 1, {
+                ...TESSERACT_PATHS,
+                logger: (message) => this.onProgress(message)
+            });
+        } else if (languages !== this.languages) {
+            await this.worker.reinitialize(languages);
+        }
+        this.languages = languages;
+        return this.worker;
+    }
+
+    /**
+     * `languages` is a Tesseract language string such as "eng+fra".
+     * Resolves to { text, lines }, where lines are lists of
+     * { text, confidence } words in reading order.
+     */
+    async recognize(image, { languages = 'eng', onProgress = () => {} } = {}) {
+        this.onProgress = onProgress;
+        try {
+            const worker = await this.getWorker(languages);
+            const { data } = await worker.recognize(image);
+            const lines = (data.lines || []).map(line => line.words.map(word => ({
+                text: word.text,
+                confidence: word.confidence
+            })));
+            return { text: data.text, confidence: data.confidence, lines };
+        } catch (err) {
+            // A worker that failed mid-run may be unusable; start fresh next time
+            await this.terminate();
+            throw err;
+        } finally {
+            this.onProgress = () => {};
+        }
+    }
+
+    async terminate() {
+        if (this.worker) await this.worker.terminate().catch(() => {});
+        this.worker = null;
+        this.languages = null;
+    }
+}
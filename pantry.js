@@ -0,0 +1,198 @@
+/**
+ * RecipeScan DB - Pantry
+ *
+ * What is in stock, per product. A pantry record is keyed by barcode and
+ * holds lots: packs put away together, sharing a location and best-before
+ * date.
+ *
+ *   { barcode, name, lots: [{ id, quantity, location, bestBefore, addedAt }] }
+ *
+ * `bestBefore` is a "YYYY-MM-DD" date or null. Using stock takes from the lot
+ * that expires first.
+ */
+
+export const LOCATIONS = {
+    freezer: 'Freezer',
+    fridge: 'Fridge',
+    pantry: 'Pantry'
+};
+
+// Items expiring within this many days are flagged and notified
+export const EXPIRY_WARNING_DAYS = 3;
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+    // German, French, Spanish and Italian abbreviations that differ from English
+    jän: 1, mär: 3, mai: 5, okt: 10, dez: 12,
+    janv: 1, févr: 2, fevr: 2, mars: 3, avr: 4, juin: 6, juil: 7, août: 8, aout: 8, déc: 12,
+    ene: 1, abr: 4, ago: 8, dic: 12,
+    gen: 1, mag: 5, giu: 6, lug: 7, set: 9, ott: 10
+};
+
+// Phrases printed in front of the date on packs
+const KEYWORDS = /best\s*before(?:\s*end)?|\bbb[e]?\b|use\s*by|\bexp(?:iry|ires)?\b|\bbbd\b|mhd|mindestens\s*haltbar\s*bis|zu\s*verbrauchen\s*bis|à\s*consommer|a\s*consommer|\bdluo\b|\bdlc\b|consumir\s*preferentemente|caducidad|da\s*consumarsi|\btht\b|houdbaar\s*tot/i;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Rejects 31/02 and friends, which Date would roll over into March
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function fullYear(year) {
+    const value = Number(year);
+    return year.length <= 2 ? 2000 + value : value;
+}
+
+function lastDayOf(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function monthNumber(name) {
+    const key = name.toLowerCase().replace(/\.$/, '');
+    return MONTHS[key] || MONTHS[key.slice(0, 4)] || MONTHS[key.slice(0, 3)] || null;
+}
+
+/**
+ * Every date in `text` as { date: "YYYY-MM-DD", index }. Numeric dates are
+ * read day first, as printed in Europe, unless only month first makes sense.
+ * A month and year without a day ("05/2025", "MAY 25") means the end of that
+ * month.
+ */
+function findDates(text) {
+    const found = [];
+    const add = (date, index) => {
+        if (date) found.push({ date, index });
+    };
+
+    // 2025-05-12
+    for (const match of text.matchAll(/\b(20\d{2})[-./](\d{1,2})[-./](\d{1,2})\b/g)) {
+        add(toIsoDate(Number(match[1]), Number(match[2]), Number(match[3])), match.index);
+    }
+    // 12/05/2025, 12.05.25, 12-05-2025
+    for (const match of text.matchAll(/\b(\d{1,2})\s?[-./]\s?(\d{1,2})\s?[-./]\s?(\d{4}|\d{2})\b/g)) {
+        let [day, month] = [Number(match[1]), Number(match[2])];
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+        add(toIsoDate(fullYear(match[3]), month, day), match.index);
+    }
+    // 12 MAY 2025, 12 MAY 25, 12.MAI.2025
+    for (const match of text.matchAll(/\b(\d{1,2})[\s.\-/]*([a-zà-ü]{3,5}\.?)[\s.\-/]*(\d{4}|\d{2})\b/gi)) {
+        const month = monthNumber(match[2]);
+        if (month) add(toIsoDate(fullYear(match[3]), month, Number(match[1])), match.index);
+    }
+    // MAY 2025, MAY 25
+    for (const match of text.matchAll(/(?:^|[^\d\s.\-/])\s*\b([a-zà-ü]{3,5}\.?)[\s.\-/]*(\d{4}|\d{2})\b/gi)) {
+        const month = monthNumber(match[1]);
+        if (month) {
+            const year = fullYear(match[2]);
+            add(toIsoDate(year, month, lastDayOf(year, month)), match.index);
+        }
+    }
+    // 05/2025, 05.25 (month and year only)
+    for (const match of text.matchAll(/(?<![\d./-])(\d{1,2})\s?[./-]\s?(20\d{2}|\d{2})(?![\d./-])/g)) {
+        const month = Number(match[1]);
+        if (month < 1 || month > 12) continue;
+        const year = fullYear(match[2]);
+        add(toIsoDate(year, month, lastDayOf(year, month)), match.index);
+    }
+    return found;
+}
+
+/**
+ * Finds the best-before date in OCR text from a pack. A date after a phrase
+ * like "best before", "use by" or "MHD" wins; otherwise the first plausible
+ * date (from a year ago to 15 years ahead). Resolves "YYYY-MM-DD" or null.
+ */
+export function parseBestBefore(text, today = new Date()) {
+    const source = String(text || '').replace(/[Oo](?=\d)|(?<=\d)[Oo]/g, '0');
+    const from = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate()).toISOString().slice(0, 10);
+    const until = `${today.getFullYear() + 15}-12-31`;
+    const dates = findDates(source)
+        .filter(({ date }) => date >= from && date <= until)
+        .sort((a, b) => a.index - b.index);
+    if (!dates.length) return null;
+
+    const keyword = source.match(KEYWORDS);
+    if (keyword) {
+        const after = dates.find(({ index }) => index >= keyword.index);
+        if (after) return after.date;
+    }
+    return dates[0].date;
+}
+
+export function totalQuantity(record) {
+    return record ? record.lots.reduce((sum, lot) => sum + lot.quantity, 0) : 0;
+}
+
+// Lots without a date sort after every dated one
+function byExpiry(a, b) {
+    if (a.bestBefore === b.bestBefore) return a.addedAt.localeCompare(b.addedAt);
+    if (!a.bestBefore) return 1;
+    if (!b.bestBefore) return -1;
+    return a.bestBefore.localeCompare(b.bestBefore);
+}
+
+/**
+ * Adds stock to `record` (or a new one). Packs with the same location and
+ * date join their existing lot. Returns the updated record.
+ */
+export function addStock(record, { barcode, name, quantity = 1, location = 'pantry', bestBefore = null }) {
+    const base = record || { barcode, name: name || '', lots: [] };
+    const lots = base.lots.map(lot => ({ ...lot }));
+    const same = lots.find(lot => lot.location === location && lot.bestBefore === (bestBefore || null));
+    if (same) {
+        same.quantity += quantity;
+    } else {
+        lots.push({
+            id: crypto.randomUUID(),
+            quantity,
+            location,
+            bestBefore: bestBefore || null,
+            addedAt: new Date().toISOString()
+        });
+    }
+    return { ...base, name: name || base.name, lots: lots.sort(byExpiry) };
+}
+
+/**
+ * Takes `amount` from the lot `lotId`, or from whatever expires first.
+ * Empty lots are dropped. Returns the updated record.
+ */
+export function useStock(record, { amount = 1, lotId = null } = {}) {
+    let remaining = amount;
+    const lots = [...record.lots].sort(byExpiry).map(lot => ({ ...lot }));
+    const order = lotId ? lots.filter(lot => lot.id === lotId) : lots;
+    for (const lot of order) {
+        const taken = Math.min(lot.quantity, remaining);
+        lot.quantity -= taken;
+        remaining -= taken;
+        if (!remaining) break;
+    }
+    return { ...record, lots: lots.filter(lot => lot.quantity > 0) };
+}
+
+// Whole days from `today` to the date, negative once it has passed
+export function daysUntil(bestBefore, today = new Date()) {
+    const [year, month, day] = bestBefore.split('-').map(Number);
+    const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    return Math.round((Date.UTC(year, month - 1, day) - start) / 86400000);
+}
+
+// 'expired', 'soon', 'ok', or 'none' without a date
+export function expiryStatus(bestBefore, today = new Date(), warningDays = EXPIRY_WARNING_DAYS) {
+    if (!bestBefore) return 'none';
+    const days = daysUntil(bestBefore, today);
+    if (days < 0) return 'expired';
+    return days <= warningDays ? 'soon' : 'ok';
+}
+
+// Every lot of every record, soonest expiry first: [{ record, lot }]
+export function stockByExpiry(records) {
+    return records
+        .flatMap(record => record.lots.map(lot => ({ record, lot })))
+        .sort((a, b) => byExpiry(a.lot, b.lot));
+}
@@ -0,0 +1,93 @@
+/**
+ * RecipeScan DB - Offline app support
+ *
+ * Page side of sw.js: registration and updates, asking the worker to keep
+ * OCR language data, collecting photos shared into the app, and notifications.
+ */
+
+const SHARE_CACHE = 'recipescan-share';
+
+/**
+ * Registers the service worker. `onUpdate(apply)` is called when a new
+ * version has installed; `apply()` switches to it and reloads the page.
+ */
+export async function registerServiceWorker({ onUpdate = () => {} } = {}) {
+    if (!('serviceWorker' in navigator)) return null;
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    const registration = await navigator.serviceWorker.register('./sw.js');
+    const offer = (worker) => onUpdate(() => worker.postMessage({ type: 'skip-waiting' }));
+
+    // Only an update has a controller to replace; the first install just takes over
+    if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+    });
+    return registration;
+}
+
+// Asks the worker to download what it doesn't have yet; it keeps going if the page closes
+export async function cacheOcrAssets(urls) {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) registration.active.postMessage({ type: 'cache-ocr', urls });
+}
+
+/**
+ * Returns what was shared into the app, { photo: Blob|null, text }, once:
+ * the entry is removed as it is read. Null when nothing was shared.
+ */
+export async function takeSharedItem() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('share-target') || !('caches' in window)) return null;
+    params.delete('share-target');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    const cache = await caches.open(SHARE_CACHE);
+    const [photoResponse, textResponse] = await Promise.all([cache.match('shared-photo'), cache.match('shared-text')]);
+    await Promise.all([cache.delete('shared-photo'), cache.delete('shared-text')]);
+    const photo = photoResponse ? await photoResponse.blob() : null;
+    const text = textResponse ? (await textResponse.text()).trim() : '';
+    return photo || text ? { photo, text } : null;
+}
+
+/**
+ * Shows a system notification through the worker, so it works on Android
+ * too, where `new Notification()` is not allowed. `view` is opened when the
+ * notification is tapped. Resolves false when notifications aren't allowed.
+ */
+export async function notify(title, { body = '', tag, view } = {}) {
+    if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return false;
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, { body, tag, icon: './icon.svg', data: { view } });
+    return true;
+}
+
+/**
+ * Calls `open(viewId)` for the view a tapped notification asks for, whether
+ * it focused this page or opened a new one (?view=).
+ */
+export function onOpenView(open) {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'open-view') open(event.data.view);
+        });
+    }
+    const params = new URLSearchParams(window.location.search);
+    const view = params.get('view');
+    if (!view) return;
+    params.delete('view');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+    open(view);
+}
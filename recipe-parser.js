@@ -0,0 +1,245 @@
+/**
+ * RecipeScan DB - Recipe Parser
+ *
+ * Turns OCR output or typed instructions into a structured recipe:
+ * ordered steps, cooking method, durations, temperatures, microwave
+ * wattage notes, servings and standing time.
+ */
+
+export const METHODS = ['microwave', 'oven', 'air fryer', 'stovetop'];
+
+// Order matters: "air fryer" must win over the generic oven keywords
+const METHOD_PATTERNS = [
+    ['air fryer', /\bair[\s-]?fr(?:y|yer|ier)\b/i],
+    ['microwave', /\bmicro[\s-]?wave/i],
+    ['oven', /\b(?:oven|pre-?heat|bake|fan\s*\d{2,3}|gas\s*mark)\b/i],
+    ['stovetop', /\b(?:hob|stove(?:top)?|saucepan|frying\s*pan|wok|simmer|boil)\b/i]
+];
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?|\\d*\\s*½|\\d+\\s+1\\/2)';
+const UNIT = '(hours?|hrs?|h|minutes?|mins?|seconds?|secs?)';
+const DURATION_RE = new RegExp(`${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?\\s*${UNIT}\\b(?:\\s*(?:and\\s*)?(\\d+)\\s*(seconds?|secs?)\\b)?`, 'gi');
+const TEMPERATURE_RE = /(\d{2,3})\s*(?:°|º|degrees?\s*)?\s*([CF])\b/gi;
+const GAS_MARK_RE = /gas\s*mark\s*(\d{1,2})/i;
+const WATTAGE_RE = /(\d{3,4})\s*w(?:atts?)?\b[^\d\n]{0,12}?(\d+(?:[.,]\d+|\s+1\/2|\s*½)?(?:\s*(?:-|–|to)\s*\d+(?:[.,]\d+)?)?\s*(?:minutes?|mins?|seconds?|secs?)(?:\s*\d+\s*(?:seconds?|secs?))?)/gi;
+const STAND_RE = /(?:stand(?:ing)?(?:\s+time)?|rest)(?:\s+for)?[:\s]+(?:about\s+)?(\d+(?:[.,]\d+)?\s*(?:-|–|to)?\s*\d*\s*(?:minutes?|mins?|seconds?|secs?))/i;
+const SERVINGS_RE = /(?:serves|servings?|portions?|makes)[:\s]+(\d+)|(\d+)\s+(?:servings?|portions?)/i;
+
+function toNumber(value) {
+    if (!value) return 0;
+    const text = value.replace(',', '.').trim();
+    if (text.includes('½') || text.includes('1/2')) {
+        return (parseFloat(text) || 0) + 0.5;
+    }
+    return parseFloat(text) || 0;
+}
+
+function unitSeconds(unit) {
+    const u = unit.toLowerCase();
+    if (u.startsWith('h')) return 3600;
+    if (u.startsWith('s')) return 1;
+    return 60;
+}
+
+/**
+ * Finds every duration in a piece of text. Ranges ("3-4 mins") keep both
+ * ends, compound values ("1 min 30 secs") are summed.
+ */
+export function parseDurations(text) {
+    const durations = [];
+    for (const match of (text || '').matchAll(DURATION_RE)) {
+        const [raw, low, high, unit, extra] = match;
+        const factor = unitSeconds(unit);
+        const extraSeconds = extra ? parseInt(extra, 10) : 0;
+        const seconds = Math.round(toNumber(low) * factor) + extraSeconds;
+        if (!seconds) continue;
+        const duration = { seconds, text: raw.trim() };
+        if (high) duration.maxSeconds = Math.round(toNumber(high) * factor) + extraSeconds;
+        durations.push(duration);
+    }
+    return durations;
+}
+
+export function parseTemperature(text) {
+    const match = [...(text || '').matchAll(TEMPERATURE_RE)][0];
+    if (match) return { value: parseInt(match[1], 10), unit: match[2].toUpperCase() };
+    const gas = (text || '').match(GAS_MARK_RE);
+    if (gas) return { gasMark: parseInt(gas[1], 10) };
+    return null;
+}
+
+export function detectMethod(text) {
+    for (const [method, pattern] of METHOD_PATTERNS) {
+        if (pattern.test(text || '')) return method;
+    }
+    return null;
+}
+
+export function parseStandTime(text) {
+    const match = (text || '').match(STAND_RE);
+    if (!match) return null;
+    const [duration] = parseDurations(match[1]);
+    return duration ? duration.seconds : null;
+}
+
+/**
+ * Parses "800W: 3 min, 1000W: 2 min" style notes, wherever they appear.
+ */
+export function parseWattage(text) {
+    const notes = [];
+    for (const match of (text || '').matchAll(WATTAGE_RE)) {
+        const [duration] = parseDurations(match[2]);
+        if (!duration) continue;
+        const note = { watts: parseInt(match[1], 10), seconds: duration.seconds };
+        if (duration.maxSeconds) note.maxSeconds = duration.maxSeconds;
+        notes.push(note);
+    }
+    return notes;
+}
+
+export function parseServings(text) {
+    const match = (text || '').match(SERVINGS_RE);
+    if (!match) return null;
+    return parseInt(match[1] || match[2], 10) || null;
+}
+
+export function formatDuration(seconds) {
+    if (!seconds && seconds !== 0) return '';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    const parts = [];
+    if (h) parts.push(`${h} h`);
+    if (m) parts.push(`${m} min`);
+    if (s || !parts.length) parts.push(`${s} sec`);
+    return parts.join(' ');
+}
+
+export function formatWattage(notes) {
+    return (notes || [])
+        .map(note => `${note.watts}W: ${formatDuration(note.seconds)}${note.maxSeconds ? ` - ${formatDuration(note.maxSeconds)}` : ''}`)
+        .join(', ');
+}
+
+export function formatTemperature(temperature) {
+    if (!temperature) return '';
+    if (temperature.gasMark) return `Gas Mark ${temperature.gasMark}`;
+    return `${temperature.value}°${temperature.unit}`;
+}
+
+/**
+ * Cleans raw OCR output: drops lines that are mostly noise, repairs words
+ * hyphenated across lines and joins lines that were wrapped mid-sentence.
+ */
+export function cleanOcrText(text) {
+    const lines = (text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/(\w)-\n(\w)/g, '$1$2')
+        .split('\n')
+        .map(line => line.replace(/[|_~`^]+/g, ' ').replace(/\s+/g, ' ').trim())
+        .filter(line => {
+            if (!line) return true;
+            const meaningful = (line.match(/[\p{L}\d°½]/gu) || []).length;
+            return meaningful >= 2 && meaningful / line.length >= 0.5;
+        });
+
+    const merged = [];
+    for (const line of lines) {
+        const previous = merged[merged.length - 1];
+        const startsNewItem = /^(?:\d+[.)]|[-•*●▪])\s/.test(line) || /^\p{Lu}/u.test(line);
+        if (previous && line && !/[.!:;]$/.test(previous) && !startsNewItem) {
+            merged[merged.length - 1] = `${previous} ${line}`;
+        } else {
+            merged.push(line);
+        }
+    }
+
+    return merged.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+const STEP_MARKER_RE = /^\s*(?:step\s*)?(?:\d+[.):]|[-•*●▪])\s+/i;
+
+// Short all-caps lines like "MICROWAVE INSTRUCTIONS" are headings, not steps
+function isHeading(line) {
+    return !/\d/.test(line) && line === line.toUpperCase() && line.split(/\s+/).length <= 4;
+}
+
+/**
+ * Splits instructions into steps: one step per line (numbering and bullets
+ * stripped), or per sentence when everything is a single paragraph.
+ */
+export function splitSteps(text) {
+    const cleaned = (text || '').trim();
+    if (!cleaned) return [];
+
+    let parts = cleaned.split(/\n+/)
+        .map(line => line.replace(STEP_MARKER_RE, '').replace(/:$/, '').trim())
+        .filter(line => line && !isHeading(line) && !/^(?:serves|makes)\s+\d+\.?$/i.test(line));
+
+    if (parts.length === 1) {
+        // "1. Pierce film 2. Heat for 3 min" on one line
+        parts = parts[0].split(/\s+(?=\d+[.)]\s+\p{Lu})/u).map(part => part.replace(STEP_MARKER_RE, '').trim());
+    }
+    if (parts.length === 1) {
+        parts = parts[0].split(/(?<=[.!])\s+(?=\p{Lu})/u).map(part => part.trim());
+    }
+    return parts.filter(Boolean);
+}
+
+export function parseStep(text, fallbackMethod = null) {
+    return {
+        text,
+        method: detectMethod(text) || fallbackMethod,
+        durations: parseDurations(text).map(({ seconds, maxSeconds }) => (maxSeconds ? { seconds, maxSeconds } : { seconds })),
+        temperature: parseTemperature(text),
+        standSeconds: parseStandTime(text)
+    };
+}
+
+export function parseRecipe(text) {
+    const stepTexts = splitSteps(text);
+    const method = detectMethod(text);
+    return {
+        method,
+        servings: parseServings(text),
+        standSeconds: parseStandTime(text),
+        wattage: parseWattage(text),
+        temperatures: [...(text || '').matchAll(TEMPERATURE_RE)]
+            .map(match => ({ value: parseInt(match[1], 10), unit: match[2].toUpperCase() })),
+        steps: stepTexts.map(stepText => parseStep(stepText, method))
+    };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+
+function isDuration(duration) {
+    return isObject(duration) && isNumber(duration.seconds) && isOptional(duration.maxSeconds, isNumber);
+}
+
+function isTemperature(temperature) {
+    if (!isObject(temperature)) return false;
+    if (temperature.gasMark !== undefined) return isNumber(temperature.gasMark);
+    return isNumber(temperature.value) && (temperature.unit === 'C' || temperature.unit === 'F');
+}
+
+function isStep(step) {
+    return isObject(step) && typeof step.text === 'string'
+        && Array.isArray(step.durations) && step.durations.every(isDuration)
+        && isOptional(step.method, method => METHODS.includes(method))
+        && isOptional(step.temperature, isTemperature)
+        && isOptional(step.standSeconds, isNumber);
+}
+
+// Whether `structured` has the shape parseRecipe() returns, for recipes that come from files and links
+export function isStructuredRecipe(structured) {
+    return isObject(structured)
+        && Array.isArray(structured.steps) && structured.steps.every(isStep)
+        && isOptional(structured.method, method => METHODS.includes(method))
+        && isOptional(structured.servings, isNumber)
+        && isOptional(structured.standSeconds, isNumber)
+        && isOptional(structured.wattage, wattage => Array.isArray(wattage)
+            && wattage.every(entry => isDuration(entry) && isNumber(entry.watts)))
+        && isOptional(structured.temperatures, temperatures => Array.isArray(temperatures) && temperatures.every(isTemperature));
+}
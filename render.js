@@ -0,0 +1,145 @@
+/**
+ * RecipeScan DB - Safe rendering
+ *
+ * Recipe fields come from OCR, imports and other devices via the cloud, so
+ * none of them may reach innerHTML unescaped. Templates are built with the
+ * `html` tag, which escapes every interpolated value unless it is itself the
+ * result of `html` or `raw`. Image URLs go through `safeImageUrl`.
+ */
+
+const CLOUDINARY_HOST = 'res.cloudinary.com';
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Marks markup we generated ourselves as safe to insert as is
+export function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + renderValue(values[i - 1]) + string));
+}
+
+/**
+ * Returns the URL if it may be shown as an image, otherwise null: raster
+ * data: URLs, blob: URLs, photos in the configured Cloudinary account and
+ * any extra `hosts` (the product catalog's image servers), over https only.
+ */
+export function safeImageUrl(url, { cloudName = '', hosts = [] } = {}) {
+    if (typeof url !== 'string' || !url) return null;
+    if (/^data:image\/(?:jpeg|jpg|png|gif|webp|avif|bmp|heic|heif)[;,]/i.test(url)) return url;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    // Object URLs can only point at blobs created by this page
+    if (parsed.protocol === 'blob:') return url;
+    if (parsed.protocol !== 'https:') return null;
+    if (cloudName && parsed.hostname === CLOUDINARY_HOST && parsed.pathname.startsWith(`/${cloudName}/`)) {
+        return parsed.href;
+    }
+    return hosts.includes(parsed.hostname) ? parsed.href : null;
+}
+
+/**
+ * Text with converted quantities: `convert(text)` returns
+ * [{ start, end, original, display }] (see units.js). Each one shows its
+ * display value and swaps to the original when tapped.
+ */
+export function formatQuantities(text, convert = null) {
+    const source = String(text || '');
+    let out = '';
+    let last = 0;
+    (convert ? convert(source) : []).forEach(({ start, end, original, display }) => {
+        out += escapeHtml(source.slice(last, start));
+        out += `<span class="quantity" role="button" tabindex="0" data-alternate="${escapeHtml(original)}">${escapeHtml(display)}</span>`;
+        last = end;
+    });
+    return raw(out + escapeHtml(source.slice(last)));
+}
+
+// Inline formatting within a line: **bold** (or __bold__)
+function formatInline(text, convert) {
+    return formatQuantities(text, convert).value
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(\S(?:.*?\S)?)__/g, '<strong>$1</strong>');
+}
+
+/**
+ * Instructions as HTML: blank lines separate paragraphs, single line breaks
+ * are kept, "1." / "1)" lines become numbered lists and "-", "*" or "•"
+ * lines bulleted ones. Indented lines continue the list item above.
+ * Quantities are converted with `convert`, as in formatQuantities().
+ */
+export function formatInstructions(text, { convert = null } = {}) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (!list) return;
+        const start = list.start > 1 ? ` start="${list.start}"` : '';
+        blocks.push(`<${list.tag}${start}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            closeList();
+            closeParagraph();
+            return;
+        }
+
+        const numbered = trimmed.match(/^(\d{1,3})[.)]\s+(.*)$/);
+        const bullet = trimmed.match(/^[-*•]\s+(.*)$/);
+        if (numbered || bullet) {
+            const tag = numbered ? 'ol' : 'ul';
+            closeParagraph();
+            if (!list || list.tag !== tag) {
+                closeList();
+                list = { tag, start: numbered ? Number(numbered[1]) : 1, items: [] };
+            }
+            list.items.push(formatInline(numbered ? numbered[2] : bullet[1], convert));
+        } else if (list && /^\s/.test(line)) {
+            list.items[list.items.length - 1] += `<br>${formatInline(trimmed, convert)}`;
+        } else {
+            closeList();
+            paragraph.push(formatInline(trimmed, convert));
+        }
+    });
+    closeList();
+    closeParagraph();
+    return raw(blocks.join(''));
+}
@@ -0,0 +1,171 @@
+/**
+ * RecipeScan DB - Sharing single recipes
+ *
+ * A shared recipe travels as a token: "RS1." followed by the recipe as
+ * deflated, base64url-encoded JSON with short keys. The digit is the payload
+ * version. Tokens are put in QR codes and links (…/#recipe=<token>; the hash
+ * never reaches a server), and decode to a one-recipe backup archive, so
+ * they are checked and imported like any backup.
+ *
+ * Only the recipe itself is shared: not its cooking history, its photo
+ * (files embed that, a code would be too long) or who edited it.
+ */
+
+import { BACKUP_FORMAT, BACKUP_VERSION } from "./backup.js";
+import { t } from "./i18n.js";
+
+export const SHARE_VERSION = 1;
+const TOKEN_PATTERN = /\bRS(\d+)\.([A-Za-z0-9_-]+)/;
+const LINK_PARAM = 'recipe';
+// Far more than any recipe needs; stops a small code from inflating into megabytes
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// Version 1 payload keys
+const FIELDS = {
+    i: 'id',
+    b: 'barcode',
+    n: 'name',
+    v: 'variant',
+    t: 'instructions',
+    s: 'structured',
+    f: 'nutrition',
+    o: 'productInfo',
+    u: 'updatedAt'
+};
+
+export class ShareError extends Error {}
+
+// The fields another install gets
+export function shareableRecipe(recipe) {
+    const shared = {};
+    Object.values(FIELDS).forEach(field => {
+        if (recipe[field] !== undefined && recipe[field] !== null && recipe[field] !== '') shared[field] = recipe[field];
+    });
+    return shared;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+// Inflates `bytes`, giving up as soon as the output passes MAX_PAYLOAD_BYTES
+async function inflate(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > MAX_PAYLOAD_BYTES) {
+            reader.cancel().catch(() => {});
+            throw new ShareError(t('This share code is too large to be a recipe.'));
+        }
+        chunks.push(value);
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+/**
+ * The share token for `recipe`. `productName` is sent along when it differs
+ * from the recipe name.
+ */
+export async function encodeShareToken(recipe, { productName = '' } = {}) {
+    if (!('CompressionStream' in window)) throw new ShareError(t('This browser cannot create share codes.'));
+    const shared = shareableRecipe(recipe);
+    const payload = {};
+    Object.entries(FIELDS).forEach(([key, field]) => {
+        if (shared[field] !== undefined) payload[key] = shared[field];
+    });
+    if (productName && productName !== recipe.name) payload.p = productName;
+    const json = new TextEncoder().encode(JSON.stringify(payload));
+    return `RS${SHARE_VERSION}.${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`;
+}
+
+// The token in scanned text or a pasted link, or null
+export function findShareToken(text) {
+    const match = String(text || '').match(TOKEN_PATTERN);
+    return match ? match[0] : null;
+}
+
+/**
+ * Decodes a token into a backup archive holding the one recipe (and its
+ * product when a name was sent). The archive still goes through
+ * validateBackup(), which checks the nested fields.
+ */
+export async function decodeShareToken(token) {
+    const [, version, data] = String(token).match(TOKEN_PATTERN) || [];
+    if (!version) throw new ShareError(t('This is not a RecipeScan share code.'));
+    if (Number(version) > SHARE_VERSION) throw new ShareError(t('This recipe was shared from a newer version of RecipeScan. Please update the app.'));
+    if (!('DecompressionStream' in window)) throw new ShareError(t('This browser cannot read share codes.'));
+
+    let payload;
+    try {
+        payload = JSON.parse(new TextDecoder().decode(await inflate(fromBase64Url(data))));
+    } catch (err) {
+        if (err instanceof ShareError) throw err;
+        payload = null;
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new ShareError(t('This share code is damaged. Ask for it to be shared again.'));
+    }
+
+    const recipe = {};
+    Object.entries(FIELDS).forEach(([key, field]) => {
+        if (payload[key] !== undefined) recipe[field] = payload[key];
+    });
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        products: typeof payload.p === 'string' && payload.p && typeof recipe.barcode === 'string' ? [{ barcode: recipe.barcode, name: payload.p }] : [],
+        recipes: [recipe]
+    };
+}
+
+export function shareLink(token) {
+    return `${window.location.origin}${window.location.pathname}#${LINK_PARAM}=${token}`;
+}
+
+// The token the app was opened with, once: it is removed from the address bar
+export function takeShareLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get(LINK_PARAM);
+    if (!token) return null;
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return token;
+}
+
+/**
+ * An SVG QR code for `text`, drawn with the qrcode-generator library.
+ * Throws a ShareError when the text is too long for a QR code.
+ */
+export function qrCodeSvg(text, { margin = 4 } = {}) {
+    const qr = qrcode(0, 'L');
+    qr.addData(text);
+    try {
+        qr.make();
+    } catch (err) {
+        throw new ShareError(t('This recipe is too long for a QR code. Send the file instead.'));
+    }
+    const count = qr.getModuleCount();
+    const size = count + margin * 2;
+    let path = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.isDark(row, col)) path += `M${col + margin} ${row + margin}h1v1h-1z`;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img" aria-label="QR code">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,432 @@
+/**
+ * RecipeScan DB - Local store
+ *
+ * Everything the app keeps on the device lives in one IndexedDB database:
+ * recipes, products, photos, the pantry, catalog lookups and the sync and
+ * upload bookkeeping. The schema is built by DB_MIGRATIONS.
+ */
+
+import { dataUrlToBlob } from "./images.js";
+
+/**
+ * IndexedDB schema history. Each step upgrades the database from the previous
+ * version; on open, every step newer than the stored version runs in order
+ * inside the upgrade transaction. Steps call `done()` once their requests have
+ * finished so the next one sees the result. Never edit a released step — add
+ * a new one instead.
+ */
+export const DB_MIGRATIONS = [
+    {
+        version: 1,
+        migrate(db, transaction, done) {
+            const store = db.createObjectStore('recipes', { keyPath: 'barcode' });
+            store.createIndex('name', 'name', { unique: false });
+            store.createIndex('date', 'date', { unique: false });
+            done();
+        }
+    },
+    {
+        // Sync bookkeeping: pending cloud writes, local deletions and overwritten copies
+        version: 2,
+        migrate(db, transaction, done) {
+            db.createObjectStore('outbox', { keyPath: 'key' });
+            db.createObjectStore('tombstones', { keyPath: 'key' });
+            db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true });
+            done();
+        }
+    },
+    {
+        version: 3,
+        migrate(db, transaction, done) {
+            transaction.objectStore('recipes').createIndex('lastCooked', 'lastCooked', { unique: false });
+            done();
+        }
+    },
+    {
+        // Recipes were keyed by barcode; move them into the product/variant layout.
+        // The first variant keeps the barcode as its id so existing cloud documents still match.
+        version: 4,
+        migrate(db, transaction, done) {
+            const products = db.createObjectStore('products', { keyPath: 'barcode' });
+            const oldRecipes = transaction.objectStore('recipes').getAll();
+            oldRecipes.onsuccess = () => {
+                db.deleteObjectStore('recipes');
+                const recipes = RecipeStore.createRecipesStore(db);
+                oldRecipes.result.forEach(recipe => {
+                    recipes.put({ ...recipe, id: recipe.barcode, variant: recipe.variant || '' });
+                    products.put({
+                        barcode: recipe.barcode,
+                        name: recipe.name,
+                        date: recipe.date,
+                        updatedAt: recipe.updatedAt || recipe.date
+                    });
+                });
+                done();
+            };
+        }
+    },
+    {
+        // Inline data URL photos move to the images store. Compression and
+        // thumbnails need a canvas, so they're left for processPendingImages().
+        version: 5,
+        migrate(db, transaction, done) {
+            const images = db.createObjectStore('images', { keyPath: 'id' });
+            const cursorRequest = transaction.objectStore('recipes').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return done();
+                const { image, ...recipe } = cursor.value;
+                if (image && image.startsWith('data:')) {
+                    const imageId = crypto.randomUUID();
+                    images.put({ id: imageId, recipeId: recipe.id, blob: dataUrlToBlob(image), thumb: null, createdAt: new Date().toISOString() });
+                    cursor.update({ ...recipe, imageId });
+                }
+                cursor.continue();
+            };
+        }
+    },
+    {
+        // Product catalog lookups, including misses
+        version: 6,
+        migrate(db, transaction, done) {
+            db.createObjectStore('catalog', { keyPath: 'barcode' });
+            done();
+        }
+    },
+    {
+        // Pantry stock, one record per product
+        version: 7,
+        migrate(db, transaction, done) {
+            db.createObjectStore('pantry', { keyPath: 'barcode' });
+            done();
+        }
+    },
+    {
+        // Cloudinary work that has to wait for the network: uploads and deletes
+        version: 8,
+        migrate(db, transaction, done) {
+            db.createObjectStore('uploads', { keyPath: 'key' });
+            done();
+        }
+    }
+];
+
+export class RecipeStore {
+    constructor(dbName = 'RecipeScanDB') {
+        this.dbName = dbName;
+        this.version = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+        this.db = null;
+    }
+
+    async init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const transaction = event.target.transaction;
+                const steps = DB_MIGRATIONS.filter(step => step.version > event.oldVersion);
+                const runStep = (i) => {
+                    if (i < steps.length) steps[i].migrate(db, transaction, () => runStep(i + 1));
+                };
+                runStep(0);
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve();
+            };
+
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // The personal recipes live in RecipeScanDB, each household's in a database of its own
+    static nameFor(householdId) {
+        return householdId ? `RecipeScanDB-household-${householdId}` : 'RecipeScanDB';
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    // Deletes the whole database, e.g. a household's after leaving it; close it first
+    static remove(dbName) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static createRecipesStore(db) {
+        const store = db.createObjectStore('recipes', { keyPath: 'id' });
+        store.createIndex('barcode', 'barcode', { unique: false });
+        store.createIndex('name', 'name', { unique: false });
+        store.createIndex('date', 'date', { unique: false });
+        store.createIndex('lastCooked', 'lastCooked', { unique: false });
+        return store;
+    }
+
+    async saveRecipe(recipe) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes'], 'readwrite');
+            const store = transaction.objectStore('recipes');
+            // Keep the original creation date; edits only touch updatedAt
+            if (!recipe.date) recipe.date = new Date().toISOString();
+            const request = store.put(recipe);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getRecipe(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes'], 'readonly');
+            const store = transaction.objectStore('recipes');
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllRecipes() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes'], 'readonly');
+            const store = transaction.objectStore('recipes');
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The recipe's stored photo goes with it
+    async deleteRecipe(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes', 'images'], 'readwrite');
+            const store = transaction.objectStore('recipes');
+            const existing = store.get(id);
+            existing.onsuccess = () => {
+                if (existing.result && existing.result.imageId) {
+                    transaction.objectStore('images').delete(existing.result.imageId);
+                }
+                store.delete(id);
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // All variants saved for one product; recipes in the trash only when asked for
+    async getRecipesByBarcode(barcode, { includeTrashed = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes'], 'readonly');
+            const index = transaction.objectStore('recipes').index('barcode');
+            const request = index.getAll(barcode);
+            request.onsuccess = () => resolve(request.result
+                .filter(recipe => includeTrashed || !recipe.deletedAt)
+                .sort((a, b) => (a.date || '').localeCompare(b.date || '')));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveProduct(product) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['products'], 'readwrite');
+            const store = transaction.objectStore('products');
+            if (!product.date) product.date = new Date().toISOString();
+            const request = store.put(product);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getProduct(barcode) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['products'], 'readonly');
+            const store = transaction.objectStore('products');
+            const request = store.get(barcode);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllProducts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['products'], 'readonly');
+            const store = transaction.objectStore('products');
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteProduct(barcode) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['products'], 'readwrite');
+            const store = transaction.objectStore('products');
+            const request = store.delete(barcode);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // `image` is { blob, thumb } as returned by prepareImage(); resolves to the new image id
+    async saveImage(image, recipeId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['images'], 'readwrite');
+            const store = transaction.objectStore('images');
+            const record = { id: crypto.randomUUID(), recipeId, ...image, createdAt: new Date().toISOString() };
+            const request = store.put(record);
+            request.onsuccess = () => resolve(record.id);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getImage(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['images'], 'readonly');
+            const store = transaction.objectStore('images');
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteImage(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['images'], 'readwrite');
+            const store = transaction.objectStore('images');
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static matchesSearch(recipe, term) {
+        if (!term) return true;
+        return [recipe.name, recipe.variant, recipe.barcode, recipe.instructions]
+            .some(field => (field || '').toLowerCase().includes(term));
+    }
+
+    /**
+     * Pages through recipes with a cursor on the index for `sort`, so the list
+     * never has to materialize the whole store. Pass the returned `next` token
+     * as `after` to continue; `next` is null once the store is exhausted.
+     * Recipes in the trash are left out.
+     */
+    async queryRecipes({ sort = 'date', search = '', after = null, limit = 20 } = {}) {
+        const plans = {
+            name: { index: 'name', direction: 'next' },
+            date: { index: 'date', direction: 'prev' },
+            lastCooked: { index: 'lastCooked', direction: 'prev' }
+        };
+        const plan = plans[sort] || plans.date;
+        const term = search.trim().toLowerCase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recipes'], 'readonly');
+            const store = transaction.objectStore('recipes');
+            const recipes = [];
+
+            const openPhase = (phase, resumeFrom) => {
+                let request;
+                if (phase === 'index') {
+                    // Start at the last seen key; records sharing that key are skipped below
+                    let range = null;
+                    if (resumeFrom) {
+                        range = plan.direction === 'next'
+                            ? IDBKeyRange.lowerBound(resumeFrom.key)
+                            : IDBKeyRange.upperBound(resumeFrom.key);
+                    }
+                    request = store.index(plan.index).openCursor(range, plan.direction);
+                } else {
+                    // Records missing the sort field aren't in the index; list them afterwards
+                    const range = resumeFrom ? IDBKeyRange.lowerBound(resumeFrom.primaryKey, true) : null;
+                    request = store.openCursor(range, 'next');
+                }
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        if (phase === 'index' && sort === 'lastCooked') {
+                            openPhase('rest', null);
+                        } else {
+                            resolve({ recipes, next: null });
+                        }
+                        return;
+                    }
+
+                    if (phase === 'index' && resumeFrom && indexedDB.cmp(cursor.key, resumeFrom.key) === 0) {
+                        const order = indexedDB.cmp(cursor.primaryKey, resumeFrom.primaryKey);
+                        if (plan.direction === 'next' ? order <= 0 : order >= 0) {
+                            cursor.continue();
+                            return;
+                        }
+                    }
+
+                    const recipe = cursor.value;
+                    const inPhase = phase === 'index' || recipe[plan.index] == null;
+                    if (inPhase && !recipe.deletedAt && RecipeStore.matchesSearch(recipe, term)) {
+                        recipes.push(recipe);
+                        if (recipes.length >= limit) {
+                            resolve({ recipes, next: { phase, key: cursor.key, primaryKey: cursor.primaryKey } });
+                            return;
+                        }
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            };
+
+            openPhase(after ? after.phase : 'index', after);
+        });
+    }
+
+    // Generic helpers for the sync bookkeeping stores (outbox, tombstones, conflicts), the pantry and uploads
+    async getEntry(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllEntries(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async countEntries(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putEntry(storeName, entry) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).put(entry);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteEntry(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).delete(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
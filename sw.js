@@ -0,0 +1,193 @@
+/**
+ * RecipeScan DB - Service worker
+ *
+ * Keeps the app usable without a connection: the app shell and the CDN
+ * libraries (scanner, QR codes, Tesseract) are precached on install, OCR
+ * language data is cached when the page asks for it, and photos shared from other
+ * apps (Web Share Target) are handed over to the page. Tapping an expiry
+ * notification opens the pantry.
+ *
+ * App files are only ever served from the cache of the worker's own version,
+ * so a page never mixes modules from two releases. Bump CACHE_VERSION with
+ * every release (and when the lists below change): the new worker fetches
+ * the whole shell into a fresh cache while the old one keeps serving, and
+ * drops the previous caches once it takes over.
+ */
+
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `recipescan-shell-${CACHE_VERSION}`;
+// Language data is large and rarely changes, so it survives app updates
+const OCR_CACHE = 'recipescan-ocr-v1';
+const SHARE_CACHE = 'recipescan-share';
+const CACHES = [SHELL_CACHE, OCR_CACHE, SHARE_CACHE];
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './styles.css',
+    './manifest.webmanifest',
+    './icon.svg',
+    './app.js',
+    './backup.js',
+    './barcode.js',
+    './catalog.js',
+    './cloudinary.js',
+    './cooking.js',
+    './i18n.js',
+    './images.js',
+    './nutrition.js',
+    './ocr.js',
+    './pantry.js',
+    './recipe-parser.js',
+    './render.js',
+    './share.js',
+    './units.js',
+    './vault.js',
+    './pwa.js',
+    './store.js',
+    './sync-engine.js',
+    './sync-backends.js',
+    './firebase-backend.js',
+    './backend-conformance.js',
+    './locales/de.js',
+    './locales/fr.js',
+    './locales/es.js'
+];
+
+const SHELL_PATHS = new Set(SHELL_FILES.map(file => new URL(file, self.location.href).pathname));
+
+const LIBRARY_FILES = [
+    'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js',
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js',
+    'https://unpkg.com/tesseract.js@v5.0.3/dist/tesseract.min.js',
+    'https://cdn.jsdelivr.net/npm/tesseract.js@v5.0.3/dist/worker.min.js'
+];
+
+// Cached the first time they are used: fonts, and the Firebase SDK, which
+// only loads when Firebase is the sync backend
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'www.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        // Past the HTTP cache, which may still hold files of the previous release
+        caches.open(SHELL_CACHE).then(cache => cache.addAll([
+            ...SHELL_FILES.map(file => new Request(file, { cache: 'reload' })),
+            ...LIBRARY_FILES
+        ]))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('recipescan-') && !CACHES.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (message.type === 'cache-ocr') {
+        event.waitUntil(cacheMissing(OCR_CACHE, message.urls || []));
+    }
+});
+
+// Expiry notifications carry the view to open in `data.view`
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const view = (event.notification.data || {}).view || 'view-home';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+            if (open) {
+                open.postMessage({ type: 'open-view', view });
+                return open.focus();
+            }
+            return self.clients.openWindow(`./?view=${encodeURIComponent(view)}`);
+        })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (url.origin === self.location.origin) {
+        // Other paths may be a sync server behind the same host, which must never be served stale
+        if (!SHELL_PATHS.has(url.pathname)) return;
+        event.respondWith(fromShell(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else {
+        // Precached libraries and OCR data; everything else (Firestore, Cloudinary) goes to the network
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
+
+// App files come from this version's cache; the network is only asked before installing finished
+async function fromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Query strings are one-off (share target, sign-in links) and don't change the file
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    try {
+        return await fetch(request);
+    } catch (err) {
+        return Response.error();
+    }
+}
+
+// Fonts and the Firebase SDK: the cached copy straight away, refreshed in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+    return (await network) || Response.error();
+}
+
+async function cacheMissing(cacheName, urls) {
+    const cache = await caches.open(cacheName);
+    for (const url of urls) {
+        if (await cache.match(url)) continue;
+        try {
+            await cache.add(url);
+        } catch (err) {
+            console.warn(`Could not cache ${url} for offline use:`, err);
+        }
+    }
+}
+
+/**
+ * The share target posts multipart form data. The photo and text are parked
+ * in a cache and the page is opened with ?share-target=1 to pick them up.
+ */
+async function receiveShare(request) {
+    const form = await request.formData();
+    const photo = form.get('photo');
+    const text = [form.get('title'), form.get('text'), form.get('url')].filter(Boolean).join('\n');
+
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.delete('shared-photo');
+    if (photo && photo.size) {
+        await cache.put('shared-photo', new Response(photo, { headers: { 'Content-Type': photo.type } }));
+    }
+    await cache.put('shared-text', new Response(text));
+    return Response.redirect('./?share-target=1', 303);
+}
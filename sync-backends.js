@@ -0,0 +1,423 @@
+/**
+ * RecipeScan DB - Sync backends
+ *
+ * The SyncEngine reaches the cloud through one interface, so where the data
+ * lives can be swapped: Firebase (firebase-backend.js), any server speaking
+ * the small REST/JSON protocol below (sync-server.mjs is a reference one) or
+ * a WebDAV folder such as Nextcloud. backend-conformance.js holds the checks
+ * every backend must pass.
+ *
+ * A backend keeps, inside its own space, the records of each synced
+ * collection, a tombstone { collection, id, deletedAt } for every delete and
+ * one settings document.
+ */
+
+// Synced collections and the field each one is keyed by. A product (barcode)
+// groups one or more recipe variants, which have their own ids; its pantry
+// stock shares the barcode.
+export const COLLECTION_KEYS = {
+    products: 'barcode',
+    recipes: 'id',
+    pantry: 'barcode'
+};
+
+const POLL_INTERVAL = 30 * 1000;
+
+export class BackendError extends Error {}
+
+/**
+ * The backend interface. Subclasses implement:
+ *
+ *   connect()                              checks the connection and credentials, throws BackendError
+ *   saveRecord(collection, record)         creates or replaces the whole record
+ *   getRecord(collection, id)              the record, or null
+ *   deleteRecord(collection, id, deletedAt) removes the record and leaves its tombstone
+ *   getAllRecords(collection)
+ *   getTombstones()
+ *   getSettings()                          the settings document, or null
+ *   saveSettings(settings)                 replaces the settings document
+ *   scratch(name)                          a backend on the same connection in a separate space
+ *                                          (the same name always gives the same space)
+ *   destroy()                              deletes everything in this space
+ *
+ * and either `changes(cursor)` for the polling change feed below, or their
+ * own `subscribe()` when the service pushes changes.
+ */
+export class SyncBackend {
+    constructor() {
+        // 'viewer' when the space may only be read; the SyncEngine then keeps changes local
+        this.role = null;
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    // Sign-in and households; only Firebase has them
+    get hasAccounts() {
+        return false;
+    }
+
+    /**
+     * Reports changes made by other clients: `onRecord(collection, record)`,
+     * `onTombstone(tombstone)` and `onSettings(settings)`. Writes made through
+     * this object may or may not come back; the SyncEngine ignores them.
+     *
+     * The default polls `changes(cursor)`, which resolves to
+     * { cursor, records: [{ collection, record }], tombstones, settings } for
+     * everything since `cursor`. A null cursor only asks where the feed stands.
+     */
+    subscribe({ onRecord, onTombstone, onSettings }, { interval = POLL_INTERVAL } = {}) {
+        this.unsubscribe();
+        this.polling = true;
+        let cursor = null;
+
+        const poll = async () => {
+            if (navigator.onLine) {
+                try {
+                    const feed = await this.changes(cursor);
+                    if (cursor !== null && this.polling) {
+                        feed.records.forEach(({ collection, record }) => onRecord(collection, record));
+                        feed.tombstones.forEach(tombstone => onTombstone(tombstone));
+                        if (feed.settings) onSettings(feed.settings);
+                    }
+                    cursor = feed.cursor;
+                } catch (err) {
+                    console.error("Cloud change feed failed:", err);
+                }
+            }
+            if (this.polling) this.pollTimer = setTimeout(poll, interval);
+        };
+        poll();
+    }
+
+    unsubscribe() {
+        this.polling = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    async dispose() {
+        this.unsubscribe();
+    }
+
+    // A second, independent client of scratch space `name` (for the conformance suite), or null
+    async peer(name) {
+        return this.scratch(name);
+    }
+}
+
+function checkCollection(collectionName) {
+    if (!/^[a-z][a-z0-9_-]*$/.test(collectionName)) throw new BackendError(`Invalid collection name "${collectionName}".`);
+}
+
+/**
+ * A server speaking JSON over HTTP, one space per library:
+ *
+ *   GET    /                                      { service: "recipescan-sync", version: 1 }
+ *   GET    /spaces/<space>/<collection>           all records
+ *   GET    /spaces/<space>/<collection>/<id>      the record, or 404
+ *   PUT    /spaces/<space>/<collection>/<id>      replaces the record
+ *   DELETE /spaces/<space>/<collection>/<id>?deletedAt=<iso>   removes it, leaving a tombstone
+ *   GET    /spaces/<space>/tombstones             all tombstones
+ *   GET    /spaces/<space>/settings               the settings document, or 404
+ *   PUT    /spaces/<space>/settings               replaces it
+ *   GET    /spaces/<space>/changes[?since=<n>]    { cursor, records, tombstones, settings }
+ *   DELETE /spaces/<space>                        deletes the space
+ *
+ * With a token, every request carries `Authorization: Bearer <token>`.
+ */
+export class RestBackend extends SyncBackend {
+    constructor({ url, space = 'default', token = '' }) {
+        super();
+        this.url = url.replace(/\/+$/, '');
+        this.space = space;
+        this.token = token;
+    }
+
+    async request(method, path, body) {
+        const headers = {};
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        let response;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (err) {
+            throw new BackendError(`Could not reach ${this.url}: ${err.message}`);
+        }
+        if (response.status === 404 && method === 'GET') return null;
+        if (response.status === 401 || response.status === 403) throw new BackendError('The server refused the access token.');
+        if (!response.ok) throw new BackendError(`${method} ${path} failed: HTTP ${response.status}`);
+        return response.status === 204 ? null : response.json();
+    }
+
+    spacePath(...parts) {
+        return ['/spaces', this.space, ...parts].map((part, i) => i ? encodeURIComponent(part) : part).join('/');
+    }
+
+    async connect() {
+        const info = await this.request('GET', '/');
+        if (!info || info.service !== 'recipescan-sync') throw new BackendError(`${this.url} is not a RecipeScan sync server.`);
+    }
+
+    async saveRecord(collectionName, record) {
+        checkCollection(collectionName);
+        await this.request('PUT', this.spacePath(collectionName, record[COLLECTION_KEYS[collectionName]]), record);
+    }
+
+    async getRecord(collectionName, id) {
+        checkCollection(collectionName);
+        return this.request('GET', this.spacePath(collectionName, id));
+    }
+
+    async deleteRecord(collectionName, id, deletedAt = new Date().toISOString()) {
+        checkCollection(collectionName);
+        await this.request('DELETE', `${this.spacePath(collectionName, id)}?deletedAt=${encodeURIComponent(deletedAt)}`);
+    }
+
+    async getAllRecords(collectionName) {
+        checkCollection(collectionName);
+        return (await this.request('GET', this.spacePath(collectionName))) || [];
+    }
+
+    async getTombstones() {
+        return (await this.request('GET', this.spacePath('tombstones'))) || [];
+    }
+
+    async getSettings() {
+        return this.request('GET', this.spacePath('settings'));
+    }
+
+    async saveSettings(settings) {
+        await this.request('PUT', this.spacePath('settings'), settings);
+    }
+
+    async changes(cursor) {
+        const query = cursor === null ? '' : `?since=${encodeURIComponent(cursor)}`;
+        return this.request('GET', `${this.spacePath('changes')}${query}`);
+    }
+
+    async scratch(name) {
+        return new RestBackend({ url: this.url, space: `${this.space}~${name}`, token: this.token });
+    }
+
+    async destroy() {
+        await this.request('DELETE', this.spacePath());
+    }
+}
+
+function filePath(folder, name) {
+    return folder ? `${folder}/${encodeURIComponent(name)}` : encodeURIComponent(name);
+}
+
+/**
+ * One JSON file per record in a WebDAV folder (Nextcloud, ownCloud, Apache
+ * mod_dav, ...). The folder holds `<collection>/<id>.json`,
+ * `tombstones/<collection>.<id>.json` and `settings.json`. Changes are found
+ * by comparing ETags, so any server works without extensions, but it has to
+ * allow cross-origin requests from the app.
+ */
+export class WebDavBackend extends SyncBackend {
+    constructor({ url, username = '', password = '' }) {
+        super();
+        this.url = url.replace(/\/+$/, '');
+        this.username = username;
+        this.password = password;
+        this.ready = false;
+    }
+
+    async request(method, path = '', { body, headers = {}, allow = [] } = {}) {
+        const allHeaders = { ...headers };
+        if (this.username) {
+            // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+            const credentials = new TextEncoder().encode(`${this.username}:${this.password}`);
+            allHeaders.Authorization = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+        }
+        let response;
+        try {
+            response = await fetch(`${this.url}/${path}`, { method, headers: allHeaders, body });
+        } catch (err) {
+            throw new BackendError(`Could not reach ${this.url}: ${err.message}`);
+        }
+        if (response.status === 401 || response.status === 403) throw new BackendError('The WebDAV server refused the username or password.');
+        if (!response.ok && !allow.includes(response.status)) throw new BackendError(`${method} /${path} failed: HTTP ${response.status}`);
+        return response;
+    }
+
+    // File names are the encoded id, so "/" and friends can't reach the server's path handling
+    recordPath(collectionName, id) {
+        return filePath(collectionName, `${encodeURIComponent(id)}.json`);
+    }
+
+    tombstonePath(collectionName, id) {
+        return filePath('tombstones', `${collectionName}.${encodeURIComponent(id)}.json`);
+    }
+
+    async readJson(path) {
+        const response = await this.request('GET', path, { allow: [404] });
+        return response.status === 404 ? null : response.json();
+    }
+
+    async writeJson(path, data) {
+        await this.request('PUT', path, {
+            body: JSON.stringify(data),
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Lists the JSON files in a folder as { name, etag }. A missing folder
+     * is empty.
+     */
+    async list(folder) {
+        const response = await this.request('PROPFIND', folder ? `${folder}/` : '', {
+            headers: { Depth: '1', 'Content-Type': 'application/xml' },
+            body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>',
+            allow: [404]
+        });
+        if (response.status === 404) return [];
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        return [...xml.getElementsByTagNameNS('DAV:', 'response')].map(node => {
+            const href = node.getElementsByTagNameNS('DAV:', 'href')[0].textContent;
+            const etag = node.getElementsByTagNameNS('DAV:', 'getetag')[0];
+            return { name: decodeURIComponent(href.replace(/\/+$/, '').split('/').pop()), etag: etag ? etag.textContent : '' };
+        }).filter(entry => entry.name.endsWith('.json'));
+    }
+
+    async connect() {
+        await this.request('PROPFIND', '', { headers: { Depth: '0' }, allow: [404] });
+        await this.ensureFolders();
+    }
+
+    // MKCOL answers 405 when the folder already exists
+    async ensureFolders() {
+        if (this.ready) return;
+        await this.request('MKCOL', '', { allow: [405] });
+        for (const folder of [...Object.keys(COLLECTION_KEYS), 'tombstones']) {
+            await this.request('MKCOL', `${folder}/`, { allow: [405] });
+        }
+        this.ready = true;
+    }
+
+    async saveRecord(collectionName, record) {
+        checkCollection(collectionName);
+        await this.ensureFolders();
+        await this.writeJson(this.recordPath(collectionName, record[COLLECTION_KEYS[collectionName]]), record);
+    }
+
+    async getRecord(collectionName, id) {
+        checkCollection(collectionName);
+        return this.readJson(this.recordPath(collectionName, id));
+    }
+
+    async deleteRecord(collectionName, id, deletedAt = new Date().toISOString()) {
+        checkCollection(collectionName);
+        await this.ensureFolders();
+        // Tombstone first, so a device that sees the file vanish also sees why
+        await this.writeJson(this.tombstonePath(collectionName, id), { collection: collectionName, id, deletedAt });
+        await this.request('DELETE', this.recordPath(collectionName, id), { allow: [404] });
+    }
+
+    async readFolder(folder, names) {
+        const records = [];
+        // A few at a time; servers throttle bursts of requests
+        for (let i = 0; i < names.length; i += 6) {
+            const batch = await Promise.all(names.slice(i, i + 6).map(name => this.readJson(filePath(folder, name))));
+            records.push(...batch.filter(Boolean));
+        }
+        return records;
+    }
+
+    async getAllRecords(collectionName) {
+        checkCollection(collectionName);
+        const files = await this.list(collectionName);
+        return this.readFolder(collectionName, files.map(file => file.name));
+    }
+
+    async getTombstones() {
+        const files = await this.list('tombstones');
+        return this.readFolder('tombstones', files.map(file => file.name));
+    }
+
+    async getSettings() {
+        return this.readJson('settings.json');
+    }
+
+    async saveSettings(settings) {
+        await this.ensureFolders();
+        await this.writeJson('settings.json', settings);
+    }
+
+    // The cursor is the ETag of every file; a file with a new ETag is read again
+    async changes(cursor) {
+        const etags = {};
+        const changed = [];
+        for (const folder of ['', ...Object.keys(COLLECTION_KEYS), 'tombstones']) {
+            for (const file of await this.list(folder)) {
+                const path = filePath(folder, file.name);
+                etags[path] = file.etag;
+                if (cursor && folder && cursor[path] !== file.etag) changed.push({ folder, path });
+            }
+        }
+
+        const feed = { cursor: etags, records: [], tombstones: [], settings: null };
+        if (!cursor) return feed;
+        for (const { folder, path } of changed) {
+            const data = await this.readJson(path);
+            if (!data) continue;
+            if (folder === 'tombstones') feed.tombstones.push(data);
+            else feed.records.push({ collection: folder, record: data });
+        }
+        if (etags['settings.json'] !== undefined && cursor['settings.json'] !== etags['settings.json']) {
+            feed.settings = await this.getSettings();
+        }
+        return feed;
+    }
+
+    async scratch(name) {
+        return new WebDavBackend({ url: `${this.url}/${encodeURIComponent(name)}`, username: this.username, password: this.password });
+    }
+
+    async destroy() {
+        await this.request('DELETE', '', { allow: [404] });
+        this.ready = false;
+    }
+}
+
+/**
+ * The backend chosen in settings, or null when sync is off or not fully
+ * configured. Settings saved before there was a choice use Firebase if it
+ * was set up.
+ */
+export async function createSyncBackend(settings) {
+    switch (settings.syncBackend || (settings.fbApiKey ? 'firebase' : 'off')) {
+        case 'firebase': {
+            if (!(settings.fbApiKey && settings.fbProjectId && settings.fbAppId)) return null;
+            const { FirebaseBackend } = await import('./firebase-backend.js');
+            return new FirebaseBackend({
+                apiKey: settings.fbApiKey,
+                authDomain: settings.fbAuthDomain,
+                projectId: settings.fbProjectId,
+                storageBucket: settings.fbStorageBucket,
+                messagingSenderId: settings.fbMessagingSenderId,
+                appId: settings.fbAppId,
+                measurementId: settings.fbMeasurementId,
+                emulatorHost: settings.fbEmulatorHost,
+                // Data synced before sign-in is copied from here once
+                legacyUserId: settings.fbUserId
+            });
+        }
+        case 'rest':
+            return settings.restUrl
+                ? new RestBackend({ url: settings.restUrl, space: settings.restSpace || 'default', token: settings.restToken })
+                : null;
+        case 'webdav':
+            return settings.webdavUrl
+                ? new WebDavBackend({ url: settings.webdavUrl, username: settings.webdavUsername, password: settings.webdavPassword })
+                : null;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,423 @@
+/**
+ * RecipeScan DB - Sync engine
+ *
+ * Two-way sync between RecipeStore and the sync backend (see sync-backends.js).
+ *
+ * Every local write goes to IndexedDB first and is recorded in a persistent
+ * outbox, which is pushed whenever a cloud connection is available. Deletions
+ * leave tombstones (locally and in the cloud) so deleted records don't come
+ * back on the next pull. Concurrent edits are resolved last-writer-wins on
+ * `updatedAt`; the losing copy is kept in the `conflicts` store for review.
+ *
+ * Products and recipes go through the same pipeline; outbox and tombstone
+ * keys are `<collection>/<id>`.
+ *
+ * In a household where the user is a viewer, `readOnly` keeps local changes
+ * (such as cook history) on this device instead of queueing them.
+ *
+ * Locally, photos live in the images store and recipes point at them with an
+ * `imageId`, which means nothing on other devices. Photos that aren't on
+ * Cloudinary are therefore sent inline, as a data URL in `image`, and stored
+ * as a local photo again when they arrive.
+ */
+
+import { COLLECTION_KEYS } from "./sync-backends.js";
+import { dataUrlToBlob, blobToDataUrl, syncedImage } from "./images.js";
+
+export class SyncEngine {
+    constructor(store) {
+        this.store = store;
+        this.cloud = null;
+        // A backend is set up even if it couldn't be reached; changes are queued for it all the same
+        this.configured = false;
+        this.readOnly = false;
+        this.flushing = null;
+        this.deviceId = SyncEngine.getDeviceId();
+        this.onPendingChange = () => {};
+        this.collections = {
+            products: {
+                get: (id) => this.store.getProduct(id),
+                put: (record) => this.store.saveProduct(record),
+                remove: (id) => this.store.deleteProduct(id),
+                all: () => this.store.getAllProducts()
+            },
+            recipes: {
+                get: (id) => this.store.getRecipe(id),
+                put: (record) => this.store.saveRecipe(record),
+                remove: (id) => this.store.deleteRecipe(id),
+                all: () => this.store.getAllRecipes(),
+                toCloud: (record) => this.embedPhoto(record),
+                fromCloud: (record) => this.storePhoto(record)
+            },
+            pantry: {
+                get: (id) => this.store.getEntry('pantry', id),
+                put: (record) => this.store.putEntry('pantry', record),
+                remove: (id) => this.store.deleteEntry('pantry', id),
+                all: () => this.store.getAllEntries('pantry')
+            }
+        };
+    }
+
+    // Households keep their recipes in a store of their own; set before connecting to their space
+    setStore(store) {
+        this.store = store;
+    }
+
+    static getDeviceId() {
+        let id = localStorage.getItem('recipe_scan_device_id');
+        if (!id) {
+            id = crypto.randomUUID();
+            localStorage.setItem('recipe_scan_device_id', id);
+        }
+        return id;
+    }
+
+    static stamp(record) {
+        return record ? (record.updatedAt || record.date || '') : '';
+    }
+
+    // Deterministic ordering: newer updatedAt wins, ties go to the higher device id
+    static isNewer(a, b) {
+        const sa = SyncEngine.stamp(a);
+        const sb = SyncEngine.stamp(b);
+        if (sa !== sb) return sa > sb;
+        return (a.updatedBy || '') > (b.updatedBy || '');
+    }
+
+    static keyOf(collectionName, record) {
+        return record[COLLECTION_KEYS[collectionName]];
+    }
+
+    setCloud(cloud, { configured = false } = {}) {
+        this.cloud = cloud;
+        this.configured = configured || !!cloud;
+    }
+
+    // The copy of a local record that is sent to the cloud
+    async toCloud(collectionName, record) {
+        const { toCloud } = this.collections[collectionName];
+        return toCloud ? toCloud(record) : record;
+    }
+
+    // The local copy of a record from the cloud
+    async fromCloud(collectionName, record) {
+        const { fromCloud } = this.collections[collectionName];
+        return fromCloud ? fromCloud(record) : record;
+    }
+
+    // Photos on Cloudinary already have a URL everyone can load
+    async embedPhoto(recipe) {
+        if (!recipe.imageId || recipe.image) return { ...recipe, imageId: null };
+        const image = await this.store.getImage(recipe.imageId);
+        return { ...recipe, imageId: null, image: image ? await blobToDataUrl(await syncedImage(image.blob)) : null };
+    }
+
+    // The thumbnail is made later by the app, which has a canvas (see processPendingImages)
+    async storePhoto(recipe) {
+        const existing = await this.store.getRecipe(recipe.id);
+        const kept = existing ? existing.imageId || null : null;
+        let stored = { ...recipe };
+        if (typeof recipe.image === 'string' && recipe.image.startsWith('data:')) {
+            stored.imageId = await this.store.saveImage({ blob: dataUrlToBlob(recipe.image), thumb: null }, recipe.id);
+            stored.image = null;
+        } else if (recipe.imageId && !(await this.store.getImage(recipe.imageId))) {
+            // Sent by an older version, which didn't send the photo along; keep ours
+            stored.imageId = kept;
+        }
+        stored.imageId = stored.imageId || null;
+        if (kept && kept !== stored.imageId) await this.store.deleteImage(kept);
+        return stored;
+    }
+
+    // `preserveTimestamp` keeps an existing updatedAt, e.g. for records restored from a backup
+    async saveRecord(collectionName, record, { preserveTimestamp = false } = {}) {
+        const local = this.collections[collectionName];
+        const id = SyncEngine.keyOf(collectionName, record);
+        const previous = await local.get(id);
+        if (!preserveTimestamp || !record.updatedAt) {
+            record.updatedAt = new Date().toISOString();
+            record.updatedBy = this.deviceId;
+        }
+        await local.put(record);
+        await this.store.deleteEntry('tombstones', `${collectionName}/${id}`);
+        if (this.queueing) {
+            await this.enqueue(collectionName, id, 'put', SyncEngine.stamp(previous) || null);
+            this.flush();
+        }
+    }
+
+    async deleteRecord(collectionName, id) {
+        const local = this.collections[collectionName];
+        const previous = await local.get(id);
+        await local.remove(id);
+        if (this.queueing) {
+            const key = `${collectionName}/${id}`;
+            await this.store.putEntry('tombstones', { key, collection: collectionName, id, deletedAt: new Date().toISOString() });
+            await this.enqueue(collectionName, id, 'delete', SyncEngine.stamp(previous) || null);
+            this.flush();
+        }
+    }
+
+    // Whether local changes go into the outbox
+    get queueing() {
+        return this.configured && !this.readOnly;
+    }
+
+    async saveRecipe(recipe, options) {
+        await this.saveRecord('recipes', recipe, options);
+    }
+
+    async deleteRecipe(id) {
+        await this.deleteRecord('recipes', id);
+    }
+
+    async saveProduct(product, options) {
+        await this.saveRecord('products', product, options);
+    }
+
+    async deleteProduct(barcode) {
+        await this.deleteRecord('products', barcode);
+    }
+
+    async savePantry(record, options) {
+        await this.saveRecord('pantry', record, options);
+    }
+
+    async deletePantry(barcode) {
+        await this.deleteRecord('pantry', barcode);
+    }
+
+    async enqueue(collectionName, id, op, baseUpdatedAt) {
+        const key = `${collectionName}/${id}`;
+        const existing = await this.store.getEntry('outbox', key);
+        await this.store.putEntry('outbox', {
+            key,
+            collection: collectionName,
+            id,
+            op,
+            // The base is the last copy we know the cloud had, so keep the oldest one
+            baseUpdatedAt: existing ? existing.baseUpdatedAt : baseUpdatedAt,
+            queuedAt: new Date().toISOString()
+        });
+        this.notifyPending();
+    }
+
+    async pendingCount() {
+        return this.store.countEntries('outbox');
+    }
+
+    async notifyPending() {
+        this.onPendingChange(await this.pendingCount());
+    }
+
+    async flush() {
+        if (!this.cloud || this.readOnly || !navigator.onLine) return;
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            // Changes queued while a pass runs go out in the next one, until the outbox is empty
+            const pushed = new Set();
+            for (;;) {
+                const entries = (await this.store.getAllEntries('outbox'))
+                    .filter(entry => !pushed.has(`${entry.key}@${entry.queuedAt}`));
+                if (!entries.length) return;
+                for (const entry of entries) {
+                    try {
+                        await this.pushEntry(entry);
+                        pushed.add(`${entry.key}@${entry.queuedAt}`);
+                    } catch (err) {
+                        // Keep the entry and the rest of the queue for the next attempt
+                        console.error("Sync push failed:", err);
+                        return;
+                    }
+                }
+            }
+        })().finally(() => {
+            this.flushing = null;
+            this.notifyPending();
+        });
+        return this.flushing;
+    }
+
+    async pushEntry(entry) {
+        // Entries queued before products existed have no collection
+        const collectionName = entry.collection || 'recipes';
+        const local = this.collections[collectionName];
+        const remote = await this.cloud.getRecord(collectionName, entry.id);
+        const remoteStamp = SyncEngine.stamp(remote);
+        // The cloud copy changed since we last saw it: another device edited concurrently
+        const concurrent = remote && remoteStamp !== entry.baseUpdatedAt;
+        let pushedStamp = null;
+
+        if (entry.op === 'delete') {
+            const tombstone = await this.store.getEntry('tombstones', entry.key);
+            const deletedAt = tombstone ? tombstone.deletedAt : entry.queuedAt;
+            if (concurrent && remoteStamp > deletedAt) {
+                await local.put(await this.fromCloud(collectionName, remote));
+                await this.store.deleteEntry('tombstones', entry.key);
+                await this.recordConflict(collectionName, entry.id, remote, null);
+            } else {
+                await this.cloud.deleteRecord(collectionName, entry.id, deletedAt);
+            }
+        } else {
+            const record = await local.get(entry.id);
+            if (record) {
+                if (concurrent && SyncEngine.isNewer(remote, record)) {
+                    await local.put(await this.fromCloud(collectionName, remote));
+                    await this.recordConflict(collectionName, entry.id, remote, record);
+                } else {
+                    await this.cloud.saveRecord(collectionName, await this.toCloud(collectionName, record));
+                    pushedStamp = SyncEngine.stamp(record);
+                    if (concurrent) await this.recordConflict(collectionName, entry.id, record, remote);
+                }
+            }
+        }
+
+        // Only drop the entry if nothing was queued for this record while we were pushing
+        const current = await this.store.getEntry('outbox', entry.key);
+        if (current && current.queuedAt !== entry.queuedAt) {
+            await this.store.putEntry('outbox', { ...current, baseUpdatedAt: pushedStamp || remoteStamp || null });
+        } else {
+            await this.store.deleteEntry('outbox', entry.key);
+        }
+    }
+
+    async recordConflict(collectionName, id, kept, overwritten) {
+        console.warn(`Sync conflict on ${collectionName}/${id}: kept copy from ${SyncEngine.stamp(kept)}`);
+        await this.store.putEntry('conflicts', {
+            collection: collectionName,
+            docId: id,
+            resolvedAt: new Date().toISOString(),
+            kept,
+            overwritten
+        });
+    }
+
+    async pull() {
+        const remoteTombstones = await this.cloud.getTombstones();
+        let changed = 0;
+
+        for (const collectionName of Object.keys(COLLECTION_KEYS)) {
+            const remoteRecords = await this.cloud.getAllRecords(collectionName);
+            const tombstones = remoteTombstones.filter(tombstone => tombstone.collection === collectionName);
+
+            for (const record of remoteRecords) {
+                if (await this.applyRemoteRecord(collectionName, record)) changed++;
+            }
+            for (const tombstone of tombstones) {
+                if (await this.applyRemoteDelete(collectionName, tombstone.id, tombstone.deletedAt)) changed++;
+            }
+
+            // Records that only exist here (e.g. saved before sync was configured) get uploaded
+            if (this.readOnly) continue;
+            const remoteIds = new Set([
+                ...remoteRecords.map(r => SyncEngine.keyOf(collectionName, r)),
+                ...tombstones.map(tombstone => tombstone.id)
+            ]);
+            for (const record of await this.collections[collectionName].all()) {
+                const id = SyncEngine.keyOf(collectionName, record);
+                if (!remoteIds.has(id)) await this.enqueue(collectionName, id, 'put', null);
+            }
+        }
+
+        return changed;
+    }
+
+    // Resolves to the stored copy, or false when the local one was kept
+    async applyRemoteRecord(collectionName, remote) {
+        const id = SyncEngine.keyOf(collectionName, remote);
+        const key = `${collectionName}/${id}`;
+        // Pending local changes are reconciled when the outbox is pushed
+        if (await this.store.getEntry('outbox', key)) return false;
+
+        const tombstone = await this.store.getEntry('tombstones', key);
+        if (tombstone && tombstone.deletedAt >= SyncEngine.stamp(remote)) return false;
+
+        const local = this.collections[collectionName];
+        const existing = await local.get(id);
+        if (existing && !SyncEngine.isNewer(remote, existing)) return false;
+
+        const record = await this.fromCloud(collectionName, remote);
+        await local.put(record);
+        if (tombstone) await this.store.deleteEntry('tombstones', key);
+        return record;
+    }
+
+    async applyRemoteDelete(collectionName, id, deletedAt) {
+        const key = `${collectionName}/${id}`;
+        if (await this.store.getEntry('outbox', key)) return false;
+
+        const local = this.collections[collectionName];
+        const existing = await local.get(id);
+        if (existing && SyncEngine.stamp(existing) > deletedAt) return false;
+
+        await this.store.putEntry('tombstones', { key, collection: collectionName, id, deletedAt });
+        if (!existing) return false;
+        await local.remove(id);
+        return true;
+    }
+
+    /**
+     * Applies listener events through the same rules as a pull.
+     * `onApplied(collection, record)` / `onRemoved(collection, id)` fire only
+     * when the local store changed.
+     */
+    startLive({ onApplied, onRemoved, onSettings }) {
+        if (!this.cloud) return;
+        this.cloud.subscribe({
+            // Listener callbacks have nobody to report to, so failures are logged here
+            onRecord: async (collectionName, record) => {
+                try {
+                    const applied = await this.applyRemoteRecord(collectionName, record);
+                    if (applied) onApplied(collectionName, applied);
+                } catch (err) {
+                    console.error(`Applying live ${collectionName} change failed:`, err);
+                }
+            },
+            onTombstone: async (tombstone) => {
+                try {
+                    if (await this.applyRemoteDelete(tombstone.collection, tombstone.id, tombstone.deletedAt)) {
+                        onRemoved(tombstone.collection, tombstone.id);
+                    }
+                } catch (err) {
+                    console.error(`Applying live ${tombstone.collection} delete failed:`, err);
+                }
+            },
+            onSettings: async (cloudSettings) => {
+                try {
+                    await onSettings(cloudSettings);
+                } catch (err) {
+                    console.error('Applying live settings failed:', err);
+                }
+            }
+        });
+    }
+
+    async sync() {
+        if (!this.cloud) return 0;
+        await this.flush();
+        const changed = await this.pull();
+        await this.flush();
+        return changed;
+    }
+
+    async getConflicts() {
+        const conflicts = await this.store.getAllEntries('conflicts');
+        return conflicts.sort((a, b) => b.resolvedAt.localeCompare(a.resolvedAt));
+    }
+
+    // Restoring is a fresh local edit, so it wins on the next push
+    async restoreConflict(conflict) {
+        const collectionName = conflict.collection || 'recipes';
+        if (conflict.overwritten) {
+            await this.saveRecord(collectionName, { ...conflict.overwritten });
+        } else {
+            await this.deleteRecord(collectionName, conflict.docId);
+        }
+        await this.dismissConflict(conflict.id);
+    }
+
+    async dismissConflict(id) {
+        await this.store.deleteEntry('conflicts', id);
+    }
+}
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * RecipeScan DB - Reference sync server
+ *
+ * A small self-hosted backend for the REST adapter in sync-backends.js,
+ * using only Node's built-in modules. Each space is kept in one JSON file in
+ * the data folder. Every change gets the next sequence number, which is what
+ * the change feed's cursor counts.
+ *
+ *   node sync-server.mjs --token secret [--port 8787] [--host 127.0.0.1] [--data ./sync-data]
+ *                        [--origin https://recipes.example.com ...]
+ *
+ * The token can also come from the SYNC_TOKEN environment variable, and the
+ * origins from SYNC_ORIGINS (comma separated). A token is required: any web
+ * page the user visits can reach a server on their machine. With --origin,
+ * only pages from those origins may call it from a browser. Keep the default
+ * host unless the server sits behind a proxy with TLS.
+ */
+
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile, rename, rm } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const MAX_BODY = 10 * 1024 * 1024;
+const RESERVED = ['tombstones', 'settings', 'changes'];
+
+// Record maps have no prototype, so collection names and ids like "constructor" stay plain keys
+function dict(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Spaces on disk: { seq, collections: { name: { id: { record, seq } } },
+ * tombstones: { "collection/id": { tombstone, seq } }, settings: { value, seq } }.
+ * Loaded on first use and written back after every change.
+ */
+export class SpaceStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.spaces = new Map();
+        // Writes to one space are applied one after another
+        this.queues = new Map();
+    }
+
+    fileOf(name) {
+        return join(this.dataDir, `${encodeURIComponent(name)}.json`);
+    }
+
+    // The pending read is cached, so requests arriving together share one
+    // copy of the space and no write lands on a copy that is then replaced
+    load(name) {
+        if (!this.spaces.has(name)) {
+            const loading = this.read(name);
+            this.spaces.set(name, loading);
+            loading.catch(() => this.spaces.delete(name));
+        }
+        return this.spaces.get(name);
+    }
+
+    async read(name) {
+        try {
+            const stored = JSON.parse(await readFile(this.fileOf(name), 'utf8'));
+            const collections = dict();
+            Object.entries(stored.collections).forEach(([collection, entries]) => {
+                collections[collection] = dict(entries);
+            });
+            return { ...stored, collections, tombstones: dict(stored.tombstones) };
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            return { seq: 0, collections: dict(), tombstones: dict(), settings: null };
+        }
+    }
+
+    async persist(name, space) {
+        await mkdir(this.dataDir, { recursive: true });
+        // Write then rename, so a crash never leaves half a file
+        const file = this.fileOf(name);
+        await writeFile(`${file}.tmp`, JSON.stringify(space));
+        await rename(`${file}.tmp`, file);
+    }
+
+    change(name, apply) {
+        const previous = this.queues.get(name) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const space = await this.load(name);
+            const result = apply(space);
+            await this.persist(name, space);
+            return result;
+        });
+        this.queues.set(name, next);
+        return next;
+    }
+
+    async list(name, collection) {
+        const space = await this.load(name);
+        return Object.values(space.collections[collection] || dict()).map(entry => entry.record);
+    }
+
+    async get(name, collection, id) {
+        const space = await this.load(name);
+        const entry = (space.collections[collection] || dict())[id];
+        return entry ? entry.record : null;
+    }
+
+    put(name, collection, id, record) {
+        return this.change(name, space => {
+            space.collections[collection] = space.collections[collection] || dict();
+            space.collections[collection][id] = { record, seq: ++space.seq };
+        });
+    }
+
+    remove(name, collection, id, deletedAt) {
+        return this.change(name, space => {
+            if (space.collections[collection]) delete space.collections[collection][id];
+            space.tombstones[`${collection}/${id}`] = { tombstone: { collection, id, deletedAt }, seq: ++space.seq };
+        });
+    }
+
+    async tombstones(name) {
+        const space = await this.load(name);
+        return Object.values(space.tombstones).map(entry => entry.tombstone);
+    }
+
+    async getSettings(name) {
+        const space = await this.load(name);
+        return space.settings ? space.settings.value : null;
+    }
+
+    saveSettings(name, value) {
+        return this.change(name, space => {
+            space.settings = { value, seq: ++space.seq };
+        });
+    }
+
+    // Everything after `since`; without it, just the current cursor
+    async changes(name, since) {
+        const space = await this.load(name);
+        const feed = { cursor: space.seq, records: [], tombstones: [], settings: null };
+        if (since === null) return feed;
+        Object.entries(space.collections).forEach(([collection, entries]) => {
+            Object.values(entries).forEach(entry => {
+                if (entry.seq > since) feed.records.push({ collection, record: entry.record });
+            });
+        });
+        Object.values(space.tombstones).forEach(entry => {
+            if (entry.seq > since) feed.tombstones.push(entry.tombstone);
+        });
+        if (space.settings && space.settings.seq > since) feed.settings = space.settings.value;
+        return feed;
+    }
+
+    async destroy(name) {
+        await (this.queues.get(name) || Promise.resolve()).catch(() => {});
+        this.spaces.delete(name);
+        this.queues.delete(name);
+        await rm(this.fileOf(name), { force: true });
+    }
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY) throw new HttpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Body must be JSON');
+    }
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * `token` is required. `origins` lists the web origins allowed to call the
+ * server from a browser; when it is empty, any origin may, but still only
+ * with the token.
+ */
+export function createSyncServer({ dataDir, token, origins = [] }) {
+    if (!token) throw new Error('The sync server needs a token.');
+    const store = new SpaceStore(dataDir);
+
+    async function route(request, url) {
+        const method = request.method;
+        if (url.pathname === '/' && method === 'GET') return [200, { service: 'recipescan-sync', version: 1 }];
+
+        if (request.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, 'Missing or wrong token');
+
+        // Split before decoding, so an encoded "/" stays part of its segment
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            throw new HttpError(400, 'Malformed path');
+        }
+        if (parts[0] !== 'spaces' || !parts[1] || parts.length > 4) throw new HttpError(404, 'Not found');
+        const [, space, collection, id] = parts;
+
+        if (!collection) {
+            if (method !== 'DELETE') throw new HttpError(405, 'Method not allowed');
+            await store.destroy(space);
+            return [204];
+        }
+        if (collection === 'tombstones' && !id && method === 'GET') return [200, await store.tombstones(space)];
+        if (collection === 'changes' && !id && method === 'GET') {
+            const since = url.searchParams.get('since');
+            if (since !== null && !/^\d+$/.test(since)) throw new HttpError(400, 'since must be a sequence number');
+            return [200, await store.changes(space, since === null ? null : Number(since))];
+        }
+        if (collection === 'settings' && !id) {
+            if (method === 'GET') {
+                const settings = await store.getSettings(space);
+                return settings ? [200, settings] : [404, { error: 'No settings yet' }];
+            }
+            if (method === 'PUT') {
+                await store.saveSettings(space, await readBody(request));
+                return [204];
+            }
+            throw new HttpError(405, 'Method not allowed');
+        }
+
+        if (RESERVED.includes(collection) || !/^[a-z][a-z0-9_-]*$/.test(collection)) {
+            throw new HttpError(404, 'Not found');
+        }
+        if (!id) {
+            if (method !== 'GET') throw new HttpError(405, 'Method not allowed');
+            return [200, await store.list(space, collection)];
+        }
+        switch (method) {
+            case 'GET': {
+                const record = await store.get(space, collection, id);
+                return record ? [200, record] : [404, { error: 'No such record' }];
+            }
+            case 'PUT': {
+                const record = await readBody(request);
+                if (!record || typeof record !== 'object' || Array.isArray(record)) throw new HttpError(400, 'A record must be an object');
+                await store.put(space, collection, id, record);
+                return [204];
+            }
+            case 'DELETE':
+                await store.remove(space, collection, id, url.searchParams.get('deletedAt') || new Date().toISOString());
+                return [204];
+            default:
+                throw new HttpError(405, 'Method not allowed');
+        }
+    }
+
+    return createServer(async (request, response) => {
+        // The app is usually served from another origin than this server
+        const origin = request.headers.origin;
+        if (origins.length === 0) {
+            response.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origins.includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        } else if (origin) {
+            send(response, 403, { error: 'Origin not allowed' });
+            return;
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        response.setHeader('Access-Control-Max-Age', '600');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        try {
+            const [status, body] = await route(request, new URL(request.url, 'http://localhost'));
+            send(response, status, body);
+        } catch (err) {
+            if (!(err instanceof HttpError)) console.error(err);
+            send(response, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+        }
+    });
+}
+
+// Run directly (not imported)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8787' },
+            host: { type: 'string', default: '127.0.0.1' },
+            data: { type: 'string', default: './sync-data' },
+            token: { type: 'string', default: process.env.SYNC_TOKEN || '' },
+            origin: { type: 'string', multiple: true, default: (process.env.SYNC_ORIGINS || '').split(',').filter(Boolean) }
+        }
+    });
+    if (!values.token) {
+        console.error('Set a token with --token or SYNC_TOKEN; the app sends it with every request.');
+        process.exit(1);
+    }
+    const server = createSyncServer({ dataDir: resolve(values.data), token: values.token, origins: values.origin });
+    server.listen(Number(values.port), values.host, () => {
+        console.log(`RecipeScan sync server on http://${values.host}:${values.port}, data in ${resolve(values.data)}`);
+        if (values.origin.length === 0) console.log('Any web origin may call this server with the token; limit it with --origin.');
+    });
+}
@@ -0,0 +1,55 @@
+import "./helpers/browser.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateBackup, BACKUP_FORMAT, BACKUP_VERSION } from "../backup.js";
+
+const archive = (recipes, products = [], version = BACKUP_VERSION) => ({ format: BACKUP_FORMAT, version, recipes, products });
+
+test('only known recipe and product fields are imported', () => {
+    const { recipes, products, errors } = validateBackup(archive([{
+        id: 'r-1',
+        barcode: '04006381333931',
+        name: 'Soup',
+        instructions: 'Heat for 3 minutes.',
+        variant: 'Microwave',
+        draft: false,
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        updatedBy: 'device-1',
+        imageId: 'img-on-another-device',
+        imagePublicId: 'someone-elses-cloudinary-photo'
+    }], [{ barcode: '04006381333931', name: 'Soup', brand: 'Acme', imagePublicId: 'x', source: 7 }]));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(recipes, [{
+        id: 'r-1',
+        barcode: '04006381333931',
+        name: 'Soup',
+        instructions: 'Heat for 3 minutes.',
+        variant: 'Microwave',
+        draft: false,
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        updatedBy: 'device-1'
+    }]);
+    assert.deepEqual(products, [{ barcode: '04006381333931', name: 'Soup', brand: 'Acme' }]);
+});
+
+test('entries that fail the schema are dropped or trimmed', () => {
+    const cases = [
+        // entry, recipes kept, errors reported
+        [{ barcode: '1', name: 'No id' }, [], 1],
+        [{ id: 'r-1', name: 'No barcode' }, [], 1],
+        [{ id: 'r-1', barcode: '1', name: 'Bad photo', image: 'javascript:alert(1)' }, [], 1],
+        [{ id: 'r-1', barcode: '1', name: 'Bad variant', variant: 42 }, [{ id: 'r-1', barcode: '1', name: 'Bad variant' }], 1],
+        [{ id: 'r-1', barcode: '1', name: 'Bad draft', draft: 'yes' }, [{ id: 'r-1', barcode: '1', name: 'Bad draft' }], 1]
+    ];
+    for (const [entry, kept, errorCount] of cases) {
+        const { recipes, errors } = validateBackup(archive([entry]));
+        assert.deepEqual(recipes, kept, entry.name);
+        assert.equal(errors.length, errorCount, entry.name);
+    }
+});
+
+test('version 1 recipes become the first variant of their barcode', () => {
+    const { recipes } = validateBackup(archive([{ barcode: '1', name: 'Old', imageId: 'x' }], [], 1));
+    assert.deepEqual(recipes, [{ id: '1', barcode: '1', name: 'Old', variant: '' }]);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkDigit, expandUpcE, normalizeBarcode, canonicalBarcode, formatBarcode } from "../barcode.js";
+
+test('check digits follow GS1 mod 10', () => {
+    const cases = [
+        ['400638133393', '1'],
+        ['03600029145', '2'],
+        ['9638507', '4'],
+        ['0000000012345', '7']
+    ];
+    for (const [body, expected] of cases) assert.equal(checkDigit(body), expected, body);
+});
+
+test('UPC-E expands to the UPC-A it abbreviates', () => {
+    const cases = [
+        ['04252614', '042100005264'],
+        ['01234565', '012345000065'],
+        ['01234531', '012300000451'],
+        ['01234546', '012340000056'],
+        ['01234576', '012345000076'],
+        ['21234565', null],
+        ['1234', null]
+    ];
+    for (const [upcE, upcA] of cases) assert.equal(expandUpcE(upcE), upcA, upcE);
+});
+
+test('codes normalize to GTIN-14 in every form they are read', () => {
+    const cases = [
+        // text, format, gtin, reported format
+        ['4006381333931', null, '04006381333931', 'EAN_13'],
+        ['036000291452', null, '00036000291452', 'UPC_A'],
+        ['0 36000 29145 2', null, '00036000291452', 'UPC_A'],
+        ['10036000291459', null, '10036000291459', 'GTIN_14'],
+        ['96385074', null, '00000096385074', 'EAN_8'],
+        ['04252614', 'UPC_E', '00042100005264', 'UPC_E'],
+        ['000000123457', null, '00000000123457', 'UPC_A']
+    ];
+    for (const [text, format, gtin, reported] of cases) {
+        const read = normalizeBarcode(text, { format });
+        assert.equal(read.valid, true, text);
+        assert.equal(read.gtin, gtin, text);
+        assert.equal(read.format, reported, text);
+    }
+    assert.equal(canonicalBarcode('036000291452'), canonicalBarcode('0036000291452'));
+});
+
+test('8 digits valid as both EAN-8 and UPC-E are left for the caller to settle', () => {
+    const read = normalizeBarcode('01234565');
+    assert.equal(read.gtin, '00000001234565');
+    assert.equal(read.alternative, '00012345000065');
+    assert.equal(normalizeBarcode('01234565', { format: 'EAN_8' }).alternative, undefined);
+    assert.equal(normalizeBarcode('01234565', { format: 'UPC_E' }).gtin, '00012345000065');
+});
+
+test('misreads and other codes are reported as invalid', () => {
+    for (const text of ['4006381333932', '12345', 'ABC123', '']) {
+        assert.equal(normalizeBarcode(text).valid, false, text);
+    }
+    assert.equal(canonicalBarcode(' in-store 42 '), 'in-store 42');
+});
+
+test('stored codes show in their conventional form', () => {
+    const cases = [
+        ['04006381333931', null, '4006381333931'],
+        ['00036000291452', null, '036000291452'],
+        ['10036000291459', null, '10036000291459'],
+        // Without the symbology, EAN-8 and a UPC-A with leading zeros share a key
+        ['00000000123457', null, '000000123457'],
+        ['00000096385074', 'EAN_8', '96385074'],
+        ['00000096385074', null, '000096385074'],
+        ['in-store 42', null, 'in-store 42']
+    ];
+    for (const [gtin, format, expected] of cases) assert.equal(formatBarcode(gtin, { format }), expected, gtin);
+});
@@ -0,0 +1,64 @@
+import "./helpers/browser.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { CONFORMANCE_TESTS, runConformance } from "../backend-conformance.js";
+import { RestBackend, WebDavBackend } from "../sync-backends.js";
+import { startSyncServer } from "./helpers/sync-server.js";
+import { startWebDavServer } from "./helpers/webdav-server.js";
+import { SpaceStore } from "../sync-server.mjs";
+import { uniqueName } from "./helpers/browser.js";
+
+let server;
+let webdav;
+const results = {};
+
+before(async () => {
+    server = await startSyncServer();
+    const rest = new RestBackend({ url: server.url, space: uniqueName('space'), token: server.token });
+    await rest.connect();
+    results['sync server'] = await runConformance(rest);
+
+    webdav = await startWebDavServer();
+    const dav = new WebDavBackend({ url: webdav.url, username: webdav.username, password: webdav.password });
+    await dav.connect();
+    results.WebDAV = await runConformance(dav);
+});
+
+after(async () => {
+    await server.close();
+    await webdav.close();
+});
+
+// The reference server and a plain WebDAV server have to pass every check, the change feed included
+for (const backend of ['sync server', 'WebDAV']) {
+    for (const { name } of CONFORMANCE_TESTS) {
+        test(`${backend}: ${name}`, () => {
+            const result = results[backend].find(r => r.name === name);
+            assert.equal(result.skipped, false, result.error);
+            assert.ok(result.ok, result.error);
+        });
+    }
+}
+
+test('sync server: requests arriving together share one copy of a space on disk', async () => {
+    const dataDir = await mkdtemp(join(tmpdir(), 'recipescan-sync-'));
+    try {
+        await new SpaceStore(dataDir).put('kitchen', 'recipes', 'r-1', { id: 'r-1' });
+        // A fresh store, as after a restart: the space is read from disk on first use
+        const spaces = new SpaceStore(dataDir);
+        const [first, second] = await Promise.all([spaces.load('kitchen'), spaces.load('kitchen')]);
+        assert.equal(first, second);
+        await Promise.all([
+            spaces.list('kitchen', 'recipes'),
+            spaces.put('kitchen', 'recipes', 'r-2', { id: 'r-2' }),
+            spaces.get('kitchen', 'recipes', 'r-1')
+        ]);
+        const reopened = new SpaceStore(dataDir);
+        assert.deepEqual((await reopened.list('kitchen', 'recipes')).map(r => r.id).sort(), ['r-1', 'r-2']);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
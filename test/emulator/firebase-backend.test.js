@@ -0,0 +1,86 @@
+import "../helpers/browser.js";
+import { skip, firebaseConfig, PROJECT_ID } from "../helpers/firebase.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { CONFORMANCE_TESTS, runConformance } from "../../backend-conformance.js";
+
+let FirebaseBackend;
+let env;
+let backend;
+let results;
+
+before(async () => {
+    if (skip) return;
+    // After register(), so the SDK imports go through the hooks
+    ({ FirebaseBackend } = await import("../../firebase-backend.js"));
+    env = await initializeTestEnvironment({ projectId: PROJECT_ID });
+    backend = new FirebaseBackend(firebaseConfig());
+    await backend.connect();
+    results = await runConformance(backend);
+});
+
+after(async () => {
+    if (backend) await backend.dispose();
+    if (env) await env.cleanup();
+});
+
+// The change feed check runs with a second Firebase app as the other client
+for (const { name } of CONFORMANCE_TESTS) {
+    test(`Firebase: ${name}`, { skip }, () => {
+        const result = results.find(r => r.name === name);
+        assert.equal(result.skipped, false, result.error);
+        assert.ok(result.ok, result.error);
+    });
+}
+
+test('the first sign-in copies the data of the old sync ID once', { skip }, async () => {
+    const legacyId = `sync-${crypto.randomUUID()}`;
+    const recipe = (id) => ({ id, barcode: '04006381333931', name: `Recipe ${id}`, updatedAt: '2024-01-01T00:00:00.000Z' });
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await db.doc(`users/${legacyId}/recipes/r-1`).set(recipe('r-1'));
+        await db.doc(`users/${legacyId}/tombstones/recipes:r-0`).set({ collection: 'recipes', id: 'r-0', deletedAt: '2024-01-02T00:00:00.000Z' });
+        await db.doc(`users/${legacyId}/config/appSettings`).set({ preferences: { ocrLanguages: 'deu' } });
+    });
+
+    const account = new FirebaseBackend(firebaseConfig({ appName: 'legacy', legacyUserId: legacyId }));
+    try {
+        await account.connect();
+        assert.notEqual(account.userId, legacyId);
+        assert.deepEqual(await account.getRecord('recipes', 'r-1'), recipe('r-1'));
+        assert.deepEqual((await account.getTombstones()).map(t => t.id), ['r-0']);
+        assert.deepEqual(await account.getSettings(), { preferences: { ocrLanguages: 'deu' } });
+
+        // Later changes under the old ID are not copied again
+        await env.withSecurityRulesDisabled(context => context.firestore().doc(`users/${legacyId}/recipes/r-2`).set(recipe('r-2')));
+        await account.prepareAccount();
+        assert.equal(await account.getRecord('recipes', 'r-2'), null);
+    } finally {
+        await account.destroy();
+        await account.dispose();
+    }
+
+    // Another account that learns the ID gets nothing
+    const other = new FirebaseBackend(firebaseConfig({ appName: 'legacy-other', legacyUserId: legacyId }));
+    try {
+        await other.connect();
+        assert.equal(await other.getRecord('recipes', 'r-1'), null);
+        assert.deepEqual(await other.getSettings(), null);
+    } finally {
+        await other.dispose();
+    }
+});
+
+test('a household the user doesn\'t belong to reads as null, not as an error', { skip }, async () => {
+    const id = `h-${crypto.randomUUID()}`;
+    await env.withSecurityRulesDisabled(context => context.firestore().doc(`households/${id}`).set({
+        name: 'Elsewhere',
+        ownerId: 'someone',
+        memberIds: ['someone'],
+        roles: { someone: 'owner' },
+        emails: { someone: '' }
+    }));
+    assert.equal(await backend.getHousehold(id), null);
+    assert.equal(await backend.getHousehold(`${id}-gone`), null);
+});
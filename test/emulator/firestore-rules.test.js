@@ -0,0 +1,208 @@
+import { readFile } from "node:fs/promises";
+import { test, before, beforeEach, after } from "node:test";
+import { initializeTestEnvironment, assertSucceeds, assertFails } from "@firebase/rules-unit-testing";
+import { skip, PROJECT_ID } from "../helpers/firebase.js";
+
+const HOUSEHOLD = {
+    name: 'Home',
+    ownerId: 'owner',
+    memberIds: ['owner', 'editor', 'viewer'],
+    roles: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+    emails: { owner: 'owner@example.com', editor: 'editor@example.com', viewer: 'viewer@example.com' },
+    createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+const INVITE = {
+    householdId: 'h1',
+    householdName: 'Home',
+    ownerId: 'owner',
+    email: 'invitee@example.com',
+    role: 'editor',
+    invitedBy: 'owner@example.com',
+    createdAt: '2024-01-02T00:00:00.000Z'
+};
+
+const recipe = (id) => ({ id, barcode: '04006381333931', name: 'Soup', updatedAt: '2024-01-01T00:00:00.000Z' });
+
+let env;
+
+before(async () => {
+    if (skip) return;
+    env = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: await readFile(new URL("../../firestore.rules", import.meta.url), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    if (skip) return;
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await db.doc('households/h1').set(HOUSEHOLD);
+        await db.doc('households/h1/recipes/r-1').set(recipe('r-1'));
+        await db.doc('invites/h1_invitee@example.com').set(INVITE);
+        await db.doc('users/owner/recipes/r-1').set(recipe('r-1'));
+        await db.doc('users/owner/config/account').set({ createdAt: '2024-01-01T00:00:00.000Z' });
+        // Data synced under a sync ID, before there was sign-in
+        await db.doc('users/sync-abc/recipes/r-1').set(recipe('r-1'));
+    });
+});
+
+after(async () => {
+    if (env) await env.cleanup();
+});
+
+// Signed in with a verified email, as after an email link sign-in
+function as(uid) {
+    return env.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true }).firestore();
+}
+
+// Signed in anonymously, as every device is before it signs in with email
+function guest() {
+    return env.authenticatedContext('guest', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+}
+
+function signedOut() {
+    return env.unauthenticatedContext().firestore();
+}
+
+function withMembers(db, uids, roles, emails) {
+    return db.doc('households/h1').update({ memberIds: uids, roles, emails });
+}
+
+test('only the user reads and writes their personal space', { skip }, async () => {
+    await assertSucceeds(as('owner').doc('users/owner/recipes/r-1').get());
+    await assertSucceeds(as('owner').doc('users/owner/recipes/r-2').set(recipe('r-2')));
+    await assertFails(as('editor').doc('users/owner/recipes/r-1').get());
+    await assertFails(guest().doc('users/owner/recipes/r-1').get());
+    await assertFails(signedOut().doc('users/owner/recipes/r-1').get());
+    await assertFails(signedOut().doc('users/owner/recipes/r-2').set(recipe('r-2')));
+});
+
+test('nobody reads data under an old sync ID without claiming it', { skip }, async () => {
+    await assertFails(guest().doc('users/sync-abc/recipes/r-1').get());
+    await assertFails(as('stranger').collection('users/sync-abc/recipes').get());
+    await assertFails(signedOut().doc('users/sync-abc/recipes/r-1').get());
+});
+
+test('the account that claims an old sync ID reads it; a second one does not', { skip }, async () => {
+    const claim = (uid) => ({ uid, claimedAt: '2026-10-01T00:00:00.000Z' });
+    await assertSucceeds(guest().doc('legacyClaims/sync-abc').get());
+    await assertFails(guest().doc('legacyClaims/sync-abc').set(claim('stranger')));
+    await assertSucceeds(guest().doc('legacyClaims/sync-abc').set(claim('guest')));
+    await assertSucceeds(guest().doc('users/sync-abc/recipes/r-1').get());
+    await assertSucceeds(guest().collection('users/sync-abc/recipes').get());
+    await assertFails(guest().doc('users/sync-abc/recipes/r-2').set(recipe('r-2')));
+
+    // The claim can't be taken over, read by others or removed
+    await assertFails(as('stranger').doc('legacyClaims/sync-abc').set(claim('stranger')));
+    await assertFails(as('stranger').doc('legacyClaims/sync-abc').get());
+    await assertFails(guest().doc('legacyClaims/sync-abc').delete());
+    await assertFails(as('stranger').doc('users/sync-abc/recipes/r-1').get());
+    await assertFails(as('stranger').collection('users/sync-abc/recipes').get());
+});
+
+test('spaces of signed-in users can\'t be claimed', { skip }, async () => {
+    await assertFails(guest().doc('legacyClaims/owner').set({ uid: 'guest', claimedAt: '2026-10-01T00:00:00.000Z' }));
+    await assertFails(guest().doc('users/owner/recipes/r-1').get());
+});
+
+test('members and invitees read the household; nobody else does', { skip }, async () => {
+    for (const uid of ['owner', 'editor', 'viewer', 'invitee']) {
+        await assertSucceeds(as(uid).doc('households/h1').get());
+    }
+    await assertFails(as('stranger').doc('households/h1').get());
+    await assertFails(guest().doc('households/h1').get());
+    await assertFails(signedOut().doc('households/h1').get());
+});
+
+test('members list their households', { skip }, async () => {
+    await assertSucceeds(as('viewer').collection('households').where('memberIds', 'array-contains', 'viewer').get());
+    await assertFails(as('stranger').collection('households').where('memberIds', 'array-contains', 'owner').get());
+});
+
+test('owners and editors write shared recipes; viewers only read them', { skip }, async () => {
+    await assertSucceeds(as('owner').doc('households/h1/recipes/r-2').set(recipe('r-2')));
+    await assertSucceeds(as('editor').doc('households/h1/recipes/r-1').set(recipe('r-1')));
+    await assertSucceeds(as('editor').doc('households/h1/tombstones/recipes:r-2').set({ collection: 'recipes', id: 'r-2', deletedAt: '2024-02-01T00:00:00.000Z' }));
+    await assertSucceeds(as('viewer').doc('households/h1/recipes/r-1').get());
+    await assertFails(as('viewer').doc('households/h1/recipes/r-1').set(recipe('r-1')));
+    await assertFails(as('viewer').doc('households/h1/recipes/r-1').delete());
+    await assertFails(as('viewer').doc('households/h1/tombstones/recipes:r-1').set({ collection: 'recipes', id: 'r-1', deletedAt: '2024-02-01T00:00:00.000Z' }));
+});
+
+test('outsiders neither read nor write shared recipes', { skip }, async () => {
+    for (const db of [as('invitee'), as('stranger'), guest(), signedOut()]) {
+        await assertFails(db.doc('households/h1/recipes/r-1').get());
+        await assertFails(db.doc('households/h1/recipes/r-2').set(recipe('r-2')));
+    }
+});
+
+test('editors can only write the synced collections', { skip }, async () => {
+    await assertFails(as('editor').doc('households/h1/config/appSettings').set({ preferences: {} }));
+});
+
+test('an invitee joins with the role they were invited with', { skip }, async () => {
+    const db = as('invitee');
+    await assertFails(withMembers(db, [...HOUSEHOLD.memberIds, 'invitee'], { ...HOUSEHOLD.roles, invitee: 'owner' }, { ...HOUSEHOLD.emails, invitee: 'invitee@example.com' }));
+    await assertFails(withMembers(db, ['owner', 'invitee'], { owner: 'owner', invitee: 'editor' }, { owner: 'owner@example.com', invitee: 'invitee@example.com' }));
+    await assertSucceeds(withMembers(db, [...HOUSEHOLD.memberIds, 'invitee'], { ...HOUSEHOLD.roles, invitee: 'editor' }, { ...HOUSEHOLD.emails, invitee: 'invitee@example.com' }));
+    await assertSucceeds(db.doc('invites/h1_invitee@example.com').delete());
+    await assertSucceeds(db.doc('households/h1/recipes/r-1').get());
+});
+
+test('nobody joins without an invite', { skip }, async () => {
+    await assertFails(withMembers(as('stranger'), [...HOUSEHOLD.memberIds, 'stranger'], { ...HOUSEHOLD.roles, stranger: 'viewer' }, { ...HOUSEHOLD.emails, stranger: 'stranger@example.com' }));
+    // An unverified address can't claim an invite
+    const unverified = env.authenticatedContext('invitee', { email: 'invitee@example.com', email_verified: false }).firestore();
+    await assertFails(withMembers(unverified, [...HOUSEHOLD.memberIds, 'invitee'], { ...HOUSEHOLD.roles, invitee: 'editor' }, { ...HOUSEHOLD.emails, invitee: 'invitee@example.com' }));
+});
+
+test('the owner lists, creates and revokes invites', { skip }, async () => {
+    const db = as('owner');
+    await assertSucceeds(db.collection('invites').where('householdId', '==', 'h1').where('ownerId', '==', 'owner').get());
+    await assertSucceeds(db.doc('invites/h1_invitee@example.com').get());
+    await assertSucceeds(db.doc('invites/h1_new@example.com').set({ ...INVITE, email: 'new@example.com', role: 'viewer' }));
+    await assertFails(db.doc('invites/h1_boss@example.com').set({ ...INVITE, email: 'boss@example.com', role: 'owner' }));
+    await assertFails(db.doc('invites/h1_other@example.com').set({ ...INVITE, email: 'new@example.com' }));
+    await assertSucceeds(db.doc('invites/h1_invitee@example.com').delete());
+});
+
+test('members other than the owner neither see nor send invites', { skip }, async () => {
+    const db = as('editor');
+    await assertFails(db.collection('invites').where('householdId', '==', 'h1').get());
+    await assertFails(db.collection('invites').where('householdId', '==', 'h1').where('ownerId', '==', 'owner').get());
+    await assertFails(db.doc('invites/h1_new@example.com').set({ ...INVITE, email: 'new@example.com', invitedBy: 'editor@example.com' }));
+    await assertFails(db.doc('invites/h1_invitee@example.com').delete());
+});
+
+test('invitees see their own invites only', { skip }, async () => {
+    await assertSucceeds(as('invitee').collection('invites').where('email', '==', 'invitee@example.com').get());
+    await assertFails(as('stranger').collection('invites').where('email', '==', 'invitee@example.com').get());
+    await assertFails(guest().collection('invites').where('email', '==', 'invitee@example.com').get());
+    await assertFails(signedOut().doc('invites/h1_invitee@example.com').get());
+});
+
+test('the owner manages members but keeps ownership', { skip }, async () => {
+    const db = as('owner');
+    await assertSucceeds(withMembers(db, HOUSEHOLD.memberIds, { ...HOUSEHOLD.roles, viewer: 'editor' }, HOUSEHOLD.emails));
+    await assertFails(withMembers(db, HOUSEHOLD.memberIds, { ...HOUSEHOLD.roles, owner: 'editor', editor: 'owner' }, HOUSEHOLD.emails));
+    await assertFails(db.doc('households/h1').update({ ownerId: 'editor' }));
+    await assertSucceeds(withMembers(db, ['owner', 'editor'], { owner: 'owner', editor: 'editor' }, { owner: 'owner@example.com', editor: 'editor@example.com' }));
+});
+
+test('members may leave but not change roles', { skip }, async () => {
+    await assertFails(withMembers(as('viewer'), HOUSEHOLD.memberIds, { ...HOUSEHOLD.roles, viewer: 'editor' }, HOUSEHOLD.emails));
+    await assertFails(withMembers(as('editor'), ['owner', 'editor'], { owner: 'owner', editor: 'editor' }, { owner: 'owner@example.com', editor: 'editor@example.com' }));
+    await assertSucceeds(withMembers(as('viewer'), ['owner', 'editor'], { owner: 'owner', editor: 'editor' }, { owner: 'owner@example.com', editor: 'editor@example.com' }));
+});
+
+test('anyone signed in creates a household they own; only the owner deletes it', { skip }, async () => {
+    const mine = { ...HOUSEHOLD, ownerId: 'guest', memberIds: ['guest'], roles: { guest: 'owner' }, emails: { guest: '' } };
+    await assertSucceeds(guest().doc('households/h2').set(mine));
+    await assertFails(guest().doc('households/h3').set({ ...mine, memberIds: ['guest', 'owner'] }));
+    await assertFails(signedOut().doc('households/h4').set(mine));
+    await assertFails(as('editor').doc('households/h1').delete());
+    await assertSucceeds(as('owner').doc('households/h1').delete());
+});
@@ -0,0 +1,49 @@
+/**
+ * The browser APIs the app's modules expect, for running them under Node:
+ * IndexedDB (fake-indexeddb), DOMParser (xmldom), localStorage,
+ * navigator.onLine and FileReader, with `window` standing for the global object.
+ */
+
+import "fake-indexeddb/auto";
+import { DOMParser } from "@xmldom/xmldom";
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+globalThis.window ??= globalThis;
+globalThis.DOMParser ??= DOMParser;
+globalThis.localStorage ??= new MemoryStorage();
+globalThis.navigator ??= { onLine: true };
+
+globalThis.FileReader ??= class {
+    async readAsDataURL(blob) {
+        try {
+            const base64 = Buffer.from(await blob.arrayBuffer()).toString('base64');
+            this.result = `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
+            this.onload();
+        } catch (err) {
+            this.error = err;
+            this.onerror();
+        }
+    }
+};
+
+// A name no other test uses, so every store starts empty
+export function uniqueName(prefix) {
+    return `${prefix}-${crypto.randomUUID()}`;
+}
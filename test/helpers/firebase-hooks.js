@@ -0,0 +1,12 @@
+/**
+ * Module hooks that load the Firebase SDK the app imports from gstatic.com
+ * from the firebase npm package instead.
+ */
+
+const SDK_URL = /^https:\/\/www\.gstatic\.com\/firebasejs\/[^/]+\/firebase-([a-z]+)\.js$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    const match = SDK_URL.exec(specifier);
+    if (!match) return nextResolve(specifier, context);
+    return nextResolve(`firebase/${match[1]}`, { ...context, parentURL: import.meta.url });
+}
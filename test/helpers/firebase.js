@@ -0,0 +1,18 @@
+/**
+ * Lets firebase-backend.js run under Node against the emulators that
+ * `npm run test:emulator` starts.
+ */
+
+import { register } from "node:module";
+
+register("./firebase-hooks.js", import.meta.url);
+
+export const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+export const PROJECT_ID = 'demo-recipescan';
+
+// Without the emulators the tests are skipped rather than failed
+export const skip = !EMULATOR_HOST && 'needs the Firebase emulators (npm run test:emulator)';
+
+export function firebaseConfig(fields = {}) {
+    return { apiKey: 'demo-key', projectId: PROJECT_ID, emulatorHost: EMULATOR_HOST, ...fields };
+}
@@ -0,0 +1,25 @@
+/**
+ * A reference sync server (sync-server.mjs) on a free local port, with its
+ * data in a temporary folder.
+ */
+
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createSyncServer } from "../../sync-server.mjs";
+
+export const TOKEN = 'test-token';
+
+export async function startSyncServer() {
+    const dataDir = await mkdtemp(join(tmpdir(), 'recipescan-sync-'));
+    const server = createSyncServer({ dataDir, token: TOKEN });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        token: TOKEN,
+        async close() {
+            await new Promise(resolve => server.close(resolve));
+            await rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * A minimal in-memory WebDAV server on a free local port: the PROPFIND,
+ * MKCOL, PUT, GET and DELETE that WebDavBackend uses, with Basic auth and a
+ * new ETag on every write. Like real servers, it decodes each path segment
+ * and encodes them again in PROPFIND hrefs.
+ */
+
+import { createServer } from "node:http";
+
+export const USERNAME = 'cook';
+export const PASSWORD = 'pässword';
+
+function pathOf(url) {
+    const segments = new URL(url, 'http://localhost').pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    return `/${segments.join('/')}`;
+}
+
+const parentOf = (path) => path.slice(0, path.lastIndexOf('/')) || '/';
+const hrefOf = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export async function startWebDavServer() {
+    // Path → { folder: true } or { body, etag }
+    const entries = new Map([['/', { folder: true }]]);
+    let writes = 0;
+    const authorization = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+
+    const childrenOf = (path) => [...entries.keys()].filter(key => key !== path && parentOf(key) === path);
+
+    const propfind = (path, depth) => {
+        const paths = [path, ...(depth === '1' && entries.get(path).folder ? childrenOf(path) : [])];
+        const responses = paths.map(key => {
+            const entry = entries.get(key);
+            const href = entry.folder ? `${hrefOf(key).replace(/\/$/, '')}/` : hrefOf(key);
+            const etag = entry.folder ? '' : `<d:getetag>"${entry.etag}"</d:getetag>`;
+            return `<d:response><d:href>${href}</d:href><d:propstat><d:prop>${etag}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+        });
+        return `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${responses.join('')}</d:multistatus>`;
+    };
+
+    const handle = async (request) => {
+        if (request.headers.authorization !== authorization) return [401];
+        const path = pathOf(request.url);
+        const entry = entries.get(path);
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+
+        switch (request.method) {
+            case 'PROPFIND':
+                return entry ? [207, propfind(path, request.headers.depth)] : [404];
+            case 'MKCOL':
+                if (entry) return [405];
+                if (!(entries.get(parentOf(path)) || {}).folder) return [409];
+                entries.set(path, { folder: true });
+                return [201];
+            case 'PUT':
+                if (entry && entry.folder) return [405];
+                if (!(entries.get(parentOf(path)) || {}).folder) return [409];
+                entries.set(path, { body: Buffer.concat(chunks).toString('utf8'), etag: ++writes });
+                return [entry ? 204 : 201];
+            case 'GET':
+                if (!entry || entry.folder) return [404];
+                return [200, entry.body];
+            case 'DELETE':
+                if (!entry) return [404];
+                [...entries.keys()].filter(key => key === path || key.startsWith(`${path === '/' ? '' : path}/`)).forEach(key => entries.delete(key));
+                entries.set('/', { folder: true });
+                return [204];
+            default:
+                return [405];
+        }
+    };
+
+    const server = createServer((request, response) => {
+        handle(request).then(([status, body]) => {
+            response.writeHead(status, body ? { 'Content-Type': status === 207 ? 'application/xml' : 'application/json' } : {});
+            response.end(body);
+        }, (err) => {
+            response.writeHead(500);
+            response.end(err.message);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/dav`,
+        username: USERNAME,
+        password: PASSWORD,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
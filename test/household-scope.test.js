@@ -0,0 +1,54 @@
+import "./helpers/browser.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { RecipeStore } from "../store.js";
+import { SyncEngine } from "../sync-engine.js";
+import { RestBackend } from "../sync-backends.js";
+import { startSyncServer } from "./helpers/sync-server.js";
+import { uniqueName } from "./helpers/browser.js";
+
+let server;
+before(async () => { server = await startSyncServer(); });
+after(() => server.close());
+
+async function openStore() {
+    const store = new RecipeStore(uniqueName('scope'));
+    await store.init();
+    return store;
+}
+
+const backend = (space) => new RestBackend({ url: server.url, space, token: server.token });
+
+test('switching to a household leaves the personal recipes out of it', async () => {
+    const personal = await openStore();
+    const household = await openStore();
+    const sync = new SyncEngine(personal);
+    sync.setCloud(backend(uniqueName('personal')));
+    await sync.saveRecipe({ id: 'mine', barcode: '1', name: 'My soup' });
+    await sync.flush();
+
+    const shared = backend(uniqueName('household'));
+    await shared.saveRecord('recipes', { id: 'ours', barcode: '2', name: 'Our stew', updatedAt: '2024-01-01T00:00:00.000Z' });
+    sync.setStore(household);
+    sync.setCloud(shared);
+    await sync.pull();
+    await sync.flush();
+
+    assert.deepEqual((await shared.getAllRecords('recipes')).map(r => r.id), ['ours']);
+    assert.deepEqual((await household.getAllRecipes()).map(r => r.id), ['ours']);
+    assert.deepEqual((await personal.getAllRecipes()).map(r => r.id), ['mine']);
+});
+
+test('one flush sends a copied recipe and its product, saved while the first push runs', async () => {
+    const store = await openStore();
+    const space = backend(uniqueName('household'));
+    const sync = new SyncEngine(store);
+    sync.setCloud(space);
+    await sync.saveRecipe({ id: 'copied', barcode: '3', name: 'Copied curry' });
+    await sync.saveProduct({ barcode: '3', name: 'Curry', updatedAt: '2024-01-01T00:00:00.000Z' }, { preserveTimestamp: true });
+    await sync.flush();
+
+    assert.equal((await space.getRecord('recipes', 'copied')).name, 'Copied curry');
+    assert.equal((await space.getRecord('products', '3')).name, 'Curry');
+    assert.equal(await sync.pendingCount(), 0);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNutrition, hasNutrition, nutritionValue, formatNutrient, isNutrition } from "../nutrition.js";
+
+const EU_PANEL = `Nutrition
+Typical values Per 100g Per 1/2 pack (200g)
+Energy 523kJ 1046kJ
+125kcal 250kcal
+Fat 4.8g 9.6g
+of which saturates 1.2g 2.4g
+Carbohydrate 12.5g 25.0g
+of which sugars 3.1g 6.2g
+Fibre 1.4g 2.8g
+Protein 7.9g 15.8g
+Salt 0.55g 1.10g`;
+
+const US_LABEL = `Nutrition Facts
+Serving size 1 cup (228g)
+Calories 250
+Total Fat 12g 18%
+Saturated Fat 3g 15%
+Trans Fat 0g
+Sodium 480mg 21%
+Total Carbohydrate 31g 10%
+Dietary Fiber 0g
+Total Sugars 5g
+Protein 5g`;
+
+test('panels are read into per-100 and per-serving columns', () => {
+    const cases = [
+        ['EU two-column panel', EU_PANEL, {
+            servingSize: 200,
+            unit: 'g',
+            per100: { energyKj: 523, energyKcal: 125, fat: 4.8, saturates: 1.2, carbs: 12.5, sugars: 3.1, fibre: 1.4, protein: 7.9, salt: 0.55, sodium: 0.22 },
+            perServing: { energyKj: 1046, energyKcal: 250, fat: 9.6, saturates: 2.4, carbs: 25, sugars: 6.2, fibre: 2.8, protein: 15.8, salt: 1.1, sodium: 0.44 }
+        }],
+        ['US label', US_LABEL, {
+            servingSize: 228,
+            unit: 'g',
+            per100: {},
+            perServing: { energyKcal: 250, fat: 12, saturates: 3, sodium: 0.48, carbs: 31, fibre: 0, sugars: 5, protein: 5, salt: 1.2 }
+        }],
+        ['Drink per 100ml', 'Per 100ml\nEnergy 180kJ / 43kcal\nSugars 10.6g', {
+            servingSize: null,
+            unit: 'ml',
+            per100: { energyKj: 180, energyKcal: 43, sugars: 10.6 },
+            perServing: {}
+        }]
+    ];
+    for (const [name, text, expected] of cases) assert.deepEqual(parseNutrition(text), expected, name);
+});
+
+test('missing columns are derived from the serving size', () => {
+    const us = parseNutrition(US_LABEL);
+    const cases = [
+        ['protein', 'perServing', 5],
+        ['protein', 'per100', 2.19],
+        ['energyKcal', 'per100', 110],
+        ['energyKj', 'per100', null]
+    ];
+    for (const [key, basis, expected] of cases) assert.equal(nutritionValue(us, key, basis), expected, `${key} ${basis}`);
+    assert.equal(nutritionValue({ servingSize: null, per100: {}, perServing: { fat: 3 } }, 'fat', 'per100'), null);
+});
+
+test('empty panels, display and the import check', () => {
+    assert.equal(hasNutrition(parseNutrition('Microwave for 3 minutes')), false);
+    assert.equal(hasNutrition(parseNutrition(EU_PANEL)), true);
+    assert.equal(formatNutrient(4.8, 'g'), '4.8 g');
+    assert.equal(formatNutrient(null, 'g'), '—');
+
+    assert.equal(isNutrition(parseNutrition(EU_PANEL)), true);
+    const damaged = [null, 'fat 3g', { per100: { fat: '3' } }, { per100: { vitaminZ: 1 } }, { unit: 'oz' }, { servingSize: 'big' }];
+    for (const nutrition of damaged) assert.equal(isNutrition(nutrition), false, JSON.stringify(nutrition));
+});
@@ -0,0 +1,50 @@
+import "./helpers/browser.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { RecipeStore } from "../store.js";
+import { SyncEngine } from "../sync-engine.js";
+import { RestBackend } from "../sync-backends.js";
+import { startSyncServer } from "./helpers/sync-server.js";
+import { uniqueName } from "./helpers/browser.js";
+
+let server;
+before(async () => { server = await startSyncServer(); });
+after(() => server.close());
+
+test('changes made after starting offline reach the cloud once connected', async () => {
+    const store = new RecipeStore(uniqueName('offline'));
+    await store.init();
+    const cloud = new RestBackend({ url: server.url, space: uniqueName('space'), token: server.token });
+
+    const online = new SyncEngine(store);
+    online.setCloud(cloud);
+    await online.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup' });
+    await online.saveRecipe({ id: 'r-2', barcode: '2', name: 'Stew' });
+    await online.flush();
+
+    // The next start can't reach the backend, which is still set up
+    const sync = new SyncEngine(store);
+    sync.setCloud(null, { configured: true });
+    await sync.saveRecipe({ ...(await store.getRecipe('r-1')), name: 'Tomato soup' });
+    await sync.deleteRecipe('r-2');
+    assert.equal(await sync.pendingCount(), 2);
+
+    sync.setCloud(cloud);
+    await sync.sync();
+
+    assert.equal((await cloud.getRecord('recipes', 'r-1')).name, 'Tomato soup');
+    assert.equal(await cloud.getRecord('recipes', 'r-2'), null);
+    assert.deepEqual((await cloud.getTombstones()).map(t => t.id), ['r-2']);
+    assert.equal(await store.getRecipe('r-2'), undefined);
+    assert.equal((await store.getRecipe('r-1')).name, 'Tomato soup');
+    assert.equal(await sync.pendingCount(), 0);
+});
+
+test('without a backend set up nothing is queued', async () => {
+    const store = new RecipeStore(uniqueName('local'));
+    await store.init();
+    const sync = new SyncEngine(store);
+    await sync.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup' });
+    await sync.deleteRecipe('r-1');
+    assert.equal(await sync.pendingCount(), 0);
+});
@@ -0,0 +1,85 @@
+import "./helpers/browser.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { RecipeStore } from "../store.js";
+import { SyncEngine } from "../sync-engine.js";
+import { RestBackend } from "../sync-backends.js";
+import { startSyncServer } from "./helpers/sync-server.js";
+import { uniqueName } from "./helpers/browser.js";
+
+let server;
+before(async () => { server = await startSyncServer(); });
+after(() => server.close());
+
+// One device: its own database and sync engine, on the shared space `space`
+async function device(space) {
+    const store = new RecipeStore(uniqueName('device'));
+    await store.init();
+    const sync = new SyncEngine(store);
+    sync.setCloud(new RestBackend({ url: server.url, space, token: server.token }));
+    return { store, sync };
+}
+
+const photo = () => new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3])], { type: 'image/jpeg' });
+
+test('a photo kept on the device reaches other devices without Cloudinary', async () => {
+    const space = uniqueName('space');
+    const a = await device(space);
+    const b = await device(space);
+
+    const imageId = await a.store.saveImage({ blob: photo(), thumb: photo() }, 'r-1');
+    await a.sync.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup', image: null, imageId });
+    await a.sync.flush();
+
+    const sent = await a.sync.cloud.getRecord('recipes', 'r-1');
+    assert.equal(sent.imageId, null);
+    assert.match(sent.image, /^data:image\/jpeg;base64,/);
+
+    await b.sync.pull();
+    const received = await b.store.getRecipe('r-1');
+    assert.equal(received.image, null);
+    assert.ok(received.imageId);
+    const stored = await b.store.getImage(received.imageId);
+    assert.deepEqual(new Uint8Array(await stored.blob.arrayBuffer()), new Uint8Array(await photo().arrayBuffer()));
+    // The sender keeps its own copy
+    assert.equal((await a.store.getRecipe('r-1')).imageId, imageId);
+});
+
+test('a photo moved to Cloudinary replaces the copy that was synced inline', async () => {
+    const space = uniqueName('space');
+    const a = await device(space);
+    const b = await device(space);
+
+    const imageId = await a.store.saveImage({ blob: photo(), thumb: photo() }, 'r-1');
+    await a.sync.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup', image: null, imageId });
+    await a.sync.flush();
+    await b.sync.pull();
+    const inline = (await b.store.getRecipe('r-1')).imageId;
+
+    const url = 'https://res.cloudinary.com/demo/image/upload/recipescan/r-1-abc.jpg';
+    await a.sync.saveRecipe({ ...(await a.store.getRecipe('r-1')), image: url, imageId: null });
+    await a.sync.flush();
+    await b.sync.pull();
+
+    const received = await b.store.getRecipe('r-1');
+    assert.equal(received.image, url);
+    assert.equal(received.imageId, null);
+    assert.equal(await b.store.getImage(inline), undefined);
+});
+
+test('a record from an older version without its photo keeps the local one', async () => {
+    const space = uniqueName('space');
+    const b = await device(space);
+    const imageId = await b.store.saveImage({ blob: photo(), thumb: photo() }, 'r-1');
+    await b.store.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup', imageId, updatedAt: '2024-01-01T00:00:00.000Z' });
+
+    await b.sync.cloud.saveRecord('recipes', {
+        id: 'r-1', barcode: '1', name: 'Soup, renamed', imageId: 'photo-on-another-device', updatedAt: '2024-02-01T00:00:00.000Z'
+    });
+    await b.sync.pull();
+
+    const received = await b.store.getRecipe('r-1');
+    assert.equal(received.name, 'Soup, renamed');
+    assert.equal(received.imageId, imageId);
+    assert.ok(await b.store.getImage(imageId));
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseDurations, parseTemperature, detectMethod, parseStandTime, parseWattage, parseServings,
+    formatDuration, cleanOcrText, splitSteps, parseRecipe, isStructuredRecipe
+} from "../recipe-parser.js";
+
+test('durations', () => {
+    const cases = [
+        ['Heat for 3 minutes', [{ seconds: 180 }]],
+        ['Cook 3-4 mins', [{ seconds: 180, maxSeconds: 240 }]],
+        ['Cook 3 to 4 mins', [{ seconds: 180, maxSeconds: 240 }]],
+        ['Microwave 1 min 30 secs', [{ seconds: 90 }]],
+        ['Bake 1 hour', [{ seconds: 3600 }]],
+        ['Heat 2½ mins', [{ seconds: 150 }]],
+        ['Heat 1 1/2 minutes', [{ seconds: 90 }]],
+        ['Heat 1,5 min', [{ seconds: 90 }]],
+        ['Heat 2 min, stir, heat 1 min', [{ seconds: 120 }, { seconds: 60 }]],
+        ['Serve hot', []]
+    ];
+    for (const [text, expected] of cases) {
+        assert.deepEqual(parseDurations(text).map(({ text: _, ...duration }) => duration), expected, text);
+    }
+});
+
+test('temperatures, methods, standing time and servings', () => {
+    const temperatures = [
+        ['Bake at 180°C', { value: 180, unit: 'C' }],
+        ['Preheat to 350 degrees F', { value: 350, unit: 'F' }],
+        ['Gas Mark 6', { gasMark: 6 }],
+        ['Microwave on high', null]
+    ];
+    for (const [text, expected] of temperatures) assert.deepEqual(parseTemperature(text), expected, text);
+
+    const methods = [
+        ['Air fry for 10 minutes', 'air fryer'],
+        ['Preheat the oven', 'oven'],
+        ['Microwave on full power', 'microwave'],
+        ['Simmer in a saucepan', 'stovetop'],
+        ['Serve with rice', null]
+    ];
+    for (const [text, expected] of methods) assert.equal(detectMethod(text), expected, text);
+
+    const stands = [
+        ['Stand for 2 minutes', 120],
+        ['Standing time: 1 min', 60],
+        ['Leave to rest 30 seconds', 30],
+        ['Stir well', null]
+    ];
+    for (const [text, expected] of stands) assert.equal(parseStandTime(text), expected, text);
+
+    const servings = [['Serves 4', 4], ['Makes: 2', 2], ['3 portions', 3], ['Heat well', null]];
+    for (const [text, expected] of servings) assert.equal(parseServings(text), expected, text);
+});
+
+test('wattage notes', () => {
+    assert.deepEqual(parseWattage('800W: 3 min, 1000W: 2 min 30 secs'), [{ watts: 800, seconds: 180 }, { watts: 1000, seconds: 150 }]);
+    assert.deepEqual(parseWattage('(900 W) for 2-3 minutes'), [{ watts: 900, seconds: 120, maxSeconds: 180 }]);
+    assert.deepEqual(parseWattage('Heat for 3 minutes'), []);
+});
+
+test('durations format for display', () => {
+    const cases = [[0, '0 sec'], [45, '45 sec'], [90, '1 min 30 sec'], [3660, '1 h 1 min'], [null, '']];
+    for (const [seconds, expected] of cases) assert.equal(formatDuration(seconds), expected, String(seconds));
+});
+
+test('OCR output is cleaned and split into steps', () => {
+    assert.equal(cleanOcrText('Remove sleeve and pierce\nthe film.\n|~|\nHeat for 3 min-\nutes.'), 'Remove sleeve and pierce the film.\n\nHeat for 3 minutes.');
+
+    const cases = [
+        ['1. Pierce film\n2. Heat for 3 min\n3. Stand 1 min', ['Pierce film', 'Heat for 3 min', 'Stand 1 min']],
+        ['MICROWAVE INSTRUCTIONS\n- Pierce film\n- Heat for 3 min', ['Pierce film', 'Heat for 3 min']],
+        ['1. Pierce film 2. Heat for 3 min', ['Pierce film', 'Heat for 3 min']],
+        ['Pierce film. Heat for 3 min. Stir and serve.', ['Pierce film.', 'Heat for 3 min.', 'Stir and serve.']],
+        ['Serves 2', []],
+        ['', []]
+    ];
+    for (const [text, expected] of cases) assert.deepEqual(splitSteps(text), expected, text);
+});
+
+test('a whole recipe parses into a shape that passes the import check', () => {
+    const recipe = parseRecipe('Microwave instructions\n1. Pierce film.\n2. Heat on 800W for 3 min.\n3. Stand for 1 min.\nServes 2');
+    assert.equal(recipe.method, 'microwave');
+    assert.equal(recipe.servings, 2);
+    assert.equal(recipe.standSeconds, 60);
+    assert.deepEqual(recipe.wattage, [{ watts: 800, seconds: 180 }]);
+    assert.deepEqual(recipe.steps.map(step => step.text), ['Microwave instructions', 'Pierce film.', 'Heat on 800W for 3 min.', 'Stand for 1 min.']);
+    assert.equal(isStructuredRecipe(recipe), true);
+
+    const damaged = [null, [], { steps: 'Heat' }, { steps: [{ text: 'Heat', durations: [{ seconds: '3' }] }] }, { steps: [], method: 'grill' }];
+    for (const structured of damaged) assert.equal(isStructuredRecipe(structured), false, JSON.stringify(structured));
+});
@@ -0,0 +1,64 @@
+import "./helpers/browser.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { ShareError, shareableRecipe, encodeShareToken, decodeShareToken, findShareToken } from "../share.js";
+import { validateBackup } from "../backup.js";
+
+const recipe = {
+    id: 'r-1',
+    barcode: '04006381333931',
+    name: 'Tomato soup',
+    variant: 'Microwave',
+    instructions: 'Pierce film. Heat on 800W for 3 min. Stand 1 min.',
+    structured: { method: 'microwave', steps: [{ text: 'Heat on 800W for 3 min.', durations: [{ seconds: 180 }] }] },
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    // Not shared
+    updatedBy: 'device-1',
+    cookedHistory: [{ date: '2024-01-02' }],
+    imageId: 'img-1'
+};
+
+const tokenFor = (payload) => `RS1.${deflateRawSync(Buffer.from(JSON.stringify(payload))).toString('base64url')}`;
+
+test('a recipe survives the round trip through a share token', async () => {
+    const cases = [
+        ['with a product name', { productName: 'Acme soup' }, [{ barcode: recipe.barcode, name: 'Acme soup' }]],
+        ['without one', {}, []]
+    ];
+    for (const [name, options, products] of cases) {
+        const token = await encodeShareToken(recipe, options);
+        assert.match(token, /^RS1\.[A-Za-z0-9_-]+$/, name);
+        const archive = await decodeShareToken(token);
+        assert.deepEqual(archive.recipes, [shareableRecipe(recipe)], name);
+        assert.deepEqual(archive.products, products, name);
+        assert.deepEqual(validateBackup(archive).errors, [], name);
+    }
+});
+
+test('tokens are found in links and scanned text', () => {
+    const cases = [
+        ['https://recipes.example.com/#recipe=RS1.abc_-9', 'RS1.abc_-9'],
+        ['Try this: RS1.xyz', 'RS1.xyz'],
+        ['4006381333931', null],
+        [null, null]
+    ];
+    for (const [text, expected] of cases) assert.equal(findShareToken(text), expected, String(text));
+});
+
+test('damaged, newer and oversized tokens are refused', async () => {
+    const cases = [
+        ['not a token', 'hello'],
+        ['newer version', 'RS9.abc'],
+        ['damaged data', 'RS1.bm90LWRlZmxhdGU'],
+        ['not an object', tokenFor(['r-1'])],
+        // Compresses to a few hundred bytes, inflates past the 64 KB cap
+        ['too large', tokenFor({ i: 'r-1', b: '1', n: 'Big', t: 'x'.repeat(70 * 1024) })]
+    ];
+    for (const [name, token] of cases) {
+        await assert.rejects(decodeShareToken(token), ShareError, name);
+    }
+    // Just under the cap still decodes
+    const archive = await decodeShareToken(tokenFor({ i: 'r-1', b: '1', n: 'Long', t: 'x'.repeat(60 * 1024) }));
+    assert.equal(archive.recipes[0].instructions.length, 60 * 1024);
+});
@@ -0,0 +1,94 @@
+import "./helpers/browser.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DB_MIGRATIONS, RecipeStore } from "../store.js";
+import { uniqueName } from "./helpers/browser.js";
+
+const PHOTO = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+// A database as an older version of the app left it, holding `records` in `storeName`
+function openAtVersion(name, version, storeName, records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => {
+            const steps = DB_MIGRATIONS.filter(step => step.version <= version);
+            const runStep = (i) => {
+                if (i < steps.length) steps[i].migrate(request.result, request.transaction, () => runStep(i + 1));
+                else records.forEach(record => request.transaction.objectStore(storeName).put(record));
+            };
+            runStep(0);
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function openCurrent(name) {
+    const store = new RecipeStore(name);
+    await store.init();
+    return store;
+}
+
+test('versions are numbered one after another', () => {
+    DB_MIGRATIONS.forEach((step, i) => assert.equal(step.version, i + 1));
+});
+
+test('recipes keyed by barcode become the first variant of their product', async () => {
+    const name = uniqueName('v1');
+    await openAtVersion(name, 1, 'recipes', [
+        { barcode: '05000159484695', name: 'Lasagne', instructions: 'Heat', date: '2023-01-01T00:00:00.000Z' }
+    ]);
+    const store = await openCurrent(name);
+
+    const [recipe] = await store.getAllRecipes();
+    assert.equal(recipe.id, '05000159484695');
+    assert.equal(recipe.variant, '');
+    assert.equal(recipe.instructions, 'Heat');
+    const product = await store.getProduct('05000159484695');
+    assert.equal(product.name, 'Lasagne');
+    assert.equal(product.updatedAt, '2023-01-01T00:00:00.000Z');
+});
+
+test('inline photos move to the images store', async () => {
+    const name = uniqueName('v4');
+    await openAtVersion(name, 4, 'recipes', [
+        { id: 'r-1', barcode: '1', name: 'With photo', image: PHOTO },
+        { id: 'r-2', barcode: '2', name: 'Cloudinary photo', image: 'https://res.cloudinary.com/demo/image/upload/a.jpg' }
+    ]);
+    const store = await openCurrent(name);
+
+    const withPhoto = await store.getRecipe('r-1');
+    assert.equal(withPhoto.image, undefined);
+    const image = await store.getImage(withPhoto.imageId);
+    assert.equal(image.recipeId, 'r-1');
+    assert.equal(image.blob.type, 'image/jpeg');
+    // Thumbnails need a canvas, so the app makes them on the next start
+    assert.equal(image.thumb, null);
+
+    const remote = await store.getRecipe('r-2');
+    assert.equal(remote.imageId, undefined);
+    assert.equal(remote.image, 'https://res.cloudinary.com/demo/image/upload/a.jpg');
+});
+
+test('a new database has every store', async () => {
+    const store = await openCurrent(uniqueName('new'));
+    assert.deepEqual([...store.db.objectStoreNames].sort(), [
+        'catalog', 'conflicts', 'images', 'outbox', 'pantry', 'products', 'recipes', 'tombstones', 'uploads'
+    ]);
+});
+
+test('households get databases of their own, which can be removed', async () => {
+    assert.equal(RecipeStore.nameFor(''), 'RecipeScanDB');
+    assert.equal(RecipeStore.nameFor('h1'), 'RecipeScanDB-household-h1');
+
+    const name = uniqueName('household');
+    const store = await openCurrent(name);
+    await store.saveRecipe({ id: 'r-1', barcode: '1', name: 'Soup' });
+    store.close();
+    await RecipeStore.remove(name);
+    const reopened = await openCurrent(name);
+    assert.deepEqual(await reopened.getAllRecipes(), []);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertText, convertTemperature, rescaleMicrowave, statedWattage } from "../units.js";
+
+test('quantities are converted to the reader\'s unit system', () => {
+    const cases = [
+        ['Bake at 180°C for 20 minutes', 'us', 'Bake at 355°F for 20 minutes'],
+        ['Preheat to 350 degrees F', 'metric', 'Preheat to 175°C'],
+        ['Add 200 g of flour', 'us', 'Add 7.1 oz of flour'],
+        ['Add 3 lb potatoes', 'metric', 'Add 1.36 kg potatoes'],
+        ['Pour in 8 fl oz milk', 'metric', 'Pour in 235 ml milk'],
+        ['Pour in 250 ml stock', 'us', 'Pour in 1 cup stock'],
+        ['Pour in 100 ml stock', 'us', 'Pour in 3.4 fl oz stock'],
+        ['Bake at 200°C', 'metric', 'Bake at 200°C'],
+        ['Bake at 200°C', '', 'Bake at 200°C']
+    ];
+    for (const [text, system, expected] of cases) {
+        assert.equal(convertText(text, { system }), expected, `${text} (${system || 'as printed'})`);
+    }
+});
+
+test('oven temperatures round to steps of five', () => {
+    assert.deepEqual(convertTemperature({ value: 180, unit: 'C' }, 'us'), { value: 355, unit: 'F' });
+    assert.deepEqual(convertTemperature({ value: 425, unit: 'F' }, 'metric'), { value: 220, unit: 'C' });
+    assert.deepEqual(convertTemperature({ gasMark: 4 }, 'metric'), { gasMark: 4 });
+});
+
+test('microwave times scale with the power ratio', () => {
+    const cases = [
+        [180, 800, 1000, 145],
+        [120, 1000, 800, 150],
+        [60, 900, 900, 60],
+        [3, 800, 1000, 5]
+    ];
+    for (const [seconds, from, to, expected] of cases) {
+        assert.equal(rescaleMicrowave(seconds, from, to), expected, `${seconds}s from ${from} W to ${to} W`);
+    }
+    assert.equal(statedWattage('Cook on full power (900 W)'), 900);
+    assert.equal(statedWattage('Cook for 3 minutes'), null);
+});
+
+test('wattage times are rescaled for the reader\'s microwave', () => {
+    const cases = [
+        ['Microwave 800W: 3 min', 'Microwave 1000 W: 2 min 25 sec'],
+        ['4 mins on 750W', '3 min on 1000 W'],
+        ['(900 W) for 2-3 minutes', '(1000 W) for 1 min 50 sec - 2 min 40 sec'],
+        ['Cook on 750W for 4 mins then stir and cook 1.5 mins more', 'Cook on 1000 W for 3 min then stir and cook 1 min 10 sec more'],
+        // Standing time doesn't depend on the microwave
+        ['800W: 3 min, then stand for 2 min', '1000 W: 2 min 25 sec, then stand for 2 min'],
+        // The rest of the instruction is for the oven
+        ['Microwave 800W: 3 min, stir, then 2 min more. Stand 1 min. Oven: bake 25 minutes at 200°C.',
+            'Microwave 1000 W: 2 min 25 sec, stir, then 1 min 35 sec more. Stand 1 min. Oven: bake 25 minutes at 200°C.'],
+        ['800W 3 min; grill for 5 minutes', '1000 W 2 min 25 sec; grill for 5 minutes'],
+        // The pack already has a time for the reader's microwave
+        ['800W 3 min, 1000W 2 min', '800W 3 min, 1000W 2 min'],
+        // Otherwise only the nearest wattage is rescaled
+        ['800W 3 min, 900W 2 min 30 sec', '800W 3 min, 1000 W 2 min 15 sec'],
+        ['Cook for 20 minutes', 'Cook for 20 minutes']
+    ];
+    for (const [text, expected] of cases) {
+        assert.equal(convertText(text, { microwaveWatts: 1000 }), expected, text);
+    }
+});
+
+test('times are left alone without a microwave wattage', () => {
+    assert.equal(convertText('Microwave 800W: 3 min', { microwaveWatts: 0 }), 'Microwave 800W: 3 min');
+});
@@ -0,0 +1,234 @@
+/**
+ * RecipeScan DB - Units
+ *
+ * Finds temperatures, weights, volumes and microwave wattages in instruction
+ * text and rewrites them for the reader: in their unit system, and with
+ * microwave times rescaled from the pack's wattage to their own microwave.
+ * Only what is shown changes; stored instructions keep what the pack says.
+ */
+
+import { parseDurations, formatDuration } from "./recipe-parser.js";
+
+// '' leaves quantities as printed
+export const UNIT_SYSTEMS = {
+    '': 'As printed',
+    metric: 'Metric (°C, g, ml)',
+    us: 'US (°F, oz, cups)'
+};
+
+const GRAMS = { g: 1, kg: 1000, oz: 28.349523, lb: 453.59237 };
+const MILLILITRES = { ml: 1, cl: 10, l: 1000, floz: 29.57353, cup: 236.58824, pint: 473.17647, quart: 946.35295 };
+const METRIC_UNITS = new Set(['C', 'g', 'kg', 'ml', 'cl', 'l']);
+
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+const NUMBER = '(\\d+(?:[.,]\\d+)?(?:\\s*[½¼¾])?|[½¼¾])';
+const RANGE = `${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?`;
+const DURATION = '\\d+(?:[.,]\\d+)?(?:\\s*½|\\s+1\\/2)?(?:\\s*(?:-|–|to)\\s*\\d+(?:[.,]\\d+)?)?\\s*(?:minutes?|mins?|seconds?|secs?)(?:\\s*(?:and\\s*)?\\d+\\s*(?:seconds?|secs?))?';
+
+// "180°C", "350 degrees F", "200C"; a bare "180°" says nothing about the scale
+const TEMPERATURE_RE = new RegExp(`${RANGE}\\s*(?:°|º|degrees?\\s*)?\\s*(C|F|Celsius|Fahrenheit)\\b`, 'gi');
+const WEIGHT_RE = new RegExp(`${RANGE}\\s*(kg|kilograms?|g|grams?|oz|ounces?|lbs?|pounds?)\\b`, 'gi');
+const VOLUME_RE = new RegExp(`${RANGE}\\s*(ml|millilit(?:er|re)s?|cl|l|lit(?:er|re)s?|fl\\.?\\s*oz|fluid\\s+ounces?|cups?|pints?|quarts?)(?![\\w.])`, 'gi');
+// "800W: 3 min", "(900 W) for 2-3 minutes", and the other way round: "4 mins on 750W"
+const WATTS_FIRST_RE = new RegExp(`(\\d{3,4}\\s*w(?:atts?)?)\\b[^\\d\\n]{0,12}?(${DURATION})`, 'gid');
+const DURATION_FIRST_RE = new RegExp(`(${DURATION})\\s+(?:at|on)\\s+(?:full\\s+power\\s+)?\\(?(\\d{3,4}\\s*w(?:atts?)?)\\b`, 'gid');
+const WATTS_RE = /(\d{3,4})\s*w(?:atts?)?\b/i;
+// Further times after a wattage ("then 1 1/2 minutes more"), up to the end of the
+// sentence, the next wattage or the next cooking method ("Oven: bake 25 minutes")
+const FOLLOWING_DURATION_RE = new RegExp(DURATION, 'gi');
+const SEGMENT_END_RE = /\n|[.;!?](?=\s|$)|\d{3,4}\s*w(?:atts?)?\b|\b(?:oven|hob|stove|grill(?:ing)?|bake|baking|roast(?:ing)?|fry(?:ing)?|air\s*fryer|boil(?:ing)?|simmer|steam(?:ing)?|conventional|fan)\b/i;
+const ALL_WATTS_RE = /(\d{3,4})\s*w(?:atts?)?\b/gi;
+// Standing and resting times don't depend on the microwave
+const STAND_BEFORE_RE = /\b(?:stand|standing|rest|resting|leave)\b[^.,;:\d]*$/i;
+
+function toNumber(text) {
+    if (!text) return null;
+    const fraction = Object.keys(FRACTIONS).find(char => text.includes(char));
+    const whole = parseFloat(text.replace(',', '.').replace(/[½¼¾]/, '')) || 0;
+    return whole + (fraction ? FRACTIONS[fraction] : 0);
+}
+
+function unitKey(unit) {
+    const u = unit.toLowerCase().replace(/\s+/g, '');
+    if (u === 'c' || u === 'celsius') return 'C';
+    if (u === 'f' || u === 'fahrenheit') return 'F';
+    if (u.startsWith('kilo') || u === 'kg') return 'kg';
+    if (u.startsWith('gram') || u === 'g') return 'g';
+    if (u.startsWith('fl') || u.startsWith('fluid')) return 'floz';
+    if (u.startsWith('oz') || u.startsWith('ounce')) return 'oz';
+    if (u.startsWith('lb') || u.startsWith('pound')) return 'lb';
+    if (u.startsWith('milli') || u === 'ml') return 'ml';
+    if (u === 'cl') return 'cl';
+    if (u === 'l' || u.startsWith('lit')) return 'l';
+    if (u.startsWith('cup')) return 'cup';
+    if (u.startsWith('pint')) return 'pint';
+    return 'quart';
+}
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+function formatNumber(value, locale, digits = 0) {
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: digits }).format(value);
+}
+
+function formatRange(values, format) {
+    return values.map(format).join('–');
+}
+
+// Oven dials go in steps of five either way
+export function convertTemperature(temperature, system) {
+    if (!temperature || temperature.gasMark || !system) return temperature;
+    const target = system === 'metric' ? 'C' : 'F';
+    if (temperature.unit === target) return temperature;
+    const value = target === 'C' ? (temperature.value - 32) * 5 / 9 : temperature.value * 9 / 5 + 32;
+    return { value: roundTo(value, 5), unit: target };
+}
+
+function displayTemperature(values, unit, system, locale) {
+    const converted = values.map(value => convertTemperature({ value, unit }, system).value);
+    return `${formatRange(converted, value => formatNumber(value, locale))}°${system === 'metric' ? 'C' : 'F'}`;
+}
+
+// Picks the unit that keeps the number readable: 450 g but 1.2 kg, 6 fl oz but 1.5 cups
+function displayWeight(grams, system, locale) {
+    const top = Math.max(...grams);
+    if (system === 'metric') {
+        if (top >= 1000) return `${formatRange(grams, g => formatNumber(g / 1000, locale, 2))} kg`;
+        return `${formatRange(grams, g => formatNumber(g >= 100 ? roundTo(g, 5) : g, locale, g < 10 ? 1 : 0))} g`;
+    }
+    const ounces = grams.map(g => g / GRAMS.oz);
+    if (Math.max(...ounces) >= 16) return `${formatRange(ounces, oz => formatNumber(oz / 16, locale, 2))} lb`;
+    return `${formatRange(ounces, oz => formatNumber(oz, locale, oz < 10 ? 1 : 0))} oz`;
+}
+
+function displayVolume(millilitres, system, locale) {
+    const top = Math.max(...millilitres);
+    if (system === 'metric') {
+        if (top >= 1000) return `${formatRange(millilitres, ml => formatNumber(ml / 1000, locale, 2))} l`;
+        return `${formatRange(millilitres, ml => formatNumber(ml >= 100 ? roundTo(ml, 5) : ml, locale, ml < 10 ? 1 : 0))} ml`;
+    }
+    const ounces = millilitres.map(ml => ml / MILLILITRES.floz);
+    if (Math.max(...ounces) < 8) return `${formatRange(ounces, oz => formatNumber(oz, locale, 1))} fl oz`;
+    const cups = millilitres.map(ml => roundTo(ml / MILLILITRES.cup, 0.25));
+    return `${formatRange(cups, cup => formatNumber(cup, locale, 2))} ${Math.max(...cups) === 1 ? 'cup' : 'cups'}`;
+}
+
+/**
+ * The time that gives the same result in a microwave of `toWatts`: the
+ * energy stays the same, so time scales with the power ratio. Rounded to
+ * five seconds.
+ */
+export function rescaleMicrowave(seconds, fromWatts, toWatts) {
+    if (!fromWatts || !toWatts || fromWatts === toWatts) return seconds;
+    return Math.max(5, roundTo(seconds * fromWatts / toWatts, 5));
+}
+
+// The wattage a piece of text was written for, or null
+export function statedWattage(text) {
+    const match = String(text || '').match(WATTS_RE);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function displayDuration(text, fromWatts, toWatts) {
+    const [duration] = parseDurations(text);
+    if (!duration) return null;
+    const from = formatDuration(rescaleMicrowave(duration.seconds, fromWatts, toWatts));
+    return duration.maxSeconds ? `${from} - ${formatDuration(rescaleMicrowave(duration.maxSeconds, fromWatts, toWatts))}` : from;
+}
+
+function wattageConversions(text, microwaveWatts) {
+    // Packs that give times for several wattages: only the one nearest the
+    // reader's microwave is rescaled, and none if theirs is listed. Rewriting
+    // all of them would show the reader's wattage twice with different times.
+    const stated = [...text.matchAll(ALL_WATTS_RE)].map(match => parseInt(match[1], 10));
+    if (stated.includes(microwaveWatts)) return [];
+    const nearest = stated.reduce((best, watts) =>
+        best === null || Math.abs(watts - microwaveWatts) < Math.abs(best - microwaveWatts) ? watts : best, null);
+
+    const found = [];
+    const add = (match, wattsGroup, durationGroup) => {
+        const watts = parseInt(match[wattsGroup], 10);
+        if (watts !== nearest) return;
+        const duration = displayDuration(match[durationGroup], watts, microwaveWatts);
+        if (!duration) return;
+        // Everything between the wattage and the time is kept as written
+        const parts = [[match.indices[wattsGroup], `${microwaveWatts} W`], [match.indices[durationGroup], duration]]
+            .sort((a, b) => a[0][0] - b[0][0]);
+        let display = '';
+        let last = match.index;
+        parts.forEach(([[start, end], value]) => {
+            display += text.slice(last, start) + value;
+            last = end;
+        });
+        display += text.slice(last, match.index + match[0].length);
+        found.push({ start: match.index, end: match.index + match[0].length, kind: 'wattage', display, watts });
+    };
+    for (const match of text.matchAll(WATTS_FIRST_RE)) add(match, 1, 2);
+    for (const match of text.matchAll(DURATION_FIRST_RE)) add(match, 2, 1);
+
+    // The same wattage holds for the rest of the instruction
+    const following = [];
+    found.forEach(({ end, watts }) => {
+        const rest = text.slice(end);
+        const stop = rest.search(SEGMENT_END_RE);
+        const segment = stop === -1 ? rest : rest.slice(0, stop);
+        for (const match of segment.matchAll(FOLLOWING_DURATION_RE)) {
+            if (STAND_BEFORE_RE.test(segment.slice(0, match.index))) continue;
+            const display = displayDuration(match[0], watts, microwaveWatts);
+            if (display) following.push({ start: end + match.index, end: end + match.index + match[0].length, kind: 'wattage', display });
+        }
+    });
+    return [...found.map(({ watts, ...conversion }) => conversion), ...following];
+}
+
+function quantityConversions(text, system, locale) {
+    const found = [];
+    const collect = (pattern, kind, display) => {
+        for (const match of text.matchAll(pattern)) {
+            const unit = unitKey(match[3]);
+            const values = [toNumber(match[1]), toNumber(match[2])].filter(value => value !== null);
+            // Already in the reader's system
+            if ((system === 'metric') === METRIC_UNITS.has(unit)) continue;
+            found.push({ start: match.index, end: match.index + match[0].length, kind, display: display(values, unit) });
+        }
+    };
+    collect(TEMPERATURE_RE, 'temperature', (values, unit) => displayTemperature(values, unit, system, locale));
+    collect(VOLUME_RE, 'volume', (values, unit) => displayVolume(values.map(v => v * MILLILITRES[unit]), system, locale));
+    collect(WEIGHT_RE, 'weight', (values, unit) => displayWeight(values.map(v => v * GRAMS[unit]), system, locale));
+    return found;
+}
+
+/**
+ * Every quantity in `text` to show differently, as
+ * { start, end, original, display }, in order and without overlaps.
+ * `system` is a key of UNIT_SYSTEMS; `microwaveWatts` is the reader's
+ * microwave (0 leaves times alone).
+ */
+export function findConversions(text, { system = '', microwaveWatts = 0, locale = 'en' } = {}) {
+    const source = String(text || '');
+    const candidates = [
+        ...(microwaveWatts ? wattageConversions(source, microwaveWatts) : []),
+        ...(system ? quantityConversions(source, system, locale) : [])
+    ];
+    // Earlier kinds win where matches overlap ("8 fl oz" is a volume, not a weight)
+    const taken = [];
+    candidates.forEach(candidate => {
+        if (taken.some(other => candidate.start < other.end && other.start < candidate.end)) return;
+        taken.push({ ...candidate, original: source.slice(candidate.start, candidate.end) });
+    });
+    return taken.sort((a, b) => a.start - b.start).map(({ kind, ...conversion }) => conversion);
+}
+
+// `text` with every conversion applied, for places that can't show the original on tap
+export function convertText(text, options) {
+    const source = String(text || '');
+    let out = '';
+    let last = 0;
+    findConversions(source, options).forEach(({ start, end, display }) => {
+        out += source.slice(last, start) + display;
+        last = end;
+    });
+    return out + source.slice(last);
+}
@@ -0,0 +1,181 @@
+/**
+ * RecipeScan DB - Secrets vault
+ *
+ * Credentials (the Cloudinary signing token, the Firebase config, sync server passwords) are kept
+ * encrypted with a key derived from the user's passphrase: PBKDF2-SHA-256
+ * for the key, AES-GCM for the data. The key only lives in memory, so the
+ * vault is unlocked once per session. The stored blob is safe to sync.
+ */
+
+import { t } from "./i18n.js";
+
+export const SECRET_KEYS = [
+    'cloudinarySignToken',
+    'fbApiKey',
+    'fbProjectId',
+    'fbAuthDomain',
+    'fbStorageBucket',
+    'fbMessagingSenderId',
+    'fbAppId',
+    'fbMeasurementId',
+    'restToken',
+    'webdavPassword',
+    // Sync ID from before sign-in; still listed so old settings get encrypted
+    'fbUserId',
+    // Cloudinary keys from before the signing endpoint; listed for the same reason
+    'cloudinaryApiKey',
+    'cloudinaryApiSecret'
+];
+
+const VAULT_VERSION = 1;
+const ITERATIONS = 310000;
+
+export class VaultError extends Error {}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Splits a settings object into its credentials and everything else
+export function splitSecrets(settings) {
+    const secrets = {};
+    const preferences = {};
+    Object.entries(settings || {}).forEach(([key, value]) => {
+        if (SECRET_KEYS.includes(key)) secrets[key] = value;
+        else preferences[key] = value;
+    });
+    return { secrets, preferences };
+}
+
+export class SecretsVault {
+    constructor(storage = localStorage, storageKey = 'recipe_scan_vault') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.key = null;
+        this.secrets = {};
+    }
+
+    // { version, iterations, salt, iv, data, changedAt } as stored and synced, or null
+    get blob() {
+        return JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+    }
+
+    get exists() {
+        return !!this.blob;
+    }
+
+    get unlocked() {
+        return !!this.key;
+    }
+
+    // `changedAt` dates the key: when the passphrase was set, which orders vaults from different devices
+    async encrypt(secrets, salt, iterations, changedAt) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(secrets))
+        );
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            version: VAULT_VERSION,
+            iterations,
+            salt: toBase64(salt),
+            iv: toBase64(iv),
+            data: toBase64(data),
+            changedAt
+        }));
+        this.secrets = { ...secrets };
+    }
+
+    async decrypt(blob, key) {
+        try {
+            const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, key, fromBase64(blob.data));
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch {
+            // AES-GCM authentication fails on a wrong key as well as on tampered data
+            throw new VaultError(t('Wrong passphrase.'));
+        }
+    }
+
+    async create(passphrase, secrets = {}) {
+        if (!passphrase) throw new VaultError(t('Choose a passphrase.'));
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await deriveKey(passphrase, salt, ITERATIONS);
+        await this.encrypt(secrets, salt, ITERATIONS, new Date().toISOString());
+    }
+
+    async unlock(passphrase) {
+        const blob = this.blob;
+        if (!blob) throw new VaultError(t('There is no vault to unlock.'));
+        const key = await deriveKey(passphrase, fromBase64(blob.salt), blob.iterations);
+        this.secrets = await this.decrypt(blob, key);
+        this.key = key;
+        return { ...this.secrets };
+    }
+
+    lock() {
+        this.key = null;
+        this.secrets = {};
+    }
+
+    // Re-encrypts with the session key; the salt stays so other devices' keys keep working
+    async update(secrets) {
+        if (!this.unlocked) throw new VaultError(t('Unlock the vault first.'));
+        const blob = this.blob;
+        await this.encrypt(secrets, fromBase64(blob.salt), blob.iterations, blob.changedAt || '');
+    }
+
+    async changePassphrase(passphrase) {
+        if (!this.unlocked) throw new VaultError(t('Unlock the vault first.'));
+        await this.create(passphrase, this.secrets);
+    }
+
+    // Whether our vault has a newer passphrase than `blob`, so `blob` must not replace it
+    supersedes(blob) {
+        const current = this.blob;
+        return !!current && !!blob && current.salt !== blob.salt && (current.changedAt || '') > (blob.changedAt || '');
+    }
+
+    /**
+     * Takes a blob synced from another device. One encrypted with the same
+     * salt opens with the session key. A vault with another key is adopted,
+     * locked, when its passphrase is newer (changed on another device), and
+     * ignored when ours is newer; the older one is replaced on the next save.
+     * Between vaults of the same age an unlocked one is kept. Resolves whether
+     * the vault is unlocked.
+     */
+    async adopt(blob) {
+        const current = this.blob;
+        if (current && JSON.stringify(current) === JSON.stringify(blob)) return this.unlocked;
+        const sameKey = current && current.salt === blob.salt && current.iterations === blob.iterations;
+        if (!sameKey && this.supersedes(blob)) return this.unlocked;
+        if (this.unlocked && !sameKey && (blob.changedAt || '') <= (current.changedAt || '')) return true;
+
+        this.storage.setItem(this.storageKey, JSON.stringify(blob));
+        if (this.unlocked) {
+            try {
+                this.secrets = await this.decrypt(blob, this.key);
+                return true;
+            } catch (err) {
+                console.warn('Synced vault could not be opened with the session key:', err);
+            }
+        }
+        this.lock();
+        return false;
+    }
+}